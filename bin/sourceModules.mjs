@@ -0,0 +1,12 @@
+// Module hooks for the CLI. The sources under src/ are ES modules, but the
+// package declares no "type": the React build and Jest read them as they are,
+// and a "module" type would make both treat them differently. Without these
+// hooks Node 18 loads them as CommonJS and later versions warn on every run.
+const SOURCES = new URL("../src/", import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SOURCES) && url.endsWith(".js")) {
+        return nextLoad(url, { ...context, format: "module" });
+    }
+    return nextLoad(url, context);
+}
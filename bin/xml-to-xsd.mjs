@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+import { register } from "module";
+
+register("./sourceModules.mjs", import.meta.url);
+const { runCli } = await import("../src/cli.js");
+
+runCli(process.argv.slice(2), {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    cwd: process.cwd(),
+}).then(code => {
+    process.exitCode = code;
+});
@@ -1,8 +1,15 @@
 // src/App.test.js
-import { render, screen } from '@testing-library/react';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
 import '@testing-library/jest-dom'; // Ensure jest-dom matchers are available
 
+// Restored here rather than in the tests, so a failing assertion cannot leak fake timers or settings into the next test
+afterEach(() => {
+  jest.useRealTimers();
+  window.localStorage.clear();
+});
+
 test('renders the XmlToXsdConverter component', () => {
   render(<App />);
   // Check for an element reliably rendered by XmlToXsdConverter
@@ -11,4 +18,311 @@ test('renders the XmlToXsdConverter component', () => {
 
   // Optionally, check for another key element to be more specific
   expect(screen.getByRole('button', { name: /Convert to XSD/i })).toBeInTheDocument();
-});
\ No newline at end of file
+});
+
+test('lists uploaded samples and lets one be removed', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+  const fileInput = screen.getByTestId('xml-file-input');
+
+  await user.upload(fileInput, [
+    new File(['<order><item>1</item></order>'], 'first.xml', { type: 'application/xml' }),
+    new File(['<order><note>x</note></order>'], 'second.xml', { type: 'application/xml' }),
+  ]);
+
+  expect(await screen.findByText('first.xml')).toBeInTheDocument();
+  expect(screen.getByText('second.xml')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Convert to XSD/i })).toBeEnabled();
+
+  await user.click(screen.getByRole('button', { name: 'Remove first.xml' }));
+  expect(screen.queryByText('first.xml')).not.toBeInTheDocument();
+  expect(screen.getByText('second.xml')).toBeInTheDocument();
+});
+
+test('persists generator settings in localStorage', async () => {
+  const user = userEvent.setup();
+  window.localStorage.clear();
+  const { unmount } = render(<App />);
+
+  const suffix = screen.getByLabelText('Type name suffix');
+  await user.clear(suffix);
+  await user.type(suffix, 'Kind');
+  expect(JSON.parse(window.localStorage.getItem('xmlToXsdConverter.settings')).typeNameSuffix).toBe('Kind');
+
+  unmount();
+  render(<App />);
+  expect(screen.getByLabelText('Type name suffix')).toHaveValue('Kind');
+  window.localStorage.clear();
+});
+
+test('switches the output between the schema languages', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByLabelText(/Paste XML Content/i));
+  await user.paste('<order id="1"><item>2</item><item>3</item></order>');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+  expect((await screen.findByLabelText('Generated XSD Schema:')).value).toContain('<xs:schema');
+
+  await user.selectOptions(screen.getByLabelText('Output format'), 'jsonSchema');
+  const output = JSON.parse(screen.getByLabelText('Generated JSON Schema:').value);
+  expect(output.$defs.order.properties['@id']).toEqual({ type: 'integer' });
+  expect(output.$defs.order.properties.item).toEqual({ type: 'array', items: { type: 'integer' }, minItems: 1 });
+  expect(screen.getByRole('button', { name: 'Copy JSON Schema' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Download .json File' })).toBeInTheDocument();
+
+  await user.selectOptions(screen.getByLabelText('Output format'), 'relaxNgCompact');
+  expect(screen.getByLabelText('Generated RELAX NG:').value).toContain('element order {');
+  expect(screen.getByRole('button', { name: 'Download .rnc File' })).toBeInTheDocument();
+
+  await user.selectOptions(screen.getByLabelText('Output format'), 'dtd');
+  expect(screen.getByLabelText('Generated DTD:').value).toContain('<!ELEMENT order (item+)>');
+  expect(screen.getByRole('button', { name: 'Download .dtd File' })).toBeInTheDocument();
+});
+
+test('validates XML against the generated schema', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByLabelText(/Paste XML Content/i));
+  await user.paste('<order id="1"><item>2</item></order>');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+  expect(await screen.findByLabelText(/Generated XSD Schema/i)).toBeInTheDocument();
+
+  await user.click(screen.getByRole('tab', { name: 'Validate XML' }));
+  expect(screen.getByRole('radio', { name: /Generated schema/i })).toBeChecked();
+  await user.click(screen.getByLabelText(/XML Documents to Validate/i));
+  await user.paste('<order id="x">\n  <item>2</item>\n  <note/>\n</order>');
+  await user.click(screen.getByRole('button', { name: 'Validate' }));
+
+  expect(screen.getByText('Pasted XML: 2 problems')).toBeInTheDocument();
+  expect(screen.getByText(/"x" is not a valid value of type xs:integer/)).toBeInTheDocument();
+  expect(screen.getByText('Line 3, column 3:')).toBeInTheDocument();
+});
+
+test('refines an existing XSD with new samples', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByRole('tab', { name: 'Refine XSD' }));
+  await user.click(screen.getByLabelText('Existing XSD to Refine:'));
+  await user.paste(`<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="item" type="xs:integer"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`);
+  await user.click(screen.getByLabelText(/New XML Samples/i));
+  await user.paste('<order><item>2.5</item><gift>yes</gift></order>');
+  await user.click(screen.getByRole('button', { name: 'Refine XSD' }));
+
+  const output = (await screen.findByLabelText('Generated XSD Schema:')).value;
+  expect(output).toContain('<xs:element ref="gift" minOccurs="0" maxOccurs="1"/>');
+  expect(screen.getByText('Changes to the existing schema (2):')).toBeInTheDocument();
+  expect(screen.getByText('<order>: added the optional child element <gift>.')).toBeInTheDocument();
+  expect(screen.getByText('<item>: type widened from xs:integer to xs:decimal.')).toBeInTheDocument();
+});
+
+test('merges an uploaded DTD with the samples', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.upload(screen.getByTestId('xml-file-input'), new File(['<order><item>1</item><gift/></order>'], 'order.xml', { type: 'application/xml' }));
+  await user.upload(screen.getByTestId('dtd-file-input'), new File(['<!ELEMENT order (item, note?)><!ELEMENT item (#PCDATA)><!ELEMENT note (#PCDATA)>'], 'order.dtd'));
+  expect(await screen.findByText('order.dtd')).toBeInTheDocument();
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+
+  const output = (await screen.findByLabelText('Generated XSD Schema:')).value;
+  expect(output).toContain('<xs:element ref="note" minOccurs="0" maxOccurs="1"/>');
+  expect(screen.getByText('Changes to the DTD (1):')).toBeInTheDocument();
+  expect(screen.getByText('<order>: added the optional child element <gift>.')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Remove order.dtd' }));
+  expect(screen.queryByText('order.dtd')).not.toBeInTheDocument();
+});
+
+test('overrides types and occurrences in the schema tree', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByLabelText(/Paste XML Content/i));
+  await user.paste('<order id="1"><item>2</item></order>');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+  expect(await screen.findByLabelText('Generated XSD Schema:')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Show Schema Tree' }));
+  expect(screen.getByRole('button', { name: 'Collapse order' })).toHaveAttribute('aria-expanded', 'true');
+  await user.click(screen.getByRole('button', { name: 'Edit item' }));
+  await user.selectOptions(screen.getByLabelText('Type'), 'xs:decimal');
+  await user.clear(screen.getByLabelText('Max occurs'));
+  await user.type(screen.getByLabelText('Max occurs'), 'unbounded');
+  await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+  const output = screen.getByLabelText('Generated XSD Schema:').value;
+  expect(output).toContain('<xs:element name="item" type="xs:decimal"/>');
+  expect(output).toContain('<xs:element ref="item" minOccurs="1" maxOccurs="unbounded"/>');
+  expect(screen.getByText('1..*')).toBeInTheDocument();
+  expect(screen.getByText('edited')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Edit @id' }));
+  await user.click(screen.getByLabelText('Enumeration (one value per line)'));
+  await user.paste('x');
+  await user.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(screen.getByText('Invalid override: "x" is not a valid xs:integer value.')).toBeInTheDocument();
+  await user.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  await user.click(screen.getByRole('button', { name: 'Reset All Overrides (2)' }));
+  expect(screen.getByLabelText('Generated XSD Schema:').value).toContain('<xs:element name="item" type="xs:integer"/>');
+});
+
+test('lists the inferred keys and references and lets them be dropped', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByLabelText(/Paste XML Content/i));
+  await user.paste('<shop><customer id="c1"/><customer id="c2"/><order customerRef="c2"/><order customerRef="c1"/></shop>');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+  expect(await screen.findByLabelText('Generated XSD Schema:')).toBeInTheDocument();
+
+  expect(screen.getByText('Identity constraints (2):')).toBeInTheDocument();
+  const key = screen.getByLabelText(/\(customer_idKey\)/);
+  const keyref = screen.getByLabelText(/\(order_customerRefKeyref\)/);
+  expect(key).toBeChecked();
+  expect(screen.getByLabelText('Generated XSD Schema:').value).toContain('<xs:keyref name="order_customerRefKeyref" refer="customer_idKey">');
+
+  // A keyref goes with its key
+  await user.click(key);
+  expect(key).not.toBeChecked();
+  expect(keyref).not.toBeChecked();
+  expect(keyref).toBeDisabled();
+  expect(screen.getByLabelText('Generated XSD Schema:').value).not.toContain('xs:key');
+
+  await user.click(key);
+  expect(keyref).toBeChecked();
+  expect(screen.getByLabelText('Generated XSD Schema:').value).toContain('<xs:key name="customer_idKey">');
+});
+
+test('generates sample XML from the generated schema', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByLabelText(/Paste XML Content/i));
+  await user.paste('<order id="1"><item>2</item><item>3</item><note>x</note></order>');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+  expect(await screen.findByLabelText('Generated XSD Schema:')).toBeInTheDocument();
+  // Settings changed after the conversion do not apply to the schema on screen, nor to its samples
+  await user.selectOptions(screen.getByLabelText('Indentation'), '4');
+
+  await user.clear(screen.getByLabelText('Documents'));
+  await user.type(screen.getByLabelText('Documents'), '2');
+  await user.click(screen.getByRole('button', { name: 'Generate Sample XML' }));
+
+  expect(screen.getByLabelText('Sample XML:').value).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<order id="1">
+  <item>1</item>
+  <item>2</item>
+  <note>note 1</note>
+</order>
+`);
+  await user.click(screen.getByRole('tab', { name: 'sample_2.xml' }));
+  expect(screen.getByLabelText('Sample XML:').value).toContain('<order id="2">');
+  expect(screen.getByRole('button', { name: 'Download .xml File' })).toBeInTheDocument();
+});
+
+test('compares two versions and flags breaking changes', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  await user.click(screen.getByRole('tab', { name: 'Compare Schemas' }));
+  await user.click(screen.getByRole('radio', { name: 'XML samples' }));
+  await user.click(screen.getByLabelText('Old version:'));
+  await user.paste('<order><item>1</item><note>x</note></order>');
+  await user.click(screen.getByLabelText('New version:'));
+  await user.paste('<order><item>1</item><item>2.5</item></order>');
+  await user.click(screen.getByRole('button', { name: 'Compare' }));
+
+  expect(screen.getByText('3 differences, 1 backward-incompatible')).toBeInTheDocument();
+  const removed = screen.getByText(/element removed/);
+  expect(removed).toHaveClass('breaking');
+  expect(removed).toHaveTextContent('Breaking/order/noteelement removed');
+  expect(screen.getByRole('button', { name: 'Download Report (.json)' })).toBeInTheDocument();
+});
+
+test('shows conversion progress and can cancel it', async () => {
+  // Fake timers keep the main-thread fallback from finishing before Cancel is clicked
+  jest.useFakeTimers();
+  const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
+  render(<App />);
+
+  await user.click(screen.getByLabelText(/Paste XML Content/i));
+  await user.paste('<order><item>1</item></order>');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+  expect(screen.getByRole('progressbar', { name: 'Conversion progress' })).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Cancel' }));
+  expect(await screen.findByText('Conversion cancelled.')).toBeInTheDocument();
+  expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+  jest.runOnlyPendingTimers();
+  expect(screen.queryByLabelText(/Generated XSD Schema/i)).not.toBeInTheDocument();
+});
+
+test('numbers the lines of the pasted XML and lists its errors', async () => {
+  const user = userEvent.setup();
+  render(<App />);
+
+  const input = screen.getByLabelText(/Paste XML Content/i);
+  await user.click(input);
+  await user.paste('<order>\n  <item>1</itm>\n  <note a="1" a="2"/>\n</order>');
+
+  // Checked once typing pauses
+  expect(await screen.findByText('3 errors in the XML:')).toBeInTheDocument();
+  expect(input).toHaveAttribute('aria-invalid', 'true');
+  const lines = within(screen.getByTestId('xml-input-gutter')).getAllByText(/^\d+$/);
+  expect(lines.map(line => line.textContent)).toEqual(['1', '2', '3', '4']);
+  expect(lines[0]).not.toHaveClass('error-line');
+  expect(lines[1]).toHaveClass('error-line');
+  expect(lines[2]).toHaveClass('error-line');
+  expect(lines[3]).toHaveClass('error-line');
+  const highlights = within(screen.getByTestId('xml-input-highlights'));
+  expect(highlights.getAllByText('<')).toHaveLength(2);
+  expect(highlights.getByText('a')).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Line 3, column 15: Duplicate attribute "a"' }));
+  expect(input).toHaveFocus();
+  expect(input.selectionStart).toBe(38);
+
+  await user.clear(input);
+  expect(input).toHaveAttribute('aria-invalid', 'false');
+  expect(screen.queryByText(/in the XML:/)).not.toBeInTheDocument();
+});
+
+test('leaves large pasted XML unnumbered and unchecked', () => {
+  render(<App />);
+
+  const input = screen.getByLabelText(/Paste XML Content/i);
+  fireEvent.change(input, { target: { value: `<r>\n${'<a>\n'.repeat(10000)}</r>` } });
+
+  expect(screen.getByText(/too large to check as you type/)).toBeInTheDocument();
+  expect(screen.queryByTestId('xml-input-gutter')).not.toBeInTheDocument();
+  expect(input).toHaveAttribute('aria-invalid', 'false');
+});
+
+test('shows where an uploaded sample is malformed', async () => {
+  const user = userEvent.setup();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  render(<App />);
+
+  await user.upload(screen.getByTestId('xml-file-input'), [
+    new File(['<order/>'], 'good.xml', { type: 'application/xml' }),
+    new File(['<order>\n  <item>1</itm>\n</order>'], 'broken.xml', { type: 'application/xml' }),
+  ]);
+  await screen.findByText('broken.xml');
+  await user.click(screen.getByRole('button', { name: /Convert to XSD/i }));
+
+  expect(await screen.findByText(/^Conversion failed \(broken\.xml\): Invalid XML: Line 2, column 10:/)).toBeInTheDocument();
+  expect(screen.getByText(/<item>1<\/itm>/)).toHaveClass('error-snippet');
+  console.error.mockRestore();
+});
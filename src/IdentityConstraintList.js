@@ -0,0 +1,48 @@
+import React from 'react';
+
+/**
+ * The identity constraints found in the samples (see
+ * describeIdentityConstraints in schemaOverrides.js), each with a checkbox
+ * to keep or drop it. Dropping one stores a `{dropped: true}` override passed
+ * to onChange; a keyref goes with its key, so its checkbox is disabled while
+ * the key is dropped.
+ */
+function IdentityConstraintList({ constraints, overrides, onChange }) {
+    const isDropped = (name) => !!(overrides[`#${name}`] && overrides[`#${name}`].dropped);
+
+    const toggle = (target, keep) => {
+        const next = { ...overrides };
+        if (keep) delete next[target]; else next[target] = { dropped: true };
+        onChange(next);
+    };
+
+    return (
+        <div className="identity-constraints">
+            <span className="identity-constraints-title">Identity constraints ({constraints.length}):</span>
+            <ul>
+                {constraints.map(({ target, name, kind, path, refer }) => {
+                    const keyDropped = refer !== null && isDropped(refer);
+                    const id = `identity-${name}`;
+                    return (
+                        <li key={target}>
+                            <input
+                                id={id}
+                                type="checkbox"
+                                checked={!isDropped(name) && !keyDropped}
+                                disabled={keyDropped}
+                                onChange={(e) => toggle(target, e.target.checked)}
+                            />
+                            <label htmlFor={id}>
+                                <span className="identity-kind">{kind}</span> <code>{path}</code>
+                                {refer && <> refers to <code>{refer}</code></>}
+                                <span className="identity-name"> ({name})</span>
+                            </label>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+export default IdentityConstraintList;
@@ -0,0 +1,168 @@
+import React, { useState, useRef } from 'react';
+import { diffSchemas, diffSchemaModels, formatDiffAsText, formatDiffAsJson } from './schemaDiff';
+import { inferSchemaModel } from './schemaModel';
+import { parseDomRoot } from './xmlDom';
+import { readFileAsText, downloadTextFile } from './fileUtils';
+
+const VERSIONS = [['old', 'Old version'], ['new', 'New version']];
+
+/**
+ * Compares two versions of a schema, given as XSDs or as XML samples the
+ * schemas are inferred from, and lists the structural differences with the
+ * backward-incompatible ones flagged. The report downloads as text or JSON.
+ */
+function SchemaDiffPanel({ settings }) {
+    const [source, setSource] = useState('xsd'); // 'xsd' or 'xml'
+    const [texts, setTexts] = useState({ old: '', new: '' });
+    const [changes, setChanges] = useState(null); // Differences from diffSchemaModels
+    const [error, setError] = useState('');
+    const fileInputRefs = { old: useRef(null), new: useRef(null) };
+
+    const canCompare = texts.old.trim() !== '' && texts.new.trim() !== '';
+    const breaking = changes ? changes.filter(change => change.breaking).length : 0;
+
+    const resetReport = () => {
+        setChanges(null);
+        setError('');
+    };
+
+    const handleTextChange = (version, text) => {
+        setTexts(prev => ({ ...prev, [version]: text }));
+        resetReport();
+    };
+
+    const handleFileChange = async (version, event) => {
+        const [file] = Array.from(event.target.files || []);
+        if (fileInputRefs[version].current) {
+            fileInputRefs[version].current.value = "";
+        }
+        if (!file) return;
+
+        try {
+            handleTextChange(version, await readFileAsText(file));
+        } catch (err) {
+            console.error('Failed to read file:', err);
+            setError('Error reading file.');
+        }
+    };
+
+    const handleCompare = () => {
+        setError('');
+        try {
+            if (source === 'xsd') {
+                setChanges(diffSchemas(texts.old, texts.new));
+                return;
+            }
+            // Both sample sets are inferred with the current generator settings
+            const infer = version => {
+                try {
+                    return inferSchemaModel(texts[version], { ...settings, xmlParser: parseDomRoot });
+                } catch (err) {
+                    err.version = version;
+                    throw err;
+                }
+            };
+            setChanges(diffSchemaModels(infer('old'), infer('new'), settings));
+        } catch (err) {
+            console.error('Comparison Error:', err);
+            setError(`Invalid ${err.version === 'new' ? 'new' : 'old'} version: ${err.message}`);
+            setChanges(null);
+        }
+    };
+
+    const handleDownload = (content, fileName, mimeType) => {
+        try {
+            downloadTextFile(content, fileName, mimeType);
+        } catch (err) {
+            console.error('Failed to download:', err);
+            setError('Download failed.');
+        }
+    };
+
+    return (
+        <div className="input-section">
+            <label>Compare:</label>
+            <div className="schema-source">
+                {[['xsd', 'XSD schemas'], ['xml', 'XML samples']].map(([value, title]) => (
+                    <label key={value}>
+                        <input
+                            type="radio"
+                            name="diff-source"
+                            checked={source === value}
+                            onChange={() => { setSource(value); resetReport(); }}
+                        />
+                        {title}
+                    </label>
+                ))}
+            </div>
+
+            <div className="diff-inputs">
+                {VERSIONS.map(([version, title]) => (
+                    <div key={version} className="diff-input">
+                        <label htmlFor={`diff-${version}-input`}>{title}:</label>
+                        <textarea
+                            id={`diff-${version}-input`}
+                            value={texts[version]}
+                            onChange={(e) => handleTextChange(version, e.target.value)}
+                            placeholder={source === 'xsd' ? '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">...</xs:schema>' : '<root>...</root>'}
+                            spellCheck="false"
+                        />
+                        <input
+                            type="file"
+                            ref={fileInputRefs[version]}
+                            onChange={(e) => handleFileChange(version, e)}
+                            accept={source === 'xsd' ? '.xsd, application/xml' : '.xml, application/xml'}
+                            data-testid={`diff-${version}-file-input`}
+                            style={{ display: 'none' }}
+                        />
+                        <button
+                            type="button"
+                            onClick={() => fileInputRefs[version].current && fileInputRefs[version].current.click()}
+                            className="file-input-label"
+                        >
+                            Upload {source === 'xsd' ? 'XSD' : 'XML'} File
+                        </button>
+                    </div>
+                ))}
+            </div>
+            <div className="button-group">
+                <button onClick={handleCompare} disabled={!canCompare} className="button">
+                    Compare
+                </button>
+            </div>
+
+            {error && <div className="status-message error">{error}</div>}
+
+            {changes && (
+                <div className="diff-report" aria-live="polite">
+                    <span className="diff-summary">
+                        {changes.length === 0
+                            ? 'No structural differences.'
+                            : `${changes.length} difference${changes.length === 1 ? '' : 's'}, ${breaking} backward-incompatible`}
+                    </span>
+                    {changes.length > 0 && (
+                        <ul>
+                            {changes.map((change, index) => (
+                                <li key={index} className={`diff-change${change.breaking ? ' breaking' : ''}`}>
+                                    {change.breaking && <span className="diff-flag">Breaking</span>}
+                                    <span className="diff-path">{change.path}</span>
+                                    {change.description}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <div className="button-group">
+                        <button onClick={() => handleDownload(formatDiffAsText(changes), 'schema-diff.txt', 'text/plain')} className="button button-secondary">
+                            Download Report (.txt)
+                        </button>
+                        <button onClick={() => handleDownload(formatDiffAsJson(changes), 'schema-diff.json', 'application/json')} className="button button-secondary">
+                            Download Report (.json)
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SchemaDiffPanel;
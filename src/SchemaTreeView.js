@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { describeElement } from './schemaOverrides';
+import { builtinSimpleTypeNames } from './xsdDatatypes';
+
+const TYPE_NAMES = builtinSimpleTypeNames().map(name => `xs:${name}`);
+
+const formatType = ({ base, enumeration }) => (enumeration.length > 0 ? `${base} (${enumeration.join(' | ')})` : base);
+const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+/**
+ * The form overriding one node: the fields shown are the ones the node has
+ * (`type` for typed text and attributes, `occurs` for child elements,
+ * `required` for attributes). Only the fields the user changed are passed to
+ * onApply.
+ */
+function NodeEditor({ type, occurs, required, canReset, onApply, onReset, onCancel }) {
+    const [base, setBase] = useState(type ? type.base : '');
+    const [enumeration, setEnumeration] = useState(type ? type.enumeration.join('\n') : '');
+    const [minOccurs, setMinOccurs] = useState(occurs ? occurs.minOccurs : '');
+    const [maxOccurs, setMaxOccurs] = useState(occurs ? occurs.maxOccurs : '');
+    const [isRequired, setIsRequired] = useState(!!required);
+
+    const handleApply = () => {
+        const changes = {};
+        if (type) {
+            const values = enumeration.split('\n').map(value => value.trim()).filter(value => value !== '');
+            if (base !== type.base) changes.type = base;
+            if (!sameList(values, type.enumeration)) changes.enumeration = values;
+        }
+        if (occurs) {
+            if (minOccurs.trim() !== occurs.minOccurs) changes.minOccurs = minOccurs.trim();
+            if (maxOccurs.trim() !== occurs.maxOccurs) changes.maxOccurs = maxOccurs.trim();
+        }
+        if (required !== undefined && isRequired !== required) changes.required = isRequired;
+        onApply(changes);
+    };
+
+    return (
+        <div className="tree-editor">
+            {type && (
+                <>
+                    <label htmlFor="tree-edit-type">Type</label>
+                    <select id="tree-edit-type" value={base} onChange={(e) => setBase(e.target.value)}>
+                        {TYPE_NAMES.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                    <label htmlFor="tree-edit-enumeration">Enumeration (one value per line)</label>
+                    <textarea
+                        id="tree-edit-enumeration"
+                        value={enumeration}
+                        onChange={(e) => setEnumeration(e.target.value)}
+                        rows={3}
+                        spellCheck="false"
+                    />
+                </>
+            )}
+            {occurs && (
+                <>
+                    <label htmlFor="tree-edit-min">Min occurs</label>
+                    <input id="tree-edit-min" type="text" value={minOccurs} onChange={(e) => setMinOccurs(e.target.value)} />
+                    <label htmlFor="tree-edit-max">Max occurs</label>
+                    <input id="tree-edit-max" type="text" value={maxOccurs} onChange={(e) => setMaxOccurs(e.target.value)} />
+                </>
+            )}
+            {required !== undefined && (
+                <>
+                    <label htmlFor="tree-edit-required">Required</label>
+                    <input id="tree-edit-required" type="checkbox" checked={isRequired} onChange={(e) => setIsRequired(e.target.checked)} />
+                </>
+            )}
+            <div className="button-group">
+                <button type="button" onClick={handleApply} className="button">Apply</button>
+                {canReset && <button type="button" onClick={onReset} className="button button-secondary">Reset</button>}
+                <button type="button" onClick={onCancel} className="button button-secondary">Cancel</button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * A collapsible tree of a schema model: elements with their text type or
+ * content model, attributes with type and use, and the occurrences of every
+ * child element. Each node can be edited; the edits become overrides (see
+ * applyOverrides in schemaOverrides.js) passed to onChange, which returns
+ * false when it rejects them. A declaration used in several places shows up
+ * at each of them, and its type override applies everywhere.
+ */
+function SchemaTreeView({ model, options, overrides, onChange }) {
+    const [expanded, setExpanded] = useState(() => new Set(model.rootKeys)); // Paths of the open elements
+    const [editing, setEditing] = useState(null); // Path of the node whose editor is open
+
+    const toggle = (path) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(path)) next.delete(path); else next.add(path);
+            return next;
+        });
+    };
+
+    // Merges the changed fields into the overrides of each target
+    const applyChanges = (targets) => {
+        const next = { ...overrides };
+        for (const [target, changes] of targets) {
+            if (target && Object.keys(changes).length > 0) next[target] = { ...next[target], ...changes };
+        }
+        if (onChange(next) !== false) setEditing(null);
+    };
+
+    const resetTargets = (targets) => {
+        const next = { ...overrides };
+        for (const target of targets) delete next[target];
+        if (onChange(next) !== false) setEditing(null);
+    };
+
+    const editButton = (path, name) => (
+        <button type="button" className="tree-edit" onClick={() => setEditing(editing === path ? null : path)} aria-label={`Edit ${name}`}>
+            Edit
+        </button>
+    );
+
+    const renderAttribute = (attr, path) => {
+        const attrPath = `${path}/@${attr.name}`;
+        return (
+            <li key={attrPath}>
+                <div className="tree-row">
+                    <span className="tree-toggle-spacer" />
+                    <span className="tree-name">@{attr.name}</span>
+                    <span className="tree-type">{formatType(attr)}</span>
+                    <span className="tree-occurs">{attr.required ? 'required' : 'optional'}</span>
+                    {overrides[attr.target] && <span className="tree-edited">edited</span>}
+                    {editButton(attrPath, `@${attr.name}`)}
+                </div>
+                {editing === attrPath && (
+                    <NodeEditor
+                        type={attr}
+                        required={attr.required}
+                        canReset={!!overrides[attr.target]}
+                        onApply={({ required, ...typeChanges }) => applyChanges([[attr.target, required === undefined ? typeChanges : { ...typeChanges, required }]])}
+                        onReset={() => resetTargets([attr.target])}
+                        onCancel={() => setEditing(null)}
+                    />
+                )}
+            </li>
+        );
+    };
+
+    const renderElement = (key, path, particle, ancestors) => {
+        const node = describeElement(model, key, options);
+        const recursive = ancestors.includes(key);
+        const open = expanded.has(path) && !recursive;
+        const hasContent = node.attributes.length + node.children.length > 0;
+        const occurs = particle && particle.minOccurs !== null ? particle : null;
+        const targets = [node.type && node.type.target, occurs && occurs.target].filter(Boolean);
+        const edited = targets.some(target => overrides[target]);
+
+        return (
+            <li key={path}>
+                <div className="tree-row">
+                    {hasContent && !recursive ? (
+                        <button
+                            type="button"
+                            className="tree-toggle"
+                            onClick={() => toggle(path)}
+                            aria-expanded={open}
+                            aria-label={`${open ? 'Collapse' : 'Expand'} ${node.name}`}
+                        >
+                            {open ? '▾' : '▸'}
+                        </button>
+                    ) : <span className="tree-toggle-spacer" />}
+                    <span className="tree-name">{`<${node.name}>`}</span>
+                    <span className={node.type ? 'tree-type' : 'tree-content'}>{node.type ? formatType(node.type) : node.content}</span>
+                    {occurs && <span className="tree-occurs">{`${occurs.minOccurs}..${occurs.maxOccurs === 'unbounded' ? '*' : occurs.maxOccurs}`}</span>}
+                    {recursive && <span className="tree-content">recursive</span>}
+                    {edited && <span className="tree-edited">edited</span>}
+                    {targets.length > 0 && editButton(path, node.name)}
+                </div>
+                {editing === path && (
+                    <NodeEditor
+                        type={node.type}
+                        occurs={occurs}
+                        canReset={edited}
+                        onApply={({ minOccurs, maxOccurs, ...typeChanges }) => {
+                            const occursChanges = {};
+                            if (minOccurs !== undefined) occursChanges.minOccurs = minOccurs;
+                            if (maxOccurs !== undefined) occursChanges.maxOccurs = maxOccurs;
+                            applyChanges([[node.type && node.type.target, typeChanges], [occurs && occurs.target, occursChanges]]);
+                        }}
+                        onReset={() => resetTargets(targets)}
+                        onCancel={() => setEditing(null)}
+                    />
+                )}
+                {open && (
+                    <ul>
+                        {node.attributes.map(attr => renderAttribute(attr, path))}
+                        {node.children.map(child => renderElement(child.key, `${path}/${child.key}`, child, [...ancestors, key]))}
+                    </ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <ul className="schema-tree">
+            {[...model.rootKeys].map(key => renderElement(key, key, null, []))}
+        </ul>
+    );
+}
+
+export default SchemaTreeView;
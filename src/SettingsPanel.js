@@ -0,0 +1,207 @@
+import React from 'react';
+import { DEFAULT_OPTIONS } from './xsdGenerator';
+import { DISTINCT_VALUE_LIMIT } from './typeInference';
+
+const SETTINGS_STORAGE_KEY = 'xmlToXsdConverter.settings';
+
+/**
+ * Reads the persisted generator settings, falling back to the defaults for
+ * anything missing or when localStorage is unavailable.
+ *
+ * @returns {object} Generator options.
+ */
+export function loadSettings() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+        const settings = { ...DEFAULT_OPTIONS };
+        for (const key of Object.keys(DEFAULT_OPTIONS)) {
+            if (stored[key] !== undefined) settings[key] = stored[key];
+        }
+        return settings;
+    } catch (err) {
+        console.error('Failed to load settings:', err);
+        return { ...DEFAULT_OPTIONS };
+    }
+}
+
+/**
+ * Persists the generator settings in localStorage.
+ *
+ * @param {object} settings Generator options.
+ */
+export function saveSettings(settings) {
+    try {
+        window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.error('Failed to save settings:', err);
+    }
+}
+
+function SettingsPanel({ settings, onChange }) {
+    const update = (key, value) => onChange({ ...settings, [key]: value });
+
+    return (
+        <details className="settings-panel">
+            <summary>Generator Settings</summary>
+            <div className="settings-grid">
+                <label htmlFor="setting-target-namespace">Target namespace</label>
+                <input
+                    id="setting-target-namespace"
+                    type="text"
+                    value={settings.targetNamespace}
+                    onChange={(e) => update('targetNamespace', e.target.value)}
+                    placeholder="Derived from the root element"
+                />
+
+                <label htmlFor="setting-namespace-prefix">Namespace prefix</label>
+                <input
+                    id="setting-namespace-prefix"
+                    type="text"
+                    value={settings.namespacePrefix}
+                    onChange={(e) => update('namespacePrefix', e.target.value)}
+                />
+
+                <label htmlFor="setting-design-style">Design style</label>
+                <select
+                    id="setting-design-style"
+                    value={settings.designStyle}
+                    onChange={(e) => update('designStyle', e.target.value)}
+                >
+                    <option value="salamiSlice">Salami Slice (global elements, refs)</option>
+                    <option value="venetianBlind">Venetian Blind (named types, local elements)</option>
+                    <option value="russianDoll">Russian Doll (nested anonymous types)</option>
+                </select>
+
+                <label htmlFor="setting-element-form">Element form default</label>
+                <select
+                    id="setting-element-form"
+                    value={settings.elementFormDefault}
+                    onChange={(e) => update('elementFormDefault', e.target.value)}
+                >
+                    <option value="qualified">qualified</option>
+                    <option value="unqualified">unqualified</option>
+                </select>
+
+                <label htmlFor="setting-type-prefix">Type name prefix</label>
+                <input
+                    id="setting-type-prefix"
+                    type="text"
+                    value={settings.typeNamePrefix}
+                    onChange={(e) => update('typeNamePrefix', e.target.value)}
+                />
+
+                <label htmlFor="setting-type-suffix">Type name suffix</label>
+                <input
+                    id="setting-type-suffix"
+                    type="text"
+                    value={settings.typeNameSuffix}
+                    onChange={(e) => update('typeNameSuffix', e.target.value)}
+                />
+
+                <label htmlFor="setting-indent">Indentation</label>
+                <select
+                    id="setting-indent"
+                    value={String(settings.indent)}
+                    onChange={(e) => update('indent', e.target.value === '\t' ? '\t' : Number(e.target.value))}
+                >
+                    <option value="2">2 spaces</option>
+                    <option value="4">4 spaces</option>
+                    <option value={'\t'}>Tab</option>
+                </select>
+
+                <label htmlFor="setting-occurrence-policy">Cardinality</label>
+                <select
+                    id="setting-occurrence-policy"
+                    value={settings.occurrencePolicy}
+                    onChange={(e) => update('occurrencePolicy', e.target.value)}
+                >
+                    <option value="inferred">Inferred from samples</option>
+                    <option value="exact">Exact observed counts</option>
+                    <option value="relaxed">Relaxed (all optional, unbounded)</option>
+                </select>
+
+                <label htmlFor="setting-identity-constraints">Identity constraints</label>
+                <select
+                    id="setting-identity-constraints"
+                    value={settings.identityConstraints}
+                    onChange={(e) => update('identityConstraints', e.target.value)}
+                >
+                    <option value="keys">xs:key and xs:keyref</option>
+                    <option value="ids">xs:ID and xs:IDREF where possible</option>
+                    <option value="none">None</option>
+                </select>
+
+                <label htmlFor="setting-enumeration-threshold">Max enumeration values</label>
+                <input
+                    id="setting-enumeration-threshold"
+                    type="number"
+                    min="0"
+                    max={DISTINCT_VALUE_LIMIT}
+                    value={settings.enumerationThreshold}
+                    onChange={(e) => update('enumerationThreshold', Math.min(DISTINCT_VALUE_LIMIT, Math.max(0, Math.floor(Number(e.target.value) || 0))))}
+                />
+
+                <label htmlFor="setting-emit-facets">Length, pattern and range facets</label>
+                <input
+                    id="setting-emit-facets"
+                    type="checkbox"
+                    checked={settings.emitFacets}
+                    onChange={(e) => update('emitFacets', e.target.checked)}
+                />
+
+                <label htmlFor="setting-factor-groups">Shared groups (xs:group, xs:attributeGroup)</label>
+                <input
+                    id="setting-factor-groups"
+                    type="checkbox"
+                    checked={settings.factorGroups}
+                    onChange={(e) => update('factorGroups', e.target.checked)}
+                />
+
+                <label htmlFor="setting-emit-documentation">Documentation (examples, counts, paths, comments)</label>
+                <input
+                    id="setting-emit-documentation"
+                    type="checkbox"
+                    checked={settings.emitDocumentation}
+                    onChange={(e) => update('emitDocumentation', e.target.checked)}
+                />
+
+                <label htmlFor="setting-import-doctype">Merge the samples' DOCTYPE declarations</label>
+                <input
+                    id="setting-import-doctype"
+                    type="checkbox"
+                    checked={settings.importDoctype}
+                    onChange={(e) => update('importDoctype', e.target.checked)}
+                />
+
+                <label htmlFor="setting-emit-comments">Emit comments</label>
+                <input
+                    id="setting-emit-comments"
+                    type="checkbox"
+                    checked={settings.emitComments}
+                    onChange={(e) => update('emitComments', e.target.checked)}
+                />
+
+                <label htmlFor="setting-attribute-prefix">JSON attribute prefix</label>
+                <input
+                    id="setting-attribute-prefix"
+                    type="text"
+                    value={settings.attributePrefix}
+                    onChange={(e) => update('attributePrefix', e.target.value)}
+                />
+
+                <label htmlFor="setting-text-property">JSON text property</label>
+                <input
+                    id="setting-text-property"
+                    type="text"
+                    value={settings.textPropertyName}
+                    onChange={(e) => update('textPropertyName', e.target.value)}
+                />
+            </div>
+            <button type="button" onClick={() => onChange({ ...DEFAULT_OPTIONS })} className="button button-link">
+                Reset to Defaults
+            </button>
+        </details>
+    );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,177 @@
+import React, { useState, useRef } from 'react';
+import { parseSchemas } from './xsdParser';
+import { validateXml } from './xsdValidator';
+import { readFileAsText } from './fileUtils';
+
+/**
+ * Validates XML documents against the generated schemas or a pasted XSD and
+ * lists the violations of each document with their line and column.
+ */
+function ValidationPanel({ generatedSchemas }) {
+    const hasGenerated = generatedSchemas.length > 0;
+    const [schemaSource, setSchemaSource] = useState(hasGenerated ? 'generated' : 'custom');
+    const [customXsd, setCustomXsd] = useState('');
+    const [xmlInput, setXmlInput] = useState('');
+    const [documents, setDocuments] = useState([]); // Uploaded documents: { id, name, content }
+    const [results, setResults] = useState(null); // { name, valid, errors } per document
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+    const nextDocumentId = useRef(1);
+
+    const againstGenerated = schemaSource === 'generated' && hasGenerated;
+    const documentList = [
+        ...(xmlInput.trim() ? [{ name: 'Pasted XML', content: xmlInput }] : []),
+        ...documents,
+    ];
+    const canValidate = documentList.length > 0 && (againstGenerated || customXsd.trim() !== '');
+
+    const resetResults = () => {
+        setResults(null);
+        setError('');
+    };
+
+    const handleFileChange = async (event) => {
+        const files = Array.from(event.target.files || []);
+        if (fileInputRef.current) {
+            fileInputRef.current.value = "";
+        }
+        if (files.length === 0) return;
+
+        try {
+            const contents = await Promise.all(files.map(readFileAsText));
+            setDocuments(prev => [...prev, ...files.map((file, i) => ({
+                id: nextDocumentId.current++,
+                name: file.name,
+                content: contents[i],
+            }))]);
+            resetResults();
+        } catch (err) {
+            console.error('Failed to read file:', err);
+            setError('Error reading file.');
+        }
+    };
+
+    const handleValidate = () => {
+        setError('');
+        let components;
+        try {
+            components = parseSchemas(againstGenerated ? generatedSchemas.map(schema => schema.content) : customXsd);
+        } catch (err) {
+            console.error('Schema Error:', err);
+            const failedSchema = againstGenerated ? generatedSchemas[err.schemaIndex] : null;
+            setError(`Invalid schema${failedSchema ? ` (${failedSchema.fileName})` : ''}: ${err.message}`);
+            setResults(null);
+            return;
+        }
+        setResults(documentList.map(({ name, content }) => ({ name, ...validateXml(content, components) })));
+    };
+
+    return (
+        <div className="input-section">
+            <label>Schema:</label>
+            <div className="schema-source">
+                <label>
+                    <input
+                        type="radio"
+                        name="schema-source"
+                        checked={againstGenerated}
+                        disabled={!hasGenerated}
+                        onChange={() => { setSchemaSource('generated'); resetResults(); }}
+                    />
+                    Generated schema{generatedSchemas.length > 1 ? `s (${generatedSchemas.length})` : ''}
+                </label>
+                <label>
+                    <input
+                        type="radio"
+                        name="schema-source"
+                        checked={!againstGenerated}
+                        onChange={() => { setSchemaSource('custom'); resetResults(); }}
+                    />
+                    Custom XSD
+                </label>
+            </div>
+            {!againstGenerated && (
+                <textarea
+                    aria-label="XSD schema"
+                    value={customXsd}
+                    onChange={(e) => { setCustomXsd(e.target.value); resetResults(); }}
+                    placeholder='<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">...</xs:schema>'
+                    spellCheck="false"
+                />
+            )}
+
+            <label htmlFor="validation-xml-input" style={{ marginTop: '20px' }}>XML Documents to Validate:</label>
+            <textarea
+                id="validation-xml-input"
+                value={xmlInput}
+                onChange={(e) => { setXmlInput(e.target.value); resetResults(); }}
+                placeholder="<root>...</root>"
+                spellCheck="false"
+            />
+            <div className="button-group">
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={handleFileChange}
+                    accept=".xml, application/xml"
+                    multiple
+                    data-testid="validation-file-input"
+                    style={{ display: 'none' }}
+                />
+                <button type="button" onClick={() => fileInputRef.current && fileInputRef.current.click()} className="file-input-label">
+                    Upload XML Files
+                </button>
+                <button onClick={handleValidate} disabled={!canValidate} className="button">
+                    Validate
+                </button>
+            </div>
+
+            {documents.length > 0 && (
+                <div className="sample-list">
+                    <span className="sample-list-title">Loaded documents ({documents.length}):</span>
+                    <ul>
+                        {documents.map(doc => (
+                            <li key={doc.id} className="sample-item">
+                                <span className="sample-name">{doc.name}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => { setDocuments(prev => prev.filter(other => other.id !== doc.id)); resetResults(); }}
+                                    className="sample-remove"
+                                    aria-label={`Remove ${doc.name}`}
+                                >
+                                    Remove
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {error && <div className="status-message error">{error}</div>}
+
+            {results && (
+                <div className="validation-results" aria-live="polite">
+                    {results.map((result, index) => (
+                        <div key={index} className={`validation-result${result.valid ? ' valid' : ''}`}>
+                            <span className="validation-result-title">
+                                {result.name}: {result.valid ? 'Valid' : `${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}`}
+                            </span>
+                            {!result.valid && (
+                                <ul>
+                                    {result.errors.map((violation, i) => (
+                                        <li key={i}>
+                                            <span className="validation-position">Line {violation.line}, column {violation.column}:</span>
+                                            {violation.message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ValidationPanel;
@@ -0,0 +1,143 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { findXmlErrors } from './xmlParser';
+
+// Pause in typing, in milliseconds, after which the text is checked, so that keystrokes never wait for a parse
+const CHECK_DELAY = 300;
+// Beyond these sizes the text is neither checked as it is typed nor numbered and highlighted line by line,
+// which would freeze the page on a multi-megabyte paste; converting it still reports its errors
+const LARGE_TEXT_LENGTH = 200000;
+const LARGE_TEXT_LINES = 10000;
+
+// Offsets at which each line of the text starts
+const lineStarts = (text) => {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+};
+
+/**
+ * The text split at the error positions, with the character each error
+ * points at marked. An error at the end of a line marks a blank, so that it
+ * still shows.
+ */
+function highlightErrors(text, errors, starts) {
+    const offsets = [...new Set(errors.map(({ line, column }) => starts[line - 1] + column - 1))].sort((a, b) => a - b);
+    const parts = [];
+    let last = 0;
+    for (const offset of offsets) {
+        if (offset < last) continue;
+        const character = text[offset];
+        const atLineEnd = character === undefined || character === '\n';
+        parts.push(text.slice(last, offset));
+        parts.push(<mark key={offset}>{atLineEnd ? ' ' : character}</mark>);
+        last = atLineEnd ? offset : offset + 1;
+    }
+    parts.push(text.slice(last));
+    // A trailing newline needs a character after it to take up a line
+    parts.push('\n');
+    return parts;
+}
+
+/**
+ * A text area for XML with line numbers that checks the text as it is typed:
+ * the lines and positions of well-formedness errors are highlighted and every
+ * error is listed below it (see findXmlErrors in xmlParser.js). Choosing an
+ * error in the list moves the cursor to it. The check runs once typing
+ * pauses; large texts get a plain text area without it.
+ */
+function XmlEditor({ id, value, onChange, placeholder }) {
+    const textareaRef = useRef(null);
+    const gutterRef = useRef(null);
+    const highlightRef = useRef(null);
+    const [checked, setChecked] = useState([]); // Errors of the text as of the last check
+
+    const starts = useMemo(() => (value.length > LARGE_TEXT_LENGTH ? null : lineStarts(value)), [value]);
+    const large = !starts || starts.length > LARGE_TEXT_LINES;
+    const blank = !value.trim();
+
+    useEffect(() => {
+        if (large || blank) return undefined;
+        const timer = setTimeout(() => setChecked(findXmlErrors(value)), CHECK_DELAY);
+        return () => clearTimeout(timer);
+    }, [value, large, blank]);
+
+    // Until the next check, the errors found before the last edits stay on the lines that still exist
+    const errors = large || blank ? [] : checked.filter(({ line }) => line <= starts.length);
+    const errorLines = new Set(errors.map(({ line }) => line));
+
+    // The gutter and the highlights follow the text when it scrolls
+    const handleScroll = () => {
+        if (large) return;
+        const { scrollTop, scrollLeft } = textareaRef.current;
+        gutterRef.current.scrollTop = scrollTop;
+        highlightRef.current.scrollTop = scrollTop;
+        highlightRef.current.scrollLeft = scrollLeft;
+    };
+    // Highlights only hold the text while there are errors, so they catch up with the scroll position when they appear
+    useEffect(handleScroll, [checked]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const goTo = ({ line, column }) => {
+        const textarea = textareaRef.current;
+        const offset = Math.min(starts[line - 1] + column - 1, value.length);
+        textarea.focus();
+        textarea.setSelectionRange(offset, offset);
+    };
+
+    return (
+        <div className="xml-editor">
+            <div className={`xml-editor-frame${errors.length > 0 ? ' has-errors' : ''}`}>
+                {!large && (
+                    <div className="xml-editor-gutter" ref={gutterRef} aria-hidden="true" data-testid={`${id}-gutter`}>
+                        {starts.map((start, index) => (
+                            <div key={index} className={errorLines.has(index + 1) ? 'error-line' : undefined}>{index + 1}</div>
+                        ))}
+                    </div>
+                )}
+                <div className="xml-editor-text">
+                    {!large && (
+                        <pre className="xml-editor-highlights" ref={highlightRef} aria-hidden="true" data-testid={`${id}-highlights`}>
+                            {errors.length > 0 && highlightErrors(value, errors, starts)}
+                        </pre>
+                    )}
+                    <textarea
+                        id={id}
+                        ref={textareaRef}
+                        value={value}
+                        onChange={onChange}
+                        onScroll={handleScroll}
+                        placeholder={placeholder}
+                        spellCheck="false"
+                        wrap="off"
+                        aria-invalid={errors.length > 0}
+                        aria-describedby={errors.length > 0 ? `${id}-errors` : undefined}
+                    />
+                </div>
+            </div>
+            {large && (
+                <p className="xml-editor-note">
+                    This XML is too large to check as you type; converting it reports its errors.
+                </p>
+            )}
+            {errors.length > 0 && (
+                <div className="xml-editor-errors" id={`${id}-errors`} aria-live="polite">
+                    <span className="xml-editor-errors-title">
+                        {errors.length === 1 ? '1 error' : `${errors.length} errors`} in the XML:
+                    </span>
+                    <ul>
+                        {errors.map((problem, index) => (
+                            <li key={index}>
+                                <button type="button" className="xml-editor-error" onClick={() => goTo(problem)}>
+                                    <span className="validation-position">Line {problem.line}, column {problem.column}:</span> {problem.message}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default XmlEditor;
@@ -1,42 +1,178 @@
-import React, { useState, useRef, useCallback } from 'react';
-import { generateXsd } from './xsdGenerator'; // Import the logic
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { startConversion } from './conversionJob'; // Runs the inference in a Web Worker
+import { generateSchemasFromModel } from './xsdGenerator';
+import { generateJsonSchemaFromModel } from './jsonSchemaGenerator';
+import { generateRelaxNgFromModel, generateRelaxNgCompactFromModel } from './relaxNgGenerator';
+import { generateDtdFromModel } from './dtdGenerator';
+import { readSchemaModel, refineSchemaModel } from './schemaRefinement';
+import { importDtd } from './dtdImport';
+import { generateSampleXml } from './sampleXmlGenerator';
+import { applyOverrides, describeIdentityConstraints } from './schemaOverrides';
+import SettingsPanel, { loadSettings, saveSettings } from './SettingsPanel';
+import ValidationPanel from './ValidationPanel';
+import SchemaDiffPanel from './SchemaDiffPanel';
+import SchemaTreeView from './SchemaTreeView';
+import IdentityConstraintList from './IdentityConstraintList';
+import XmlEditor from './XmlEditor';
+import { readFileAsText, downloadTextFile } from './fileUtils';
 import './XmlToXsdConverter.css'; // Import the styles
 
+// The output formats by key; the ones besides XSD emit a single file each with their generate function
+const OUTPUT_FORMATS = {
+    xsd: { name: 'XSD', label: 'XSD', extension: 'xsd', mimeType: 'application/xml' },
+    jsonSchema: { name: 'JSON Schema', label: 'JSON Schema (draft 2020-12)', extension: 'json', mimeType: 'application/schema+json', generate: generateJsonSchemaFromModel },
+    relaxNg: { name: 'RELAX NG', label: 'RELAX NG (XML syntax)', extension: 'rng', mimeType: 'application/xml', generate: generateRelaxNgFromModel },
+    relaxNgCompact: { name: 'RELAX NG', label: 'RELAX NG (compact syntax)', extension: 'rnc', mimeType: 'text/plain', generate: generateRelaxNgCompactFromModel },
+    dtd: { name: 'DTD', label: 'DTD', extension: 'dtd', mimeType: 'application/xml-dtd', generate: generateDtdFromModel },
+};
+
+// Every format is emitted from the one model, so switching formats is instant
+const emitOutputs = (model, options) => {
+    const documents = {};
+    for (const [key, { extension, generate }] of Object.entries(OUTPUT_FORMATS)) {
+        if (generate) documents[key] = { fileName: `${options.schemaFileName}.${extension}`, content: generate(model, options) };
+    }
+    return { schemas: generateSchemasFromModel(model, options), documents };
+};
+
+// Combines the uploaded samples with the pasted XML (if any) into the list passed to startConversion.
+// Uploaded files stay File objects, which the conversion streams instead of holding them as strings
+const buildSampleList = (loadedSamples, pastedXml) => {
+    const list = loadedSamples.map(({ name, file }) => ({ name, source: file }));
+    if (pastedXml.trim()) {
+        list.unshift({ name: 'Pasted XML', source: pastedXml });
+    }
+    return list;
+};
+
+// The text before and after the first separator; the second part is '' without one
+const splitAtFirst = (text, separator) => {
+    const index = text.indexOf(separator);
+    return index < 0 ? [text, ''] : [text.slice(0, index), text.slice(index + separator.length)];
+};
+
 function XmlToXsdConverter() {
     const [xmlInput, setXmlInput] = useState('');
-    const [xsdOutput, setXsdOutput] = useState('');
+    const [samples, setSamples] = useState([]); // Uploaded samples: { id, name, file }
+    const [output, setOutput] = useState(null); // Generated output: { model and options it was emitted from (before overrides), schemas (XSD: { targetNamespace, fileName, content }), documents (other formats: { fileName, content } by key), changes made to the existing schema or the DTD, if any, and changesOf naming it), samples (sample XML: { fileName, content }, once generated) }
+    const [overrides, setOverrides] = useState({}); // Hand edits of the model made in the schema tree; see applyOverrides
+    const [showTree, setShowTree] = useState(false);
+    const [outputFormat, setOutputFormat] = useState('xsd'); // A key of OUTPUT_FORMATS
+    const [activeSchema, setActiveSchema] = useState(0); // Index of the XSD schema shown in the output
+    const [sampleCount, setSampleCount] = useState(1); // Number of sample XML documents to generate
+    const [activeSample, setActiveSample] = useState(0); // Index of the sample XML document shown
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [progress, setProgress] = useState(null); // { bytesProcessed, totalBytes, elementsProcessed } of the running conversion; totalBytes may be null
+    const [notice, setNotice] = useState(''); // Informational status, e.g. after a cancelled conversion
     const [copyStatus, setCopyStatus] = useState('');
+    const [settings, setSettings] = useState(loadSettings); // Generator options, persisted in localStorage
+    const [mode, setMode] = useState('generate'); // 'generate', 'refine', 'validate' or 'compare'
+    const [existingXsd, setExistingXsd] = useState(''); // The schema refine mode starts from
+    const [dtdFile, setDtdFile] = useState(null); // Uploaded DTD generate mode merges with the samples: { name, content }
     const fileInputRef = useRef(null); // Ref for the hidden file input
+    const xsdFileInputRef = useRef(null);
+    const dtdFileInputRef = useRef(null);
+    const nextSampleId = useRef(1); // Stable keys for the sample list
+    const conversionJob = useRef(null); // The running conversion, so it can be cancelled
+
+    useEffect(() => {
+        saveSettings(settings);
+    }, [settings]);
+
+    // Stop a running conversion when the component goes away
+    useEffect(() => () => {
+        if (conversionJob.current) conversionJob.current.cancel();
+    }, []);
+
+    const schemas = output ? output.schemas : [];
+    const currentSchema = schemas[activeSchema] || schemas[0];
+    const currentOutput = outputFormat === 'xsd' ? currentSchema : output && output.documents[outputFormat];
+    const outputText = currentOutput ? currentOutput.content : '';
+    const format = OUTPUT_FORMATS[outputFormat];
+    const overriddenModel = useMemo(
+        () => (output ? applyOverrides(output.model, overrides, output.options) : null),
+        [output, overrides]
+    );
+    const identityConstraints = useMemo(
+        () => (output ? describeIdentityConstraints(output.model, output.options) : []),
+        [output]
+    );
+    const [errorMessage, errorSnippet] = splitAtFirst(error, '\n');
+    const sampleDocuments = output && output.samples ? output.samples : [];
+    const currentSample = sampleDocuments[activeSample] || sampleDocuments[0];
 
     const handleXmlInputChange = (event) => {
         setXmlInput(event.target.value);
         setError(''); // Clear error when user types
-        setXsdOutput(''); // Clear output when input changes
+        setNotice('');
+        setOutput(null); // Clear output when input changes
         setCopyStatus('');
     };
 
     const handleFileChange = (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                setXmlInput(e.target.result);
-                setError('');
-                setXsdOutput('');
-                setCopyStatus('');
-            };
-            reader.onerror = () => {
-                setError('Error reading file.');
-                setXmlInput('');
-            };
-            reader.readAsText(file);
-        }
+        const files = Array.from(event.target.files || []);
         // Reset file input value so the same file can be re-uploaded
         if (fileInputRef.current) {
             fileInputRef.current.value = "";
         }
+        if (files.length === 0) return;
+
+        // The files are only read when converting, piece by piece
+        const added = files.map(file => ({ id: nextSampleId.current++, name: file.name, file }));
+        setSamples(prev => [...prev, ...added]);
+        setError('');
+        setNotice('');
+        setOutput(null);
+        setCopyStatus('');
+    };
+
+    const handleExistingXsdChange = (text) => {
+        setExistingXsd(text);
+        setError('');
+        setNotice('');
+        setOutput(null);
+        setCopyStatus('');
+    };
+
+    const handleXsdFileChange = async (event) => {
+        const [file] = Array.from(event.target.files || []);
+        if (xsdFileInputRef.current) {
+            xsdFileInputRef.current.value = "";
+        }
+        if (!file) return;
+
+        try {
+            handleExistingXsdChange(await readFileAsText(file));
+        } catch (err) {
+            console.error('Failed to read file:', err);
+            setError('Error reading file.');
+        }
+    };
+
+    const handleDtdFileChange = async (event) => {
+        const [file] = Array.from(event.target.files || []);
+        if (dtdFileInputRef.current) {
+            dtdFileInputRef.current.value = "";
+        }
+        if (!file) return;
+
+        try {
+            setDtdFile({ name: file.name, content: await readFileAsText(file) });
+            setError('');
+            setNotice('');
+            setOutput(null);
+            setCopyStatus('');
+        } catch (err) {
+            console.error('Failed to read file:', err);
+            setError('Error reading file.');
+        }
+    };
+
+    const handleRemoveDtd = () => {
+        setDtdFile(null);
+        setOutput(null);
+        setCopyStatus('');
     };
 
     const triggerFileChoose = () => {
@@ -45,35 +181,101 @@ function XmlToXsdConverter() {
         }
     };
 
-    const handleConvert = useCallback(() => {
-        if (!xmlInput.trim()) {
-            setError('Please paste or upload XML content.');
-            return;
-        }
+    const runConversion = useCallback((sampleList) => {
+        if (conversionJob.current) conversionJob.current.cancel();
         setIsLoading(true);
         setError('');
-        setXsdOutput('');
+        setNotice('');
+        setOutput(null);
         setCopyStatus('');
+        setProgress(null);
 
-        // Use setTimeout to allow UI to update before potentially blocking conversion
-        setTimeout(() => {
+        // Refining reads the existing schema first; the samples are inferred in its target namespace.
+        // Generating merges the DTDs: the samples' internal subsets and the uploaded one
+        let existing = null;
+        if (mode === 'refine') {
             try {
-                const generatedSchema = generateXsd(xmlInput);
-                setXsdOutput(generatedSchema);
+                existing = readSchemaModel(existingXsd);
             } catch (err) {
-                console.error("Conversion Error:", err);
-                setError(`Conversion failed: ${err.message}`);
-                setXsdOutput('');
-            } finally {
+                console.error('Schema Error:', err);
+                setError(`Invalid existing XSD: ${err.message}`);
                 setIsLoading(false);
+                return;
             }
-        }, 50); // Small delay (50ms)
-    }, [xmlInput]); // Dependency: re-create function only if xmlInput changes
+        }
+        const options = existing
+            ? { ...settings, targetNamespace: existing.model.rootNamespace || '' }
+            : { ...settings, dtd: dtdFile ? dtdFile.content : '' };
+
+        const job = startConversion(sampleList.map(sample => sample.source), options, setProgress);
+        conversionJob.current = job;
+        job.promise
+            .then(sampleModel => {
+                const imported = existing ? null : importDtd(sampleModel, options);
+                const model = existing ? existing.model : imported ? imported.model : sampleModel;
+                const changes = existing ? [...existing.changes, ...refineSchemaModel(model, sampleModel, options)] : imported && imported.changes;
+                setOutput({ ...emitOutputs(model, options), model, options, changes, changesOf: existing ? 'the existing schema' : 'the DTD' });
+                setOverrides({});
+                setActiveSchema(0);
+            })
+            .catch(err => {
+                if (err.cancelled) return;
+                console.error("Conversion Error:", err);
+                const failedSample = sampleList[err.sampleIndex];
+                const source = sampleList.length > 1 && failedSample ? ` (${failedSample.name})` : '';
+                // The offending source line goes below the message, see the error display
+                setError(`Conversion failed${source}: ${err.message}${err.snippet ? `\n${err.snippet}` : ''}`);
+                setOutput(null);
+            })
+            .finally(() => {
+                // A newer conversion may already have replaced this one
+                if (conversionJob.current !== job) return;
+                conversionJob.current = null;
+                setIsLoading(false);
+                setProgress(null);
+            });
+    }, [settings, mode, existingXsd, dtdFile]);
+
+    const handleCancel = () => {
+        if (!conversionJob.current) return;
+        conversionJob.current.cancel();
+        setNotice('Conversion cancelled.');
+    };
+
+    const handleConvert = useCallback(() => {
+        const sampleList = buildSampleList(samples, xmlInput);
+        if (sampleList.length === 0) {
+            setError('Please paste or upload XML content.');
+            return;
+        }
+        if (mode === 'refine' && !existingXsd.trim()) {
+            setError('Please paste or upload the XSD to refine.');
+            return;
+        }
+        runConversion(sampleList);
+    }, [samples, xmlInput, mode, existingXsd, runConversion]); // Dependencies: re-create function only if the inputs change
+
+    const handleRemoveSample = (id) => {
+        const remaining = samples.filter(sample => sample.id !== id);
+        setSamples(remaining);
+        if (!output) return;
+
+        // Keep the displayed schema in sync with the remaining samples
+        const sampleList = buildSampleList(remaining, xmlInput);
+        if (sampleList.length > 0) {
+            runConversion(sampleList);
+        } else {
+            setOutput(null);
+            setCopyStatus('');
+        }
+    };
+
+    const hasInput = samples.length > 0 || xmlInput.trim() !== '';
 
     const handleCopyToClipboard = async () => {
-        if (!xsdOutput) return;
+        if (!outputText) return;
         try {
-            await navigator.clipboard.writeText(xsdOutput);
+            await navigator.clipboard.writeText(outputText);
             setCopyStatus('Copied!');
             setTimeout(() => setCopyStatus(''), 2000); // Clear status after 2 seconds
         } catch (err) {
@@ -84,17 +286,46 @@ function XmlToXsdConverter() {
     };
 
     const handleDownload = () => {
-        if (!xsdOutput) return;
+        if (!outputText) return;
+        try {
+            downloadTextFile(outputText, currentOutput.fileName, format.mimeType); // e.g. generated_schema.xsd
+        } catch (err) {
+            console.error('Failed to download:', err);
+            setError('Download failed. Please try copying the text.');
+        }
+    };
+
+    // Regenerates every format with the overrides applied; returns false (and shows why) if they are invalid
+    const handleOverridesChange = (nextOverrides) => {
+        try {
+            const outputs = emitOutputs(applyOverrides(output.model, nextOverrides, output.options), output.options);
+            setOverrides(nextOverrides);
+            setOutput(prev => ({ ...prev, ...outputs, samples: undefined }));
+            setError('');
+            return true;
+        } catch (err) {
+            console.error('Override Error:', err);
+            setError(`Invalid override: ${err.message}`);
+            return false;
+        }
+    };
+
+    // Writes documents that conform to the generated (or refined) schemas, e.g. as test fixtures
+    const handleGenerateSampleXml = () => {
         try {
-            const blob = new Blob([xsdOutput], { type: 'application/xml' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'generated_schema.xsd'; // Default filename
-            document.body.appendChild(a); // Append anchor to body
-            a.click(); // Programmatically click the anchor to trigger download
-            document.body.removeChild(a); // Remove anchor from body
-            URL.revokeObjectURL(url); // Free up memory
+            const documents = generateSampleXml(schemas.map(schema => schema.content), { ...output.options, count: sampleCount });
+            setOutput(prev => ({ ...prev, samples: documents.map((content, index) => ({ fileName: `sample_${index + 1}.xml`, content })) }));
+            setActiveSample(0);
+        } catch (err) {
+            console.error('Sample Generation Error:', err);
+            setError(`Error generating sample XML: ${err.message}`);
+        }
+    };
+
+    const handleDownloadSample = () => {
+        if (!currentSample) return;
+        try {
+            downloadTextFile(currentSample.content, currentSample.fileName, 'application/xml');
         } catch (err) {
             console.error('Failed to download:', err);
             setError('Download failed. Please try copying the text.');
@@ -105,64 +336,319 @@ function XmlToXsdConverter() {
         <div className="converter-container">
             <h1 className="converter-title">XML to XSD Converter (Best Effort)</h1>
 
-            {/* --- Input Section --- */}
-            <div className="input-section">
-                <label htmlFor="xml-input">Paste XML Content or Upload File:</label>
-                <textarea
-                    id="xml-input"
-                    value={xmlInput}
-                    onChange={handleXmlInputChange}
-                    placeholder="<root><element attribute='value'>Data</element>...</root>"
-                    spellCheck="false"
-                />
-                <div className="button-group">
-                    {/* Hidden file input */}
-                    <input
-                        type="file"
-                        ref={fileInputRef}
-                        onChange={handleFileChange}
-                        accept=".xml, application/xml" // Accept XML files
-                        style={{ display: 'none' }} // Keep it hidden
-                    />
-                    {/* Visible button to trigger file input */}
-                    <button type="button" onClick={triggerFileChoose} className="file-input-label">
-                        Upload XML File
-                    </button>
+            <div className="mode-tabs" role="tablist">
+                {[['generate', 'Generate XSD'], ['refine', 'Refine XSD'], ['validate', 'Validate XML'], ['compare', 'Compare Schemas']].map(([value, title]) => (
                     <button
-                        onClick={handleConvert}
-                        disabled={isLoading || !xmlInput.trim()}
-                        className="button"
+                        key={value}
+                        type="button"
+                        role="tab"
+                        aria-selected={mode === value}
+                        className={`mode-tab${mode === value ? ' active' : ''}`}
+                        onClick={() => setMode(value)}
                     >
-                        {isLoading ? 'Converting...' : 'Convert to XSD'}
+                        {title}
                     </button>
-                </div>
+                ))}
             </div>
 
-            {/* --- Status Messages --- */}
-            {isLoading && <div className="status-message loading">Processing XML...</div>}
-            {error && <div className="status-message error">{error}</div>}
-
-            {/* --- Output Section --- */}
-            {xsdOutput && !isLoading && (
-                <div className="output-section">
-                    <label htmlFor="xsd-output">Generated XSD Schema:</label>
-                    <textarea
-                        id="xsd-output"
-                        value={xsdOutput}
-                        readOnly
-                        className="output-area"
+            {/* Validation mode checks documents against the generated schemas or a pasted one */}
+            {mode === 'validate' && <ValidationPanel generatedSchemas={schemas} />}
+
+            {/* Compare mode reports the structural differences between two schema versions */}
+            {mode === 'compare' && <SchemaDiffPanel settings={settings} />}
+
+            {/* Refine mode is generate mode starting from an existing schema */}
+            {(mode === 'generate' || mode === 'refine') && (<>
+                {/* --- Input Section --- */}
+                <div className="input-section">
+                    {mode === 'refine' && (<>
+                        <label htmlFor="existing-xsd">Existing XSD to Refine:</label>
+                        <textarea
+                            id="existing-xsd"
+                            value={existingXsd}
+                            onChange={(e) => handleExistingXsdChange(e.target.value)}
+                            placeholder='<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">...</xs:schema>'
+                            spellCheck="false"
+                        />
+                        <div className="button-group">
+                            <input
+                                type="file"
+                                ref={xsdFileInputRef}
+                                onChange={handleXsdFileChange}
+                                accept=".xsd, application/xml"
+                                data-testid="xsd-file-input"
+                                style={{ display: 'none' }}
+                            />
+                            <button type="button" onClick={() => xsdFileInputRef.current && xsdFileInputRef.current.click()} className="file-input-label">
+                                Upload XSD File
+                            </button>
+                        </div>
+                    </>)}
+                    <label htmlFor="xml-input">{mode === 'refine' ? 'New XML Samples (Paste or Upload):' : 'Paste XML Content or Upload Files:'}</label>
+                    <XmlEditor
+                        id="xml-input"
+                        value={xmlInput}
+                        onChange={handleXmlInputChange}
+                        placeholder="<root><element attribute='value'>Data</element>...</root>"
                     />
                     <div className="button-group">
-                        <button onClick={handleCopyToClipboard} className="button button-secondary">
-                            Copy XSD
+                        {/* Hidden file input */}
+                        <input
+                            type="file"
+                            ref={fileInputRef}
+                            onChange={handleFileChange}
+                            accept=".xml, application/xml" // Accept XML files
+                            multiple
+                            data-testid="xml-file-input"
+                            style={{ display: 'none' }} // Keep it hidden
+                        />
+                        {/* Visible button to trigger file input */}
+                        <button type="button" onClick={triggerFileChoose} className="file-input-label">
+                            Upload XML Files
                         </button>
-                        {copyStatus && <span className="action-feedback">{copyStatus}</span>}
-                        <button onClick={handleDownload} className="button button-secondary">
-                            Download .xsd File
+                        {mode === 'generate' && (<>
+                            <input
+                                type="file"
+                                ref={dtdFileInputRef}
+                                onChange={handleDtdFileChange}
+                                accept=".dtd"
+                                data-testid="dtd-file-input"
+                                style={{ display: 'none' }}
+                            />
+                            <button type="button" onClick={() => dtdFileInputRef.current && dtdFileInputRef.current.click()} className="file-input-label">
+                                Upload DTD File
+                            </button>
+                        </>)}
+                        <button
+                            onClick={handleConvert}
+                            disabled={isLoading || !hasInput}
+                            className="button"
+                        >
+                            {isLoading ? 'Converting...' : mode === 'refine' ? 'Refine XSD' : 'Convert to XSD'}
                         </button>
                     </div>
+
+                    <SettingsPanel settings={settings} onChange={setSettings} />
+
+                    {/* The uploaded DTD the schema starts from */}
+                    {mode === 'generate' && dtdFile && (
+                        <div className="sample-list">
+                            <span className="sample-list-title">DTD:</span>
+                            <ul>
+                                <li className="sample-item">
+                                    <span className="sample-name">{dtdFile.name}</span>
+                                    <button
+                                        type="button"
+                                        onClick={handleRemoveDtd}
+                                        className="sample-remove"
+                                        aria-label={`Remove ${dtdFile.name}`}
+                                        disabled={isLoading}
+                                    >
+                                        Remove
+                                    </button>
+                                </li>
+                            </ul>
+                        </div>
+                    )}
+
+                    {/* Uploaded samples; all of them (plus pasted XML) feed one schema */}
+                    {samples.length > 0 && (
+                        <div className="sample-list">
+                            <span className="sample-list-title">Loaded samples ({samples.length}):</span>
+                            <ul>
+                                {samples.map(sample => (
+                                    <li key={sample.id} className="sample-item">
+                                        <span className="sample-name">{sample.name}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRemoveSample(sample.id)}
+                                            className="sample-remove"
+                                            aria-label={`Remove ${sample.name}`}
+                                            disabled={isLoading}
+                                        >
+                                            Remove
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                 </div>
-            )}
+
+                {/* --- Status Messages --- */}
+                {isLoading && (
+                    <div className="status-message loading conversion-progress">
+                        {/* Without a known total size the bar stays indeterminate */}
+                        <progress
+                            aria-label="Conversion progress"
+                            max={progress && progress.totalBytes ? progress.totalBytes : undefined}
+                            value={progress && progress.totalBytes ? progress.bytesProcessed : undefined}
+                        />
+                        <span>
+                            Processing XML...
+                            {progress && progress.totalBytes ? ` ${Math.floor(100 * progress.bytesProcessed / progress.totalBytes)}%` : ''}
+                            {progress ? ` (${progress.elementsProcessed.toLocaleString()} elements)` : ''}
+                        </span>
+                        <button type="button" onClick={handleCancel} className="button button-secondary">
+                            Cancel
+                        </button>
+                    </div>
+                )}
+                {notice && !isLoading && <div className="status-message notice">{notice}</div>}
+                {error && (
+                    <div className="status-message error">
+                        {errorMessage}
+                        {errorSnippet && <pre className="error-snippet">{errorSnippet}</pre>}
+                    </div>
+                )}
+
+                {/* --- Output Section --- */}
+                {outputText && !isLoading && (
+                    <div className="output-section">
+                        {/* What refining changed in the existing schema, or merging the samples in the DTD */}
+                        {output.changes && (
+                            <div className="refinement-changes">
+                                <span className="refinement-changes-title">Changes to {output.changesOf} ({output.changes.length}):</span>
+                                {output.changes.length > 0 ? (
+                                    <ul>
+                                        {output.changes.map((change, index) => <li key={index}>{change}</li>)}
+                                    </ul>
+                                ) : (
+                                    <p>None: the samples already fit the schema.</p>
+                                )}
+                            </div>
+                        )}
+                        <div className="output-format">
+                            <label htmlFor="output-format">Output format</label>
+                            <select
+                                id="output-format"
+                                value={outputFormat}
+                                onChange={(e) => setOutputFormat(e.target.value)}
+                            >
+                                {Object.entries(OUTPUT_FORMATS).map(([key, { label }]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {/* The inferred model as an editable tree; edits regenerate every format */}
+                        <div className="schema-tree-section">
+                            <div className="button-group">
+                                <button type="button" onClick={() => setShowTree(prev => !prev)} aria-expanded={showTree} className="button button-secondary">
+                                    {showTree ? 'Hide Schema Tree' : 'Show Schema Tree'}
+                                </button>
+                                {Object.keys(overrides).length > 0 && (
+                                    <button type="button" onClick={() => handleOverridesChange({})} className="button button-secondary">
+                                        Reset All Overrides ({Object.keys(overrides).length})
+                                    </button>
+                                )}
+                            </div>
+                            {showTree && (
+                                <SchemaTreeView
+                                    key={[...output.model.rootKeys].join(' ')}
+                                    model={overriddenModel}
+                                    options={output.options}
+                                    overrides={overrides}
+                                    onChange={handleOverridesChange}
+                                />
+                            )}
+                        </div>
+                        {/* Keys and references found in the samples, to keep or drop */}
+                        {identityConstraints.length > 0 && (
+                            <IdentityConstraintList
+                                constraints={identityConstraints}
+                                overrides={overrides}
+                                onChange={handleOverridesChange}
+                            />
+                        )}
+                        <label htmlFor="xsd-output">
+                            Generated {format.name}{outputFormat === 'xsd' ? ` Schema${schemas.length > 1 ? 's' : ''}` : ''}:
+                        </label>
+                        {/* One tab per target namespace when the documents span several */}
+                        {outputFormat === 'xsd' && schemas.length > 1 && (
+                            <div className="schema-tabs" role="tablist">
+                                {schemas.map((schema, index) => (
+                                    <button
+                                        key={schema.fileName}
+                                        type="button"
+                                        role="tab"
+                                        aria-selected={schema === currentSchema}
+                                        className={`schema-tab${schema === currentSchema ? ' active' : ''}`}
+                                        onClick={() => setActiveSchema(index)}
+                                        title={schema.targetNamespace || 'No namespace'}
+                                    >
+                                        {schema.fileName}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        <textarea
+                            id="xsd-output"
+                            value={outputText}
+                            readOnly
+                            className="output-area"
+                        />
+                        <div className="button-group">
+                            <button onClick={handleCopyToClipboard} className="button button-secondary">
+                                Copy {format.name}
+                            </button>
+                            {copyStatus && <span className="action-feedback">{copyStatus}</span>}
+                            <button onClick={handleDownload} className="button button-secondary">
+                                Download .{format.extension} File
+                            </button>
+                        </div>
+
+                        {/* Sample documents conforming to the schemas */}
+                        <div className="sample-xml">
+                            <div className="sample-xml-controls">
+                                <label htmlFor="sample-count">Documents</label>
+                                <input
+                                    id="sample-count"
+                                    type="number"
+                                    min="1"
+                                    max="10"
+                                    value={sampleCount}
+                                    onChange={(e) => setSampleCount(Math.min(10, Math.max(1, Math.floor(Number(e.target.value) || 1))))}
+                                />
+                                <button onClick={handleGenerateSampleXml} className="button button-secondary">
+                                    Generate Sample XML
+                                </button>
+                            </div>
+                            {currentSample && (
+                                <>
+                                    <label htmlFor="sample-xml-output">Sample XML:</label>
+                                    {sampleDocuments.length > 1 && (
+                                        <div className="schema-tabs" role="tablist">
+                                            {sampleDocuments.map((sample, index) => (
+                                                <button
+                                                    key={sample.fileName}
+                                                    type="button"
+                                                    role="tab"
+                                                    aria-selected={sample === currentSample}
+                                                    className={`schema-tab${sample === currentSample ? ' active' : ''}`}
+                                                    onClick={() => setActiveSample(index)}
+                                                >
+                                                    {sample.fileName}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <textarea
+                                        id="sample-xml-output"
+                                        value={currentSample.content}
+                                        readOnly
+                                        className="output-area"
+                                    />
+                                    <div className="button-group">
+                                        <button onClick={handleDownloadSample} className="button button-secondary">
+                                            Download .xml File
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </>)}
         </div>
     );
 }
@@ -0,0 +1,287 @@
+import fs from "fs";
+import path from "path";
+import { generateSchemasFromStream, DEFAULT_OPTIONS } from './xsdGenerator.js';
+
+const USAGE = `Usage: xml-to-xsd [options] [files or globs...]
+
+Generates XSD schemas from XML samples. Reads standard input when no files
+are given (or for "-"). Each input gets its own schema unless --merge is set.
+Inputs are streamed, so files larger than memory can be processed.
+
+Options:
+  -o, --out-dir <dir>          Write schemas to <dir> instead of standard output
+  -m, --merge                  Merge all inputs into one schema set
+  -n, --name <name>            Base file name for merged or standard input schemas (default: ${DEFAULT_OPTIONS.schemaFileName})
+      --target-namespace <uri> Target namespace (default: the root element's)
+      --prefix <prefix>        Prefix bound to the target namespace (default: ${DEFAULT_OPTIONS.namespacePrefix})
+      --element-form <form>    elementFormDefault: qualified or unqualified
+      --design <style>         salamiSlice, venetianBlind or russianDoll
+      --occurrence <policy>    inferred, exact or relaxed
+      --identity <mode>        Identity constraints: keys, ids or none (default: ${DEFAULT_OPTIONS.identityConstraints})
+      --type-prefix <text>     Prefix of named complex types
+      --type-suffix <text>     Suffix of named complex types (default: ${DEFAULT_OPTIONS.typeNameSuffix})
+      --indent <n|tab>         Spaces per level, or "tab"
+      --enum-threshold <n>     Max distinct values for enumerations (0 disables)
+      --facets                 Emit length, pattern, digit and range facets
+      --groups                 Factor shared child sequences and attribute sets into groups
+      --documentation          Document declarations with comments, counts, paths and examples
+      --dtd <file>             Merge the declarations of a DTD with what the inputs show
+      --doctype                Merge the DTD subsets in the inputs' DOCTYPE declarations
+      --no-comments            Omit section comments
+  -h, --help                   Show this help
+`;
+
+// Flags taking a value, mapped to the generator option they set
+const VALUE_FLAGS = {
+    "--target-namespace": "targetNamespace",
+    "--prefix": "namespacePrefix",
+    "--element-form": "elementFormDefault",
+    "--design": "designStyle",
+    "--occurrence": "occurrencePolicy",
+    "--identity": "identityConstraints",
+    "--type-prefix": "typeNamePrefix",
+    "--type-suffix": "typeNameSuffix",
+    "--indent": "indent",
+    "--enum-threshold": "enumerationThreshold",
+    "--name": "schemaFileName",
+    "-n": "schemaFileName",
+    "--out-dir": "outDir",
+    "-o": "outDir",
+    "--dtd": "dtdFile",
+};
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {string[]} argv The arguments after the script name.
+ * @returns {{inputs: string[], options: object, outDir: string|null, dtdFile: string|null, merge: boolean, help: boolean}}
+ *   The parsed command.
+ * @throws {Error} On unknown flags or missing values.
+ */
+export function parseArguments(argv) {
+    const command = { inputs: [], options: {}, outDir: null, dtdFile: null, merge: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        const [flag, inlineValue] = argument.startsWith("--") && argument.includes("=")
+            ? [argument.slice(0, argument.indexOf("=")), argument.slice(argument.indexOf("=") + 1)]
+            : [argument, undefined];
+
+        if (flag === "-h" || flag === "--help") {
+            command.help = true;
+        } else if (flag === "-m" || flag === "--merge") {
+            command.merge = true;
+        } else if (flag === "--facets") {
+            command.options.emitFacets = true;
+        } else if (flag === "--groups") {
+            command.options.factorGroups = true;
+        } else if (flag === "--documentation") {
+            command.options.emitDocumentation = true;
+        } else if (flag === "--no-comments") {
+            command.options.emitComments = false;
+        } else if (flag === "--doctype") {
+            command.options.importDoctype = true;
+        } else if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${flag}.`);
+            const option = VALUE_FLAGS[flag];
+            if (option === "outDir") {
+                command.outDir = value;
+            } else if (option === "dtdFile") {
+                command.dtdFile = value;
+            } else if (option === "indent") {
+                command.options.indent = value === "tab" ? "\t" : Number(value);
+            } else if (option === "enumerationThreshold") {
+                command.options.enumerationThreshold = Number(value);
+            } else {
+                command.options[option] = value;
+            }
+        } else if (flag.startsWith("-") && flag !== "-") {
+            throw new Error(`Unknown option ${flag}.`);
+        } else {
+            command.inputs.push(argument);
+        }
+    }
+    return command;
+}
+
+// A RegExp for one path segment of a glob: * and ? stay within the segment
+function segmentPattern(segment) {
+    const source = segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]");
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands a file argument into the matching files. Supports *, ? and **
+ * (any number of directories); arguments without wildcards are returned as is.
+ *
+ * @param {string} pattern A path or glob, relative to cwd.
+ * @param {string} cwd The directory relative paths start from.
+ * @returns {string[]} Matching file paths, sorted.
+ */
+export function expandGlob(pattern, cwd) {
+    if (!/[*?]/.test(pattern)) return [pattern];
+    const absolute = path.isAbsolute(pattern);
+    const segments = pattern.split(/[\\/]/).filter((segment, index) => segment !== "" || index === 0);
+    const matches = [];
+
+    function walk(directory, remaining, prefix) {
+        if (remaining.length === 0) return;
+        const [segment, ...rest] = remaining;
+        if (segment === "**") {
+            walk(directory, rest, prefix);
+            for (const entry of readDirectory(directory)) {
+                if (entry.isDirectory()) walk(path.join(directory, entry.name), remaining, path.join(prefix, entry.name));
+            }
+            return;
+        }
+        if (!/[*?]/.test(segment)) {
+            const next = path.join(directory, segment);
+            if (rest.length === 0) {
+                if (fs.existsSync(next) && fs.statSync(next).isFile()) matches.push(path.join(prefix, segment));
+            } else {
+                walk(next, rest, path.join(prefix, segment));
+            }
+            return;
+        }
+        const expression = segmentPattern(segment);
+        for (const entry of readDirectory(directory)) {
+            if (!expression.test(entry.name)) continue;
+            if (rest.length === 0 && entry.isFile()) matches.push(path.join(prefix, entry.name));
+            else if (rest.length > 0 && entry.isDirectory()) walk(path.join(directory, entry.name), rest, path.join(prefix, entry.name));
+        }
+    }
+
+    if (absolute) {
+        walk(path.parse(pattern).root, segments.slice(1), path.parse(pattern).root);
+    } else {
+        walk(cwd, segments, "");
+    }
+    return [...new Set(matches)].sort();
+}
+
+function readDirectory(directory) {
+    try {
+        return fs.readdirSync(directory, { withFileTypes: true });
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Runs the command-line interface.
+ *
+ * @param {string[]} argv The arguments after the script name.
+ * @param {object} io
+ * @param {NodeJS.ReadableStream} io.stdin Read when no files are given.
+ * @param {NodeJS.WritableStream} io.stdout Receives schemas, or the list of written files.
+ * @param {NodeJS.WritableStream} io.stderr Receives errors.
+ * @param {string} io.cwd The directory relative paths start from.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if an input failed, 2 for usage errors.
+ */
+export async function runCli(argv, { stdin, stdout, stderr, cwd }) {
+    let command;
+    try {
+        command = parseArguments(argv);
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (command.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    if (command.inputs.length === 0 && stdin.isTTY) {
+        stderr.write(USAGE);
+        return 2;
+    }
+
+    if (command.dtdFile) {
+        try {
+            command.options.dtd = fs.readFileSync(path.resolve(cwd, command.dtdFile), "utf8");
+        } catch (err) {
+            stderr.write(`${command.dtdFile}: ${err.code === "ENOENT" ? "file not found" : err.message}\n`);
+            return 1;
+        }
+    }
+
+    // Collect the inputs: standard input, then every file each argument expands to
+    const sources = [];
+    let exitCode = 0;
+    for (const input of command.inputs.length > 0 ? command.inputs : ["-"]) {
+        if (input === "-") {
+            sources.push({ name: "-", open: () => stdin });
+            continue;
+        }
+        const files = expandGlob(input, cwd);
+        if (files.length === 0) {
+            stderr.write(`${input}: no matching files\n`);
+            exitCode = 1;
+        }
+        for (const file of files) {
+            const filePath = path.resolve(cwd, file);
+            try {
+                fs.accessSync(filePath, fs.constants.R_OK);
+                sources.push({ name: file, open: () => fs.createReadStream(filePath, { encoding: "utf8" }) });
+            } catch (err) {
+                stderr.write(`${file}: ${err.code === "ENOENT" ? "file not found" : err.message}\n`);
+                exitCode = 1;
+            }
+        }
+    }
+
+    // One job per schema set: all sources together, or one per source
+    const jobs = command.merge
+        ? [{ name: "merged input", sources, fileName: command.options.schemaFileName }]
+        : sources.map(source => ({
+            name: source.name,
+            sources: [source],
+            fileName: source.name === "-" ? command.options.schemaFileName : path.basename(source.name).replace(/\.[^.]*$/, ""),
+        }));
+    const results = [];
+    // The input each schema was generated from, to tell which inputs produce the same file name
+    const origins = new Map();
+    for (const job of jobs) {
+        if (job.sources.length === 0) continue;
+        try {
+            const schemas = await generateSchemasFromStream(job.sources.map(source => source.open()), {
+                ...command.options,
+                schemaFileName: job.fileName || DEFAULT_OPTIONS.schemaFileName,
+            });
+            results.push(...schemas);
+            schemas.forEach(schema => origins.set(schema, job.name));
+        } catch (err) {
+            const failed = job.sources[err.sampleIndex] || job.sources[0];
+            stderr.write(`${failed.name === "-" ? "<stdin>" : failed.name}: ${err.message}\n`);
+            exitCode = 1;
+        }
+    }
+
+    if (command.outDir) {
+        const firstOf = new Map();
+        let collides = false;
+        for (const schema of results) {
+            const first = firstOf.get(schema.fileName);
+            if (!first) {
+                firstOf.set(schema.fileName, schema);
+            } else if (origins.get(first) !== origins.get(schema)) {
+                const name = source => (source === "-" ? "<stdin>" : source);
+                stderr.write(`${name(origins.get(first))} and ${name(origins.get(schema))} both produce ${schema.fileName}; rename one of them or use --merge.\n`);
+                collides = true;
+            }
+        }
+        if (collides) return 2;
+        const directory = path.resolve(cwd, command.outDir);
+        fs.mkdirSync(directory, { recursive: true });
+        for (const schema of results) {
+            const target = path.join(directory, schema.fileName);
+            fs.writeFileSync(target, schema.content);
+            stdout.write(`Wrote ${path.relative(cwd, target)}\n`);
+        }
+    } else if (results.length > 1) {
+        stderr.write(`The inputs produce ${results.length} schemas (${results.map(schema => schema.fileName).join(", ")}); use --out-dir to write them.\n`);
+        return 2;
+    } else if (results.length === 1) {
+        stdout.write(results[0].content);
+    }
+    return exitCode;
+}
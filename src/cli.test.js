@@ -0,0 +1,134 @@
+// src/cli.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import { spawnSync } from 'child_process';
+import { runCli, parseArguments, expandGlob } from './cli';
+
+// Runs the CLI against captured streams
+async function run(argv, { cwd, stdin = '' } = {}) {
+    const output = { stdout: '', stderr: '' };
+    const capture = name => new Writable({
+        write(chunk, encoding, callback) {
+            output[name] += chunk;
+            callback();
+        },
+    });
+    const code = await runCli(argv, { stdin: Readable.from([stdin]), stdout: capture('stdout'), stderr: capture('stderr'), cwd });
+    return { code, ...output };
+}
+
+describe('cli', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xml-to-xsd-'));
+        fs.mkdirSync(path.join(dir, 'samples', 'nested'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'samples', 'a.xml'), '<order id="1"><item>2</item></order>');
+        fs.writeFileSync(path.join(dir, 'samples', 'nested', 'b.xml'), '<order id="x"><note>n</note></order>');
+        fs.writeFileSync(path.join(dir, 'samples', 'notes.txt'), 'not xml');
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should parse flags into generator options', () => {
+        expect(parseArguments(['a.xml', '--design', 'russianDoll', '--indent=tab', '--enum-threshold', '0', '--no-comments', '--facets', '-o', 'out', '-m']))
+            .toEqual({
+                inputs: ['a.xml'],
+                options: { designStyle: 'russianDoll', indent: '\t', enumerationThreshold: 0, emitComments: false, emitFacets: true },
+                outDir: 'out',
+                merge: true,
+                dtdFile: null,
+                help: false,
+            });
+        expect(parseArguments(['--identity', 'ids']).options).toEqual({ identityConstraints: 'ids' });
+        expect(parseArguments(['--groups']).options).toEqual({ factorGroups: true });
+        expect(parseArguments(['--documentation']).options).toEqual({ emitDocumentation: true });
+        expect(parseArguments(['--dtd', 'orders.dtd', '--doctype'])).toMatchObject({ dtdFile: 'orders.dtd', options: { importDoctype: true } });
+        expect(() => parseArguments(['--design'])).toThrow('Missing value for --design.');
+        expect(() => parseArguments(['--colour'])).toThrow('Unknown option --colour.');
+    });
+
+    it('should expand globs relative to the working directory', () => {
+        expect(expandGlob('samples/*.xml', dir)).toEqual([path.join('samples', 'a.xml')]);
+        expect(expandGlob('samples/**/*.xml', dir)).toEqual([path.join('samples', 'a.xml'), path.join('samples', 'nested', 'b.xml')]);
+        expect(expandGlob('samples/?.txt', dir)).toEqual([]);
+        expect(expandGlob('plain.xml', dir)).toEqual(['plain.xml']);
+    });
+
+    it('should convert standard input to standard output', async () => {
+        const result = await run(['--prefix', 'o', '--type-suffix', '_T'], { cwd: dir, stdin: '<o:doc xmlns:o="urn:o"><o:v>1</o:v></o:doc>' });
+        expect(result.code).toBe(0);
+        expect(result.stderr).toBe('');
+        expect(result.stdout).toContain('xmlns:o="urn:o"');
+        expect(result.stdout).toContain('<xs:element name="doc" type="o:doc_T"/>');
+    });
+
+    it('should write one schema per input file to the output directory', async () => {
+        const result = await run(['samples/**/*.xml', '--out-dir', 'schemas'], { cwd: dir });
+        expect(result.code).toBe(0);
+        expect(result.stdout).toBe(`Wrote ${path.join('schemas', 'a.xsd')}\nWrote ${path.join('schemas', 'b.xsd')}\n`);
+        expect(fs.readFileSync(path.join(dir, 'schemas', 'a.xsd'), 'utf8')).toContain('<xs:attribute name="id" type="xs:integer" use="required"/>');
+        expect(fs.readFileSync(path.join(dir, 'schemas', 'b.xsd'), 'utf8')).toContain('<xs:attribute name="id" type="xs:string" use="required"/>');
+    });
+
+    it('should refuse to write schemas of inputs with the same name over each other', async () => {
+        fs.writeFileSync(path.join(dir, 'samples', 'nested', 'a.xml'), '<order/>');
+        const result = await run(['samples/**/a.xml', '-o', 'schemas'], { cwd: dir });
+        expect(result.code).toBe(2);
+        expect(result.stderr).toBe(`${path.join('samples', 'a.xml')} and ${path.join('samples', 'nested', 'a.xml')} both produce a.xsd; rename one of them or use --merge.\n`);
+        expect(fs.existsSync(path.join(dir, 'schemas'))).toBe(false);
+    });
+
+    it('should merge inputs into one schema when asked to', async () => {
+        const result = await run(['samples/a.xml', 'samples/nested/b.xml', '--merge', '--name', 'orders', '-o', 'out'], { cwd: dir });
+        expect(result.stdout).toBe(`Wrote ${path.join('out', 'orders.xsd')}\n`);
+        const merged = fs.readFileSync(path.join(dir, 'out', 'orders.xsd'), 'utf8');
+        expect(merged).toContain('<xs:choice>');
+        expect(merged).toContain('<xs:attribute name="id" type="xs:string" use="required"/>');
+    });
+
+    it('should merge a DTD file into the schema', async () => {
+        fs.writeFileSync(path.join(dir, 'order.dtd'), '<!ELEMENT order (item?, note?)><!ATTLIST order id CDATA #REQUIRED><!ELEMENT item (#PCDATA)><!ELEMENT note (#PCDATA)>');
+        const result = await run(['samples/a.xml', '--dtd', 'order.dtd'], { cwd: dir });
+        expect(result.code).toBe(0);
+        expect(result.stdout).toContain('<xs:element ref="note" minOccurs="0" maxOccurs="1"/>');
+
+        fs.writeFileSync(path.join(dir, 'feed.dtd'), '<!ENTITY co "ACME"><!ELEMENT feed (#PCDATA)>');
+        fs.writeFileSync(path.join(dir, 'feed.xml'), '<!DOCTYPE feed SYSTEM "feed.dtd"><feed>&co;</feed>');
+        expect((await run(['feed.xml', '--dtd', 'feed.dtd'], { cwd: dir })).code).toBe(0);
+
+        const missing = await run(['samples/a.xml', '--dtd', 'missing.dtd'], { cwd: dir });
+        expect(missing.code).toBe(1);
+        expect(missing.stderr).toBe('missing.dtd: file not found\n');
+    });
+
+    it('should run as a plain Node script, outside Jest module resolution', () => {
+        const script = path.join(__dirname, '..', 'bin', 'xml-to-xsd.mjs');
+        const result = spawnSync(process.execPath, [script], { input: '<a/>', encoding: 'utf8', timeout: 60000 });
+        expect(result.status).toBe(0);
+        expect(result.stderr).toBe('');
+        expect(result.stdout).toContain('<xs:element name="a" type="aType"/>');
+    });
+
+    it('should report problems with exit codes', async () => {
+        const many = await run(['samples/**/*.xml'], { cwd: dir });
+        expect(many.code).toBe(2);
+        expect(many.stderr).toBe('The inputs produce 2 schemas (a.xsd, b.xsd); use --out-dir to write them.\n');
+
+        const failed = await run(['samples/notes.txt', 'missing.xml', 'samples/a.xml'], { cwd: dir });
+        expect(failed.code).toBe(1);
+        expect(failed.stderr).toBe([
+            'missing.xml: file not found',
+            'samples/notes.txt: Invalid XML: Line 1, column 1: Text is not allowed outside the root element',
+            '',
+        ].join('\n'));
+        expect(failed.stdout).toContain('<xs:element name="order" type="orderType"/>');
+
+        const usage = await run(['--bogus'], { cwd: dir });
+        expect(usage.code).toBe(2);
+        expect(usage.stderr).toMatch(/^Unknown option --bogus\.\n\nUsage: xml-to-xsd/);
+        expect((await run(['--help'], { cwd: dir })).stdout).toMatch(/^Usage: xml-to-xsd/);
+    });
+});
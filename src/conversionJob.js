@@ -0,0 +1,79 @@
+import { inferSchemaModelFromStream } from './schemaModel';
+import { resolveOptions } from './xsdGenerator';
+
+/**
+ * Creates the error a cancelled conversion rejects with.
+ *
+ * @returns {Error} An error with `cancelled` set.
+ */
+function cancellationError() {
+    const error = new Error("Conversion cancelled.");
+    error.cancelled = true;
+    return error;
+}
+
+// Rebuilds an error posted by the worker, keeping the properties the UI reads
+function toError({ message, ...details }) {
+    return Object.assign(new Error(message), details);
+}
+
+/**
+ * Infers the samples' structure in a Web Worker, so large inputs do not block
+ * the page; the emitters then turn the model into schemas of any format.
+ * Without Worker support (older browsers, tests) the inference runs on the
+ * main thread after a short delay that lets the UI render its progress state.
+ *
+ * @param {Array<string|File>} samples The XML samples.
+ * @param {object} settings Generator options; see DEFAULT_OPTIONS. Must be structured-cloneable.
+ * @param {function({bytesProcessed: number, totalBytes: number|null, elementsProcessed: number}): void} [onProgress] Called as the samples are analysed.
+ * @returns {{promise: Promise<object>, cancel: function(): void}} The job: `promise` resolves with the
+ *   inferred model (see SchemaModel) or rejects with the generator's error (an error with `cancelled`
+ *   set after cancel), and `cancel` stops the job.
+ */
+export function startConversion(samples, settings, onProgress = () => {}) {
+    let cancel;
+    const promise = new Promise((resolve, reject) => {
+        let cancelled = false;
+
+        if (typeof Worker === "undefined") {
+            const timer = setTimeout(async () => {
+                try {
+                    resolve(await inferSchemaModelFromStream(samples, { ...resolveOptions(settings), onProgress }));
+                } catch (err) {
+                    reject(err);
+                }
+            }, 50);
+            cancel = () => {
+                clearTimeout(timer);
+                reject(cancellationError());
+            };
+            return;
+        }
+
+        let worker = null;
+        cancel = () => {
+            cancelled = true;
+            if (worker) worker.terminate();
+            reject(cancellationError());
+        };
+        import('./createXsdWorker').then(({ createXsdWorker }) => {
+            if (cancelled) return;
+            worker = createXsdWorker();
+            worker.onmessage = ({ data }) => {
+                if (data.type === "progress") {
+                    onProgress(data.progress);
+                    return;
+                }
+                worker.terminate();
+                if (data.type === "done") resolve(data.model);
+                else reject(toError(data.error));
+            };
+            worker.onerror = event => {
+                worker.terminate();
+                reject(new Error(event.message || "The conversion worker failed."));
+            };
+            worker.postMessage({ samples, settings });
+        }, reject);
+    });
+    return { promise, cancel };
+}
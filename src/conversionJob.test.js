@@ -0,0 +1,100 @@
+// src/conversionJob.test.js
+import { startConversion } from './conversionJob';
+import { generateXsd, generateSchemasFromModel } from './xsdGenerator';
+import { parseDomRoot } from './xmlDom';
+
+const mockWorkers = [];
+jest.mock('./createXsdWorker', () => ({
+    createXsdWorker: () => {
+        const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+        mockWorkers.push(worker);
+        return worker;
+    },
+}));
+
+// Lets the on-demand import of the worker factory settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('conversionJob', () => {
+    describe('without Web Workers', () => {
+        it('should infer on the main thread and report progress', async () => {
+            const onProgress = jest.fn();
+            const model = await startConversion(['<a><b>1</b></a>'], { typeNameSuffix: 'T' }, onProgress).promise;
+            expect(generateSchemasFromModel(model, { typeNameSuffix: 'T' })[0].content).toContain('<xs:complexType name="aT">');
+            expect(onProgress).toHaveBeenCalledWith({ bytesProcessed: 15, totalBytes: 15, elementsProcessed: 2 });
+        });
+
+        it('should reject with the generator error or after cancel', async () => {
+            await expect(startConversion(['<a>', '<b/>'], {}).promise).rejects.toMatchObject({ sampleIndex: 0 });
+            await expect(startConversion(['<a/>'], { designStyle: 'flat' }).promise).rejects.toThrow('Unknown design style "flat"');
+            const job = startConversion(['<a/>'], {});
+            job.cancel();
+            await expect(job.promise).rejects.toMatchObject({ cancelled: true, message: 'Conversion cancelled.' });
+        });
+    });
+
+    describe('with Web Workers', () => {
+        beforeEach(() => {
+            mockWorkers.length = 0;
+            global.Worker = class {};
+        });
+        afterEach(() => {
+            delete global.Worker;
+        });
+
+        it('should pass the samples to the worker and relay its messages', async () => {
+            const onProgress = jest.fn();
+            const job = startConversion(['<a/>'], { designStyle: 'russianDoll' }, onProgress);
+            await flush();
+            const [worker] = mockWorkers;
+            expect(worker.postMessage).toHaveBeenCalledWith({ samples: ['<a/>'], settings: { designStyle: 'russianDoll' } });
+
+            worker.onmessage({ data: { type: 'progress', progress: { bytesProcessed: 2, totalBytes: 4, elementsProcessed: 1 } } });
+            expect(onProgress).toHaveBeenCalledWith({ bytesProcessed: 2, totalBytes: 4, elementsProcessed: 1 });
+            worker.onmessage({ data: { type: 'done', model: { rootKeys: new Set(['a']) } } });
+            await expect(job.promise).resolves.toEqual({ rootKeys: new Set(['a']) });
+            expect(worker.terminate).toHaveBeenCalled();
+        });
+
+        it('should rebuild worker errors and terminate cancelled jobs', async () => {
+            const failing = startConversion(['<a>'], {});
+            await flush();
+            mockWorkers[0].onmessage({ data: { type: 'error', error: { message: 'Invalid XML', sampleIndex: 0, line: 1, column: 4 } } });
+            await expect(failing.promise).rejects.toThrow('Invalid XML');
+            await expect(failing.promise).rejects.toMatchObject({ sampleIndex: 0, line: 1, column: 4 });
+
+            const cancelled = startConversion(['<a/>'], {});
+            await flush();
+            cancelled.cancel();
+            expect(mockWorkers[1].terminate).toHaveBeenCalled();
+            await expect(cancelled.promise).rejects.toMatchObject({ cancelled: true });
+        });
+    });
+
+    it('should infer the model inside the worker script', async () => {
+        const postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+        await import('./xsdWorker');
+        await window.onmessage({ data: { samples: ['<a><b>1</b></a>'], settings: { emitComments: false } } });
+        expect(postMessage).toHaveBeenCalledWith({ type: 'progress', progress: { bytesProcessed: 15, totalBytes: 15, elementsProcessed: 2 } });
+        const [done] = postMessage.mock.calls[postMessage.mock.calls.length - 1];
+        expect(done.type).toBe('done');
+        expect(generateSchemasFromModel(done.model)[0].content).toBe(generateXsd('<a><b>1</b></a>', { xmlParser: parseDomRoot }));
+
+        await window.onmessage({ data: { samples: ['<a/>'], settings: { namespacePrefix: 'xs' } } });
+        expect(postMessage).toHaveBeenLastCalledWith({ type: 'error', error: { message: 'Invalid namespace prefix "xs".' } });
+
+        await window.onmessage({ data: { samples: ['<a>'], settings: {} } });
+        expect(postMessage).toHaveBeenLastCalledWith({
+            type: 'error',
+            error: {
+                message: 'Invalid XML: Line 1, column 4: Element <a> is never closed',
+                sampleIndex: 0,
+                line: 1,
+                column: 4,
+                reason: 'Element <a> is never closed',
+                snippet: '<a>\n   ^',
+            },
+        });
+        postMessage.mockRestore();
+    });
+});
@@ -0,0 +1,10 @@
+/**
+ * Starts the schema generation worker. Kept in its own module because
+ * `import.meta` only parses in the bundler, not under Jest; conversionJob
+ * loads it on demand when the environment has Web Workers.
+ *
+ * @returns {Worker} A worker running src/xsdWorker.js.
+ */
+export function createXsdWorker() {
+    return new Worker(new URL("./xsdWorker.js", import.meta.url));
+}
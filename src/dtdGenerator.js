@@ -0,0 +1,196 @@
+import { inferFacets, createValueStats, mergeValueStats } from './typeInference.js';
+import { inferSchemaModel, getAttributeUse, describeContentModel, childParticles, occurrenceIndicator, documentName, resolveIdentityConstraints } from './schemaModel.js';
+import { importDtd } from './dtdImport.js';
+import { resolveOptions } from './xsdGenerator.js';
+import { XML_NAMESPACE } from './xmlParser.js';
+
+// Enumerated attribute types only admit name tokens
+const NAME_TOKEN = /^[\p{L}\p{N}._:·-]+$/u;
+// Attribute types of the XSD types a DTD has an equivalent of
+const DTD_TYPES = { "xs:ID": "ID", "xs:IDREF": "IDREF", "xs:IDREFS": "IDREFS" };
+
+/**
+ * Escapes text for a quoted default value. Character references keep it
+ * free of markup and of the quote delimiting it.
+ *
+ * @param {string} value The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeDefault(value) {
+    return value.replace(/&/g, "&#38;").replace(/</g, "&#60;").replace(/"/g, "&#34;").replace(/%/g, "&#37;");
+}
+
+/**
+ * The default declaration of an attribute whose declared type carries a
+ * fixed or default value.
+ *
+ * @param {object|undefined} declared The declared type of the attribute, if any.
+ * @returns {string|null} `#FIXED "value"` or `"value"`, or null without a value.
+ */
+function declaredDefault(declared) {
+    if (declared && declared.fixed !== undefined) return `#FIXED "${escapeDefault(declared.fixed)}"`;
+    if (declared && declared.default !== undefined) return `"${escapeDefault(declared.default)}"`;
+    return null;
+}
+
+/**
+ * The content specification of one declaration: EMPTY, (#PCDATA), mixed
+ * content or a model group with DTD occurrence indicators.
+ *
+ * @param {object} info A declaration of the model.
+ * @param {function(string): string} childName The DTD name of a child declaration key.
+ * @param {string} policy The occurrence policy.
+ * @returns {string} The content specification.
+ */
+function contentSpec(info, childName, policy) {
+    if (info.children.size === 0) return info.hasTextContent ? "(#PCDATA)" : "EMPTY";
+    const description = describeContentModel(info, policy);
+    if (info.hasTextContent) {
+        return `(#PCDATA | ${[...new Set(childParticles(description).map(({ key }) => childName(key)))].join(" | ")})*`;
+    }
+    return modelGroup(description, childName);
+}
+
+/**
+ * A model group of a content specification, nested groups included.
+ *
+ * @param {{kind: string, minOccurs: string, maxOccurs: string, particles: object[]}} description The group; see
+ *   describeContentModel.
+ * @param {function(string): string} childName The DTD name of a child declaration key.
+ * @returns {string} The model group with its occurrence indicator.
+ */
+function modelGroup({ kind, minOccurs, maxOccurs, particles }, childName) {
+    if (kind === "all" || kind === "repeatableChoice") {
+        // A DTD has no interleave, so unordered children become a repeated choice
+        const required = kind === "all" ? particles.some(({ bounds }) => bounds.minOccurs !== "0") : minOccurs !== "0";
+        return `(${particles.map(({ key }) => childName(key)).join(" | ")})${required ? "+" : "*"}`;
+    }
+    const items = particles.map(({ key, bounds, group }) => (group ? modelGroup(group, childName) : `${childName(key)}${occurrenceIndicator(bounds)}`));
+    return kind === "choice"
+        ? `(${items.join(" | ")})${occurrenceIndicator({ minOccurs, maxOccurs })}`
+        : `(${items.join(", ")})${occurrenceIndicator({ minOccurs, maxOccurs })}`;
+}
+
+/**
+ * Generates a DTD for a model inferred by inferSchemaModel or
+ * inferSchemaModelFromStream.
+ *
+ * A DTD declares one content model per element name, so same-named
+ * declarations with different structures merge into a repeated choice of all
+ * their children (mixed when any held text), and their attributes are only
+ * required when every declaration requires them. Attributes are CDATA, or an
+ * enumerated type when the values form an enumeration of name tokens; keys
+ * the identityConstraints option turns into xs:ID and xs:IDREF types become
+ * ID and IDREF attributes, and other keys are left out, as a DTD has none. A
+ * type declared by every declaration of an attribute holds over the inferred
+ * one, and so does a fixed or default value they all declare. DTDs
+ * know nothing of namespaces: names keep the prefixes the documents used,
+ * the prefix declarations of the documents become #FIXED attributes of the
+ * root elements, and unprefixed elements fix xmlns to their namespace where
+ * it differs from the root's.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The DTD.
+ * @throws {Error} If an option is invalid.
+ */
+export function generateDtdFromModel(model, options) {
+    const settings = resolveOptions(options);
+    const { elements, rootKeys, documentPrefixes, rootNamespace } = resolveIdentityConstraints(model, settings).model;
+    const policy = settings.occurrencePolicy;
+    const dtdName = declaration => documentName(documentPrefixes, declaration);
+    const childName = elementKey => dtdName(elements.get(elementKey));
+
+    // Group the declarations by name, in document order from the roots
+    const byName = new Map();
+    const queue = [...rootKeys];
+    const visited = new Set(queue);
+    while (queue.length > 0) {
+        const elementKey = queue.shift();
+        const info = elements.get(elementKey);
+        const name = dtdName(info);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(info);
+        for (const childKey of info.contentModel.children) {
+            if (!visited.has(childKey)) {
+                visited.add(childKey);
+                queue.push(childKey);
+            }
+        }
+    }
+    const rootNames = new Set([...rootKeys].map(childName));
+
+    function mergedContentSpec(declarations) {
+        const specs = new Set(declarations.map(info => contentSpec(info, childName, policy)));
+        if (specs.size === 1) return [...specs][0];
+        const children = new Set(declarations.flatMap(info => info.contentModel.children.map(childName)));
+        const hasText = declarations.some(info => info.hasTextContent);
+        if (children.size === 0) return hasText ? "(#PCDATA)" : "EMPTY";
+        return `(${hasText ? "#PCDATA | " : ""}${[...children].join(" | ")})*`;
+    }
+
+    function attributeDefinitions(name, declarations) {
+        const definitions = [];
+        if (rootNames.has(name)) {
+            for (const [namespace, prefix] of documentPrefixes) {
+                if (prefix && namespace !== XML_NAMESPACE) definitions.push(`xmlns:${prefix} CDATA #FIXED "${escapeDefault(namespace)}"`);
+            }
+        }
+        // Unprefixed names are in the default namespace, which nested elements inherit from the root
+        const namespace = declarations[0].namespace || "";
+        if (!name.includes(":") && (rootNames.has(name) ? namespace : namespace !== (rootNamespace || ""))) {
+            definitions.unshift(`xmlns CDATA #FIXED "${escapeDefault(namespace)}"`);
+        }
+
+        const attributes = new Map(); // DTD name -> merged values, declared types as JSON, default declarations and counts
+        for (const info of declarations) {
+            for (const attr of info.attributes.values()) {
+                const attrName = dtdName(attr);
+                if (!attributes.has(attrName)) attributes.set(attrName, { values: createValueStats(), declared: new Set(), defaults: new Set(), undeclaredIn: 0, requiredIn: 0 });
+                const merged = attributes.get(attrName);
+                mergeValueStats(merged.values, attr.values);
+                merged.defaults.add(declaredDefault(attr.values.declared));
+                if (attr.values.declared) {
+                    merged.declared.add(JSON.stringify({ base: attr.values.declared.base, facets: attr.values.declared.facets }));
+                } else {
+                    merged.undeclaredIn++;
+                }
+                if (getAttributeUse(attr.values, info.instanceCount, policy) === "required") merged.requiredIn++;
+            }
+        }
+        for (const [attrName, { values, declared, defaults, undeclaredIn, requiredIn }] of attributes) {
+            const { base, facets } = declared.size === 1 && undeclaredIn === 0 ? JSON.parse([...declared][0]) : inferFacets(values, settings);
+            const enumeration = facets.filter(facet => facet.name === "enumeration").map(facet => facet.value);
+            const type = DTD_TYPES[base]
+                || (enumeration.length > 0 && enumeration.every(value => NAME_TOKEN.test(value)) ? `(${enumeration.join(" | ")})` : "CDATA");
+            const defaultDeclaration = defaults.size === 1 && [...defaults][0];
+            definitions.push(`${attrName} ${type} ${defaultDeclaration || (requiredIn === declarations.length ? "#REQUIRED" : "#IMPLIED")}`);
+        }
+        return definitions;
+    }
+
+    let out = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    for (const [name, declarations] of byName) {
+        out += `\n<!ELEMENT ${name} ${mergedContentSpec(declarations)}>\n`;
+        const definitions = attributeDefinitions(name, declarations);
+        if (definitions.length > 0) {
+            out += `<!ATTLIST ${name}\n${definitions.map(definition => `${settings.indent}${definition}`).join("\n")}>\n`;
+        }
+    }
+    return out;
+}
+
+/**
+ * Parses XML and generates a DTD; see generateDtdFromModel.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The DTD.
+ * @throws {Error} If XML parsing fails or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export function generateDtd(xmlInput, options) {
+    const settings = resolveOptions(options);
+    const model = inferSchemaModel(xmlInput, settings);
+    const imported = importDtd(model, settings);
+    return generateDtdFromModel(imported ? imported.model : model, settings);
+}
@@ -0,0 +1,76 @@
+// src/dtdGenerator.test.js
+import { generateDtd, generateDtdFromModel } from './dtdGenerator';
+import { inferSchemaModel } from './schemaModel';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot };
+
+describe('dtdGenerator', () => {
+    it('should declare elements, attributes, content models and mixed content', () => {
+        const dtd = generateDtd([
+            '<order id="1"><customer>Ann</customer><item sku="A">9.50</item><item>3</item><note>hi <b>x</b></note></order>',
+            '<order id="2"><customer>Bob</customer></order>',
+        ], options);
+        expect(dtd).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+
+<!ELEMENT order (customer, item*, note?)>
+<!ATTLIST order
+  id CDATA #REQUIRED>
+
+<!ELEMENT customer (#PCDATA)>
+
+<!ELEMENT item (#PCDATA)>
+<!ATTLIST item
+  sku CDATA #IMPLIED>
+
+<!ELEMENT note (#PCDATA | b)*>
+
+<!ELEMENT b (#PCDATA)>
+`);
+    });
+
+    it('should write choices, unordered children and empty elements', () => {
+        expect(generateDtd(['<pay><card>1</card></pay>', '<pay><cash>2</cash></pay>', '<pay/>'], options))
+            .toContain('<!ELEMENT pay (card | cash)?>');
+        expect(generateDtd(['<p><a/><b/></p>', '<p><b/><a/></p>'], options)).toContain('<!ELEMENT p (a | b)+>\n\n<!ELEMENT a EMPTY>');
+        expect(generateDtd('<l><i>1</i><i>2</i></l>', { ...options, occurrencePolicy: 'relaxed' })).toContain('<!ELEMENT l (i*)>');
+    });
+
+    it('should merge same-named declarations into one element type', () => {
+        const dtd = generateDtd('<r><a><x/></a><b><a kind="k">t</a></b></r>', options);
+        expect(dtd).toContain('<!ELEMENT a (#PCDATA | x)*>\n<!ATTLIST a\n  kind CDATA #IMPLIED>');
+        expect(dtd.match(/<!ELEMENT a /g)).toHaveLength(1);
+    });
+
+    it('should use enumerated types for name token values', () => {
+        const dtd = generateDtd('<r><c s="on"/><c s="off"/><c s="on"/><d t="a b"/><d t="c"/><d t="a b"/></r>', { ...options, indent: 4 });
+        expect(dtd).toContain('<!ATTLIST c\n    s (on | off) #REQUIRED>');
+        expect(dtd).toContain('<!ATTLIST d\n    t CDATA #REQUIRED>');
+    });
+
+    it('should keep the document prefixes and fix the namespace declarations', () => {
+        const dtd = generateDtd('<doc xmlns="urn:d" xmlns:m="urn:m" xml:lang="en" m:rev="2"><m:title>T</m:title><list xmlns=""/><item/></doc>', options);
+        expect(dtd).toContain(`<!ELEMENT doc (m:title, list, item)>
+<!ATTLIST doc
+  xmlns CDATA #FIXED "urn:d"
+  xmlns:m CDATA #FIXED "urn:m"
+  xml:lang CDATA #REQUIRED
+  m:rev CDATA #REQUIRED>`);
+        expect(dtd).toContain('<!ELEMENT list EMPTY>\n<!ATTLIST list\n  xmlns CDATA #FIXED "">');
+        expect(dtd).toContain('<!ELEMENT item EMPTY>\n');
+        expect(dtd).not.toContain('<!ATTLIST item');
+    });
+
+    it('should write ID and IDREF attributes for keys the options turn into IDs', () => {
+        const xml = '<r><p id="a"/><p id="b"/><q ref="b"/><q ref="a"/><q ref="b"/></r>';
+        const dtd = generateDtd(xml, { ...options, identityConstraints: 'ids' });
+        expect(dtd).toContain('<!ATTLIST p\n  id ID #REQUIRED>');
+        expect(dtd).toContain('<!ATTLIST q\n  ref IDREF #REQUIRED>');
+        expect(generateDtd(xml, options)).toContain('<!ATTLIST p\n  id CDATA #REQUIRED>');
+    });
+
+    it('should emit from an inferred model', () => {
+        const xml = '<a x="1"><b>2</b></a>';
+        expect(generateDtdFromModel(inferSchemaModel(xml, options), { indent: '\t' })).toBe(generateDtd(xml, { ...options, indent: '\t' }));
+    });
+});
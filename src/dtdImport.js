@@ -0,0 +1,209 @@
+import { parseDtd } from './dtdParser.js';
+import { readSchemaModel, refineSchemaModel } from './schemaRefinement.js';
+import { resolveOptions, escapeAttribute, XML_SCHEMA_LOCATION } from './xsdGenerator.js';
+import { XML_NAMESPACE } from './xmlParser.js';
+import { createValueStats, mergeValueStats, recordValue, inferFacets } from './typeInference.js';
+
+const OCCURRENCE_BOUNDS = { "": "", "?": ` minOccurs="0"`, "*": ` minOccurs="0" maxOccurs="unbounded"`, "+": ` maxOccurs="unbounded"` };
+
+const isNamespaceDeclaration = name => name === "xmlns" || name.startsWith("xmlns:");
+
+/**
+ * Writes the declarations of a parsed DTD as an XSD document; see dtdToXsd.
+ *
+ * @param {object} dtd The declarations; see Dtd in dtdParser.js.
+ * @param {object} settings Resolved generator options.
+ * @returns {{content: string, changes: string[]}} The XSD document and what was left out.
+ */
+function writeDtdSchema({ elements, attributeLists, notes }, settings) {
+    const changes = [...notes];
+    const note = (subject, text) => {
+        const change = `${subject}: ${text}.`;
+        if (!changes.includes(change)) changes.push(change);
+    };
+    const pad = level => settings.indent.repeat(level);
+    const namespace = settings.targetNamespace;
+    let usesXmlNamespace = false;
+
+    // Only unprefixed element types the DTD declares can be referred to
+    const keep = (name, subject) => {
+        if (!name.includes(":") && elements.has(name)) return true;
+        note(subject, name.includes(":")
+            ? `<${name}> is left out, as the DTD cannot tell the namespace of its prefix`
+            : `<${name}> is left out, as the DTD does not declare it`);
+        return false;
+    };
+
+    // The particle without the element types left out; null when nothing remains
+    function keptParticle(particle, subject) {
+        if (particle.kind === "element") return keep(particle.name, subject) ? particle : null;
+        const particles = particle.particles.map(member => keptParticle(member, subject)).filter(Boolean);
+        return particles.length > 0 ? { ...particle, particles } : null;
+    }
+
+    function writeParticle(particle, level) {
+        const bounds = OCCURRENCE_BOUNDS[particle.occurs];
+        if (particle.kind === "element") return `${pad(level)}<xs:element ref="${particle.name}"${bounds}/>\n`;
+        const tag = particle.kind === "choice" ? "xs:choice" : "xs:sequence";
+        return `${pad(level)}<${tag}${bounds}>\n${particle.particles.map(member => writeParticle(member, level + 1)).join("")}${pad(level)}</${tag}>\n`;
+    }
+
+    function writeAttributes(elementName, level) {
+        let out = "";
+        for (const { name, type, values, presence, defaultValue } of (attributeLists.get(elementName) || new Map()).values()) {
+            // Namespace declarations are not attributes to a schema
+            if (isNamespaceDeclaration(name)) continue;
+            const subject = `<${elementName}> @${name}`;
+            const isXml = name.startsWith("xml:");
+            if (name.includes(":") && !isXml) {
+                note(subject, "left out, as the DTD cannot tell the namespace of its prefix");
+                continue;
+            }
+            usesXmlNamespace = usesXmlNamespace || isXml;
+            const use = presence === "required" ? ` use="required"` : "";
+            const value = presence === "fixed" ? ` fixed="${escapeAttribute(defaultValue)}"`
+                : presence === "default" ? ` default="${escapeAttribute(defaultValue)}"` : "";
+            if (isXml) {
+                out += `${pad(level)}<xs:attribute ref="${name}"${use}${value}/>\n`;
+            } else if (values) {
+                if (type === "NOTATION") note(subject, "the NOTATION type is replaced by an enumeration of the notation names");
+                out += `${pad(level)}<xs:attribute name="${name}"${use}${value}>\n`;
+                out += `${pad(level + 1)}<xs:simpleType>\n`;
+                out += `${pad(level + 2)}<xs:restriction base="xs:NMTOKEN">\n`;
+                out += values.map(allowed => `${pad(level + 3)}<xs:enumeration value="${escapeAttribute(allowed)}"/>\n`).join("");
+                out += `${pad(level + 2)}</xs:restriction>\n`;
+                out += `${pad(level + 1)}</xs:simpleType>\n`;
+                out += `${pad(level)}</xs:attribute>\n`;
+            } else {
+                out += `${pad(level)}<xs:attribute name="${name}" type="xs:${type === "CDATA" ? "string" : type}"${use}${value}/>\n`;
+            }
+        }
+        return out;
+    }
+
+    function writeElement(name, content) {
+        const attributes = writeAttributes(name, 3);
+        const complexType = (body, mixed = false) => `${pad(1)}<xs:element name="${name}">\n${pad(2)}<xs:complexType${mixed ? ` mixed="true"` : ""}>\n${body}${attributes}${pad(2)}</xs:complexType>\n${pad(1)}</xs:element>\n`;
+        const subject = `<${name}>`;
+        if (content.kind === "any") {
+            return complexType(`${pad(3)}<xs:sequence>\n${pad(4)}<xs:any processContents="lax" minOccurs="0" maxOccurs="unbounded"/>\n${pad(3)}</xs:sequence>\n`, true);
+        }
+        if (content.kind === "mixed") {
+            const names = content.names.filter(child => keep(child, subject));
+            if (names.length > 0) {
+                const refs = names.map(child => `${pad(4)}<xs:element ref="${child}"/>\n`).join("");
+                return complexType(`${pad(3)}<xs:choice minOccurs="0" maxOccurs="unbounded">\n${refs}${pad(3)}</xs:choice>\n`, true);
+            }
+            if (!attributes) return `${pad(1)}<xs:element name="${name}" type="xs:string"/>\n`;
+            const extension = writeAttributes(name, 5);
+            return `${pad(1)}<xs:element name="${name}">\n${pad(2)}<xs:complexType>\n${pad(3)}<xs:simpleContent>\n${pad(4)}<xs:extension base="xs:string">\n${extension}`
+                + `${pad(4)}</xs:extension>\n${pad(3)}</xs:simpleContent>\n${pad(2)}</xs:complexType>\n${pad(1)}</xs:element>\n`;
+        }
+        const particle = content.kind === "children" ? keptParticle(content.particle, subject) : null;
+        if (!particle && !attributes) return `${pad(1)}<xs:element name="${name}">\n${pad(2)}<xs:complexType/>\n${pad(1)}</xs:element>\n`;
+        return complexType(particle ? writeParticle(particle, 3) : "");
+    }
+
+    let body = "";
+    for (const [name, content] of elements) {
+        if (name.includes(":")) {
+            note(`<${name}>`, "left out, as the DTD cannot tell the namespace of its prefix");
+            continue;
+        }
+        body += writeElement(name, content);
+    }
+    for (const elementName of attributeLists.keys()) {
+        if (!elements.has(elementName)) note(`<${elementName}>`, "its attribute list is left out, as the DTD does not declare the element");
+    }
+
+    const namespaceAttributes = namespace ? ` xmlns="${escapeAttribute(namespace)}" targetNamespace="${escapeAttribute(namespace)}"` : "";
+    let out = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    out += `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"${namespaceAttributes} elementFormDefault="qualified">\n`;
+    if (usesXmlNamespace) out += `${pad(1)}<xs:import namespace="${XML_NAMESPACE}" schemaLocation="${XML_SCHEMA_LOCATION}"/>\n`;
+    out += `${body}</xs:schema>\n`;
+    return { content: out, changes };
+}
+
+/**
+ * Converts a DTD into an equivalent XSD document. DTDs only have global
+ * element types, so every element becomes a global declaration referring to
+ * the others: EMPTY becomes an empty complex type, ANY mixed content with a
+ * lax wildcard, (#PCDATA) xs:string (simple content when the element has
+ * attributes), mixed content a mixed, repeated choice, and element content
+ * nested xs:sequence and xs:choice groups with the occurrence indicators as
+ * bounds. Attribute types keep their names as XSD types (CDATA is xs:string),
+ * enumerations restrict xs:NMTOKEN, #REQUIRED attributes are required, and
+ * default and #FIXED values become default and fixed.
+ *
+ * DTDs know nothing of namespaces, so the names are taken in the
+ * targetNamespace option's namespace, xmlns declarations are left out and
+ * xml: attributes refer to the XML namespace's. Other prefixed names, and
+ * element types referred to but not declared, are left out and reported.
+ *
+ * @param {string} dtd The DTD.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS in xsdGenerator.js. The targetNamespace
+ *   and indent options apply.
+ * @returns {{content: string, changes: string[]}} The XSD document, and what the conversion left out or skipped.
+ * @throws {Error} If the DTD is malformed or declares no element type, or an option is invalid.
+ */
+export function dtdToXsd(dtd, options) {
+    const settings = resolveOptions(options);
+    const declarations = parseDtd(dtd);
+    if (declarations.elements.size === 0) throw new Error("Invalid DTD: it declares no element type.");
+    return writeDtdSchema(declarations, settings);
+}
+
+/**
+ * Merges DTD declarations with a model inferred from samples: the internal
+ * subsets of the samples' DOCTYPE declarations (with the importDoctype
+ * option, off by default) followed by the DTD of the dtd option, so that, as in a document,
+ * the internal subset overrides the external DTD. The DTD is converted to
+ * XSD (dtdToXsd) and read back as a model (readSchemaModel) in the samples'
+ * namespace, keeping its nested groups and its default and #FIXED values.
+ * What the DTD leaves open, CDATA attributes and text-only (#PCDATA)
+ * elements, takes the types inferred from the samples (and the attribute's
+ * default or fixed value); the rest is widened only where the samples go
+ * beyond the DTD (refineSchemaModel).
+ *
+ * @param {object} sampleModel The model inferred from the samples; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS in xsdGenerator.js.
+ * @returns {{model: object, changes: string[]}|null} The merged model with the simplifications and changes made
+ *   to the DTD's declarations, or null when there are no DTD declarations to merge.
+ * @throws {Error} If the DTD is malformed or an option is invalid.
+ */
+export function importDtd(sampleModel, options) {
+    const settings = resolveOptions(options);
+    const subsets = settings.importDoctype ? sampleModel.internalSubsets || [] : [];
+    const declarations = parseDtd([...subsets, settings.dtd].join("\n"));
+    if (declarations.elements.size === 0) return null;
+
+    const converted = writeDtdSchema(declarations, { ...settings, targetNamespace: sampleModel.rootNamespace || "" });
+    const { model, changes } = readSchemaModel(converted.content);
+    changes.unshift(...converted.changes);
+
+    // Plain strings are all a DTD can say of CDATA and #PCDATA; the samples tell more
+    const isOpen = declaredType => declaredType.base === "xs:string" && declaredType.facets.length === 0;
+    const samples = [...sampleModel.elements.values()];
+    for (const info of model.elements.values()) {
+        const instances = samples.filter(sample => sample.name === info.name && sample.namespace === info.namespace);
+        if (instances.length === 0) continue;
+        if (info.hasTextContent && info.children.size === 0 && isOpen(info.text.declared)) {
+            const text = createValueStats();
+            instances.forEach(sample => mergeValueStats(text, sample.text));
+            if (text.count > 0) info.text.declared = inferFacets(text, settings);
+        }
+        for (const [attrKey, attr] of info.attributes) {
+            if (!isOpen(attr.values.declared)) continue;
+            const values = createValueStats();
+            instances.forEach(sample => sample.attributes.has(attrKey) && mergeValueStats(values, sample.attributes.get(attrKey).values));
+            if (values.count === 0) continue;
+            // The type must still accept the value the DTD supplies
+            const { base, facets, ...kept } = attr.values.declared;
+            const supplied = kept.fixed !== undefined ? kept.fixed : kept.default;
+            if (supplied !== undefined) recordValue(values, supplied);
+            attr.values.declared = { ...inferFacets(values, settings), ...kept };
+        }
+    }
+    changes.push(...refineSchemaModel(model, sampleModel, settings));
+    return { model, changes };
+}
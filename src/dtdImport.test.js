@@ -0,0 +1,155 @@
+// src/dtdImport.test.js
+import { dtdToXsd, importDtd } from './dtdImport';
+import { readSchemaModel } from './schemaRefinement';
+import { inferSchemaModel, inferSchemaModelFromStream } from './schemaModel';
+import { generateXsd, generateSchemas, generateSchemasFromStream } from './xsdGenerator';
+import { generateDtd } from './dtdGenerator';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot };
+const BOOK_DTD = `
+<!ELEMENT book (title, author+, (price | free)?, note*)>
+<!ATTLIST book
+    id ID #REQUIRED
+    status (new | used) "new"
+    xml:lang CDATA #IMPLIED
+    xmlns CDATA #FIXED "">
+<!ELEMENT title (#PCDATA)>
+<!ELEMENT author (#PCDATA)>
+<!ATTLIST author role CDATA #IMPLIED>
+<!ELEMENT price (#PCDATA)>
+<!ELEMENT free EMPTY>
+<!ELEMENT note (#PCDATA | em)*>
+<!ELEMENT em (#PCDATA)>`;
+
+describe('dtdImport', () => {
+    it('should convert a DTD into XSD', () => {
+        const { content, changes } = dtdToXsd(BOOK_DTD, { indent: '  ' });
+        expect(content).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" elementFormDefault="qualified">
+  <xs:import namespace="http://www.w3.org/XML/1998/namespace" schemaLocation="http://www.w3.org/2001/xml.xsd"/>
+  <xs:element name="book">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element ref="title"/>
+        <xs:element ref="author" maxOccurs="unbounded"/>
+        <xs:choice minOccurs="0">
+          <xs:element ref="price"/>
+          <xs:element ref="free"/>
+        </xs:choice>
+        <xs:element ref="note" minOccurs="0" maxOccurs="unbounded"/>
+      </xs:sequence>
+      <xs:attribute name="id" type="xs:ID" use="required"/>
+      <xs:attribute name="status" default="new">
+        <xs:simpleType>
+          <xs:restriction base="xs:NMTOKEN">
+            <xs:enumeration value="new"/>
+            <xs:enumeration value="used"/>
+          </xs:restriction>
+        </xs:simpleType>
+      </xs:attribute>
+      <xs:attribute ref="xml:lang"/>
+    </xs:complexType>
+  </xs:element>
+  <xs:element name="title" type="xs:string"/>
+  <xs:element name="author">
+    <xs:complexType>
+      <xs:simpleContent>
+        <xs:extension base="xs:string">
+          <xs:attribute name="role" type="xs:string"/>
+        </xs:extension>
+      </xs:simpleContent>
+    </xs:complexType>
+  </xs:element>
+  <xs:element name="price" type="xs:string"/>
+  <xs:element name="free">
+    <xs:complexType/>
+  </xs:element>
+  <xs:element name="note">
+    <xs:complexType mixed="true">
+      <xs:choice minOccurs="0" maxOccurs="unbounded">
+        <xs:element ref="em"/>
+      </xs:choice>
+    </xs:complexType>
+  </xs:element>
+  <xs:element name="em" type="xs:string"/>
+</xs:schema>
+`);
+        expect(changes).toEqual([]);
+    });
+
+    it('should report the names a DTD cannot place in a namespace and undeclared element types', () => {
+        const { content, changes } = dtdToXsd(`
+            <!ELEMENT r (a, x:b, c)>
+            <!ATTLIST r x:id CDATA #IMPLIED>
+            <!ATTLIST s id CDATA #IMPLIED>
+            <!ELEMENT a ANY>
+            <!ELEMENT x:b EMPTY>`, { targetNamespace: 'urn:r' });
+        expect(content).toContain('<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns="urn:r" targetNamespace="urn:r" elementFormDefault="qualified">');
+        expect(content).toContain('<xs:any processContents="lax" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(changes).toEqual([
+            '<r> @x:id: left out, as the DTD cannot tell the namespace of its prefix.',
+            '<r>: <x:b> is left out, as the DTD cannot tell the namespace of its prefix.',
+            '<r>: <c> is left out, as the DTD does not declare it.',
+            '<x:b>: left out, as the DTD cannot tell the namespace of its prefix.',
+            '<s>: its attribute list is left out, as the DTD does not declare the element.',
+        ]);
+        expect(() => dtdToXsd('<!ATTLIST a b CDATA #IMPLIED>')).toThrow('Invalid DTD: it declares no element type.');
+    });
+
+    it('should convert into XSD that reads back as a model', () => {
+        const { content } = dtdToXsd(BOOK_DTD);
+        const { model } = readSchemaModel(content);
+        expect(model.rootKeys).toContain('book');
+        expect([...model.elements.get('book').attributes.keys()]).toEqual(['id', 'status', '{http://www.w3.org/XML/1998/namespace}lang']);
+    });
+
+    it('should type what the DTD leaves open from the samples and add what it misses', () => {
+        const samples = ['<book id="b1"><title>XML</title><author>Ann</author><price>9.50</price><isbn>1</isbn></book>'];
+        const { model, changes } = importDtd(inferSchemaModel(samples, options), { ...options, dtd: BOOK_DTD });
+        const book = model.elements.get('book');
+        expect(model.elements.get('price').text.declared.base).toBe('xs:decimal');
+        expect(book.attributes.get('id').values.declared.base).toBe('xs:ID');
+        expect(book.children.has('isbn')).toBe(true);
+        expect(book.attributes.get('status').values.declared.default).toBe('new');
+        expect(book.contentModel.particles).toEqual(['title', 'author', { kind: 'choice', minOccurs: '0', maxOccurs: '1', particles: ['price', 'free'] }, 'isbn', 'note']);
+        expect(changes).toEqual(['<book>: added the optional child element <isbn>.']);
+    });
+
+    it('should merge the internal subsets of DOCTYPE declarations when told to', () => {
+        const sample = '<!DOCTYPE r [<!ELEMENT r (a?, b)><!ELEMENT a (#PCDATA)><!ELEMENT b EMPTY>]><r><b/></r>';
+        const model = inferSchemaModel(sample, options);
+        expect(model.internalSubsets).toEqual(['<!ELEMENT r (a?, b)><!ELEMENT a (#PCDATA)><!ELEMENT b EMPTY>']);
+        expect(importDtd(model, options)).toBeNull();
+        expect(importDtd(inferSchemaModel('<r/>', options), { ...options, importDoctype: true })).toBeNull();
+
+        const xsd = generateXsd(sample, { ...options, importDoctype: true });
+        expect(xsd).toContain('<xs:element ref="a" minOccurs="0" maxOccurs="1"/>');
+        expect(generateXsd(sample, options)).not.toContain('name="a"');
+        expect(generateDtd(sample, { ...options, importDoctype: true })).toContain('<!ELEMENT r (a?, b)>');
+    });
+
+    it('should expand the entities the internal subset declares', async () => {
+        const sample = '<!DOCTYPE feed [<!ENTITY co "ACME"><!ELEMENT feed (#PCDATA)>]><feed>&co;</feed>';
+        const expected = generateSchemas(sample, options);
+        expect(expected[0].content).toContain('<xs:element name="feed" type="xs:string"/>');
+        await expect(generateSchemasFromStream([sample], {})).resolves.toEqual(expected);
+    });
+
+    it('should expand the entities of the DTD option in streamed samples', async () => {
+        const sample = '<!DOCTYPE feed SYSTEM "feed.dtd"><feed>&co;</feed>';
+        const dtd = '<!ENTITY co "ACME"><!ELEMENT feed (#PCDATA)>';
+        const model = await inferSchemaModelFromStream([sample], { dtd });
+        expect(model.elements.get('feed').text.examples).toEqual(['ACME']);
+        await expect(generateSchemasFromStream([sample], { dtd })).resolves.toHaveLength(1);
+        // Without it the reference is kept, as the external subset may declare the entity
+        const unread = await inferSchemaModelFromStream([sample], {});
+        expect(unread.elements.get('feed').text.examples).toEqual(['&co;']);
+    });
+
+    it('should let the internal subset override the DTD option', () => {
+        const sample = '<!DOCTYPE r [<!ELEMENT r (a)*>]><r><a/></r>';
+        const xsd = generateXsd(sample, { ...options, importDoctype: true, dtd: '<!ELEMENT r (a)><!ELEMENT a EMPTY>' });
+        expect(xsd).toContain('maxOccurs="unbounded"');
+    });
+});
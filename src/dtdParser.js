@@ -0,0 +1,382 @@
+/**
+ * A reader for DTDs, from an external .dtd file or the internal subset of a
+ * document's DOCTYPE declaration. It keeps what a schema can be built from:
+ * the content models of the element types and their attribute lists.
+ * Internal parameter entities are expanded as they are referenced; external
+ * ones cannot be loaded, so their references are skipped and reported.
+ */
+
+// Names and name tokens: anything up to the next delimiter of a declaration
+const NAME_PATTERN = /[^\s()|,?*+"'%>&;[\]]+/y;
+const REFERENCE_PATTERN = /%([^\s;%]+);/y;
+const ATTRIBUTE_TYPES = ["CDATA", "ID", "IDREF", "IDREFS", "ENTITY", "ENTITIES", "NMTOKEN", "NMTOKENS"];
+const PREDEFINED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+const EXPANSION_LIMIT = 1000000; // Characters of entity replacement text expanded per DTD, against entities that blow up
+
+/**
+ * The declarations of a DTD.
+ *
+ * @typedef {object} Dtd
+ * @property {Map<string, object>} elements Element type name -> content specification: `{kind: "empty"}`,
+ *   `{kind: "any"}`, `{kind: "mixed", names}` (text, and the element types allowed beside it) or
+ *   `{kind: "children", particle}`, where a particle is `{kind: "element", name, occurs}` or
+ *   `{kind: "sequence"|"choice", particles, occurs}` and `occurs` is "", "?", "*" or "+".
+ * @property {Map<string, Map<string, object>>} attributeLists Element type name -> attribute name ->
+ *   `{name, type, values, presence, defaultValue}`: `type` is one of the tokenized types, CDATA,
+ *   "NOTATION" or "enumeration", `values` the names the last two allow (null for the others),
+ *   `presence` "required", "implied", "fixed" or "default" and `defaultValue` the value of the last two.
+ * @property {Map<string, string|null>} generalEntities Entity name -> replacement text of the general entities,
+ *   with character references and the entities declared before decoded; null for external and unparsed ones.
+ * @property {string[]} notes What was skipped: references to external or undeclared parameter entities.
+ */
+
+/**
+ * Replaces character references and the predefined entities in a literal.
+ *
+ * @param {string} value The literal as written.
+ * @returns {string} The decoded value.
+ */
+function decodeReferences(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, (reference, name) => {
+        if (name[0] !== "#") return PREDEFINED_ENTITIES[name];
+        const code = name[1] === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+    });
+}
+
+/**
+ * A cursor over the text of one declaration, between its keyword and the
+ * closing ">". Whitespace between tokens is skipped; occurrence indicators
+ * must follow their particle directly.
+ *
+ * @param {string} body The declaration text.
+ * @param {function(string): never} fail Throws an error about the declaration.
+ * @returns {object} The cursor.
+ */
+function createCursor(body, fail) {
+    let position = 0;
+    const cursor = {
+        fail,
+        peek() {
+            while (position < body.length && /\s/.test(body[position])) position++;
+            return body[position];
+        },
+        atEnd() {
+            return cursor.peek() === undefined;
+        },
+        take(token) {
+            if (cursor.peek() !== token) return false;
+            position++;
+            return true;
+        },
+        expect(token) {
+            if (!cursor.take(token)) fail(`Expected "${token}"`);
+        },
+        name(what) {
+            cursor.peek();
+            NAME_PATTERN.lastIndex = position;
+            const match = NAME_PATTERN.exec(body);
+            if (!match) fail(`Expected ${what}`);
+            position = NAME_PATTERN.lastIndex;
+            return match[0];
+        },
+        literal(what) {
+            const quote = cursor.peek();
+            if (quote !== "\"" && quote !== "'") fail(`Expected ${what}`);
+            const end = body.indexOf(quote, position + 1);
+            if (end < 0) fail("Unterminated literal");
+            const value = body.slice(position + 1, end);
+            position = end + 1;
+            return value;
+        },
+        occurs() {
+            const indicator = position < body.length && "?*+".includes(body[position]) ? body[position] : "";
+            position += indicator.length;
+            return indicator;
+        },
+    };
+    return cursor;
+}
+
+/**
+ * Reads a content particle: an element type name or a parenthesized group,
+ * with its occurrence indicator.
+ *
+ * @param {object} cursor The cursor, at the particle.
+ * @returns {object} The particle.
+ */
+function readParticle(cursor) {
+    if (cursor.take("(")) return readGroup(cursor);
+    const name = cursor.name("an element name");
+    if (name.startsWith("#")) cursor.fail(`${name} is only allowed first in mixed content`);
+    return { kind: "element", name, occurs: cursor.occurs() };
+}
+
+/**
+ * Reads a sequence or choice group after its opening parenthesis. The
+ * members of one group are all separated by "," or all by "|".
+ *
+ * @param {object} cursor The cursor, after "(".
+ * @returns {object} The group particle.
+ */
+function readGroup(cursor) {
+    const particles = [readParticle(cursor)];
+    let separator = null;
+    while (!cursor.take(")")) {
+        const next = cursor.peek();
+        if ((next !== "," && next !== "|") || (separator && next !== separator)) {
+            cursor.fail(separator ? `Expected "${separator}" or ")"` : "Expected \",\", \"|\" or \")\"");
+        }
+        separator = next;
+        cursor.take(next);
+        particles.push(readParticle(cursor));
+    }
+    return { kind: separator === "|" ? "choice" : "sequence", particles, occurs: cursor.occurs() };
+}
+
+/**
+ * Reads the content specification of an element type declaration.
+ *
+ * @param {object} cursor The cursor, after the element type name.
+ * @returns {object} The content specification; see Dtd.
+ */
+function readContentSpec(cursor) {
+    if (!cursor.take("(")) {
+        const keyword = cursor.name("EMPTY, ANY or a content model");
+        if (keyword !== "EMPTY" && keyword !== "ANY") cursor.fail(`Unknown content specification "${keyword}"`);
+        return { kind: keyword.toLowerCase() };
+    }
+    if (cursor.peek() !== "#") return { kind: "children", particle: readGroup(cursor) };
+
+    const keyword = cursor.name("#PCDATA");
+    if (keyword !== "#PCDATA") cursor.fail(`Unknown keyword "${keyword}"`);
+    const names = [];
+    while (cursor.take("|")) names.push(cursor.name("an element name"));
+    cursor.expect(")");
+    const indicator = cursor.occurs();
+    if (names.length > 0 ? indicator !== "*" : indicator !== "" && indicator !== "*") {
+        cursor.fail(names.length > 0 ? "Mixed content with element names must end in \")*\"" : "Text content only takes \"*\"");
+    }
+    return { kind: "mixed", names };
+}
+
+/**
+ * Reads the attribute definitions of an attribute-list declaration.
+ *
+ * @param {object} cursor The cursor, after the element type name.
+ * @returns {object[]} The definitions, in order; see Dtd.
+ */
+function readAttributeDefinitions(cursor) {
+    const definitions = [];
+    while (!cursor.atEnd()) {
+        const name = cursor.name("an attribute name");
+        let type;
+        let values = null;
+        if (cursor.peek() === "(") {
+            type = "enumeration";
+        } else {
+            type = cursor.name("an attribute type");
+            if (type !== "NOTATION" && !ATTRIBUTE_TYPES.includes(type)) cursor.fail(`Unknown attribute type "${type}"`);
+        }
+        if (type === "enumeration" || type === "NOTATION") {
+            cursor.expect("(");
+            values = [cursor.name("a value")];
+            while (cursor.take("|")) values.push(cursor.name("a value"));
+            cursor.expect(")");
+        }
+        let presence = "default";
+        if (cursor.peek() === "#") {
+            const keyword = cursor.name("a default declaration");
+            if (!["#REQUIRED", "#IMPLIED", "#FIXED"].includes(keyword)) cursor.fail(`Unknown default declaration "${keyword}"`);
+            presence = keyword.slice(1).toLowerCase();
+        }
+        const defaultValue = presence === "fixed" || presence === "default" ? decodeReferences(cursor.literal("a default value")) : null;
+        definitions.push({ name, type, values, presence, defaultValue });
+    }
+    return definitions;
+}
+
+/**
+ * Parses a DTD. Declarations are read in order and the first declaration of
+ * an element type, an attribute or a parameter entity is the one that holds,
+ * so an internal subset placed before an external DTD overrides it. Comments,
+ * processing instructions and notations are skipped;
+ * INCLUDE sections are read and IGNORE sections skipped.
+ *
+ * @param {string} text The DTD.
+ * @returns {Dtd} The declarations.
+ * @throws {Error} If the DTD is malformed ("Invalid DTD: ..." quoting the offending markup).
+ */
+export function parseDtd(text) {
+    const parameterEntities = new Map(); // Name -> replacement text; null for external entities
+    const generalEntities = new Map();
+    const elements = new Map();
+    const attributeLists = new Map();
+    const notes = [];
+    let source = String(text).replace(/\r\n?/g, "\n");
+    let index = 0;
+    let expandedLength = 0;
+    let openSections = 0; // INCLUDE sections not closed yet
+
+    const fail = (reason, at = index) => {
+        const excerpt = source.slice(at, at + 40).split("\n")[0];
+        throw new Error(`Invalid DTD: ${reason}${excerpt ? ` at "${excerpt}"` : ""}.`);
+    };
+    const note = text => {
+        if (!notes.includes(text)) notes.push(text);
+    };
+
+    // The replacement text of a parameter entity reference; empty for skipped ones
+    const replacement = (name, at) => {
+        const value = parameterEntities.get(name);
+        expandedLength += value ? value.length : 0;
+        if (expandedLength > EXPANSION_LIMIT) fail("The parameter entities expand to too much text", at);
+        if (value === undefined) note(`The parameter entity %${name}; is not declared; its references are skipped.`);
+        else if (value === null) note(`The external parameter entity %${name}; is not loaded; its references are skipped.`);
+        return value || "";
+    };
+
+    // The replacement text of a general entity, with the references it contains
+    // resolved; ones to entities not declared (yet) are kept as written
+    const entityText = (literal, at) => literal.replace(/&([^\s;&]+);/g, (reference, name) => {
+        if (name[0] === "#" || Object.prototype.hasOwnProperty.call(PREDEFINED_ENTITIES, name)) return decodeReferences(reference);
+        const value = generalEntities.get(name);
+        if (typeof value !== "string") return reference;
+        expandedLength += value.length;
+        if (expandedLength > EXPANSION_LIMIT) fail("The general entities expand to too much text", at);
+        return value;
+    });
+
+    // Expands the parameter entity references in an entity value; unlike in
+    // markup, their replacement text is not padded with spaces
+    const expandLiteral = (literal, at) => literal.replace(/%([^\s;%]+);/g, (reference, name) => replacement(name, at));
+
+    // Expands the parameter entity references in markup, outside quoted literals, padding
+    // their replacement text with spaces
+    const expandMarkup = (markup, at) => {
+        let expanded = markup;
+        let previous;
+        do {
+            previous = expanded;
+            expanded = expanded.replace(/("[^"]*"|'[^']*')|%([^\s;%]+);/g, (match, literal, name) => literal || ` ${replacement(name, at)} `);
+        } while (expanded !== previous);
+        return expanded;
+    };
+
+    // The index of the ">" closing the markup declaration at index, past quoted literals
+    const declarationEnd = () => {
+        let quote = null;
+        for (let i = index + 2; i < source.length; i++) {
+            const char = source[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "\"" || char === "'") {
+                quote = char;
+            } else if (char === ">") {
+                return i;
+            }
+        }
+        return -1;
+    };
+
+    const readDeclaration = (start, keyword, body) => {
+        const cursor = createCursor(body, reason => fail(reason, start));
+        if (keyword === "ELEMENT") {
+            const name = cursor.name("an element name");
+            const content = readContentSpec(cursor);
+            if (!cursor.atEnd()) cursor.fail("Unexpected text after the content model");
+            if (!elements.has(name)) elements.set(name, content);
+        } else if (keyword === "ATTLIST") {
+            const elementName = cursor.name("an element name");
+            if (!attributeLists.has(elementName)) attributeLists.set(elementName, new Map());
+            const attributes = attributeLists.get(elementName);
+            for (const definition of readAttributeDefinitions(cursor)) {
+                if (!attributes.has(definition.name)) attributes.set(definition.name, definition);
+            }
+        } else if (keyword === "ENTITY") {
+            const parameter = cursor.take("%");
+            const name = cursor.name("an entity name");
+            const value = cursor.peek() === "\"" || cursor.peek() === "'" ? expandLiteral(cursor.literal("an entity value"), start) : null;
+            const entities = parameter ? parameterEntities : generalEntities;
+            if (!entities.has(name)) entities.set(name, parameter || value === null ? value : entityText(value, start));
+        }
+    };
+
+    for (;;) {
+        while (index < source.length && /\s/.test(source[index])) index++;
+        if (index >= source.length) break;
+        const start = index;
+        if (source.startsWith("<!--", index)) {
+            const end = source.indexOf("-->", index + 4);
+            if (end < 0) fail("Unterminated comment");
+            index = end + 3;
+        } else if (source.startsWith("<?", index)) {
+            const end = source.indexOf("?>", index + 2);
+            if (end < 0) fail("Unterminated processing instruction");
+            index = end + 2;
+        } else if (source[index] === "%") {
+            REFERENCE_PATTERN.lastIndex = index;
+            const match = REFERENCE_PATTERN.exec(source);
+            if (!match) fail("Malformed parameter entity reference");
+            source = `${source.slice(0, index)} ${replacement(match[1], start)} ${source.slice(REFERENCE_PATTERN.lastIndex)}`;
+        } else if (source.startsWith("<![", index)) {
+            const bracket = source.indexOf("[", index + 3);
+            if (bracket < 0) fail("Unterminated conditional section");
+            const keyword = expandMarkup(source.slice(index + 3, bracket), start).trim();
+            if (keyword === "INCLUDE") {
+                openSections++;
+                index = bracket + 1;
+                continue;
+            }
+            if (keyword !== "IGNORE") fail("Expected INCLUDE or IGNORE");
+            // Ignored sections nest; only their section markers count
+            let depth = 1;
+            index = bracket + 1;
+            while (depth > 0) {
+                const open = source.indexOf("<![", index);
+                const close = source.indexOf("]]>", index);
+                if (close < 0) fail("Unterminated IGNORE section", start);
+                depth += open >= 0 && open < close ? 1 : -1;
+                index = open >= 0 && open < close ? open + 3 : close + 3;
+            }
+        } else if (source.startsWith("]]>", index) && openSections > 0) {
+            openSections--;
+            index += 3;
+        } else if (source.startsWith("<!", index)) {
+            const end = declarationEnd();
+            if (end < 0) fail("Unterminated markup declaration");
+            const match = /^<!(ELEMENT|ATTLIST|ENTITY|NOTATION)(?=[\s%])/.exec(source.slice(index, end));
+            if (!match) fail("Unknown markup declaration");
+            index = end + 1;
+            readDeclaration(start, match[1], expandMarkup(source.slice(start + match[0].length, end), start));
+        } else {
+            fail("Expected a markup declaration");
+        }
+    }
+    if (openSections > 0) fail("Unterminated INCLUDE section");
+    return { elements, attributeLists, generalEntities, notes };
+}
+
+/**
+ * Splits a DOCTYPE declaration, as the XML parser reports it, into the
+ * document type name, the external identifiers and the internal subset.
+ *
+ * @param {string} declaration The declaration, from "<!DOCTYPE" to its closing ">".
+ * @returns {{name: string, publicId: string|null, systemId: string|null, internalSubset: string|null}} The parts;
+ *   the identifiers and the subset are null when absent.
+ * @throws {Error} If the declaration is malformed.
+ */
+export function parseDoctypeDeclaration(declaration) {
+    const literal = "(\"[^\"]*\"|'[^']*')";
+    const match = new RegExp(`^<!DOCTYPE\\s+([^\\s[>]+)(?:\\s+(?:SYSTEM\\s*${literal}|PUBLIC\\s*${literal}\\s*${literal}))?\\s*(?:\\[([\\s\\S]*)\\]\\s*)?>$`)
+        .exec(declaration);
+    if (!match) throw new Error(`Invalid XML: Malformed DOCTYPE declaration "${declaration.split("\n")[0]}".`);
+    const [, name, system, publicId, publicSystem, internalSubset] = match;
+    const unquote = value => (value === undefined ? null : value.slice(1, -1));
+    return {
+        name,
+        publicId: unquote(publicId),
+        systemId: unquote(system !== undefined ? system : publicSystem),
+        internalSubset: internalSubset === undefined ? null : internalSubset,
+    };
+}
@@ -0,0 +1,125 @@
+// src/dtdParser.test.js
+import { parseDtd, parseDoctypeDeclaration } from './dtdParser';
+
+describe('dtdParser', () => {
+    it('should read content models', () => {
+        const { elements } = parseDtd(`
+            <!ELEMENT book (title, author+, (price | free)?)>
+            <!ELEMENT title (#PCDATA)>
+            <!ELEMENT note (#PCDATA | em | strong)*>
+            <!ELEMENT free EMPTY>
+            <!ELEMENT extra ANY>`);
+        expect(elements.get('book')).toEqual({
+            kind: 'children',
+            particle: {
+                kind: 'sequence',
+                occurs: '',
+                particles: [
+                    { kind: 'element', name: 'title', occurs: '' },
+                    { kind: 'element', name: 'author', occurs: '+' },
+                    {
+                        kind: 'choice',
+                        occurs: '?',
+                        particles: [{ kind: 'element', name: 'price', occurs: '' }, { kind: 'element', name: 'free', occurs: '' }],
+                    },
+                ],
+            },
+        });
+        expect(elements.get('title')).toEqual({ kind: 'mixed', names: [] });
+        expect(elements.get('note')).toEqual({ kind: 'mixed', names: ['em', 'strong'] });
+        expect(elements.get('free')).toEqual({ kind: 'empty' });
+        expect(elements.get('extra')).toEqual({ kind: 'any' });
+    });
+
+    it('should read attribute lists with their types and defaults', () => {
+        const { attributeLists } = parseDtd(`
+            <!ATTLIST book
+                id ID #REQUIRED
+                status (new | used) "new"
+                format NOTATION (pdf | epub) #IMPLIED
+                version CDATA #FIXED "1.0">
+            <!ATTLIST book id CDATA #IMPLIED title CDATA 'A &amp; B &#65;'>`);
+        expect([...attributeLists.get('book').values()]).toEqual([
+            { name: 'id', type: 'ID', values: null, presence: 'required', defaultValue: null },
+            { name: 'status', type: 'enumeration', values: ['new', 'used'], presence: 'default', defaultValue: 'new' },
+            { name: 'format', type: 'NOTATION', values: ['pdf', 'epub'], presence: 'implied', defaultValue: null },
+            { name: 'version', type: 'CDATA', values: null, presence: 'fixed', defaultValue: '1.0' },
+            { name: 'title', type: 'CDATA', values: null, presence: 'default', defaultValue: 'A & B A' },
+        ]);
+    });
+
+    it('should expand internal parameter entities and skip external ones', () => {
+        const { elements, attributeLists, notes } = parseDtd(`
+            <?xml version="1.0" encoding="UTF-8"?>
+            <!-- Shared declarations -->
+            <!ENTITY % inline "#PCDATA | em">
+            <!ENTITY % common 'id ID #IMPLIED'>
+            <!ENTITY % decl "<!ELEMENT em (#PCDATA)>">
+            <!ENTITY % modules SYSTEM "modules.mod">
+            %modules;
+            %decl;
+            <!ELEMENT p (%inline;)*>
+            <!ATTLIST p %common; %undeclared;>
+            <![%include;[ <!ELEMENT skipped EMPTY> ]]>`.replace('%include;', 'IGNORE'));
+        expect([...elements.keys()]).toEqual(['em', 'p']);
+        expect(elements.get('p')).toEqual({ kind: 'mixed', names: ['em'] });
+        expect([...attributeLists.get('p').keys()]).toEqual(['id']);
+        expect(notes).toEqual([
+            'The external parameter entity %modules; is not loaded; its references are skipped.',
+            'The parameter entity %undeclared; is not declared; its references are skipped.',
+        ]);
+    });
+
+    it('should read INCLUDE sections and skip nested IGNORE sections', () => {
+        const { elements } = parseDtd(`
+            <!ENTITY % draft "IGNORE">
+            <![INCLUDE[ <!ELEMENT a EMPTY> ]]>
+            <![%draft;[ <!ELEMENT b EMPTY> <![INCLUDE[ <!ELEMENT c EMPTY> ]]> ]]>
+            <!ELEMENT d EMPTY>`);
+        expect([...elements.keys()]).toEqual(['a', 'd']);
+    });
+
+    it('should collect the general entities with their references resolved', () => {
+        const { generalEntities } = parseDtd(`
+            <!ENTITY % company "ACME">
+            <!ENTITY co "%company; Corp.">
+            <!ENTITY full "&co; &amp; Sons &#169; &later;">
+            <!ENTITY co "Other">
+            <!ENTITY logo SYSTEM "logo.png" NDATA png>`);
+        expect([...generalEntities]).toEqual([
+            ['co', 'ACME Corp.'],
+            ['full', 'ACME Corp. & Sons \u00a9 &later;'],
+            ['logo', null],
+        ]);
+        const laughs = Array.from({ length: 20 }, (_, i) => `<!ENTITY l${i + 1} "&l${i};&l${i};">`).join('');
+        expect(() => parseDtd(`<!ENTITY l0 "lol">${laughs}`)).toThrow('The general entities expand to too much text');
+    });
+
+    it('should keep the first declaration of an element type', () => {
+        const { elements } = parseDtd('<!ELEMENT a EMPTY><!ELEMENT a (#PCDATA)>');
+        expect(elements.get('a')).toEqual({ kind: 'empty' });
+    });
+
+    it('should reject malformed declarations', () => {
+        expect(() => parseDtd('<!ELEMENT a (b, c | d)>')).toThrow('Invalid DTD: Expected "," or ")" at "<!ELEMENT a (b, c | d)>".');
+        expect(() => parseDtd('<!ELEMENT a (#PCDATA | b)>')).toThrow('Mixed content with element names must end in ")*"');
+        expect(() => parseDtd('<!ELEMENT a (b, #PCDATA)>')).toThrow('#PCDATA is only allowed first in mixed content');
+        expect(() => parseDtd('<!ATTLIST a b NUMBER #IMPLIED>')).toThrow('Unknown attribute type "NUMBER"');
+        expect(() => parseDtd('<!ATTLIST a b CDATA>')).toThrow('Expected a default value');
+        expect(() => parseDtd('<!ELEMENT a EMPTY')).toThrow('Unterminated markup declaration');
+        const doubling = Array.from({ length: 20 }, (_, i) => `<!ENTITY % e${i + 1} "%e${i};%e${i};">`).join('');
+        expect(() => parseDtd(`<!ENTITY % e0 "x">${doubling}`)).toThrow('The parameter entities expand to too much text');
+        expect(() => parseDtd('text')).toThrow('Invalid DTD: Expected a markup declaration at "text".');
+    });
+
+    it('should split DOCTYPE declarations', () => {
+        expect(parseDoctypeDeclaration('<!DOCTYPE html>')).toEqual({ name: 'html', publicId: null, systemId: null, internalSubset: null });
+        expect(parseDoctypeDeclaration('<!DOCTYPE note SYSTEM "note.dtd" [<!ELEMENT note (#PCDATA)>]>')).toEqual({
+            name: 'note', publicId: null, systemId: 'note.dtd', internalSubset: '<!ELEMENT note (#PCDATA)>',
+        });
+        expect(parseDoctypeDeclaration("<!DOCTYPE html PUBLIC '-//W3C//DTD XHTML 1.0 Strict//EN' 'xhtml1-strict.dtd'>")).toMatchObject({
+            publicId: '-//W3C//DTD XHTML 1.0 Strict//EN', systemId: 'xhtml1-strict.dtd',
+        });
+        expect(() => parseDoctypeDeclaration('<!DOCTYPE>')).toThrow('Malformed DOCTYPE declaration');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Reads an uploaded file's text, resolving once FileReader is done.
+ *
+ * @param {File} file The file to read.
+ * @returns {Promise<string>} The file's contents.
+ */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+});
+
+/**
+ * Offers text for download under a file name, through a temporary object URL.
+ *
+ * @param {string} content The text.
+ * @param {string} fileName The suggested file name.
+ * @param {string} mimeType The MIME type of the file.
+ */
+export const downloadTextFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a); // Append anchor to body
+    a.click(); // Programmatically click the anchor to trigger download
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url); // Free up memory
+};
+
+const STRING_CHUNK_SIZE = 65536; // Characters per chunk when a string is read in pieces
+const BLOB_CHUNK_SIZE = 1048576; // Bytes per slice when a Blob without stream() is read in pieces
+
+/**
+ * The size of an XML source in the units readTextChunks reports: characters
+ * for a string, bytes for a Blob or File.
+ *
+ * @param {*} source An XML source.
+ * @returns {number|null} The size, or null if it is not known before reading.
+ */
+export const sourceSize = (source) => {
+    if (typeof source === 'string') return source.length;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) return source.size;
+    return null;
+};
+
+/**
+ * Reads an XML source piece by piece: a string, a Blob or File, a
+ * ReadableStream, or an (async) iterable of string or byte chunks (e.g. a
+ * Node.js stream). Bytes are decoded as UTF-8, keeping characters split
+ * across chunks intact.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable|Iterable} source The source.
+ * @returns {AsyncGenerator<{text: string, size: number}>} Decoded chunks with the number of characters or bytes each consumed.
+ * @throws {TypeError} If the source is of an unsupported kind.
+ */
+export async function* readTextChunks(source) {
+    if (typeof source === 'string') {
+        for (let start = 0; start < source.length; start += STRING_CHUNK_SIZE) {
+            const text = source.slice(start, start + STRING_CHUNK_SIZE);
+            yield { text, size: text.length };
+        }
+        return;
+    }
+
+    let chunks;
+    if (source && typeof source.stream === 'function') {
+        chunks = readStream(source.stream());
+    } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        chunks = readBlobSlices(source);
+    } else if (source && typeof source.getReader === 'function') {
+        chunks = readStream(source);
+    } else if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+        chunks = source;
+    } else {
+        throw new TypeError('Unsupported XML source: expected a string, Blob, ReadableStream or iterable of chunks.');
+    }
+
+    let decoder = null;
+    for await (const chunk of chunks) {
+        if (typeof chunk === 'string') {
+            yield { text: chunk, size: chunk.length };
+        } else {
+            decoder = decoder || new TextDecoder('utf-8');
+            yield { text: decoder.decode(chunk, { stream: true }), size: chunk.byteLength };
+        }
+    }
+    if (decoder) {
+        const rest = decoder.decode();
+        if (rest) yield { text: rest, size: 0 };
+    }
+}
+
+// Iterates a web ReadableStream, which is not async-iterable in every browser
+async function* readStream(stream) {
+    const reader = stream.getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+// Reads a Blob slice by slice where Blob.stream() is missing (older browsers, jsdom)
+async function* readBlobSlices(blob) {
+    for (let start = 0; start < blob.size; start += BLOB_CHUNK_SIZE) {
+        const slice = blob.slice(start, start + BLOB_CHUNK_SIZE);
+        yield new Uint8Array(await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(slice);
+        }));
+    }
+}
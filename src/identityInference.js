@@ -0,0 +1,265 @@
+import { isValidBuiltinValue } from './xsdDatatypes.js';
+
+// Values tracked per document before identity inference gives up on the samples
+export const IDENTITY_VALUE_LIMIT = 100000;
+
+const NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+// Names of fields that identify the element carrying them
+const PLAIN_KEY_NAME = /^(id|key|uuid|guid|code)$/i;
+// Names of fields identifying something, e.g. customerId, order_id, sku_code
+const IDENTIFIER_NAME = /^(id|key|uuid|guid|code)$|[a-z0-9](Id|ID|Key|Code)$|[_.-](id|key|code)$/i;
+// Names of fields referring to something, e.g. customerRef, parent_ref, idref
+const REFERENCE_NAME = /ref$/i;
+
+/**
+ * Identity constraints inferred from samples. A field is the value of an
+ * attribute or of a text-only child element, selected relative to the
+ * document root; its values are collected per document, and across the
+ * documents the inference looks for:
+ * - keys: fields whose values never repeat within a document, on an element
+ *   that repeats, named like an identifier (id, customerId, sku_code) or
+ *   referenced by another field. A key present on every selected element is
+ *   an xs:key, otherwise an xs:unique;
+ * - references: fields whose values in every document are all values of one
+ *   key in the same document. Numeric values only count as references when
+ *   the field is named like one (customerRef, customerId), since small
+ *   numbers match by chance.
+ *
+ * Each constraint is `{name, kind, scope, selector, field, refer?, id}`: `kind` is
+ * "key", "unique" or "keyref", `scope` the declaration key of the root element
+ * it is declared on, `selector` the declaration keys of the steps from there to
+ * the selected element, `field` either `{attribute: attrKey}` or
+ * `{element: declarationKey}`, and `refer` the name of the key a keyref refers
+ * to. `id` marks a key that can be an xs:ID attribute instead (NCName values
+ * unique among all such keys of a document, one per element) and a keyref
+ * that can be an xs:IDREF to it; see resolveIdentityConstraints in schemaModel.js.
+ *
+ * @typedef {object} IdentityConstraint
+ */
+
+/**
+ * Creates the collector of field values for identity inference, fed one
+ * document at a time by the statistics collector in schemaModel.js. Only the
+ * values of the current document are held; past documents leave behind which
+ * fields stayed unique and which still reference which. Past
+ * IDENTITY_VALUE_LIMIT values in one document the inference is abandoned.
+ *
+ * @returns {{startDocument: function, record: function, endDocument: function, fields: Map, abandoned: boolean}} The collector.
+ */
+export function createIdentityTracker() {
+    const fields = new Map(); // Field id -> { path, attribute, unique, nonEmpty, numeric, ncName, maxPerDocument, references, overlaps }
+    let current = new Map(); // Field id -> values seen in the current document
+    let valueCount = 0;
+    let duplicated = new Set(); // Fields with a value repeated in the current document
+
+    const tracker = {
+        fields,
+        abandoned: false,
+
+        startDocument() {
+            current = new Map();
+            duplicated = new Set();
+            valueCount = 0;
+        },
+
+        /**
+         * @param {string} path The context path of the element the value belongs to.
+         * @param {string|null} attribute The attribute key, or null for the element's text.
+         * @param {string} rawValue The value.
+         */
+        record(path, attribute, rawValue) {
+            if (tracker.abandoned) return;
+            if (++valueCount > IDENTITY_VALUE_LIMIT) {
+                tracker.abandoned = true;
+                fields.clear();
+                current = new Map();
+                return;
+            }
+            const id = attribute === null ? path : `${path}\n@${attribute}`;
+            if (!fields.has(id)) {
+                fields.set(id, {
+                    path,
+                    attribute,
+                    unique: true,
+                    nonEmpty: true,
+                    numeric: true,
+                    ncName: true,
+                    maxPerDocument: 0,
+                    references: null, // Ids of the fields holding every value of this one in each document so far
+                    overlaps: new Set(), // Ids of the fields sharing a value with this one in some document
+                });
+            }
+            if (!current.has(id)) current.set(id, new Set());
+            const field = fields.get(id);
+            const value = String(rawValue).trim();
+            const values = current.get(id);
+            if (values.has(value)) duplicated.add(id);
+            values.add(value);
+            if (value === "") field.nonEmpty = false;
+            if (!NUMBER.test(value)) field.numeric = false;
+            if (!isValidBuiltinValue("NCName", value)) field.ncName = false;
+        },
+
+        endDocument() {
+            if (tracker.abandoned) return;
+            const documentValues = current;
+            for (const id of duplicated) fields.get(id).unique = false;
+            const keyCandidates = [...documentValues.keys()].filter(id => fields.get(id).unique);
+
+            // A field may reference the unique fields that hold all of its values
+            for (const [id, values] of documentValues) {
+                const field = fields.get(id);
+                field.maxPerDocument = Math.max(field.maxPerDocument, values.size);
+                const candidates = field.references === null ? keyCandidates : field.references.filter(key => documentValues.has(key));
+                field.references = candidates.filter(key => key !== id && [...values].every(value => documentValues.get(key).has(value)));
+            }
+
+            // xs:ID values are unique across all ID attributes of a document
+            const owners = new Map();
+            for (const id of keyCandidates) {
+                for (const value of documentValues.get(id)) {
+                    const owner = owners.get(value);
+                    if (owner === undefined) {
+                        owners.set(value, id);
+                    } else if (owner !== id) {
+                        fields.get(id).overlaps.add(owner);
+                        fields.get(owner).overlaps.add(id);
+                    }
+                }
+            }
+            current = new Map();
+        },
+    };
+    return tracker;
+}
+
+/**
+ * Turns the fields a tracker collected into identity constraints.
+ *
+ * @param {object} tracker The tracker after the last document.
+ * @param {Map<string, object>} contexts The statistics collector's per-path element statistics.
+ * @param {Map<string, object>} clusterOf The declaration (`{key, paths}`) each path belongs to.
+ * @returns {IdentityConstraint[]} Keys and uniques first, then keyrefs, in document order.
+ */
+export function inferIdentityConstraints(tracker, contexts, clusterOf) {
+    if (tracker.abandoned) return [];
+    const declarationOf = path => clusterOf.get(path).key;
+
+    // Where a field sits: the element it is selected on and how it is written
+    const fieldInfo = new Map();
+    for (const [id, field] of tracker.fields) {
+        const context = contexts.get(field.path);
+        if (field.attribute !== null) {
+            fieldInfo.set(id, {
+                selectedPath: field.path,
+                name: context.attributes.get(field.attribute).name,
+                field: { attribute: field.attribute },
+                // Present on every instance of the selected element
+                required: context.attributes.get(field.attribute).values.count === context.instanceCount,
+            });
+            continue;
+        }
+        // A child element is a field when it holds text only and at most once per parent
+        const parent = context.parentPath !== null ? contexts.get(context.parentPath) : null;
+        const stats = parent && parent.children.get(context.elementKey);
+        if (!parent || context.children.size > 0 || !context.hasTextContent || stats.maxCount > 1) continue;
+        fieldInfo.set(id, {
+            selectedPath: context.parentPath,
+            name: context.name,
+            field: { element: declarationOf(field.path) },
+            required: stats.presentIn === parent.instanceCount - parent.nilCount,
+        });
+    }
+
+    // Unique fields of repeated elements, the only ones whose uniqueness the samples show
+    const isKeyCandidate = id => {
+        const field = tracker.fields.get(id);
+        return fieldInfo.has(id) && field.unique && field.nonEmpty && field.maxPerDocument > 1;
+    };
+
+    // How well a field's name fits referring to a key: named after the key's element (customerRef -> customer/@id), then plain key names
+    const score = (id, key) => {
+        const keyInfo = fieldInfo.get(key);
+        const element = contexts.get(keyInfo.selectedPath).name.toLowerCase();
+        return (fieldInfo.get(id).name.toLowerCase().includes(element) ? 2 : 0) + (PLAIN_KEY_NAME.test(keyInfo.name) ? 1 : 0);
+    };
+    const references = new Map(); // Field id -> key field id
+    for (const [id, field] of tracker.fields) {
+        const info = fieldInfo.get(id);
+        if (!info || !field.references || PLAIN_KEY_NAME.test(info.name)) continue;
+        const named = REFERENCE_NAME.test(info.name) || IDENTIFIER_NAME.test(info.name);
+        const keys = field.references.filter(key => isKeyCandidate(key) && (named || (!field.numeric && !tracker.fields.get(key).numeric)));
+        if (keys.length === 0) continue;
+        references.set(id, keys.reduce((best, key) => (score(id, key) > score(id, best) ? key : best)));
+    }
+    // Fields holding the same values refer to each other: the one named like a reference refers, else the first one is the key
+    const order = [...tracker.fields.keys()];
+    const direction = (id, key) => (REFERENCE_NAME.test(fieldInfo.get(id).name) ? 4 : 0) + score(id, key);
+    for (const [id, key] of [...references]) {
+        if (references.get(key) !== id) continue;
+        const keeps = direction(id, key) > direction(key, id) || (direction(id, key) === direction(key, id) && order.indexOf(key) < order.indexOf(id));
+        references.delete(keeps ? key : id);
+    }
+
+    const referenced = new Set(references.values());
+    const keyIds = [...tracker.fields.keys()].filter(id =>
+        isKeyCandidate(id) && (referenced.has(id) || (IDENTIFIER_NAME.test(fieldInfo.get(id).name) && !references.has(id))));
+
+    // Steps from the root to the selected element, and the root the constraint is declared on
+    const selectorOf = path => {
+        const steps = [];
+        let context = contexts.get(path);
+        for (let step = path; context.parentPath !== null; step = context.parentPath, context = contexts.get(step)) {
+            steps.unshift(declarationOf(step));
+        }
+        return steps;
+    };
+    const rootOf = path => {
+        let step = path;
+        while (contexts.get(step).parentPath !== null) step = contexts.get(step).parentPath;
+        return declarationOf(step);
+    };
+
+    const usedNames = new Set();
+    const nameFor = (id, suffix) => {
+        const { selectedPath, name } = fieldInfo.get(id);
+        const base = `${contexts.get(selectedPath).name}_${name}${suffix}`;
+        let chosen = base;
+        for (let counter = 2; usedNames.has(chosen); counter++) chosen = `${base}${counter}`;
+        usedNames.add(chosen);
+        return chosen;
+    };
+
+    // An xs:ID needs NCName values no other ID shares, on an attribute of a declaration used in one place only
+    const idElements = new Set();
+    const idKeys = new Set();
+    const singlePlace = path => clusterOf.get(path).paths.length === 1;
+    for (const id of keyIds) {
+        const field = tracker.fields.get(id);
+        const { selectedPath } = fieldInfo.get(id);
+        if (field.attribute === null || !field.ncName || !singlePlace(selectedPath) || idElements.has(selectedPath)) continue;
+        if ([...idKeys].some(other => field.overlaps.has(other))) continue;
+        idKeys.add(id);
+        idElements.add(selectedPath);
+    }
+
+    const constraint = (id, kind, name) => ({
+        name,
+        kind,
+        scope: rootOf(fieldInfo.get(id).selectedPath),
+        selector: selectorOf(fieldInfo.get(id).selectedPath),
+        field: fieldInfo.get(id).field,
+    });
+    const keyNames = new Map();
+    const constraints = keyIds.map(id => {
+        const kind = fieldInfo.get(id).required ? "key" : "unique";
+        keyNames.set(id, nameFor(id, kind === "key" ? "Key" : "Unique"));
+        return { ...constraint(id, kind, keyNames.get(id)), id: idKeys.has(id) };
+    });
+    for (const [id, key] of references) {
+        const { attribute } = tracker.fields.get(id);
+        const asIdref = idKeys.has(key) && attribute !== null && singlePlace(fieldInfo.get(id).selectedPath);
+        constraints.push({ ...constraint(id, "keyref", nameFor(id, "Keyref")), refer: keyNames.get(key), id: asIdref });
+    }
+    return constraints;
+}
@@ -0,0 +1,42 @@
+// src/identityInference.test.js
+import { createIdentityTracker, IDENTITY_VALUE_LIMIT } from './identityInference';
+import { inferSchemaModel } from './schemaModel';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot };
+const constraintsOf = samples => inferSchemaModel(samples, options).identityConstraints;
+
+describe('identityInference', () => {
+    it('should infer keys on attributes and text-only children and the fields referencing them', () => {
+        expect(constraintsOf('<lib><book><isbn>1-2</isbn></book><book><isbn>3-4</isbn></book><loan book="3-4"/><loan book="1-2"/></lib>')).toEqual([
+            { name: 'book_isbnKey', kind: 'key', scope: 'lib', selector: ['book'], field: { element: 'isbn' }, id: false },
+            { name: 'loan_bookKeyref', kind: 'keyref', scope: 'lib', selector: ['loan'], field: { attribute: 'book' }, refer: 'book_isbnKey', id: false },
+        ]);
+    });
+
+    it('should make keys missing on some elements uniques', () => {
+        expect(constraintsOf('<r><p id="a"/><p id="b"/><p/></r>')).toEqual([
+            { name: 'p_idUnique', kind: 'unique', scope: 'r', selector: ['p'], field: { attribute: 'id' }, id: true },
+        ]);
+    });
+
+    it('should only take numbers for references when the names say so', () => {
+        expect(constraintsOf('<r><p id="1"/><p id="2"/><q size="2"/><q size="1"/></r>').map(({ name }) => name)).toEqual(['p_idKey']);
+        expect(constraintsOf('<r><p id="1"/><p id="2"/><q pId="2"/><q pId="1"/></r>').map(({ name, kind }) => [name, kind]))
+            .toEqual([['p_idKey', 'key'], ['q_pIdKeyref', 'keyref']]);
+    });
+
+    it('should not offer IDs whose values clash with another ID', () => {
+        const constraints = constraintsOf('<r><p id="a"/><p id="b"/><q id="b"/><q id="c"/></r>');
+        expect(constraints.map(({ name, id }) => [name, id])).toEqual([['p_idKey', true], ['q_idKey', false]]);
+    });
+
+    it('should give up past the value limit of a document', () => {
+        const tracker = createIdentityTracker();
+        tracker.startDocument();
+        for (let i = 0; i <= IDENTITY_VALUE_LIMIT; i++) tracker.record('/r/p', 'id', String(i));
+        tracker.endDocument();
+        expect(tracker.abandoned).toBe(true);
+        expect(tracker.fields.size).toBe(0);
+    });
+});
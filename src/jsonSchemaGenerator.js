@@ -0,0 +1,206 @@
+import { inferFacets } from './typeInference.js';
+import { inferSchemaModel, getOccurrenceBounds, getAttributeUse, describeContentModel, childParticles, contentInstanceCount, isSimpleElement, documentName } from './schemaModel.js';
+import { importDtd } from './dtdImport.js';
+import { resolveOptions } from './xsdGenerator.js';
+
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+// JSON types of the inferred XSD built-in types; anything else is a plain string
+const JSON_TYPES = {
+    "xs:boolean": { type: "boolean" },
+    "xs:integer": { type: "integer" },
+    "xs:decimal": { type: "number" },
+    "xs:double": { type: "number" },
+    "xs:date": { type: "string", format: "date" },
+    "xs:dateTime": { type: "string", format: "date-time" },
+    "xs:time": { type: "string", format: "time" },
+    "xs:duration": { type: "string", format: "duration" },
+    "xs:anyURI": { type: "string", format: "uri" },
+};
+
+/**
+ * Rewrites an inferred XSD pattern as an anchored ECMAScript pattern. The
+ * patterns only hold classes, quantifiers and escaped characters; `\-` has to
+ * lose its escape (invalid with the "u" flag) and `$` gains one.
+ *
+ * @param {string} pattern An XSD pattern from inferFacets.
+ * @returns {string} The equivalent JSON Schema pattern.
+ */
+function toJsonPattern(pattern) {
+    const body = pattern.replace(/\\(.)|\$/g, (match, escaped) => {
+        if (escaped === undefined) return "\\$";
+        return escaped === "-" ? "-" : match;
+    });
+    return `^${body}$`;
+}
+
+/**
+ * The JSON schema of a value stream: its inferred type plus the facets JSON
+ * Schema can express (enumerations, lengths, patterns and numeric ranges).
+ *
+ * @param {object} stats Accumulated value statistics.
+ * @param {object} settings Resolved generator options.
+ * @returns {object} The value schema.
+ */
+function valueSchema(stats, settings) {
+    const { base, facets } = inferFacets(stats, settings);
+    const schema = { ...(JSON_TYPES[base] || { type: "string" }) };
+    for (const { name, value } of facets) {
+        if (name === "enumeration") {
+            schema.enum = [...(schema.enum || []), value];
+        } else if (name === "minLength" || name === "maxLength") {
+            schema[name] = Number(value);
+        } else if (name === "pattern") {
+            schema.pattern = toJsonPattern(value);
+        } else if ((name === "minInclusive" || name === "maxInclusive") && Number.isFinite(Number(value))) {
+            schema[name === "minInclusive" ? "minimum" : "maximum"] = Number(value);
+        }
+    }
+    return schema;
+}
+
+/**
+ * Generates a JSON Schema (draft 2020-12) for the JSON form of the documents
+ * in a model inferred by inferSchemaModel or inferSchemaModelFromStream.
+ *
+ * The JSON form is an object holding the root element under its name.
+ * Elements with attributes or child elements become objects, text-only
+ * elements their inferred JSON type and always-empty elements null.
+ * Attributes become properties named with the attributePrefix option, text
+ * next to attributes or child elements the textPropertyName property, and
+ * children that repeat arrays. Names keep the prefix the documents used for
+ * their namespace (e.g. "xml:lang"); a name that would clash with another
+ * property of the same object gets a numeric suffix. Complex elements are
+ * defined once under $defs, so recursive structures stay finite.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The JSON Schema document.
+ * @throws {Error} If an option is invalid.
+ */
+export function generateJsonSchemaFromModel(model, options) {
+    const settings = resolveOptions(options);
+    const { elements, rootKeys, documentPrefixes } = model;
+    const policy = settings.occurrencePolicy;
+
+    const jsonName = declaration => documentName(documentPrefixes, declaration);
+
+    // Definition names follow the element names, numbered on a clash
+    const definitionNames = new Map();
+    const usedDefinitionNames = new Set();
+    const pendingDefinitions = [];
+    function definitionFor(elementKey) {
+        if (!definitionNames.has(elementKey)) {
+            const base = elements.get(elementKey).typeBase;
+            let name = base;
+            for (let counter = 2; usedDefinitionNames.has(name); counter++) {
+                name = `${base}${counter}`;
+            }
+            usedDefinitionNames.add(name);
+            definitionNames.set(elementKey, name);
+            pendingDefinitions.push(elementKey);
+        }
+        return { $ref: `#/$defs/${definitionNames.get(elementKey)}` };
+    }
+
+    function elementSchema(elementKey) {
+        const info = elements.get(elementKey);
+        if (isSimpleElement(info)) return valueSchema(info.text, settings);
+        if (info.children.size === 0 && info.attributes.size === 0) return { type: "null" };
+        return definitionFor(elementKey);
+    }
+
+    // The object an element with attributes or children maps to
+    function objectSchema(info) {
+        const properties = new Map();
+        const required = [];
+        const addProperty = (name, schema, isRequired) => {
+            let key = name;
+            for (let counter = 2; properties.has(key); counter++) {
+                key = `${name}${counter}`;
+            }
+            properties.set(key, schema);
+            if (isRequired) required.push(key);
+            return key;
+        };
+
+        for (const attr of info.attributes.values()) {
+            const use = getAttributeUse(attr.values, info.instanceCount, policy);
+            addProperty(`${settings.attributePrefix}${jsonName(attr)}`, valueSchema(attr.values, settings), use === "required");
+        }
+        if (info.hasTextContent) {
+            // Text beside child elements is mixed content, which has no type of its own
+            const text = info.children.size > 0 ? { type: "string" } : valueSchema(info.text, settings);
+            addProperty(settings.textPropertyName, text, false);
+        }
+
+        // JSON objects are unordered, so only a choice needs more than per-child bounds:
+        // its children count against the instances that chose them, and exactly one is present.
+        // Children of nested groups are bounded by how often they may occur in the element.
+        const { kind, children, particles: nested } = info.contentModel;
+        const isChoice = kind === "choice" && !nested;
+        const occurs = nested ? new Map(childParticles(describeContentModel(info, policy)).map(child => [child.key, child.occurs])) : null;
+        const chosen = [];
+        for (const childKey of children) {
+            const stats = info.children.get(childKey);
+            const { minOccurs, maxOccurs } = occurs
+                ? occurs.get(childKey)
+                : getOccurrenceBounds(stats, isChoice ? stats.presentIn : contentInstanceCount(info), policy);
+            let schema = elementSchema(childKey);
+            if (maxOccurs !== "1") {
+                schema = { type: "array", items: schema };
+                if (Number(minOccurs) > 0) schema.minItems = Number(minOccurs);
+                if (maxOccurs !== "unbounded") schema.maxItems = Number(maxOccurs);
+            }
+            chosen.push(addProperty(jsonName(elements.get(childKey)), schema, !isChoice && minOccurs !== "0"));
+        }
+
+        const schema = { type: "object", properties: Object.fromEntries(properties) };
+        if (required.length > 0) schema.required = required;
+        if (isChoice && describeContentModel(info, policy).minOccurs !== "0") {
+            schema.oneOf = chosen.map(key => ({ required: [key] }));
+        }
+        schema.additionalProperties = false;
+        return schema;
+    }
+
+    // The document is an object with one property: the root element
+    const roots = [...rootKeys].map(key => ({ name: jsonName(elements.get(key)), schema: elementSchema(key) }));
+    const document = {
+        $schema: JSON_SCHEMA_DIALECT,
+        type: "object",
+        properties: Object.fromEntries(roots.map(root => [root.name, root.schema])),
+    };
+    if (roots.length === 1) {
+        document.required = [roots[0].name];
+    } else {
+        document.minProperties = 1;
+        document.maxProperties = 1;
+    }
+    document.additionalProperties = false;
+
+    const definitions = {};
+    while (pendingDefinitions.length > 0) {
+        const elementKey = pendingDefinitions.shift();
+        definitions[definitionNames.get(elementKey)] = objectSchema(elements.get(elementKey));
+    }
+    if (definitionNames.size > 0) document.$defs = definitions;
+
+    return `${JSON.stringify(document, null, settings.indent)}\n`;
+}
+
+/**
+ * Parses XML and generates a JSON Schema for its JSON form; see
+ * generateJsonSchemaFromModel.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The JSON Schema document.
+ * @throws {Error} If XML parsing fails or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export function generateJsonSchema(xmlInput, options) {
+    const settings = resolveOptions(options);
+    const model = inferSchemaModel(xmlInput, settings);
+    const imported = importDtd(model, settings);
+    return generateJsonSchemaFromModel(imported ? imported.model : model, settings);
+}
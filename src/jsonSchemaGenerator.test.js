@@ -0,0 +1,93 @@
+// src/jsonSchemaGenerator.test.js
+import { generateJsonSchema, generateJsonSchemaFromModel } from './jsonSchemaGenerator';
+import { inferSchemaModel, inferSchemaModelFromStream } from './schemaModel';
+import { generateSchemas, generateSchemasFromModel } from './xsdGenerator';
+import { parseDomRoot } from './xmlDom';
+
+const jsonSchema = (xml, options) => JSON.parse(generateJsonSchema(xml, { xmlParser: parseDomRoot, ...options }));
+
+describe('jsonSchemaGenerator', () => {
+    it('should map elements to objects, repeated children to arrays and attributes to prefixed properties', () => {
+        const schema = jsonSchema([
+            '<order id="1"><customer>Ann</customer><item sku="A">9.50</item><item sku="B">3</item><paid>true</paid><gift/></order>',
+            '<order id="2"><customer>Bob</customer><due>2024-05-01</due><gift/></order>',
+        ]);
+        expect(schema).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: { order: { $ref: '#/$defs/order' } },
+            required: ['order'],
+            additionalProperties: false,
+            $defs: {
+                order: {
+                    type: 'object',
+                    properties: {
+                        '@id': { type: 'integer' },
+                        customer: { type: 'string' },
+                        item: { type: 'array', items: { $ref: '#/$defs/item' } },
+                        paid: { type: 'boolean' },
+                        due: { type: 'string', format: 'date' },
+                        gift: { type: 'null' },
+                    },
+                    required: ['@id', 'customer', 'gift'],
+                    additionalProperties: false,
+                },
+                item: {
+                    type: 'object',
+                    properties: { '@sku': { type: 'string' }, '#text': { type: 'number' } },
+                    required: ['@sku'],
+                    additionalProperties: false,
+                },
+            },
+        });
+    });
+
+    it('should apply the attribute prefix, text property and occurrence policy options', () => {
+        const xml = '<list><entry key="a">x<b>1</b></entry><entry key="b">y<b>2</b><b>3</b></entry></list>';
+        const { $defs } = jsonSchema(xml, { attributePrefix: '_', textPropertyName: 'value', occurrencePolicy: 'exact' });
+        expect($defs.list.properties.entry).toEqual({ type: 'array', items: { $ref: '#/$defs/entry' }, minItems: 2, maxItems: 2 });
+        expect($defs.entry.properties).toEqual({
+            _key: { type: 'string' },
+            value: { type: 'string' },
+            b: { type: 'array', items: { type: 'integer' }, minItems: 1, maxItems: 2 },
+        });
+        expect($defs.entry.required).toEqual(['_key', 'b']);
+
+        // Without a prefix an attribute and a child of the same name need distinct properties
+        expect(jsonSchema('<a id="1"><id>2</id></a>', { attributePrefix: '' }).$defs.a.properties)
+            .toEqual({ id: { type: 'integer' }, id2: { type: 'integer' } });
+        expect(() => generateJsonSchema('<a/>', { xmlParser: parseDomRoot, textPropertyName: '' }))
+            .toThrow('Invalid text property name "".');
+    });
+
+    it('should describe choices, recursion, namespaces and facets', () => {
+        const choice = jsonSchema(['<pay><card>1</card></pay>', '<pay><cash>2</cash></pay>']);
+        expect(choice.$defs.pay.oneOf).toEqual([{ required: ['card'] }, { required: ['cash'] }]);
+        expect(choice.$defs.pay.required).toBeUndefined();
+
+        const tree = jsonSchema('<node><node><node/></node></node>');
+        expect(tree.$defs.node.properties).toEqual({ node: { $ref: '#/$defs/node' } });
+
+        const names = jsonSchema('<doc xmlns="urn:d" xmlns:m="urn:m" xml:lang="en" m:rev="2"><m:title>T</m:title></doc>');
+        expect(Object.keys(names.$defs.doc.properties)).toEqual(['@xml:lang', '@m:rev', 'm:title']);
+
+        const codes = jsonSchema('<codes><c>A-1</c><c>B-2</c><c>A-1</c><p>$5</p><p>$7</p><n>1.5</n><n>20</n></codes>', { enumerationThreshold: 0, emitFacets: true });
+        expect(codes.$defs.codes.properties).toEqual({
+            c: { type: 'array', items: { type: 'string', minLength: 3, maxLength: 3, pattern: '^[A-Z]-\\d$' }, minItems: 1 },
+            p: { type: 'array', items: { type: 'string', minLength: 2, maxLength: 2, pattern: '^\\$\\d$' }, minItems: 1 },
+            n: { type: 'array', items: { type: 'number', minimum: 1.5, maximum: 20 }, minItems: 1 },
+        });
+        expect(new RegExp(codes.$defs.codes.properties.c.items.pattern, 'u').test('Z-9')).toBe(true);
+        expect(jsonSchema('<s><v>a</v><v>b</v><v>a</v></s>').$defs.s.properties.v.items).toEqual({ type: 'string', enum: ['a', 'b'] });
+    });
+
+    it('should emit every format from one inferred model', async () => {
+        const samples = ['<a xmlns="urn:a" x="1"><b>2</b></a>', '<a xmlns="urn:a" x="3"/>'];
+        const model = inferSchemaModel(samples, { xmlParser: parseDomRoot });
+        expect(await inferSchemaModelFromStream(samples)).toEqual(model);
+        expect(generateSchemasFromModel(model, { designStyle: 'venetianBlind' }))
+            .toEqual(generateSchemas(samples, { xmlParser: parseDomRoot, designStyle: 'venetianBlind' }));
+        expect(generateJsonSchemaFromModel(model, { indent: '\t' })).toBe(generateJsonSchema(samples, { xmlParser: parseDomRoot, indent: '\t' }));
+        expect(generateJsonSchemaFromModel(model, { indent: 0 })).toMatch(/^\{"\$schema":.*\}\n$/);
+    });
+});
@@ -0,0 +1,312 @@
+import { inferFacets } from './typeInference.js';
+import { inferSchemaModel, getAttributeUse, describeContentModel, occurrenceIndicator, resolveIdentityConstraints } from './schemaModel.js';
+import { importDtd } from './dtdImport.js';
+import { resolveOptions, assignNamespacePrefixes, escapeAttribute, escapeText } from './xsdGenerator.js';
+import { XML_NAMESPACE } from './xmlParser.js';
+
+const RELAX_NG_NAMESPACE = "http://relaxng.org/ns/structure/1.0";
+const XSD_DATATYPES = "http://www.w3.org/2001/XMLSchema-datatypes";
+// Compact syntax prefix bound to no namespace, for unqualified elements under a default namespace
+const UNQUALIFIED_PREFIX = "local";
+// Identifiers that have to be escaped with a backslash in the compact syntax
+const COMPACT_KEYWORDS = new Set([
+    "attribute", "default", "datatypes", "div", "element", "empty", "external", "grammar", "include",
+    "inherit", "list", "mixed", "namespace", "notAllowed", "parent", "start", "string", "text", "token",
+]);
+const QUANTIFIERS = { "?": "optional", "*": "zeroOrMore", "+": "oneOrMore" };
+const COMPACT_OPERATORS = { group: ",", interleave: " &", choice: " |" };
+
+/**
+ * Quotes a string as a compact syntax literal. Double quotes are
+ * concatenated in as '"' with the ~ operator, line breaks need a
+ * triple-quoted literal, and a backslash that would start a \x{...} escape
+ * is itself written as one.
+ *
+ * @param {string} value The string.
+ * @returns {string} The literal.
+ */
+function compactLiteral(value) {
+    if (value === "") return '""';
+    return value.split(/(")/).filter(part => part !== "").map(part => {
+        if (part === '"') return `'"'`;
+        const escaped = part.replace(/\\(?=x+\{)/g, "\\x{5C}");
+        return /[\r\n]/.test(part) ? `"""${escaped}"""` : `"${escaped}"`;
+    }).join(" ~ ");
+}
+
+// Wraps a pattern in the quantifier for an occurrence indicator
+function quantify(pattern, indicator) {
+    return indicator ? { type: QUANTIFIERS[indicator], item: pattern } : pattern;
+}
+
+/**
+ * Builds the grammar for a model as a tree of RELAX NG patterns, which the
+ * XML and compact syntaxes then render. Every declaration reachable from the
+ * document roots becomes one named pattern (define), so recursion needs no
+ * special treatment. RELAX NG has no identity constraints: only the xs:ID and
+ * xs:IDREF types of the identityConstraints option carry over.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} settings Resolved generator options.
+ * @returns {{start: object, defines: {name: string, pattern: object}[]}} The grammar.
+ */
+function buildGrammar(model, settings) {
+    const { elements, rootKeys } = resolveIdentityConstraints(model, settings).model;
+    const defineNames = new Map();
+    const usedNames = new Set();
+    const pending = [];
+    function defineFor(elementKey) {
+        if (!defineNames.has(elementKey)) {
+            const base = elements.get(elementKey).typeBase;
+            let name = base;
+            for (let counter = 2; usedNames.has(name); counter++) {
+                name = `${base}${counter}`;
+            }
+            usedNames.add(name);
+            defineNames.set(elementKey, name);
+            pending.push(elementKey);
+        }
+        return { type: "ref", name: defineNames.get(elementKey) };
+    }
+
+    // Built-in string values without facets are plain text; enumerations become a choice of values
+    function valuePattern(stats) {
+        const { base, facets } = inferFacets(stats, settings);
+        const datatype = base.replace(/^xs:/, "");
+        const values = facets.filter(facet => facet.name === "enumeration")
+            .map(facet => ({ type: "value", datatype, value: facet.value }));
+        if (values.length > 0) return values.length === 1 ? values[0] : { type: "choice", items: values };
+        if (datatype === "string" && facets.length === 0) return { type: "text" };
+        return { type: "data", datatype, params: facets };
+    }
+
+    function modelGroup({ kind, minOccurs, maxOccurs, particles }) {
+        const items = particles.map(({ key, bounds, group }) => (group ? modelGroup(group) : quantify(defineFor(key), occurrenceIndicator(bounds))));
+        const type = { sequence: "group", all: "interleave" }[kind] || "choice";
+        return quantify(items.length === 1 ? items[0] : { type, items }, occurrenceIndicator({ minOccurs, maxOccurs }));
+    }
+
+    function elementPattern(info) {
+        const items = [...info.attributes.values()].map(attr => {
+            const pattern = { type: "attribute", name: attr, content: valuePattern(attr.values) };
+            const use = getAttributeUse(attr.values, info.instanceCount, settings.occurrencePolicy);
+            return use === "required" ? pattern : quantify(pattern, "?");
+        });
+        if (info.children.size > 0) {
+            const group = modelGroup(describeContentModel(info, settings.occurrencePolicy));
+            if (info.hasTextContent) items.push({ type: "mixed", item: group });
+            else if (group.type === "group") items.push(...group.items); // Attributes and children form one group
+            else items.push(group);
+        } else if (info.hasTextContent) {
+            items.push(valuePattern(info.text));
+        }
+        const content = items.length === 0 ? { type: "empty" } : items.length === 1 ? items[0] : { type: "group", items };
+        return { type: "element", name: info, content };
+    }
+
+    const roots = [...rootKeys].map(defineFor);
+    const start = roots.length === 1 ? roots[0] : { type: "choice", items: roots };
+    const defines = [];
+    while (pending.length > 0) {
+        const elementKey = pending.shift();
+        defines.push({ name: defineNames.get(elementKey), pattern: elementPattern(elements.get(elementKey)) });
+    }
+    return { start, defines };
+}
+
+/**
+ * Generates a RELAX NG grammar in the XML syntax for a model inferred by
+ * inferSchemaModel or inferSchemaModelFromStream.
+ *
+ * Each element declaration becomes a define holding its element pattern;
+ * attributes, simple values (with XSD datatypes and their facets as
+ * parameters), content models (sequence as group, all as interleave,
+ * choices) and mixed content map to the corresponding patterns. RELAX NG has
+ * no numeric occurrence bounds, so exact counts widen to optional,
+ * zeroOrMore or oneOrMore. The root element's namespace is the grammar's
+ * default (ns); every namespace of the documents fits in one grammar.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The RELAX NG grammar.
+ * @throws {Error} If an option is invalid.
+ */
+export function generateRelaxNgFromModel(model, options) {
+    const settings = resolveOptions(options);
+    const { start, defines } = buildGrammar(model, settings);
+    const prefixes = assignNamespacePrefixes(model.documentPrefixes, UNQUALIFIED_PREFIX);
+    const usedNamespaces = new Set(); // Namespaces whose prefix the grammar has to declare
+    const pad = level => settings.indent.repeat(level);
+
+    // Element names in the root namespace inherit the grammar's ns; unqualified ones reset it
+    function nameAttributes({ namespace, name }, isAttribute) {
+        if (namespace && (isAttribute || namespace !== model.rootNamespace)) {
+            usedNamespaces.add(namespace);
+            return ` name="${prefixes.get(namespace)}:${name}"`;
+        }
+        return ` name="${name}"${!isAttribute && !namespace && model.rootNamespace ? ' ns=""' : ''}`;
+    }
+
+    // Elements, attributes, quantifiers and mixed take their content as an implicit group
+    const contents = pattern => (pattern.type === "group" ? pattern.items : [pattern]);
+    function render(pattern, level) {
+        const indent = pad(level);
+        const block = (tag, items) => `${indent}<${tag}>\n${items.map(item => render(item, level + 1)).join('')}${indent}</${tag.split(" ")[0]}>\n`;
+        switch (pattern.type) {
+            case "ref":
+                return `${indent}<ref name="${pattern.name}"/>\n`;
+            case "text":
+            case "empty":
+                return `${indent}<${pattern.type}/>\n`;
+            case "value":
+                return `${indent}<value type="${pattern.datatype}">${escapeText(pattern.value)}</value>\n`;
+            case "data":
+                if (pattern.params.length === 0) return `${indent}<data type="${pattern.datatype}"/>\n`;
+                return `${indent}<data type="${pattern.datatype}">\n${pattern.params.map(param =>
+                    `${pad(level + 1)}<param name="${param.name}">${escapeText(param.value)}</param>\n`).join('')}${indent}</data>\n`;
+            case "element":
+                return block(`element${nameAttributes(pattern.name, false)}`, contents(pattern.content));
+            case "attribute":
+                return block(`attribute${nameAttributes(pattern.name, true)}`, [pattern.content]);
+            case "group":
+            case "interleave":
+            case "choice":
+                return block(pattern.type, pattern.items);
+            default: // optional, zeroOrMore, oneOrMore, mixed
+                return block(pattern.type, contents(pattern.item));
+        }
+    }
+
+    let body = `${pad(1)}<start>\n${render(start, 2)}${pad(1)}</start>\n`;
+    for (const { name, pattern } of defines) {
+        body += `\n${pad(1)}<define name="${name}">\n${render(pattern, 2)}${pad(1)}</define>\n`;
+    }
+
+    let out = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    out += `<grammar xmlns="${RELAX_NG_NAMESPACE}"\n`;
+    for (const namespace of usedNamespaces) {
+        if (namespace !== XML_NAMESPACE) out += `         xmlns:${prefixes.get(namespace)}="${escapeAttribute(namespace)}"\n`;
+    }
+    if (model.rootNamespace) out += `         ns="${escapeAttribute(model.rootNamespace)}"\n`;
+    out += `         datatypeLibrary="${XSD_DATATYPES}">\n`;
+    out += body;
+    out += `</grammar>\n`;
+    return out;
+}
+
+/**
+ * Generates a RELAX NG grammar in the compact syntax for a model inferred by
+ * inferSchemaModel or inferSchemaModelFromStream. The patterns are the same
+ * as generateRelaxNgFromModel's; the root element's namespace is the default
+ * namespace and unqualified elements below it use the "local" prefix.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The compact syntax grammar.
+ * @throws {Error} If an option is invalid.
+ */
+export function generateRelaxNgCompactFromModel(model, options) {
+    const settings = resolveOptions(options);
+    const { start, defines } = buildGrammar(model, settings);
+    const prefixes = assignNamespacePrefixes(model.documentPrefixes, UNQUALIFIED_PREFIX);
+    const pad = level => settings.indent.repeat(level);
+    const usedNamespaces = new Set(); // Namespaces whose prefix the grammar has to declare
+    let usesUnqualified = false;
+
+    const identifier = name => (COMPACT_KEYWORDS.has(name) ? `\\${name}` : name);
+    function compactName({ namespace, name }, isAttribute) {
+        if (namespace && (isAttribute || namespace !== model.rootNamespace)) {
+            usedNamespaces.add(namespace);
+            return `${prefixes.get(namespace)}:${name}`;
+        }
+        if (!isAttribute && !namespace && model.rootNamespace) {
+            usesUnqualified = true;
+            return `${UNQUALIFIED_PREFIX}:${name}`;
+        }
+        return identifier(name);
+    }
+
+    // Composite patterns need parentheses inside other composites and under quantifiers
+    function render(pattern, level, nested = false) {
+        switch (pattern.type) {
+            case "ref":
+                return identifier(pattern.name);
+            case "text":
+            case "empty":
+                return pattern.type;
+            case "value":
+                return `xsd:${pattern.datatype} ${compactLiteral(pattern.value)}`;
+            case "data": {
+                const params = pattern.params.map(param => `${param.name} = ${compactLiteral(param.value)}`);
+                return `xsd:${pattern.datatype}${params.length > 0 ? ` { ${params.join(" ")} }` : ''}`;
+            }
+            case "element": {
+                const head = `element ${compactName(pattern.name, false)}`;
+                const content = pattern.content;
+                if (content.type !== "group") return `${head} { ${render(content, level + 1)} }`;
+                // Elements with several particles get one per line
+                const lines = content.items.map(item => `${pad(level + 1)}${render(item, level + 1, true)}`);
+                return `${head} {\n${lines.join(",\n")}\n${pad(level)}}`;
+            }
+            case "attribute":
+                return `attribute ${compactName(pattern.name, true)} { ${render(pattern.content, level)} }`;
+            case "mixed":
+                return `mixed { ${render(pattern.item, level)} }`;
+            case "group":
+            case "interleave":
+            case "choice": {
+                const joined = pattern.items.map(item => render(item, level, true)).join(`${COMPACT_OPERATORS[pattern.type]} `);
+                return nested ? `(${joined})` : joined;
+            }
+            default: { // optional, zeroOrMore, oneOrMore
+                const indicator = Object.keys(QUANTIFIERS).find(key => QUANTIFIERS[key] === pattern.type);
+                return `${render(pattern.item, level, true)}${indicator}`;
+            }
+        }
+    }
+
+    let body = `start = ${render(start, 0)}\n`;
+    for (const { name, pattern } of defines) {
+        body += `\n${identifier(name)} =\n${pad(1)}${render(pattern, 1)}\n`;
+    }
+
+    let header = '';
+    if (model.rootNamespace) header += `default namespace = ${compactLiteral(model.rootNamespace)}\n`;
+    if (usesUnqualified) header += `namespace ${UNQUALIFIED_PREFIX} = ""\n`;
+    for (const namespace of usedNamespaces) {
+        if (namespace !== XML_NAMESPACE) header += `namespace ${prefixes.get(namespace)} = ${compactLiteral(namespace)}\n`;
+    }
+    return header ? `${header}\n${body}` : body;
+}
+
+/**
+ * Parses XML and generates a RELAX NG grammar in the XML syntax; see
+ * generateRelaxNgFromModel.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The RELAX NG grammar.
+ * @throws {Error} If XML parsing fails or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export function generateRelaxNg(xmlInput, options) {
+    const settings = resolveOptions(options);
+    const model = inferSchemaModel(xmlInput, settings);
+    const imported = importDtd(model, settings);
+    return generateRelaxNgFromModel(imported ? imported.model : model, settings);
+}
+
+/**
+ * Parses XML and generates a RELAX NG grammar in the compact syntax; see
+ * generateRelaxNgCompactFromModel.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The compact syntax grammar.
+ * @throws {Error} If XML parsing fails or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export function generateRelaxNgCompact(xmlInput, options) {
+    const settings = resolveOptions(options);
+    const model = inferSchemaModel(xmlInput, settings);
+    const imported = importDtd(model, settings);
+    return generateRelaxNgCompactFromModel(imported ? imported.model : model, settings);
+}
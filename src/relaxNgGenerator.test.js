@@ -0,0 +1,114 @@
+// src/relaxNgGenerator.test.js
+import { generateRelaxNg, generateRelaxNgCompact, generateRelaxNgFromModel, generateRelaxNgCompactFromModel } from './relaxNgGenerator';
+import { inferSchemaModel } from './schemaModel';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot };
+const orders = [
+    '<order id="1"><customer>Ann</customer><item sku="A">9.50</item><item>3</item><note>hi <b>x</b></note></order>',
+    '<order id="2"><customer>Bob</customer></order>',
+];
+
+describe('relaxNgGenerator', () => {
+    it('should render elements, attributes, content models and mixed content in the XML syntax', () => {
+        const grammar = generateRelaxNg(orders, options);
+        expect(grammar).toContain('<grammar xmlns="http://relaxng.org/ns/structure/1.0"\n         datatypeLibrary="http://www.w3.org/2001/XMLSchema-datatypes">');
+        expect(grammar).toContain('  <start>\n    <ref name="order"/>\n  </start>');
+        expect(grammar).toContain(`    <element name="order">
+      <attribute name="id">
+        <data type="integer"/>
+      </attribute>
+      <ref name="customer"/>
+      <zeroOrMore>
+        <ref name="item"/>
+      </zeroOrMore>
+      <optional>
+        <ref name="note"/>
+      </optional>
+    </element>`);
+        expect(grammar).toContain(`      <optional>
+        <attribute name="sku">
+          <text/>
+        </attribute>
+      </optional>
+      <data type="decimal"/>`);
+        expect(grammar).toContain('      <mixed>\n        <ref name="b"/>\n      </mixed>');
+    });
+
+    it('should render the same grammar in the compact syntax', () => {
+        expect(generateRelaxNgCompact(orders, options)).toBe(`start = order
+
+order =
+  element order {
+    attribute id { xsd:integer },
+    customer,
+    item*,
+    note?
+  }
+
+customer =
+  element customer { text }
+
+item =
+  element item {
+    attribute sku { text }?,
+    xsd:decimal
+  }
+
+note =
+  element note { mixed { b } }
+
+b =
+  element b { text }
+`);
+    });
+
+    it('should declare the namespaces in use and escape compact keywords', () => {
+        const xml = '<doc xmlns="urn:d" xmlns:m="urn:m" xml:lang="en" m:rev="2"><m:title>T</m:title><list xmlns=""/><element>x</element></doc>';
+        const grammar = generateRelaxNg(xml, options);
+        expect(grammar).toContain('         xmlns:m="urn:m"\n         ns="urn:d"\n');
+        expect(grammar).not.toContain('xmlns:xml');
+        expect(grammar).toContain('<attribute name="xml:lang">');
+        expect(grammar).toContain('<element name="m:title">');
+        expect(grammar).toContain('<element name="list" ns="">');
+
+        const compact = generateRelaxNgCompact(xml, options);
+        expect(compact.startsWith('default namespace = "urn:d"\nnamespace local = ""\nnamespace m = "urn:m"\n\nstart = doc\n')).toBe(true);
+        expect(compact).toContain('\\list =\n  element local:list { empty }');
+        expect(compact).toContain('\\element =\n  element \\element { text }');
+    });
+
+    it('should express enumerations, facets and literals with datatypes', () => {
+        const xml = '<s><v>a</v><v>b</v><v>a</v><n>A-1</n><n>B-22</n><q>say "hi"</q><q>say "hi"</q></s>';
+        const compact = generateRelaxNgCompact(xml, { ...options, emitFacets: true });
+        expect(compact).toContain('element v { xsd:string "a" | xsd:string "b" }');
+        expect(compact).toContain('element n { xsd:string { minLength = "3" maxLength = "4" pattern = "[A-Z]\\-\\d{1,2}" } }');
+        expect(compact).toContain(`element q { xsd:string "say " ~ '"' ~ "hi" ~ '"' }`);
+
+        const grammar = generateRelaxNg(xml, { ...options, emitFacets: true });
+        expect(grammar).toContain('<choice>\n        <value type="string">a</value>\n        <value type="string">b</value>\n      </choice>');
+        expect(grammar).toContain('<param name="pattern">[A-Z]\\-\\d{1,2}</param>');
+        expect(grammar).toContain('<value type="string">say "hi"</value>');
+    });
+
+    it('should map choices and unordered children and widen exact counts', () => {
+        const choice = generateRelaxNgCompact(['<pay><card>1</card></pay>', '<pay><cash>2</cash></pay>'], options);
+        expect(choice).toContain('element pay { card | cash }');
+
+        const unordered = generateRelaxNgCompact(['<p><a/><b/></p>', '<p><b/><a/></p>'], options);
+        expect(unordered).toContain('element p { a & b }');
+
+        const exact = generateRelaxNgCompact('<l><i>1</i><i>2</i></l>', { ...options, occurrencePolicy: 'exact' });
+        expect(exact).toContain('element l { i+ }');
+
+        const tree = generateRelaxNg('<node><node><node/></node></node>', options);
+        expect(tree.match(/<define /g)).toHaveLength(1);
+    });
+
+    it('should emit from an inferred model', () => {
+        const model = inferSchemaModel(orders, options);
+        expect(generateRelaxNgFromModel(model, { indent: '\t' })).toBe(generateRelaxNg(orders, { ...options, indent: '\t' }));
+        expect(generateRelaxNgCompactFromModel(model)).toBe(generateRelaxNgCompact(orders, options));
+        expect(() => generateRelaxNgFromModel(model, { occurrencePolicy: 'loose' })).toThrow();
+    });
+});
@@ -0,0 +1,509 @@
+import { inferFacets } from './typeInference.js';
+import { getAttributeUse, describeContentModel, resolveIdentityConstraints } from './schemaModel.js';
+import { resolveOptions, assignNamespacePrefixes, escapeAttribute, escapeText } from './xsdGenerator.js';
+import { readSchemaModel } from './schemaRefinement.js';
+import { toRegExp } from './xsdValidator.js';
+import { isBuiltinSimpleType, isNumericBuiltin, isValidBuiltinValue, normalizeWhiteSpace, builtinWhiteSpace } from './xsdDatatypes.js';
+import { XML_NAMESPACE } from './xmlParser.js';
+
+const MAX_DOCUMENTS = 100;
+// Nesting depth past which a schema that requires endless recursion gets no further children
+const MAX_DEPTH = 32;
+// Further ordinals tried for a key value that is already taken
+const MAX_KEY_ATTEMPTS = 100;
+const INTEGER_TYPES = ["integer", "nonPositiveInteger", "negativeInteger", "long", "int", "short", "byte", "nonNegativeInteger",
+    "unsignedLong", "unsignedInt", "unsignedShort", "unsignedByte", "positiveInteger"];
+const DIGITS = [..."1234567890"];
+const LETTERS = [..."abcdefghijklmnopqrstuvwxyz"];
+
+/**
+ * Placeholder values of the built-in types that are neither strings nor
+ * numbers, by local name. `ordinal` counts the values of one attribute or
+ * element from 1, so repeated items differ.
+ */
+const PLACEHOLDERS = {
+    boolean: ordinal => (ordinal % 2 === 1 ? "true" : "false"),
+    date: ordinal => `2024-01-${String((ordinal - 1) % 28 + 1).padStart(2, "0")}`,
+    dateTime: ordinal => `${PLACEHOLDERS.date(ordinal)}T09:30:00`,
+    time: () => "09:30:00",
+    duration: ordinal => `P${ordinal}D`,
+    gYear: () => "2024",
+    gYearMonth: () => "2024-01",
+    gMonth: () => "--01",
+    gMonthDay: () => "--01-15",
+    gDay: () => "---15",
+    hexBinary: () => "0FB7",
+    base64Binary: () => "U2FtcGxl",
+    language: () => "en",
+    anyURI: (ordinal, name) => `https://example.com/${name}/${ordinal}`,
+};
+
+/**
+ * Significant digits of a decimal value, as the totalDigits and
+ * fractionDigits facets count them.
+ *
+ * @param {string} value A decimal lexical value.
+ * @returns {{total: number, fraction: number}} The digit counts.
+ */
+function countDigits(value) {
+    const [integer, fraction = ""] = value.replace(/^[+-]/, "").split(".");
+    const significantFraction = fraction.replace(/0+$/, "");
+    const significantInteger = integer.replace(/^0+/, "");
+    return { total: significantInteger.length + significantFraction.length || 1, fraction: significantFraction.length };
+}
+
+/**
+ * Checks a value against a built-in base type and the facets restricting it,
+ * the way the validator does.
+ *
+ * @param {string} localName Local name of the built-in base type.
+ * @param {{name: string, value: string}[]} facets The restriction facets.
+ * @param {string} value The candidate value.
+ * @returns {boolean} True if the value is valid.
+ */
+function fitsType(localName, facets, value) {
+    if (!isBuiltinSimpleType(localName)) return true;
+    const normalized = normalizeWhiteSpace(value, builtinWhiteSpace(localName));
+    if (!isValidBuiltinValue(localName, normalized)) return false;
+    const enumeration = facets.filter(facet => facet.name === "enumeration");
+    if (enumeration.length > 0 && !enumeration.some(facet => normalizeWhiteSpace(facet.value, builtinWhiteSpace(localName)) === normalized)) {
+        return false;
+    }
+    const patterns = facets.filter(facet => facet.name === "pattern");
+    if (patterns.length > 0 && !patterns.some(facet => toRegExp(facet.value).test(normalized))) return false;
+
+    const number = Number(normalized);
+    const digits = isNumericBuiltin(localName) ? countDigits(normalized) : null;
+    return facets.every(({ name, value: limit }) => {
+        switch (name) {
+            case "length": return normalized.length === Number(limit);
+            case "minLength": return normalized.length >= Number(limit);
+            case "maxLength": return normalized.length <= Number(limit);
+            case "minInclusive": return !digits || number >= Number(limit);
+            case "maxInclusive": return !digits || number <= Number(limit);
+            case "minExclusive": return !digits || number > Number(limit);
+            case "maxExclusive": return !digits || number < Number(limit);
+            case "totalDigits": return !digits || digits.total <= Number(limit);
+            case "fractionDigits": return !digits || digits.fraction <= Number(limit);
+            default: return true;
+        }
+    });
+}
+
+/**
+ * Builds a string matching an XSD regular expression, taking the first
+ * alternative of every branch and the fewest repetitions each quantifier
+ * allows. The ordinal picks the characters: the first string takes the first
+ * character of every class, and later ones count up from the last character
+ * on, so values that must differ (keys, IDs) do as long as the expression
+ * leaves room. Returns null for expressions it cannot follow.
+ *
+ * @param {string} pattern The value of a pattern facet.
+ * @param {number} [ordinal] Which string to build, from 1.
+ * @returns {string|null} A matching string, as far as the expression was understood.
+ */
+function samplePattern(pattern, ordinal = 1) {
+    let pos = 0;
+
+    // The characters an escape stands for
+    const escaped = letter => {
+        switch (letter) {
+            case "d": return DIGITS;
+            case "w": case "i": case "c": return LETTERS;
+            case "s": return [" "];
+            case "D": case "S": case "I": case "C": return ["x"];
+            case "W": return ["-"];
+            case "n": return ["\n"];
+            case "r": return ["\r"];
+            case "t": return ["\t"];
+            case "p": case "P":
+                pos = pattern.indexOf("}", pos) + 1;
+                if (pos === 0) throw new Error("Unterminated category escape");
+                return letter === "p" ? LETTERS : ["1"];
+            default: return [letter];
+        }
+    };
+
+    const characterClass = () => {
+        const negated = pattern[pos] === "^";
+        if (negated) pos++;
+        const chars = [];
+        while (pos < pattern.length && pattern[pos] !== "]") {
+            const ch = pattern[pos++];
+            if (ch === "-" && pattern[pos] === "[") {
+                // Class subtraction; a member of the outer class is checked by the caller anyway
+                pos++;
+                characterClass();
+            } else if (ch === "\\") {
+                chars.push(...escaped(pattern[pos++]));
+            } else if (pattern[pos] === "-" && pattern[pos + 1] !== "]" && pattern[pos + 1] !== "[" && pos + 1 < pattern.length) {
+                const end = pattern[pos + 1];
+                pos += 2;
+                for (let code = ch.charCodeAt(0); code <= end.charCodeAt(0) && chars.length < 64; code++) {
+                    chars.push(String.fromCharCode(code));
+                }
+            } else {
+                chars.push(ch);
+            }
+        }
+        if (pos >= pattern.length) throw new Error("Unterminated character class");
+        pos++;
+        return negated ? [..."aA1-x_"].filter(ch => !chars.includes(ch)) : chars;
+    };
+
+    // The minimum repetitions of the quantifier at pos, 1 when there is none
+    const repetitions = () => {
+        const ch = pattern[pos];
+        if (ch === "?" || ch === "*") { pos++; return 0; }
+        if (ch === "+") { pos++; return 1; }
+        if (ch !== "{") return 1;
+        const end = pattern.indexOf("}", pos);
+        if (end < 0) throw new Error("Unterminated quantifier");
+        const min = Number(pattern.slice(pos + 1, end).split(",")[0]);
+        pos = end + 1;
+        return min;
+    };
+
+    // The character positions of a branch, each `{chars, start}`: the characters
+    // allowed there and the one the first string takes
+    const branch = () => {
+        const slots = [];
+        while (pos < pattern.length && pattern[pos] !== "|" && pattern[pos] !== ")") {
+            const ch = pattern[pos++];
+            let unit;
+            if (ch === "(") {
+                unit = alternatives();
+                if (pattern[pos++] !== ")") throw new Error("Unterminated group");
+            } else {
+                const chars = ch === "[" ? characterClass() : ch === "\\" ? escaped(pattern[pos++]) : ch === "." ? LETTERS : [ch];
+                if (chars.length === 0) throw new Error("Empty character class");
+                unit = [{ chars, start: 0 }];
+            }
+            const count = repetitions();
+            // Repeated characters differ from one another, as in "123"
+            for (let i = 0; i < count; i++) slots.push(...unit.map(slot => (unit.length === 1 ? { ...slot, start: i } : slot)));
+        }
+        return slots;
+    };
+
+    const alternatives = () => {
+        const first = branch();
+        while (pattern[pos] === "|") {
+            pos++;
+            branch();
+        }
+        return first;
+    };
+
+    try {
+        const slots = alternatives();
+        if (pos !== pattern.length) return null;
+        // The ordinal, less one, in the mixed radix of the positions, last position first
+        let rest = ordinal - 1;
+        const picked = [];
+        for (let k = slots.length - 1; k >= 0; k--) {
+            const { chars, start } = slots[k];
+            picked[k] = chars[(start + rest) % chars.length];
+            rest = Math.floor(rest / chars.length);
+        }
+        return picked.join("");
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fits a string between the length facets, padding with "x" or cutting it short.
+ *
+ * @param {string} value The string.
+ * @param {{name: string, value: string}[]} facets The restriction facets.
+ * @returns {string} The string with an allowed length.
+ */
+function fitLength(value, facets) {
+    const limit = name => facets.find(facet => facet.name === name);
+    const exact = limit("length");
+    const min = Number((exact || limit("minLength") || { value: 0 }).value);
+    const max = exact || limit("maxLength") ? Number((exact || limit("maxLength")).value) : Infinity;
+    return value.padEnd(min, "x").slice(0, max);
+}
+
+/**
+ * Numbers worth trying for a numeric type: the preferred one first, then the
+ * ones the range facets point at.
+ *
+ * @param {string} localName Local name of the built-in numeric type.
+ * @param {{name: string, value: string}[]} facets The restriction facets.
+ * @param {number} ordinal Counts the values of the item from 1.
+ * @returns {string[]} The candidate values.
+ */
+function numberCandidates(localName, facets, ordinal) {
+    const limit = name => {
+        const facet = facets.find(candidate => candidate.name === name);
+        return facet ? Number(facet.value) : undefined;
+    };
+    const integer = INTEGER_TYPES.includes(localName);
+    const preferred = integer ? ordinal : ordinal + 0.5;
+    const numbers = [preferred, Math.round(preferred)];
+    const [minInclusive, maxInclusive, minExclusive, maxExclusive] = ["minInclusive", "maxInclusive", "minExclusive", "maxExclusive"].map(limit);
+    if (minInclusive !== undefined) numbers.push(minInclusive);
+    if (maxInclusive !== undefined) numbers.push(maxInclusive);
+    if (minExclusive !== undefined) numbers.push(minExclusive + 1, minExclusive + 0.5);
+    if (maxExclusive !== undefined) numbers.push(maxExclusive - 1, maxExclusive - 0.5);
+    const low = minInclusive !== undefined ? minInclusive : minExclusive;
+    const high = maxInclusive !== undefined ? maxInclusive : maxExclusive;
+    if (low !== undefined && high !== undefined) numbers.push((low + high) / 2, Math.floor((low + high) / 2));
+    numbers.push(0, 1, -1);
+
+    const fractionDigits = limit("fractionDigits");
+    return numbers
+        .filter(number => Number.isFinite(number) && (!integer || Number.isInteger(number)))
+        .map(number => String(fractionDigits !== undefined ? Number(number.toFixed(fractionDigits)) : number));
+}
+
+/**
+ * Picks a value of a simple type: the first candidate that fits the type and
+ * its facets, or the first candidate at all when none does (patterns beyond
+ * what samplePattern follows).
+ *
+ * @param {object} stats Value statistics of the attribute or text.
+ * @param {string} name Local name of the attribute or element, used in placeholders.
+ * @param {number} ordinal Counts the values of the item from 1.
+ * @param {object} settings Resolved generator options.
+ * @returns {string} The value.
+ */
+function sampleValue(stats, name, ordinal, settings) {
+    const { base, facets } = inferFacets(stats, settings);
+    const localName = base.slice(base.indexOf(":") + 1);
+    const enumeration = facets.filter(facet => facet.name === "enumeration").map(facet => facet.value);
+    let candidates;
+    if (enumeration.length > 0) {
+        candidates = enumeration.map((_, index) => enumeration[(ordinal - 1 + index) % enumeration.length]);
+    } else if (isBuiltinSimpleType(localName) && isNumericBuiltin(localName)) {
+        candidates = numberCandidates(localName, facets, ordinal);
+    } else if (PLACEHOLDERS[localName]) {
+        candidates = [PLACEHOLDERS[localName](ordinal, name)];
+    } else {
+        // Strings and names: what the patterns call for, else a placeholder made from the item's name
+        const text = ["string", "normalizedString", "token", "anySimpleType"].includes(localName) ? `${name} ${ordinal}` : `${name}${ordinal}`;
+        const shaped = facets.filter(facet => facet.name === "pattern").map(facet => samplePattern(facet.value, ordinal)).filter(value => value !== null);
+        candidates = [...shaped, ...[...shaped, text, name, ""].map(value => fitLength(value, facets))];
+    }
+    return candidates.find(value => fitsType(localName, facets, value)) || candidates[0];
+}
+
+/**
+ * How many times a particle occurs: its minimum in a minimal document, and in
+ * a complete one at least once and twice when it may repeat.
+ *
+ * @param {{minOccurs: string, maxOccurs: string}} bounds The particle's bounds.
+ * @param {boolean} complete Whether optional content is included.
+ * @returns {number} The number of occurrences.
+ */
+function occurrences({ minOccurs, maxOccurs }, complete) {
+    const min = Number(minOccurs);
+    const max = maxOccurs === "unbounded" ? Infinity : Number(maxOccurs);
+    return complete ? Math.min(max, Math.max(min, max > 1 ? 2 : 1)) : min;
+}
+
+/**
+ * Writes sample documents for a schema model (see SchemaModel in
+ * schemaModel.js): documents alternate between complete ones, with every
+ * optional attribute and element and two items of each list, and minimal
+ * ones with only what the model requires. Each document starts at the next
+ * root element and takes the next branch of every choice, so several
+ * documents cover the alternatives. Values are realistic placeholders of the
+ * declared or inferred type that satisfy its enumeration, length, pattern,
+ * range and digit facets, or the fixed value a schema declares; IDs and the
+ * values of keys are unique within a document, and IDREFs and keyrefs point
+ * at one of them.
+ *
+ * @param {object} schemaModel The schema model, e.g. read from an XSD by readSchemaModel.
+ * @param {object} [options] Generator options (see DEFAULT_OPTIONS in xsdGenerator.js); `count` is the
+ *   number of documents to write, 1 by default.
+ * @returns {string[]} The XML documents.
+ * @throws {Error} If an option is invalid.
+ */
+export function generateSampleXmlFromModel(schemaModel, options = {}) {
+    const settings = resolveOptions(options);
+    const count = options.count === undefined ? 1 : options.count;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DOCUMENTS) {
+        throw new Error(`Invalid document count "${count}". Expected an integer from 1 to ${MAX_DOCUMENTS}.`);
+    }
+    const pad = level => settings.indent.repeat(level);
+    const { model, constraints } = resolveIdentityConstraints(schemaModel, settings);
+    // Constraint by the declaration keys down to the selected element plus the field
+    const constraintFields = new Map(constraints.map(constraint => [
+        JSON.stringify([constraint.scope, ...constraint.selector, constraint.field.attribute ? `@${constraint.field.attribute}` : constraint.field.element]),
+        constraint,
+    ]));
+
+    // Every namespace in the model gets a prefix; the root namespace is also the default one
+    const namespaces = new Map(model.documentPrefixes);
+    for (const info of model.elements.values()) {
+        for (const { namespace } of [info, ...info.attributes.values()]) {
+            if (namespace && !namespaces.has(namespace)) namespaces.set(namespace, null);
+        }
+    }
+    const prefixes = assignNamespacePrefixes(namespaces, "");
+    const roots = [...model.rootKeys];
+
+    function writeDocument(rootKey, round) {
+        const complete = round % 2 === 0;
+        const ordinals = new Map();
+        const usedNamespaces = new Set();
+        const ids = []; // The ID values written so far
+        const keyValues = new Map(); // Key name -> set of the values written for it
+        const references = []; // { refer, fallback, escape } of each keyref value, written as a placeholder
+
+        const nextOrdinal = key => {
+            const ordinal = (ordinals.get(key) || 0) + 1;
+            ordinals.set(key, ordinal);
+            return ordinal + round;
+        };
+        const value = (stats, name, ordinal) => {
+            // A fixed value is the only one allowed
+            if (stats.declared && stats.declared.fixed !== undefined) return stats.declared.fixed;
+            const { base } = inferFacets(stats, settings);
+            // IDs are unique across the whole document and references point at one of them
+            if (base.endsWith(":ID")) {
+                const id = sampleValue(stats, name, ids.length + 1 + round, settings);
+                ids.push(id);
+                return id;
+            }
+            if ((base.endsWith(":IDREF") || base.endsWith(":IDREFS")) && ids.length > 0) {
+                return ids[(ordinal - 1) % ids.length];
+            }
+            return sampleValue(stats, name, ordinal, settings);
+        };
+        // The value of an attribute or text that may be a key or keyref field
+        const fieldValue = (fieldPath, stats, name, ordinal, escape) => {
+            const constraint = constraintFields.get(JSON.stringify(fieldPath));
+            if (constraint && constraint.kind === "keyref") {
+                // The keys are known once the whole document is written
+                references.push({ refer: constraint.refer, fallback: value(stats, name, ordinal), escape });
+                return `\u0000${references.length - 1}\u0000`;
+            }
+            let written = value(stats, name, ordinal);
+            if (constraint) {
+                if (!keyValues.has(constraint.name)) keyValues.set(constraint.name, new Set());
+                const used = keyValues.get(constraint.name);
+                for (let attempt = 1; used.has(written) && attempt <= MAX_KEY_ATTEMPTS; attempt++) {
+                    written = value(stats, name, ordinal + attempt);
+                }
+                used.add(written);
+            }
+            return escape(written);
+        };
+        const prefixed = (namespace, name) => {
+            if (namespace === XML_NAMESPACE) return `xml:${name}`;
+            usedNamespaces.add(namespace);
+            return `${prefixes.get(namespace)}:${name}`;
+        };
+
+        // The child declarations of one element instance, in document order
+        function childKeys(info, full, variant) {
+            return groupKeys(describeContentModel(info, settings.occurrencePolicy), full, variant);
+        }
+
+        // The child declarations of one model group; nested groups repeat by their own bounds
+        function groupKeys({ kind, minOccurs, maxOccurs, particles }, full, variant) {
+            const groupMin = Number(minOccurs);
+            const groupMax = maxOccurs === "unbounded" ? Infinity : Number(maxOccurs);
+            const keys = [];
+            if (kind === "sequence" || kind === "all") {
+                const iterations = full ? Math.max(groupMin, 1) : groupMin;
+                for (let i = 0; i < iterations; i++) {
+                    for (const { key, bounds, group } of particles) {
+                        keys.push(...(group ? groupKeys(group, full, variant + i) : Array(occurrences(bounds, full)).fill(key)));
+                    }
+                }
+                return keys;
+            }
+            const wanted = kind === "repeatableChoice" ? particles.length : 1;
+            const iterations = full ? Math.min(groupMax, Math.max(groupMin, wanted)) : groupMin;
+            for (let i = 0; i < iterations; i++) {
+                const { key, bounds, group } = particles[(variant + i) % particles.length];
+                keys.push(...(group ? groupKeys(group, full, variant + i) : Array(bounds ? Math.max(1, occurrences(bounds, full)) : 1).fill(key)));
+            }
+            return keys;
+        }
+
+        function writeElement(key, level, defaultNamespace, ancestors) {
+            const info = model.elements.get(key);
+            // Optional content stops where an element recurs inside itself
+            const full = complete && !ancestors.includes(key);
+            const ordinal = nextOrdinal(key);
+            let name = info.name;
+            let declarations = "";
+            let innerDefault = defaultNamespace;
+            if (info.namespace && info.namespace !== model.rootNamespace) {
+                name = prefixed(info.namespace, info.name);
+            } else if ((info.namespace || null) !== defaultNamespace) {
+                declarations = ` xmlns="${info.namespace || ""}"`;
+                innerDefault = info.namespace || null;
+            }
+
+            let attributes = "";
+            for (const [attrKey, attr] of info.attributes) {
+                if (!full && getAttributeUse(attr.values, info.instanceCount, settings.occurrencePolicy) !== "required") continue;
+                const attrName = attr.namespace ? prefixed(attr.namespace, attr.name) : attr.name;
+                const written = fieldValue([...ancestors, key, `@${attrKey}`], attr.values, attr.name, nextOrdinal(`${key}@${attr.name}`), escapeAttribute);
+                attributes += ` ${attrName}="${written}"`;
+            }
+
+            let content = "";
+            if (info.children.size > 0 && ancestors.length < MAX_DEPTH) {
+                const path = [...ancestors, key];
+                for (const childKey of childKeys(info, full, ordinal - 1)) {
+                    content += writeElement(childKey, level + 1, innerDefault, path);
+                }
+            }
+            const text = info.hasTextContent ? fieldValue([...ancestors, key], info.text, info.name, ordinal, escapeText) : "";
+            if (ancestors.length === 0) {
+                for (const namespace of usedNamespaces) {
+                    declarations += ` xmlns:${prefixes.get(namespace)}="${namespace}"`;
+                }
+            }
+
+            const startTag = `${pad(level)}<${name}${declarations}${attributes}`;
+            if (content) {
+                // Mixed content puts its text on a line of its own before the children
+                return `${startTag}>\n${text ? `${pad(level + 1)}${text}\n` : ""}${content}${pad(level)}</${name}>\n`;
+            }
+            return info.hasTextContent ? `${startTag}>${text}</${name}>\n` : `${startTag}/>\n`;
+        }
+
+        // Placeholders leave the keyref numbers at the odd positions; each keyref takes the next value
+        // of its key, or a value of its own when the document has none
+        const parts = writeElement(rootKey, 0, null, []).split("\u0000");
+        for (let i = 1; i < parts.length; i += 2) {
+            const index = Number(parts[i]);
+            const { refer, fallback, escape } = references[index];
+            const keys = [...(keyValues.get(refer) || [])];
+            parts[i] = escape(keys.length > 0 ? keys[index % keys.length] : fallback);
+        }
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${parts.join("")}`;
+    }
+
+    const documents = [];
+    for (let index = 0; index < count; index++) {
+        documents.push(writeDocument(roots[index % roots.length], Math.floor(index / roots.length)));
+    }
+    return documents;
+}
+
+/**
+ * Writes sample XML documents that conform to an XSD, e.g. as test fixtures
+ * for the schemas generateXsd produced. The schema is read with
+ * readSchemaModel, so constructs the model cannot hold (wildcards, lists,
+ * unions) are simplified first; see generateSampleXmlFromModel for what the
+ * documents contain.
+ *
+ * @param {string|string[]} schemaTexts The XSD documents.
+ * @param {object} [options] Generator options; `count` is the number of documents to write.
+ * @returns {string[]} The XML documents.
+ * @throws {Error} If a schema cannot be parsed or an option is invalid.
+ */
+export function generateSampleXml(schemaTexts, options) {
+    return generateSampleXmlFromModel(readSchemaModel(schemaTexts).model, options);
+}
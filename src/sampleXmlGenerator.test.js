@@ -0,0 +1,144 @@
+// src/sampleXmlGenerator.test.js
+import { generateSampleXml, generateSampleXmlFromModel } from './sampleXmlGenerator';
+import { generateSchemas } from './xsdGenerator';
+import { inferSchemaModel } from './schemaModel';
+import { validateXml } from './xsdValidator';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot };
+
+describe('sampleXmlGenerator', () => {
+    it('should write complete and minimal documents that the generated schemas accept', () => {
+        const samples = [
+            '<order xmlns="urn:o" xmlns:x="urn:x" id="1" status="new" x:ref="a"><customer>Ann</customer><item sku="AB123">3.5</item><item sku="CD456">4</item><x:note>hi</x:note><when>2024-02-01</when></order>',
+            '<order xmlns="urn:o" id="2" status="new"><customer>Bob</customer><item sku="EF789">4</item><when>2024-02-03</when><p>t <b>w</b></p></order>',
+        ];
+        for (const designStyle of ['salamiSlice', 'venetianBlind', 'russianDoll']) {
+            for (const emitFacets of [false, true]) {
+                const schemas = generateSchemas(samples, { ...options, designStyle, emitFacets, enumerationThreshold: 5 }).map(schema => schema.content);
+                for (const document of generateSampleXml(schemas, { count: 3 })) {
+                    expect(validateXml(document, schemas)).toEqual({ valid: true, errors: [] });
+                }
+            }
+        }
+
+        const schemas = generateSchemas(samples, { ...options, enumerationThreshold: 5 }).map(schema => schema.content);
+        const [complete, minimal] = generateSampleXml(schemas, { count: 2 });
+        expect(complete).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<order xmlns="urn:o" xmlns:x="urn:x" id="1" status="new" x:ref="ref 1">
+  <customer>customer 1</customer>
+  <item sku="sku 1">1.5</item>
+  <item sku="sku 2">2.5</item>
+  <x:note>note 1</x:note>
+  <when>2024-01-01</when>
+  <p>
+    p 1
+    <b>b 1</b>
+  </p>
+</order>
+`);
+        expect(minimal).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<order xmlns="urn:o" id="2" status="new">
+  <customer>customer 2</customer>
+  <item sku="sku 2">2.5</item>
+  <when>2024-01-02</when>
+</order>
+`);
+    });
+
+    it('should honour the choices, bounds and facets of a hand-written schema', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:t="urn:t" targetNamespace="urn:t" elementFormDefault="qualified">
+  <xs:element name="lib">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="book" type="t:Book" minOccurs="2" maxOccurs="3"/>
+        <xs:element name="section" type="t:Section" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="version" use="required">
+        <xs:simpleType>
+          <xs:restriction base="xs:decimal">
+            <xs:minExclusive value="2"/>
+            <xs:maxInclusive value="3"/>
+          </xs:restriction>
+        </xs:simpleType>
+      </xs:attribute>
+    </xs:complexType>
+  </xs:element>
+  <xs:complexType name="Book">
+    <xs:all>
+      <xs:element name="title" type="xs:token"/>
+      <xs:element name="code" minOccurs="0">
+        <xs:simpleType>
+          <xs:restriction base="xs:string">
+            <xs:pattern value="(ISBN|EAN)-\\d{3}[A-F]?"/>
+          </xs:restriction>
+        </xs:simpleType>
+      </xs:element>
+    </xs:all>
+    <xs:attribute name="id" type="xs:ID" use="required"/>
+    <xs:attribute name="kind">
+      <xs:simpleType>
+        <xs:restriction base="xs:NMTOKEN">
+          <xs:enumeration value="paper"/>
+          <xs:enumeration value="ebook"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:attribute>
+  </xs:complexType>
+  <xs:complexType name="Section">
+    <xs:choice>
+      <xs:element name="name" type="xs:positiveInteger"/>
+      <xs:element name="section" type="t:Section"/>
+      <xs:element name="flag" type="xs:boolean"/>
+    </xs:choice>
+    <xs:attribute name="ref" type="xs:IDREF"/>
+  </xs:complexType>
+</xs:schema>`;
+        const documents = generateSampleXml(xsd, { count: 4 });
+        for (const document of documents) {
+            expect(validateXml(document, xsd)).toEqual({ valid: true, errors: [] });
+        }
+        expect(documents[0]).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<lib xmlns="urn:t" version="3">
+  <book id="id1" kind="paper">
+    <title>title 1</title>
+    <code>ISBN-123</code>
+  </book>
+  <book id="id2" kind="ebook">
+    <title>title 2</title>
+    <code>ISBN-124</code>
+  </book>
+  <section ref="id1">
+    <name>1</name>
+  </section>
+</lib>
+`);
+        // The next complete document takes the next branch of the choice
+        expect(documents[2]).toContain('<flag>true</flag>');
+        expect(documents[1]).not.toContain('<section');
+    });
+
+    it('should keep key values unique and point keyrefs at them', () => {
+        const samples = ['<shop><customer id="C1"/><customer id="C2"/><order customerRef="C2"/><order customerRef="C1"/><order customerRef="C1"/></shop>'];
+        // With facets the key values follow a pattern, which must still give distinct values
+        for (const [identityConstraints, emitFacets] of [['keys', false], ['ids', false], ['keys', true]]) {
+            const schemas = generateSchemas(samples, { ...options, identityConstraints, emitFacets, enumerationThreshold: 5 }).map(schema => schema.content);
+            const [complete] = generateSampleXml(schemas);
+            const ids = [...complete.matchAll(/ id="([^"]*)"/g)].map(match => match[1]);
+            const refs = [...complete.matchAll(/ customerRef="([^"]*)"/g)].map(match => match[1]);
+            expect(new Set(ids).size).toBe(2);
+            expect(refs).toHaveLength(2);
+            expect(refs.every(ref => ids.includes(ref))).toBe(true);
+            expect(validateXml(complete, schemas)).toEqual({ valid: true, errors: [] });
+        }
+    });
+
+    it('should stop optional recursion and rotate through the roots of a model', () => {
+        const model = inferSchemaModel(['<tree><node><node/></node></tree>', '<leaf>1</leaf>'], options);
+        expect(generateSampleXmlFromModel(model, { count: 2 })).toEqual([
+            '<?xml version="1.0" encoding="UTF-8"?>\n<tree>\n  <node>\n    <node/>\n  </node>\n</tree>\n',
+            '<?xml version="1.0" encoding="UTF-8"?>\n<leaf>1</leaf>\n',
+        ]);
+        expect(() => generateSampleXmlFromModel(model, { count: 0 })).toThrow('Invalid document count "0"');
+    });
+});
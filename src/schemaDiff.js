@@ -0,0 +1,305 @@
+import { inferFacets } from './typeInference.js';
+import { getAttributeUse, describeContentModel, childParticles, documentName } from './schemaModel.js';
+import { readSchemaModel, widerBuiltinTypes } from './schemaRefinement.js';
+import { resolveOptions } from './xsdGenerator.js';
+
+// Content model kinds as the report names them
+const KIND_NAMES = { sequence: "a sequence", choice: "a choice", all: "an unordered group (xs:all)", repeatableChoice: "a repeatable choice" };
+// Facets bounding values from below and from above; a larger lower or smaller upper bound is stricter
+const LOWER_BOUNDS = ["minLength", "minInclusive", "minExclusive"];
+const UPPER_BOUNDS = ["maxLength", "maxInclusive", "maxExclusive", "totalDigits", "fractionDigits"];
+
+const maxValue = bound => (bound === "unbounded" ? Infinity : Number(bound));
+const formatBounds = ({ minOccurs, maxOccurs }) => `${minOccurs}..${maxOccurs}`;
+const qualifiedName = ({ namespace, name }) => `${namespace || ""}\n${name}`;
+
+/**
+ * Writes a simple type for the report, e.g. `xs:string (enumeration "a" | "b")`.
+ *
+ * @param {{base: string, facets: {name: string, value: string}[]}} type The type.
+ * @returns {string} The description.
+ */
+function describeType({ base, facets }) {
+    if (facets.length === 0) return base;
+    const byName = new Map();
+    for (const { name, value } of facets) {
+        const shown = name === "enumeration" || name === "pattern" ? `"${value}"` : value;
+        byName.set(name, [...(byName.get(name) || []), shown]);
+    }
+    return `${base} (${[...byName].map(([name, values]) => `${name} ${values.join(" | ")}`).join(", ")})`;
+}
+
+/**
+ * Whether a simple type may reject a value another one accepts: its base is
+ * narrower or unrelated, or one of its facets is stricter (fewer enumerated
+ * values, a different pattern, a higher lower bound or a lower upper bound).
+ *
+ * @param {object} type The type that may be stricter, as returned by inferFacets.
+ * @param {object} other The other type.
+ * @returns {boolean} True if `type` restricts more than `other` somewhere.
+ */
+function restrictsMore(type, other) {
+    const base = type.base.slice(3);
+    const otherBase = other.base.slice(3);
+    if (base !== otherBase && !widerBuiltinTypes(otherBase).includes(base)) return true;
+
+    const values = (facetsOf, name) => facetsOf.facets.filter(facet => facet.name === name).map(facet => facet.value);
+    const single = (facetsOf, name) => values(facetsOf, name)[0];
+    const enumeration = values(type, "enumeration");
+    const otherEnumeration = values(other, "enumeration");
+    if (enumeration.length > 0 && (otherEnumeration.length === 0 || otherEnumeration.some(value => !enumeration.includes(value)))) return true;
+    const patterns = values(type, "pattern").join("|");
+    if (patterns && patterns !== values(other, "pattern").join("|")) return true;
+
+    const bound = (name, stricter) => {
+        const value = single(type, name);
+        const otherValue = single(other, name);
+        return value !== undefined && (otherValue === undefined || stricter(Number(value), Number(otherValue)));
+    };
+    return ["length", "whiteSpace"].some(name => single(type, name) !== undefined && single(type, name) !== single(other, name))
+        || LOWER_BOUNDS.some(name => bound(name, (value, otherValue) => value > otherValue))
+        || UPPER_BOUNDS.some(name => bound(name, (value, otherValue) => value < otherValue));
+}
+
+/**
+ * Compares two simple types.
+ *
+ * @param {object} before The old type, as returned by inferFacets.
+ * @param {object} after The new type.
+ * @returns {string|null} "loosened" (the new type accepts more), "tightened" (less), "changed"
+ *   (some of each), or null if the types accept the same values.
+ */
+function compareTypes(before, after) {
+    const tightened = restrictsMore(after, before);
+    const loosened = restrictsMore(before, after);
+    if (tightened && loosened) return "changed";
+    return tightened ? "tightened" : loosened ? "loosened" : null;
+}
+
+/**
+ * Compares occurrence bounds.
+ *
+ * @param {{minOccurs: string, maxOccurs: string}} before The old bounds.
+ * @param {{minOccurs: string, maxOccurs: string}} after The new bounds.
+ * @returns {string|null} "loosened", "tightened", "changed" (stricter on one end, looser on the other), or null.
+ */
+function compareBounds(before, after) {
+    const lower = Math.sign(Number(after.minOccurs) - Number(before.minOccurs));
+    const upper = Math.sign(maxValue(after.maxOccurs) - maxValue(before.maxOccurs)) || 0; // Both unbounded gives NaN
+    if (lower === 0 && upper === 0) return null;
+    if (lower <= 0 && upper >= 0) return "loosened";
+    if (lower >= 0 && upper <= 0) return "tightened";
+    return "changed";
+}
+
+/**
+ * What an element holds: "empty", "text", "elements" or "mixed".
+ *
+ * @param {object} info A declaration of the model.
+ * @returns {string} The content class.
+ */
+function contentClass(info) {
+    if (info.children.size === 0) return info.hasTextContent ? "text" : "empty";
+    return info.hasTextContent ? "mixed" : "elements";
+}
+
+/**
+ * The bounds of each child of a declaration counted against its parent,
+ * whatever group holds it (see childParticles).
+ *
+ * @param {object} info A declaration of the model.
+ * @param {Map<string, object>} elements The declarations of its model.
+ * @param {string} policy The occurrence policy.
+ * @returns {Map<string, {key: string, bounds: object}>} The children by qualified name.
+ */
+function childBounds(info, elements, policy) {
+    const children = new Map();
+    for (const { key, occurs } of childParticles(describeContentModel(info, policy))) {
+        children.set(qualifiedName(elements.get(key)), { key, bounds: occurs });
+    }
+    return children;
+}
+
+/**
+ * Compares two schema models (see SchemaModel in schemaModel.js), walking
+ * them together from their roots and pairing elements and attributes by
+ * namespace and name. Each difference is reported with its path, what
+ * happened to it and whether it is backward-incompatible, i.e. whether a
+ * document valid against the old model may be rejected by the new one:
+ * removed elements and attributes, new required ones, tightened occurrence
+ * bounds, attribute uses and types, and content models accepting less.
+ *
+ * Inferred models are compared the way the generators would write them,
+ * under the occurrence policy and value options given.
+ *
+ * @param {object} before The old model.
+ * @param {object} after The new model.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {{path: string, change: string, description: string, breaking: boolean}[]} The differences:
+ *   `change` is "added", "removed", "loosened", "tightened" or "changed".
+ * @throws {Error} If an option is invalid.
+ */
+export function diffSchemaModels(before, after, options) {
+    const settings = resolveOptions(options);
+    const policy = settings.occurrencePolicy;
+    const changes = [];
+    const report = (path, change, description, breaking) => changes.push({ path, change, description, breaking });
+    const nameIn = model => declaration => documentName(model.documentPrefixes, declaration);
+    const oldName = nameIn(before);
+    const newName = nameIn(after);
+    const queue = [];
+    const visited = new Set();
+
+    const compareValues = (path, oldType, newType) => {
+        const change = compareTypes(oldType, newType);
+        if (change) report(path, change, `type ${change} from ${describeType(oldType)} to ${describeType(newType)}`, change !== "loosened");
+    };
+
+    function compareAttributes(oldInfo, newInfo, path) {
+        const oldAttributes = new Map([...oldInfo.attributes.values()].map(attr => [qualifiedName(attr), attr]));
+        for (const attr of newInfo.attributes.values()) {
+            const attrPath = `${path}/@${newName(attr)}`;
+            const previous = oldAttributes.get(qualifiedName(attr));
+            const use = getAttributeUse(attr.values, newInfo.instanceCount, policy);
+            if (!previous) {
+                report(attrPath, "added", `${use} attribute added`, use === "required");
+                continue;
+            }
+            oldAttributes.delete(qualifiedName(attr));
+            const previousUse = getAttributeUse(previous.values, oldInfo.instanceCount, policy);
+            if (use !== previousUse) {
+                report(attrPath, use === "required" ? "tightened" : "loosened", `attribute is now ${use}`, use === "required");
+            }
+            compareValues(attrPath, inferFacets(previous.values, settings), inferFacets(attr.values, settings));
+        }
+        for (const attr of oldAttributes.values()) {
+            report(`${path}/@${oldName(attr)}`, "removed", "attribute removed", true);
+        }
+    }
+
+    function compareContent(oldInfo, newInfo, path) {
+        const oldClass = contentClass(oldInfo);
+        const newClass = contentClass(newInfo);
+        if (oldClass !== newClass) {
+            // Mixed content accepts text and any of its children; empty content is accepted by anything whose parts are all optional
+            const loosened = newClass === "mixed" || (oldClass === "empty" && newClass !== "elements");
+            report(path, loosened ? "loosened" : "changed", `content changed from ${oldClass} to ${newClass}`, !loosened);
+        } else if (oldClass === "text") {
+            compareValues(path, inferFacets(oldInfo.text, settings), inferFacets(newInfo.text, settings));
+        }
+
+        const oldChildren = childBounds(oldInfo, before.elements, policy);
+        const newChildren = childBounds(newInfo, after.elements, policy);
+        if (oldChildren.size > 0 && newChildren.size > 0) {
+            const oldKind = oldInfo.contentModel.kind;
+            const newKind = newInfo.contentModel.kind;
+            if (oldKind !== newKind) {
+                const loosened = newKind === "repeatableChoice" || (oldKind === "sequence" && newKind === "all");
+                report(path, loosened ? "loosened" : "changed", `content model changed from ${KIND_NAMES[oldKind]} to ${KIND_NAMES[newKind]}`, !loosened);
+            } else if (oldKind === "sequence") {
+                const common = names => [...names].filter(name => oldChildren.has(name) && newChildren.has(name));
+                if (common(oldChildren.keys()).join("\t") !== common(newChildren.keys()).join("\t")) {
+                    report(path, "changed", "order of the child elements changed", true);
+                }
+            }
+        }
+
+        for (const [name, { key, bounds }] of newChildren) {
+            const child = after.elements.get(key);
+            const childPath = `${path}/${newName(child)}`;
+            const previous = oldChildren.get(name);
+            if (!previous) {
+                const required = bounds.minOccurs !== "0";
+                report(childPath, "added", `${required ? "required" : "optional"} element added (${formatBounds(bounds)})`, required);
+                continue;
+            }
+            const change = compareBounds(previous.bounds, bounds);
+            if (change) {
+                report(childPath, change, `occurrences ${change} from ${formatBounds(previous.bounds)} to ${formatBounds(bounds)}`, change !== "loosened");
+            }
+            queue.push([previous.key, key, childPath]);
+        }
+        for (const [name, { key }] of oldChildren) {
+            if (!newChildren.has(name)) report(`${path}/${oldName(before.elements.get(key))}`, "removed", "element removed", true);
+        }
+    }
+
+    const oldRoots = new Map([...before.rootKeys].map(key => [qualifiedName(before.elements.get(key)), key]));
+    for (const key of after.rootKeys) {
+        const info = after.elements.get(key);
+        const previous = oldRoots.get(qualifiedName(info));
+        if (previous) {
+            oldRoots.delete(qualifiedName(info));
+            queue.push([previous, key, `/${newName(info)}`]);
+        } else {
+            report(`/${newName(info)}`, "added", "root element added", false);
+        }
+    }
+    for (const key of oldRoots.values()) {
+        report(`/${oldName(before.elements.get(key))}`, "removed", "root element removed", true);
+    }
+
+    while (queue.length > 0) {
+        const [oldKey, newKey, path] = queue.shift();
+        // Recursive structures pair the same declarations again further down
+        const pair = `${oldKey}\n${newKey}`;
+        if (visited.has(pair)) continue;
+        visited.add(pair);
+        const oldInfo = before.elements.get(oldKey);
+        const newInfo = after.elements.get(newKey);
+        compareAttributes(oldInfo, newInfo, path);
+        compareContent(oldInfo, newInfo, path);
+    }
+    return changes;
+}
+
+/**
+ * Compares two versions of a schema; see diffSchemaModels. Each version is
+ * read with readSchemaModel, so constructs it simplifies compare in their
+ * simplified form.
+ *
+ * @param {string|string[]} oldSchemaTexts The XSD documents of the old version.
+ * @param {string|string[]} newSchemaTexts The XSD documents of the new version.
+ * @returns {{path: string, change: string, description: string, breaking: boolean}[]} The differences.
+ * @throws {Error} If a schema cannot be read; `version` is "old" or "new".
+ */
+export function diffSchemas(oldSchemaTexts, newSchemaTexts) {
+    const read = (texts, version) => {
+        try {
+            return readSchemaModel(texts).model;
+        } catch (error) {
+            error.version = version;
+            throw error;
+        }
+    };
+    return diffSchemaModels(read(oldSchemaTexts, "old"), read(newSchemaTexts, "new"));
+}
+
+/**
+ * Writes a difference report as plain text: a summary line, then one line
+ * per difference, backward-incompatible ones marked "[breaking]".
+ *
+ * @param {{path: string, description: string, breaking: boolean}[]} changes The differences.
+ * @returns {string} The report.
+ */
+export function formatDiffAsText(changes) {
+    const breaking = changes.filter(change => change.breaking).length;
+    if (changes.length === 0) return "No structural differences.\n";
+    let out = `${changes.length} difference${changes.length === 1 ? "" : "s"}, ${breaking} backward-incompatible.\n\n`;
+    for (const { path, description, breaking: isBreaking } of changes) {
+        out += `${isBreaking ? "[breaking]   " : "[compatible] "}${path}: ${description}\n`;
+    }
+    return out;
+}
+
+/**
+ * Writes a difference report as JSON: `{summary: {differences, breaking}, changes}`.
+ *
+ * @param {object[]} changes The differences.
+ * @param {number|string} [indent=2] The JSON indentation.
+ * @returns {string} The report.
+ */
+export function formatDiffAsJson(changes, indent = 2) {
+    const summary = { differences: changes.length, breaking: changes.filter(change => change.breaking).length };
+    return `${JSON.stringify({ summary, changes }, null, indent)}\n`;
+}
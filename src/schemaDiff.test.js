@@ -0,0 +1,98 @@
+// src/schemaDiff.test.js
+import { diffSchemas, diffSchemaModels, formatDiffAsText, formatDiffAsJson } from './schemaDiff';
+import { generateXsd } from './xsdGenerator';
+import { inferSchemaModel } from './schemaModel';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot, enumerationThreshold: 5 };
+const version1 = [
+    '<order id="1" status="new"><customer>Ann</customer><item qty="2">3</item><note>x</note></order>',
+    '<order id="2" status="new"><customer>Bob</customer><item qty="1">4</item></order>',
+];
+const version2 = [
+    '<order id="A1" status="new" channel="web"><customer>Ann</customer><item>3.5</item><item>1</item><total>4.5</total></order>',
+    '<order id="B2" status="shipped"><customer>Bob</customer><item>4</item><total>4</total></order>',
+];
+
+describe('schemaDiff', () => {
+    it('should report added, removed, widened and tightened parts of two schemas', () => {
+        const changes = diffSchemas(generateXsd(version1, options), generateXsd(version2, options));
+        expect(changes).toEqual([
+            { path: '/order/@id', change: 'loosened', description: 'type loosened from xs:integer to xs:string', breaking: false },
+            { path: '/order/@status', change: 'loosened', description: 'type loosened from xs:string (enumeration "new") to xs:string', breaking: false },
+            { path: '/order/@channel', change: 'added', description: 'optional attribute added', breaking: false },
+            { path: '/order/item', change: 'loosened', description: 'occurrences loosened from 1..1 to 1..unbounded', breaking: false },
+            { path: '/order/total', change: 'added', description: 'required element added (1..1)', breaking: true },
+            { path: '/order/note', change: 'removed', description: 'element removed', breaking: true },
+            { path: '/order/item/@qty', change: 'removed', description: 'attribute removed', breaking: true },
+            { path: '/order/item', change: 'loosened', description: 'type loosened from xs:integer to xs:decimal', breaking: false },
+        ]);
+    });
+
+    it('should flag stricter types, uses and content models as breaking', () => {
+        const before = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="r">
+    <xs:complexType>
+      <xs:all>
+        <xs:element name="a" type="xs:decimal"/>
+        <xs:element name="b" type="xs:string" minOccurs="0"/>
+      </xs:all>
+      <xs:attribute name="v" type="xs:string"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+        const after = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="r">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="a" type="xs:int"/>
+        <xs:element name="b" type="xs:string"/>
+      </xs:sequence>
+      <xs:attribute name="v" use="required">
+        <xs:simpleType>
+          <xs:restriction base="xs:string">
+            <xs:maxLength value="8"/>
+          </xs:restriction>
+        </xs:simpleType>
+      </xs:attribute>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+        expect(diffSchemas(before, after).map(({ path, change, breaking }) => `${path} ${change} ${breaking}`)).toEqual([
+            '/r/@v tightened true',
+            '/r/@v tightened true',
+            '/r changed true',
+            '/r/b tightened true',
+            '/r/a tightened true',
+        ]);
+        expect(diffSchemas(after, before).filter(change => change.breaking)).toEqual([]);
+        expect(diffSchemas(before, before)).toEqual([]);
+    });
+
+    it('should compare models inferred from samples under the occurrence policy', () => {
+        const before = inferSchemaModel('<l><i>1</i></l>', options);
+        const after = inferSchemaModel('<l><i>1</i><i>2</i></l>', options);
+        expect(diffSchemaModels(before, after, options)).toEqual([
+            { path: '/l/i', change: 'loosened', description: 'occurrences loosened from 1..1 to 1..unbounded', breaking: false },
+        ]);
+        expect(diffSchemaModels(before, after, { occurrencePolicy: 'relaxed' })).toEqual([]);
+    });
+
+    it('should tell which version failed to parse', () => {
+        expect(() => diffSchemas('<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"/>', '<x/>')).toThrow(expect.objectContaining({ version: 'old' }));
+    });
+
+    it('should write the report as text and JSON', () => {
+        const changes = [
+            { path: '/a/@b', change: 'added', description: 'optional attribute added', breaking: false },
+            { path: '/a/c', change: 'removed', description: 'element removed', breaking: true },
+        ];
+        expect(formatDiffAsText(changes)).toBe(`2 differences, 1 backward-incompatible.
+
+[compatible] /a/@b: optional attribute added
+[breaking]   /a/c: element removed
+`);
+        expect(formatDiffAsText([])).toBe('No structural differences.\n');
+        expect(JSON.parse(formatDiffAsJson(changes))).toEqual({ summary: { differences: 2, breaking: 1 }, changes });
+    });
+});
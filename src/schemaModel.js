@@ -0,0 +1,1220 @@
+import { createValueStats, recordValue, mergeValueStats, inferFacets } from './typeInference.js';
+import { createSaxParser, createSnippetWindow, findXmlErrors, invalidXmlError, positionedError, readDoctype, XMLNS_NAMESPACE } from './xmlParser.js';
+import { parseDtd, parseDoctypeDeclaration } from './dtdParser.js';
+import { createIdentityTracker, inferIdentityConstraints } from './identityInference.js';
+import { readTextChunks, sourceSize } from './fileUtils.js';
+import { qualifiedKey, XSD_NAMESPACE } from './xsdParser.js';
+import { XSI_NAMESPACE } from './xsdValidator.js';
+// DOM node types, spelled out so the inference does not depend on the browser's Node global
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const COMMENT_NODE = 8;
+const PROGRESS_INTERVAL = 1000; // Elements analysed between progress reports
+const COMMENT_LIMIT = 3; // Distinct comments kept per element
+export const DOCUMENTED_PATH_LIMIT = 3; // Paths kept per declaration for the emitDocumentation option
+
+/**
+ * The structure inferred from XML samples, independent of any schema
+ * language. Emitters (generateSchemasFromModel for XSD,
+ * generateJsonSchemaFromModel for JSON Schema) turn it into schemas.
+ *
+ * @typedef {object} SchemaModel
+ * @property {string|null} rootNamespace The namespace of the first root element (after the targetNamespace override).
+ * @property {Map<string, object>} elements Declarations by key, in the order their elements were first seen. Each has
+ *   `name`, `namespace`, `typeBase` (the base for a type name), `localOnly`, `instanceCount`, `attributes`
+ *   (Map of `{name, namespace, values}`), `children` (Map of `{presentIn, minCount, maxCount}` by declaration key),
+ *   `withChildren`, `hasTextContent`, `text` (value statistics) and `contentModel` (`{kind, children}`), plus
+ *   `nilCount` (empty instances marked xsi:nil, which count for the attributes but not the content), `nillable`
+ *   and `typeVariants` (Map of `{name, namespace, instanceCount, nilCount, attributes, children}` by the key of a
+ *   type instances named with xsi:type, counting attributes and children like the declaration; see
+ *   describeTypeHierarchy), `paths` (with the emitDocumentation option, the first DOCUMENTED_PATH_LIMIT document
+ *   paths it was seen at, each a list of `{name, namespace}` steps from the root; null without it), `pathCount`
+ *   (how many paths it was seen at) and `comments` (up to COMMENT_LIMIT distinct comments that directly preceded an instance).
+ * @property {Set<string>} rootKeys Keys of the declarations of the document root elements.
+ * @property {Map<string, object>} globalAttributes Attributes qualified by a namespace foreign to their element,
+ *   as `{name, namespace, values}` merged over every element carrying them.
+ * @property {Map<string, string|null>} documentPrefixes Namespace URI -> prefix as written in the documents.
+ * @property {object[]} identityConstraints Keys, uniques and keyrefs found in the samples; see IdentityConstraint
+ *   in identityInference.js.
+ * @property {Map<string|null, string>} schemaLocations Namespace URI (null for none) -> schema location the documents
+ *   named in xsi:schemaLocation or xsi:noNamespaceSchemaLocation, the first one seen for each.
+ * @property {string[]} internalSubsets The distinct internal DTD subsets of the documents' DOCTYPE declarations, in
+ *   the order first seen; see importDtd in dtdImport.js.
+ *
+ * A model read from an existing schema (see readSchemaModel in schemaRefinement.js) also carries the schema's
+ * constraints, which the emitters take over instead of inferring them: value statistics may have `declared`
+ * (`{base, facets}`, plus `use` for attributes, the `default` or `fixed` value and the `simpleType`
+ * `{name, namespace}` of a named simple type), child statistics `declared` occurrence bounds, content models
+ * `declared` group bounds and, when their groups nest, `particles` (each a child key or a nested group
+ * `{kind, minOccurs, maxOccurs, particles}`), and declarations the `typeName` of their named complex type and
+ * whether they are `global`.
+ */
+
+/**
+ * Checks the options the inference itself reads.
+ *
+ * @param {{targetNamespace?: string, xmlParser?: function, onProgress?: function, emitDocumentation?: boolean}} [options]
+ *   Generator options.
+ * @returns {{targetNamespace: string, xmlParser: function|undefined, onProgress: function|undefined,
+ *   emitDocumentation: boolean}} The inference options.
+ * @throws {Error} If xmlParser or onProgress is not a function.
+ */
+function resolveInferenceOptions({ targetNamespace, xmlParser, onProgress, emitDocumentation } = {}) {
+    if (xmlParser !== undefined && xmlParser !== null && typeof xmlParser !== "function") {
+        throw new Error("The xmlParser option must be a function.");
+    }
+    if (onProgress !== undefined && onProgress !== null && typeof onProgress !== "function") {
+        throw new Error("The onProgress option must be a function.");
+    }
+    return { targetNamespace: targetNamespace || "", xmlParser: xmlParser || undefined, onProgress: onProgress || undefined, emitDocumentation: !!emitDocumentation };
+}
+
+/**
+ * Reads the namespace URI, local name and prefix of an element or attribute node.
+ * Falls back to the raw tag/attribute name for DOMs without namespace support.
+ *
+ * @param {Node} node An element or attribute node.
+ * @returns {{namespace: string|null, name: string, prefix: string|null}} The node's name parts.
+ */
+function getNameParts(node) {
+    return {
+        namespace: node.namespaceURI || null,
+        name: node.localName || node.tagName || node.name,
+        prefix: node.prefix || null,
+    };
+}
+
+/**
+ * Namespace declarations (xmlns, xmlns:*) are not attributes as far as the schema is concerned.
+ *
+ * @param {Attr} attr The attribute node.
+ * @returns {boolean} True if the attribute declares a namespace.
+ */
+function isNamespaceDeclaration(attr) {
+    return attr.namespaceURI === XMLNS_NAMESPACE || attr.name === "xmlns" || attr.name.startsWith("xmlns:");
+}
+
+/**
+ * Derives minOccurs/maxOccurs for a child from its occurrence statistics.
+ * A child missing from any parent instance is optional; one that ever repeats
+ * is unbounded. minOccurs is capped at 1 since a sample that happens to hold
+ * two items says little about the lower bound of a list. The "exact" policy
+ * uses the observed counts as they are, "relaxed" accepts any number.
+ * Declared bounds win over the policy.
+ *
+ * @param {{presentIn: number, minCount: number, maxCount: number, declared?: object}} stats Occurrences of the child.
+ * @param {number} parentCount Number of parent instances observed.
+ * @param {string} [policy="inferred"] The occurrence policy.
+ * @returns {{minOccurs: string, maxOccurs: string}} The occurrence bounds.
+ */
+export function getOccurrenceBounds(stats, parentCount, policy = "inferred") {
+    if (stats.declared) {
+        return { ...stats.declared };
+    }
+    if (policy === "relaxed") {
+        return { minOccurs: "0", maxOccurs: "unbounded" };
+    }
+    if (policy === "exact") {
+        return {
+            minOccurs: String(stats.presentIn === parentCount ? stats.minCount : 0),
+            maxOccurs: String(stats.maxCount),
+        };
+    }
+    return {
+        minOccurs: stats.presentIn === parentCount && stats.minCount > 0 ? "1" : "0",
+        maxOccurs: stats.maxCount > 1 ? "unbounded" : "1",
+    };
+}
+
+/**
+ * An attribute is required when it carried a value on every instance of its
+ * element, or when its declared use says so.
+ *
+ * @param {{count: number, declared?: object}} attrValues Value statistics of the attribute (one value per instance).
+ * @param {number} elementCount Number of element instances observed.
+ * @param {string} [policy="inferred"] The occurrence policy; "relaxed" makes every attribute optional.
+ * @returns {string} "required" or "optional".
+ */
+export function getAttributeUse(attrValues, elementCount, policy = "inferred") {
+    if (attrValues.declared) return attrValues.declared.use;
+    return policy !== "relaxed" && attrValues.count === elementCount ? "required" : "optional";
+}
+
+/**
+ * The instances of a declaration its content was seen in: instances marked
+ * xsi:nil carry attributes but no content, so they do not make children
+ * optional.
+ *
+ * @param {{instanceCount: number, nilCount?: number}} info A declaration of the model.
+ * @returns {number} The instances that were not nil.
+ */
+export function contentInstanceCount(info) {
+    return info.instanceCount - (info.nilCount || 0);
+}
+
+/**
+ * Resolves the occurrence bounds of an element's content model, the same way
+ * for every schema language:
+ * - a "sequence" or "all" group occurs once and its children are bounded
+ *   against all instances of the element (children of "all" never repeat);
+ * - a "choice" is optional when some instances had no children, and its
+ *   children are bounded against the instances that chose them;
+ * - a "repeatableChoice" group repeats and its children carry no bounds.
+ * Declared group bounds replace the ones derived for the group. The nested
+ * groups of a content model read from a schema are particles `{group}`
+ * beside the `{key, bounds}` of the children, each group described the same
+ * way with its declared kind and bounds.
+ *
+ * @param {object} info A declaration of the model.
+ * @param {string} [policy="inferred"] The occurrence policy.
+ * @returns {{kind: string, minOccurs: string, maxOccurs: string, particles: object[]}} The group kind and bounds,
+ *   and each child's declaration key and bounds or a nested group.
+ */
+export function describeContentModel(info, policy = "inferred") {
+    const { kind, children, declared, particles: nested } = info.contentModel;
+    // The group itself is optional when some instances had no children at all
+    const optionalGroup = info.withChildren < contentInstanceCount(info) || policy === "relaxed";
+    const particle = bounds => key => ({ key, bounds: bounds(info.children.get(key)) });
+    const group = description => (declared ? { ...description, ...declared } : description);
+
+    if (nested) {
+        const bounds = stats => getOccurrenceBounds(stats, contentInstanceCount(info), policy);
+        const describe = members => members.map(member => (typeof member === "string"
+            ? particle(bounds)(member)
+            : { group: { kind: member.kind, minOccurs: member.minOccurs, maxOccurs: member.maxOccurs, particles: describe(member.particles) } }));
+        return group({ kind, minOccurs: "1", maxOccurs: "1", particles: describe(nested) });
+    }
+    if (kind === "choice") {
+        // A chosen child is present by definition, so its bounds only look at the instances that chose it
+        return group({
+            kind,
+            minOccurs: optionalGroup ? "0" : "1",
+            maxOccurs: policy === "relaxed" ? "unbounded" : "1",
+            particles: children.map(particle(stats => getOccurrenceBounds(stats, stats.presentIn, policy))),
+        });
+    }
+    if (kind === "repeatableChoice") {
+        return group({ kind, minOccurs: optionalGroup ? "0" : "1", maxOccurs: "unbounded", particles: children.map(particle(() => null)) });
+    }
+    const bounds = stats => getOccurrenceBounds(stats, contentInstanceCount(info), policy);
+    return group({
+        kind,
+        minOccurs: "1",
+        maxOccurs: "1",
+        particles: children.map(particle(kind === "all" ? stats => ({ ...bounds(stats), maxOccurs: "1" }) : bounds)),
+    });
+}
+
+/**
+ * The children of a content model description (see describeContentModel),
+ * those of nested groups included, in order. Each comes with the group
+ * holding it and how often it may occur in an instance of the element: a
+ * child of a choice among several alternatives may be absent, the bounds of
+ * the groups around a child multiply its own, and a child of a repeatable
+ * choice is optional (unless it is the only alternative) and repeats.
+ *
+ * @param {{kind: string, minOccurs: string, maxOccurs: string, particles: object[]}} description A content model
+ *   description.
+ * @returns {{key: string, bounds: object|null, group: object, occurs: {minOccurs: string, maxOccurs: string}}[]}
+ *   The children.
+ */
+export function childParticles(description) {
+    const children = [];
+    const number = value => (value === "unbounded" ? Infinity : Number(value));
+    const visit = (group, minFactor, maxFactor) => {
+        const optional = group.kind !== "sequence" && group.kind !== "all" && group.particles.length > 1;
+        const min = optional ? 0 : minFactor * number(group.minOccurs);
+        const max = maxFactor * number(group.maxOccurs);
+        for (const particle of group.particles) {
+            if (particle.group) {
+                visit(particle.group, min, max);
+                continue;
+            }
+            const bounds = particle.bounds || { minOccurs: "1", maxOccurs: "unbounded" };
+            const maxOccurs = max * number(bounds.maxOccurs);
+            children.push({
+                ...particle,
+                group,
+                occurs: { minOccurs: String(min * number(bounds.minOccurs)), maxOccurs: maxOccurs === Infinity ? "unbounded" : String(maxOccurs) },
+            });
+        }
+    };
+    visit(description, 1, 1);
+    return children;
+}
+
+/**
+ * Splits a declaration whose instances named their type with xsi:type into a
+ * base type and one extension per named type, the way XSD derivation by
+ * extension needs them: the base has the attributes and children seen on
+ * instances without xsi:type (or, when every instance named a type, those
+ * all the types had), and each extension adds the rest of what its own
+ * instances had. An extension can only append children to a sequence, so
+ * unless the children left to the extensions all come after the base's in
+ * element-only sequence content, the base keeps every child and the
+ * extensions only add attributes.
+ *
+ * @param {object} info A declaration of the model.
+ * @param {string} [policy="inferred"] The occurrence policy.
+ * @returns {{base: object, extensions: object[]}|null} The base as a declaration of the model, and per named type
+ *   `{name, namespace, attributes, particles}` with its own attributes as `{attr, use}` and child particles as
+ *   `{key, bounds}`; null when no instance named a type.
+ */
+export function describeTypeHierarchy(info, policy = "inferred") {
+    if (!info.typeVariants || info.typeVariants.size === 0) return null;
+    const variants = [...info.typeVariants.values()];
+    const allTyped = variants.reduce((sum, variant) => sum + variant.instanceCount, 0) === info.instanceCount;
+    const baseMembers = (keys, total, countIn) => new Set(keys.filter(key => (allTyped
+        ? variants.every(variant => countIn(variant, key) > 0)
+        : total(key) > variants.reduce((sum, variant) => sum + countIn(variant, key), 0))));
+    const baseAttributes = baseMembers([...info.attributes.keys()], key => info.attributes.get(key).values.count,
+        (variant, key) => variant.attributes.get(key) || 0);
+    let baseChildren = baseMembers([...info.children.keys()], key => info.children.get(key).presentIn,
+        (variant, key) => (variant.children.has(key) ? variant.children.get(key).presentIn : 0));
+
+    const { kind, children: ordered, declared } = info.contentModel;
+    const firstExtra = ordered.findIndex(key => !baseChildren.has(key));
+    const appendable = kind === "sequence" && !declared && !info.hasTextContent
+        && (firstExtra === -1 || ordered.slice(firstExtra).every(key => !baseChildren.has(key)));
+    if (!appendable) baseChildren = new Set(ordered);
+
+    const base = {
+        ...info,
+        attributes: new Map([...info.attributes].filter(([key]) => baseAttributes.has(key))),
+        children: new Map([...info.children].filter(([key]) => baseChildren.has(key))),
+        contentModel: { ...info.contentModel, children: ordered.filter(key => baseChildren.has(key)) },
+    };
+    const extensions = variants.map(variant => ({
+        name: variant.name,
+        namespace: variant.namespace,
+        attributes: [...variant.attributes].filter(([key]) => !baseAttributes.has(key)).map(([key, count]) => ({
+            attr: info.attributes.get(key),
+            use: policy !== "relaxed" && count === variant.instanceCount ? "required" : "optional",
+        })),
+        particles: ordered.filter(key => !baseChildren.has(key) && variant.children.has(key))
+            .map(key => ({ key, bounds: getOccurrenceBounds(variant.children.get(key), contentInstanceCount(variant), policy) })),
+    }));
+    return { base, extensions };
+}
+
+/**
+ * The identity constraints of a model (see IdentityConstraint in
+ * identityInference.js) as the identityConstraints option asks emitters to
+ * write them: not at all ("none"), as keys and keyrefs ("keys"), or ("ids")
+ * as xs:ID and xs:IDREF attribute types where a key and all its keyrefs can
+ * be, which the types of the returned model then declare. Attributes with a
+ * declared type keep it, and their constraints stay keys. The relaxed
+ * occurrence policy turns keys into uniques, which do not require the field.
+ * The inferred type of a keyref field loses its enumeration, since the key
+ * already limits its values and an enumeration would freeze the keys seen.
+ *
+ * @param {SchemaModel} model The model.
+ * @param {object} settings Resolved generator options; see DEFAULT_OPTIONS in xsdGenerator.js.
+ * @returns {{model: SchemaModel, constraints: object[]}} The model to emit and the constraints to declare on its roots.
+ */
+export function resolveIdentityConstraints(model, settings) {
+    const { identityConstraints: mode, occurrencePolicy: policy } = settings;
+    const inferred = mode === "none" ? [] : model.identityConstraints || [];
+    const constraints = policy === "relaxed"
+        ? inferred.map(constraint => (constraint.kind === "key" ? { ...constraint, kind: "unique" } : constraint))
+        : inferred;
+    if (constraints.length === 0) return { model, constraints };
+
+    const selectedKey = ({ selector }) => selector[selector.length - 1];
+    const statsOf = constraint => (constraint.field.attribute
+        ? model.elements.get(selectedKey(constraint)).attributes.get(constraint.field.attribute).values
+        : model.elements.get(constraint.field.element).text);
+    const typeable = constraint => constraint.id && !statsOf(constraint).declared;
+    const ids = new Set(mode !== "ids" ? [] : constraints
+        .filter(key => key.kind !== "keyref" && typeable(key))
+        .filter(key => constraints.every(ref => ref.refer !== key.name || typeable(ref)))
+        .map(key => key.name));
+
+    const elements = new Map(model.elements);
+    const copyOf = key => {
+        if (elements.get(key) === model.elements.get(key)) {
+            const info = model.elements.get(key);
+            elements.set(key, { ...info, attributes: new Map(info.attributes) });
+        }
+        return elements.get(key);
+    };
+    for (const constraint of constraints) {
+        const isId = ids.has(constraint.name);
+        const stats = statsOf(constraint);
+        let declared;
+        if (isId || ids.has(constraint.refer)) {
+            declared = { base: isId ? "xs:ID" : "xs:IDREF", facets: [] };
+        } else if (constraint.kind === "keyref" && !stats.declared) {
+            const { base, facets } = inferFacets(stats, settings);
+            if (!facets.some(facet => facet.name === "enumeration")) continue;
+            declared = { base, facets: facets.filter(facet => facet.name !== "enumeration") };
+        } else {
+            continue;
+        }
+        if (constraint.field.attribute) {
+            const info = copyOf(selectedKey(constraint));
+            const attr = info.attributes.get(constraint.field.attribute);
+            declared.use = getAttributeUse(attr.values, info.instanceCount, policy);
+            info.attributes.set(constraint.field.attribute, { ...attr, values: { ...attr.values, declared } });
+        } else {
+            const info = copyOf(constraint.field.element);
+            info.text = { ...info.text, declared };
+        }
+    }
+    return {
+        model: { ...model, elements },
+        constraints: constraints.filter(constraint => !ids.has(constraint.name) && !ids.has(constraint.refer)),
+    };
+}
+
+/**
+ * The DTD and RELAX NG compact occurrence indicator closest to a pair of
+ * bounds. Neither language has numeric bounds, so exact counts widen to
+ * optional, zero-or-more or one-or-more.
+ *
+ * @param {{minOccurs: string, maxOccurs: string}|null} bounds Occurrence bounds; null means exactly once.
+ * @returns {string} "", "?", "*" or "+".
+ */
+export function occurrenceIndicator(bounds) {
+    if (!bounds) return "";
+    const repeats = bounds.maxOccurs !== "1";
+    if (bounds.minOccurs === "0") return repeats ? "*" : "?";
+    return repeats ? "+" : "";
+}
+
+/**
+ * The name of an element or attribute as the documents wrote it: prefixed
+ * when the documents bound its namespace to a prefix. Used by the output
+ * formats without namespace support of their own (JSON, DTD).
+ *
+ * @param {Map<string, string|null>} documentPrefixes The model's documentPrefixes.
+ * @param {{namespace: string|null, name: string}} declaration An element or attribute declaration.
+ * @returns {string} The name, e.g. "xml:lang".
+ */
+export function documentName(documentPrefixes, { namespace, name }) {
+    const prefix = namespace ? documentPrefixes.get(namespace) : null;
+    return prefix ? `${prefix}:${name}` : name;
+}
+
+/**
+ * Parses one XML document and returns its root element.
+ *
+ * @param {string} xmlString The XML content as a string.
+ * @param {function(string): Element} [xmlParser] Parser to use instead of the browser's DOMParser.
+ * @returns {Element} The document element.
+ * @throws {Error} If XML parsing fails or there is no root element. The browser's own error text differs between
+ *   browsers, so the document is checked again with the generator's parser to report the problem the same way
+ *   everywhere (see invalidXmlError); its text is only used for problems that parser does not detect.
+ */
+function parseRootElement(xmlString, xmlParser) {
+    if (xmlParser) {
+        return xmlParser(xmlString);
+    }
+    if (typeof DOMParser === "undefined") {
+        throw new Error("No XML parser available: pass the xmlParser option when running outside the browser.");
+    }
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlString, "application/xml");
+
+    // Check for parsing errors
+    const parserError = xmlDoc.querySelector("parsererror");
+    if (parserError) {
+        console.error("XML Parsing Error:", parserError);
+        const [problem] = findXmlErrors(xmlString);
+        if (problem) throw invalidXmlError(positionedError(problem.message, problem), xmlString);
+        throw new Error(`Invalid XML: ${parserError.textContent.split("\n")[1] || 'Parsing failed.'}`);
+    }
+
+    const rootElement = xmlDoc.documentElement;
+    if (!rootElement) {
+        throw new Error("Invalid XML: No root element found.");
+    }
+    return rootElement;
+}
+
+/**
+ * Counts the elements of a tree without recursion, so deep documents cannot
+ * overflow the stack.
+ *
+ * @param {Element} rootElement The root of the tree.
+ * @returns {number} The number of elements, the root included.
+ */
+function countElements(rootElement) {
+    let count = 0;
+    const pending = [rootElement];
+    while (pending.length > 0) {
+        const node = pending.pop();
+        count++;
+        for (const child of node.childNodes) {
+            if (child.nodeType === ELEMENT_NODE) pending.push(child);
+        }
+    }
+    return count;
+}
+
+/**
+ * Reads the attributes of a DOM element in the form the statistics take.
+ *
+ * @param {Element} node The element.
+ * @returns {{namespace: string|null, name: string, prefix: string|null, value: string, isDeclaration: boolean}[]} Its attributes.
+ */
+function domAttributes(node) {
+    return Array.from(node.attributes || [], attr => ({
+        ...getNameParts(attr),
+        value: attr.value,
+        isDeclaration: isNamespaceDeclaration(attr),
+    }));
+}
+
+/**
+ * Feeds a parsed document to the statistics as start, text, comment and end events.
+ * The tree is walked with an explicit stack, so deeply nested documents
+ * cannot overflow the call stack.
+ *
+ * @param {Element} rootElement The document element.
+ * @param {object} statistics The collector returned by createStatistics.
+ * @param {function(): void} [onElement] Called after each element is started.
+ */
+function walkDocument(rootElement, statistics, onElement = () => {}) {
+    // DOMs without lookupNamespaceURI leave prefixed xsi:type values unresolved
+    const namespaceLookup = node => prefix => (node.lookupNamespaceURI ? node.lookupNamespaceURI(prefix) : undefined);
+    statistics.startElement(getNameParts(rootElement), domAttributes(rootElement), namespaceLookup(rootElement));
+    onElement();
+    const open = [{ node: rootElement, next: 0 }];
+    while (open.length > 0) {
+        const top = open[open.length - 1];
+        const child = top.node.childNodes[top.next++];
+        if (!child) {
+            statistics.endElement();
+            open.pop();
+        } else if (child.nodeType === ELEMENT_NODE) {
+            statistics.startElement(getNameParts(child), domAttributes(child), namespaceLookup(child));
+            onElement();
+            open.push({ node: child, next: 0 });
+        } else if (child.nodeType === TEXT_NODE || child.nodeType === CDATA_SECTION_NODE) {
+            statistics.text(child.nodeValue);
+        } else if (child.nodeType === COMMENT_NODE) {
+            statistics.comment(child.nodeValue);
+        }
+    }
+}
+
+/**
+ * Folds the child counts of one instance into per-child occurrence statistics.
+ *
+ * @param {Map<string, {presentIn: number, minCount: number, maxCount: number}>} children The statistics by child key.
+ * @param {Map<string, number>} childCounts How often each child occurred in the instance.
+ */
+function foldChildCounts(children, childCounts) {
+    for (const [childKey, count] of childCounts) {
+        const stats = children.get(childKey);
+        if (stats) {
+            stats.presentIn++;
+            stats.minCount = Math.min(stats.minCount, count);
+            stats.maxCount = Math.max(stats.maxCount, count);
+        } else {
+            children.set(childKey, { presentIn: 1, minCount: count, maxCount: count });
+        }
+    }
+}
+
+/**
+ * Creates the collector of element statistics. Documents are fed to it as
+ * start-element, text, comment and end-element events, one document after the other,
+ * so it works the same for a walked DOM and for a streaming parser; only the
+ * elements currently open are held.
+ *
+ * Statistics are kept per parent path, so same-named elements in different
+ * places can be told apart. The first root element's namespace is the main
+ * target namespace, unless the targetNamespace option overrides it.
+ *
+ * @param {{targetNamespace: string}} settings The inference options.
+ * @returns {{doctype: function, startElement: function, text: function, comment: function, endElement: function, elementsProcessed: number,
+ *   buildModel: function}}
+ *   The collector.
+ */
+function createStatistics(settings) {
+    let documentRootNamespace;
+    let rootNamespace;
+    const mapNamespace = namespace => (namespace === documentRootNamespace ? rootNamespace : namespace);
+
+    const contextInfo = new Map(); // Stores { path: { elementKey, parentPath, name, namespace, instanceCount, attributes: Map<attrKey, AttrInfo>, children: Map<childKey, ChildStats>, hasTextContent, text: ValueStats } }
+    const contextOrder = new Map(); // Stores { path: string[] } to maintain child order of first occurrence
+    const globalAttributes = new Map(); // Stores { attrKey: { name, namespace, values: ValueStats } } for attributes qualified by a foreign namespace
+    const documentPrefixes = new Map(); // Stores { namespaceURI: prefix } as written in the documents
+    const schemaLocations = new Map(); // Stores { namespaceURI or null: location } from xsi:schemaLocation hints
+    const internalSubsets = []; // Distinct internal DTD subsets of the DOCTYPE declarations
+    const rootPaths = new Set(); // Paths of the document root elements
+    const identity = createIdentityTracker(); // Field values per document, for key and keyref inference
+    const open = []; // Open elements: { path, info, childCounts, childSequence (runs of child keys), hasChildElements, textValue, nil, variant }
+    let pendingComments = []; // Comments since the last start tag, end tag or text, for the next element
+
+    function noteNamespace(namespace, prefix) {
+        // Keep the first real prefix; a default-namespace (null) entry may be upgraded later
+        if (namespace && !documentPrefixes.get(namespace)) {
+            documentPrefixes.set(namespace, prefix);
+        }
+    }
+
+    // Keeps the first location the documents give for each namespace
+    function noteSchemaLocations({ schemaLocation, noNamespaceSchemaLocation }) {
+        const pairs = schemaLocation ? schemaLocation.trim().split(/\s+/) : [];
+        for (let i = 0; i + 1 < pairs.length; i += 2) {
+            const namespace = mapNamespace(pairs[i]);
+            if (!schemaLocations.has(namespace)) schemaLocations.set(namespace, pairs[i + 1]);
+        }
+        if (noNamespaceSchemaLocation && noNamespaceSchemaLocation.trim() && !schemaLocations.has(null)) {
+            schemaLocations.set(null, noNamespaceSchemaLocation.trim());
+        }
+    }
+
+    // The statistics of the type an xsi:type value names, or null when its
+    // prefix is unbound or it names a built-in type, which the inferred
+    // types cannot be derived from
+    function typeVariant(info, value, lookupNamespace) {
+        const qname = value.trim();
+        const colon = qname.indexOf(":");
+        const prefix = colon > 0 ? qname.slice(0, colon) : null;
+        const name = qname.slice(colon + 1);
+        const typeNamespace = lookupNamespace(prefix) || null;
+        if (!name || (prefix && !typeNamespace) || typeNamespace === XSD_NAMESPACE) return null;
+        const namespace = mapNamespace(typeNamespace);
+        const key = qualifiedKey(namespace, name);
+        if (!info.typeVariants.has(key)) {
+            info.typeVariants.set(key, { name, namespace, instanceCount: 0, nilCount: 0, attributes: new Map(), children: new Map() });
+        }
+        return info.typeVariants.get(key);
+    }
+
+    const statistics = {
+        elementsProcessed: 0,
+
+        /**
+         * @param {string} declaration The raw DOCTYPE declaration of the next document.
+         * @throws {Error} If the declaration is malformed.
+         */
+        doctype(declaration) {
+            const { internalSubset } = parseDoctypeDeclaration(declaration);
+            if (internalSubset && internalSubset.trim() && !internalSubsets.includes(internalSubset)) internalSubsets.push(internalSubset);
+        },
+
+        /**
+         * @param {{namespace: string|null, name: string, prefix: string|null}} nameParts The element's name.
+         * @param {{namespace: string|null, name: string, prefix: string|null, value: string, isDeclaration: boolean}[]} attributes Its attributes.
+         * @param {function(string|null): (string|null|undefined)} [lookupNamespace] Resolves a prefix in scope of the
+         *   element (null for the default namespace), for the value of xsi:type.
+         */
+        startElement({ namespace: documentNamespace, name, prefix }, attributes, lookupNamespace = () => undefined) {
+            if (documentRootNamespace === undefined) {
+                documentRootNamespace = documentNamespace;
+                rootNamespace = settings.targetNamespace || documentRootNamespace;
+            }
+            const namespace = mapNamespace(documentNamespace);
+            const elementKey = qualifiedKey(namespace, name);
+            const parent = open[open.length - 1];
+            const parentPath = parent ? parent.path : null;
+            const path = `${parentPath || ''}/${elementKey}`;
+            noteNamespace(namespace, prefix);
+
+            if (parent) {
+                parent.hasChildElements = true;
+                parent.childCounts.set(elementKey, (parent.childCounts.get(elementKey) || 0) + 1);
+                // Only runs matter to the content model, so a long list of one child costs one entry
+                if (parent.childSequence[parent.childSequence.length - 1] !== elementKey) parent.childSequence.push(elementKey);
+                // Children are ordered by first occurrence across all instances of the parent
+                const order = contextOrder.get(parentPath);
+                if (!order.includes(elementKey)) order.push(elementKey);
+            } else {
+                rootPaths.add(path);
+                identity.startDocument();
+            }
+
+            if (!contextInfo.has(path)) {
+                contextInfo.set(path, {
+                    elementKey,
+                    parentPath,
+                    name,
+                    namespace,
+                    instanceCount: 0, // Number of times this element was seen
+                    attributes: new Map(), // attrKey -> { name, namespace, values }
+                    children: new Map(), // childKey -> { presentIn, minCount, maxCount }
+                    withChildren: 0, // Instances that had at least one child element
+                    precedes: new Map(), // childKey -> Set of sibling keys seen after it
+                    coOccurs: new Map(), // childKey -> Set of sibling keys seen in the same instance
+                    interleaved: false, // Whether a child ever reappeared after a different sibling
+                    hasTextContent: false, // Initialize text content flag
+                    text: createValueStats(), // Text values of instances without child elements
+                    nilCount: 0, // Empty instances marked xsi:nil
+                    typeVariants: new Map(), // typeKey -> statistics of the instances naming that type in xsi:type
+                    comments: [], // Distinct comments directly preceding an instance
+                });
+                contextOrder.set(path, []);
+            }
+            const info = contextInfo.get(path);
+            info.instanceCount++;
+            statistics.elementsProcessed++;
+            for (const comment of pendingComments) {
+                if (info.comments.length < COMMENT_LIMIT && !info.comments.includes(comment)) info.comments.push(comment);
+            }
+            pendingComments = [];
+
+            // xsi:* attributes are instructions to the validator: they are read here and never declared
+            const xsi = {};
+            for (const attr of attributes) {
+                if (attr.namespace === XSI_NAMESPACE) xsi[attr.name] = attr.value;
+            }
+            noteSchemaLocations(xsi);
+            const variant = xsi.type === undefined ? null : typeVariant(info, xsi.type, lookupNamespace);
+            if (variant) variant.instanceCount++;
+
+            for (const attr of attributes) {
+                // Unqualified attributes stay unqualified whatever the element's namespace
+                const attrNamespace = attr.namespace && mapNamespace(attr.namespace);
+                if (attr.isDeclaration || attrNamespace === XSI_NAMESPACE) continue;
+
+                const attrKey = qualifiedKey(attrNamespace, attr.name);
+                noteNamespace(attrNamespace, attr.prefix);
+                if (!info.attributes.has(attrKey)) {
+                    info.attributes.set(attrKey, { name: attr.name, namespace: attrNamespace, values: createValueStats() });
+                }
+                recordValue(info.attributes.get(attrKey).values, attr.value);
+                identity.record(path, attrKey, attr.value);
+                if (variant) variant.attributes.set(attrKey, (variant.attributes.get(attrKey) || 0) + 1);
+
+                if (attrNamespace && attrNamespace !== namespace) {
+                    if (!globalAttributes.has(attrKey)) {
+                        globalAttributes.set(attrKey, { name: attr.name, namespace: attrNamespace, values: createValueStats() });
+                    }
+                    recordValue(globalAttributes.get(attrKey).values, attr.value);
+                }
+            }
+
+            const nil = /^\s*(true|1)\s*$/.test(xsi.nil || '');
+            open.push({ path, info, childCounts: new Map(), childSequence: [], hasChildElements: false, textValue: '', nil, variant });
+        },
+
+        /**
+         * @param {string} value Character data of the innermost open element.
+         */
+        text(value) {
+            const frame = open[open.length - 1];
+            if (!frame) return;
+            frame.textValue += value;
+            if (value.trim() !== '') {
+                frame.info.hasTextContent = true; // Mark if any text content exists
+                pendingComments = [];
+            }
+        },
+
+        /**
+         * @param {string} value The text of a comment. It documents the element started next, unless text or an
+         *   end tag comes first.
+         */
+        comment(value) {
+            if (open.length > 0 && value.trim() !== '') pendingComments.push(value.trim());
+        },
+
+        endElement() {
+            const { path, info, childCounts, childSequence, hasChildElements, textValue, nil, variant } = open.pop();
+            pendingComments = [];
+            // Only an instance that is actually empty counts as nil; anything else is an error of the document
+            const isNil = nil && !hasChildElements && textValue.trim() === '';
+            if (isNil) {
+                info.nilCount++;
+                if (variant) variant.nilCount++;
+            }
+
+            foldChildCounts(info.children, childCounts);
+            if (variant) foldChildCounts(variant.children, childCounts);
+
+            if (childSequence.length > 0) {
+                info.withChildren++;
+                recordChildSequence(info, childSequence);
+            }
+
+            // Text-only instances feed type inference; empty ones count too, so an
+            // element that is sometimes empty falls back to xs:string
+            if (!hasChildElements && !isNil) {
+                recordValue(info.text, textValue);
+                identity.record(path, null, textValue);
+            }
+            if (open.length === 0) identity.endDocument();
+        },
+
+        /**
+         * @returns {SchemaModel} The model of the documents fed so far.
+         */
+        buildModel() {
+            const { declarations, clusterOf } = resolveDeclarations(contextInfo, contextOrder, settings.emitDocumentation);
+            return {
+                rootNamespace,
+                elements: declarations,
+                // Document root elements are the entry points of every schema
+                rootKeys: new Set([...rootPaths].map(path => clusterOf.get(path).key)),
+                globalAttributes,
+                documentPrefixes,
+                identityConstraints: inferIdentityConstraints(identity, contextInfo, clusterOf),
+                schemaLocations,
+                internalSubsets,
+            };
+        },
+    };
+    return statistics;
+}
+
+/**
+ * Parses XML samples and infers their structure.
+ * Simple element and attribute types are inferred from the observed values;
+ * child occurrences and attribute use from how often each one appears across
+ * the instances of its parent.
+ *
+ * Elements and attributes are identified by namespace URI and local name.
+ * Several samples are accumulated into one model, so an element missing from
+ * one sample becomes optional and values from every sample take part in type
+ * inference.
+ *
+ * The internal DTD subsets of the samples' DOCTYPE declarations are kept in
+ * the model for importDtd (dtdImport.js), which merges their declarations.
+ *
+ * Each sample is parsed into a DOM first; inferSchemaModelFromStream builds
+ * the same model without holding whole documents in memory.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; the targetNamespace, xmlParser and onProgress options apply.
+ * @returns {SchemaModel} The inferred model.
+ * @throws {Error} If XML parsing fails or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export function inferSchemaModel(xmlInput, options) {
+    const settings = resolveInferenceOptions(options);
+    const xmlStrings = Array.isArray(xmlInput) ? xmlInput : [xmlInput];
+    if (xmlStrings.length === 0) {
+        throw new Error("No XML samples provided.");
+    }
+
+    const rootElements = xmlStrings.map((xmlString, index) => {
+        try {
+            return parseRootElement(xmlString, settings.xmlParser);
+        } catch (err) {
+            if (Array.isArray(xmlInput)) {
+                err.sampleIndex = index;
+            }
+            throw err;
+        }
+    });
+
+    // Each sample's characters count as processed in proportion to its elements analysed
+    const statistics = createStatistics(settings);
+    const totalBytes = xmlStrings.reduce((sum, xmlString) => sum + xmlString.length, 0);
+    let bytesBefore = 0; // Characters of the samples already analysed
+    rootElements.forEach((rootElement, index) => {
+        const doctype = readDoctype(xmlStrings[index]);
+        if (doctype) statistics.doctype(doctype);
+        if (!settings.onProgress) {
+            walkDocument(rootElement, statistics);
+            return;
+        }
+        const sampleBytes = xmlStrings[index].length;
+        const sampleElements = countElements(rootElement);
+        let sampleElementsDone = 0;
+        const report = () => settings.onProgress({
+            bytesProcessed: bytesBefore + Math.round(sampleBytes * sampleElementsDone / sampleElements),
+            totalBytes,
+            elementsProcessed: statistics.elementsProcessed,
+        });
+        walkDocument(rootElement, statistics, () => {
+            sampleElementsDone++;
+            if (statistics.elementsProcessed % PROGRESS_INTERVAL === 0) report();
+        });
+        report();
+        bytesBefore += sampleBytes;
+    });
+
+    return statistics.buildModel();
+}
+
+/**
+ * Streaming variant of inferSchemaModel: each sample is tokenized as it is
+ * read and fed straight into the statistics, so no DOM is built and memory
+ * use depends on the nesting depth and the number of distinct elements, not
+ * on the size of the input. The resulting model is the same.
+ *
+ * A sample can be a string, a Blob or File, a ReadableStream, or an
+ * (async) iterable of string or byte chunks such as a Node.js stream;
+ * bytes are decoded as UTF-8. Progress (see the onProgress option) counts
+ * bytes read, or characters for string input; `totalBytes` is null when a
+ * sample's size is not known in advance. The xmlParser option does not apply.
+ * The general entities of the dtd option, which stands for the samples'
+ * external subset, are expanded (see createSaxParser).
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable|Array} input One sample or an array of samples.
+ * @param {object} [options] Generator options; the targetNamespace, onProgress and dtd options apply.
+ * @returns {Promise<SchemaModel>} The inferred model.
+ * @throws {Error} (as a rejection) If a sample is not well-formed ("Invalid XML: ..." with `line`, `column` and
+ *   `reason`, plus `snippet` unless the error points back past the line being read) or an option is invalid. For multiple samples, `sampleIndex` holds
+ *   the index of the failing one.
+ */
+export async function inferSchemaModelFromStream(input, options) {
+    const settings = resolveInferenceOptions(options);
+    const sources = Array.isArray(input) ? input : [input];
+    if (sources.length === 0) {
+        throw new Error("No XML samples provided.");
+    }
+
+    const statistics = createStatistics(settings);
+    const dtdEntities = options && options.dtd ? parseDtd(options.dtd).generalEntities : null;
+    const sizes = sources.map(sourceSize);
+    const progress = { bytesProcessed: 0, totalBytes: sizes.includes(null) ? null : sizes.reduce((sum, size) => sum + size, 0) };
+    const report = () => {
+        if (settings.onProgress) settings.onProgress({ ...progress, elementsProcessed: statistics.elementsProcessed });
+    };
+
+    for (let index = 0; index < sources.length; index++) {
+        const parser = createSaxParser({
+            doctype: declaration => statistics.doctype(declaration),
+            startElement: element => {
+                statistics.startElement(
+                    { namespace: element.namespace, name: element.localName, prefix: element.prefix },
+                    element.attributes.map(attr => ({
+                        namespace: attr.namespace,
+                        name: attr.localName,
+                        prefix: attr.prefix,
+                        value: attr.value,
+                        isDeclaration: attr.namespace === XMLNS_NAMESPACE,
+                    })),
+                    prefix => element.namespaces[prefix || ""],
+                );
+                if (statistics.elementsProcessed % PROGRESS_INTERVAL === 0) report();
+            },
+            text: value => statistics.text(value),
+            comment: value => statistics.comment(value),
+            endElement: () => statistics.endElement(),
+        }, { dtdEntities });
+        // Files and streams are not held whole, so their snippets come from the text around the parser
+        const recent = createSnippetWindow();
+        try {
+            for await (const chunk of readTextChunks(sources[index])) {
+                progress.bytesProcessed += chunk.size;
+                recent.add(chunk.text);
+                parser.write(chunk.text);
+            }
+            parser.close();
+        } catch (err) {
+            const error = err.line === undefined ? err : invalidXmlError(err, sources[index]);
+            if (err.line !== undefined && error.snippet === undefined) {
+                const snippet = recent.snippet(err.line, err.column);
+                if (snippet) error.snippet = snippet;
+            }
+            if (Array.isArray(input)) {
+                error.sampleIndex = index;
+            }
+            throw error;
+        }
+        report();
+    }
+
+    return statistics.buildModel();
+}
+
+/**
+ * Adds `after` to the set of keys related to `before`.
+ *
+ * @param {Map<string, Set<string>>} relation The relation to update.
+ * @param {string} before The first key.
+ * @param {string} after The related key.
+ */
+function addPair(relation, before, after) {
+    if (!relation.has(before)) relation.set(before, new Set());
+    relation.get(before).add(after);
+}
+
+/**
+ * Records the ordering and co-occurrence of one instance's children. The
+ * sequence is collapsed into runs of the same child; if a child reappears
+ * after a different sibling no fixed order can describe the parent, so the
+ * `interleaved` flag is set (the pairs of runs are still recorded, for
+ * model groups that repeat).
+ *
+ * @param {object} info Statistics of the parent context.
+ * @param {string[]} sequence Child keys of the instance in document order.
+ */
+function recordChildSequence(info, sequence) {
+    const runs = sequence.filter((key, i) => key !== sequence[i - 1]);
+    const distinct = [...new Set(runs)];
+    if (distinct.length !== runs.length) info.interleaved = true;
+    runs.forEach((before, i) => runs.slice(i + 1).forEach(after => {
+        if (before !== after) addPair(info.precedes, before, after);
+    }));
+    distinct.forEach(a => distinct.forEach(b => {
+        if (a !== b) addPair(info.coOccurs, a, b);
+    }));
+}
+
+/**
+ * Orders children so that every observed "a before b" holds, preferring
+ * first-seen order where the observations leave a choice.
+ *
+ * @param {string[]} children Child keys in first-seen order.
+ * @param {Map<string, Set<string>>} precedes Observed orderings.
+ * @returns {string[]|null} The ordered keys, or null if the observations contradict each other.
+ */
+export function topologicalOrder(children, precedes) {
+    const remaining = [...children];
+    const ordered = [];
+    while (remaining.length > 0) {
+        const next = remaining.find(key => !remaining.some(other => other !== key && precedes.get(other)?.has(key)));
+        if (!next) return null;
+        ordered.push(next);
+        remaining.splice(remaining.indexOf(next), 1);
+    }
+    return ordered;
+}
+
+/**
+ * Chooses the content model for an element's children:
+ * - "choice" when no two different children ever appeared in the same instance;
+ * - "sequence" when the children's relative order is the same in every instance;
+ * - "all" when the order varies but no child ever repeats;
+ * - "repeatableChoice" (a choice with maxOccurs="unbounded") when the order
+ *   varies and children repeat, which is the only model XSD 1.0 has for that.
+ *
+ * @param {object} info Merged statistics of the declaration.
+ * @param {string[]} firstSeenOrder Child keys in order of first appearance.
+ * @returns {{kind: string, children: string[]}} The content model and its children in emission order.
+ */
+function analyseContentModel(info, firstSeenOrder) {
+    const children = [...new Set([...firstSeenOrder, ...info.children.keys()])];
+    if (children.length <= 1) {
+        return { kind: "sequence", children };
+    }
+    if (info.coOccurs.size === 0) {
+        return { kind: "choice", children };
+    }
+    const ordered = info.interleaved ? null : topologicalOrder(children, info.precedes);
+    if (ordered) {
+        return { kind: "sequence", children: ordered };
+    }
+    const repeats = children.some(key => info.children.get(key).maxCount > 1);
+    return { kind: repeats ? "repeatableChoice" : "all", children };
+}
+
+/**
+ * Summarises the shape of an element context for compatibility checks.
+ *
+ * @param {object} context Statistics collected for one parent path.
+ * @returns {{empty: boolean, textOnly: boolean, members: Set<string>}} The structure signature.
+ */
+function structureSignature(context) {
+    const members = new Set([...context.children.keys(), ...[...context.attributes.keys()].map(key => `@${key}`)]);
+    return {
+        empty: members.size === 0 && !context.hasTextContent,
+        textOnly: members.size === 0 && context.hasTextContent,
+        members,
+    };
+}
+
+/**
+ * Combines two structure signatures into the signature of their union.
+ *
+ * @param {object} a A structure signature.
+ * @param {object} b Another structure signature.
+ * @returns {object} The merged signature.
+ */
+function mergeSignatures(a, b) {
+    const members = new Set([...a.members, ...b.members]);
+    const textOnly = members.size === 0 && (a.textOnly || b.textOnly);
+    return { empty: members.size === 0 && !textOnly, textOnly, members };
+}
+
+/**
+ * Two structures can share one declaration when either is empty, both are
+ * text-only, or their children and attributes largely overlap (one contains
+ * the other, or at least half of the union is shared).
+ *
+ * @param {object} a A structure signature.
+ * @param {object} b Another structure signature.
+ * @returns {boolean} True if the structures are compatible.
+ */
+function isStructurallyCompatible(a, b) {
+    if (a.empty || b.empty) return true;
+    if (a.textOnly || b.textOnly) return a.textOnly && b.textOnly;
+    const shared = [...a.members].filter(member => b.members.has(member)).length;
+    if (shared === a.members.size || shared === b.members.size) return true;
+    return shared / (a.members.size + b.members.size - shared) >= 0.5;
+}
+
+/**
+ * Adds the per-child occurrence statistics of a context to those of its declaration.
+ *
+ * @param {Map<string, object>} merged The declaration's statistics by child declaration key; updated in place.
+ * @param {Map<string, object>} children The context's statistics by child element key.
+ * @param {function(string): string} toDeclaration Maps a child element key to its declaration key.
+ */
+function mergeChildStats(merged, children, toDeclaration) {
+    for (const [childKey, stats] of children) {
+        const childDeclaration = toDeclaration(childKey);
+        const existing = merged.get(childDeclaration);
+        if (existing) {
+            existing.presentIn += stats.presentIn;
+            existing.minCount = Math.min(existing.minCount, stats.minCount);
+            existing.maxCount = Math.max(existing.maxCount, stats.maxCount);
+        } else {
+            merged.set(childDeclaration, { ...stats });
+        }
+    }
+}
+
+/**
+ * Groups the per-path contexts of each element into declarations. Contexts
+ * are visited parents first; each joins the first compatible declaration of
+ * its element or starts a new one. Children of contexts that share a
+ * declaration are forced to share too, since one type can give a child name
+ * only one declaration; this is also what folds recursive paths back into a
+ * single self-referencing declaration. Elements whose namespace differs from
+ * their parent's are never split, as they can only be referenced globally.
+ *
+ * The first declaration of an element is keyed by the element key, later ones
+ * get a "#n" suffix. Divergent declarations other than the document root's are
+ * `localOnly` and named after their parent, e.g. customer_address.
+ *
+ * @param {Map<string, object>} contexts Statistics per parent path, parents first.
+ * @param {Map<string, string[]>} contextOrder Child order per parent path.
+ * @param {boolean} documentPaths Whether to keep the first paths of each declaration, for its documentation.
+ * @returns {{declarations: Map<string, object>, clusterOf: Map<string, object>}}
+ *   Merged statistics (including the content model) per declaration key, and the declaration each path belongs to.
+ */
+function resolveDeclarations(contexts, contextOrder, documentPaths) {
+    const clusterOf = new Map(); // path -> { key, elementKey, paths, signature }
+    const clustersByElement = new Map(); // elementKey -> clusters in creation order
+
+    for (const [path, context] of contexts) {
+        const parentCluster = context.parentPath !== null ? clusterOf.get(context.parentPath) : null;
+        const candidates = clustersByElement.get(context.elementKey) || [];
+        const signature = structureSignature(context);
+        let cluster = null;
+
+        if (parentCluster) {
+            // Follow the choice already made for this child under a context sharing the parent's declaration
+            const siblingPath = parentCluster.paths
+                .map(parentPath => `${parentPath}/${context.elementKey}`)
+                .find(candidatePath => clusterOf.has(candidatePath));
+            cluster = siblingPath ? clusterOf.get(siblingPath) : null;
+        }
+        if (!cluster) {
+            const parent = context.parentPath !== null ? contexts.get(context.parentPath) : null;
+            const splittable = !parent || context.namespace === null || context.namespace === parent.namespace;
+            cluster = candidates.find(candidate => !splittable || isStructurallyCompatible(candidate.signature, signature));
+        }
+        if (!cluster) {
+            cluster = {
+                key: candidates.length === 0 ? context.elementKey : `${context.elementKey}#${candidates.length + 1}`,
+                elementKey: context.elementKey,
+                paths: [],
+                signature: { empty: true, textOnly: false, members: new Set() },
+            };
+            clustersByElement.set(context.elementKey, [...candidates, cluster]);
+        }
+
+        cluster.paths.push(path);
+        cluster.signature = mergeSignatures(cluster.signature, signature);
+        clusterOf.set(path, cluster);
+    }
+
+    // The names along a path, from the root
+    const stepsOf = path => {
+        const steps = [];
+        for (let step = path; step !== null; step = contexts.get(step).parentPath) {
+            const { name, namespace } = contexts.get(step);
+            steps.push({ name, namespace });
+        }
+        return steps.reverse();
+    };
+
+    const declarations = new Map();
+    for (const clusters of clustersByElement.values()) {
+        for (const cluster of clusters) {
+            const [firstPath] = cluster.paths;
+            const first = contexts.get(firstPath);
+            const isRoot = first.parentPath === null;
+            const divergent = clusters.length > 1 && !isRoot;
+            const info = {
+                name: first.name,
+                namespace: first.namespace,
+                // Base for the type name: parent-qualified when the element has divergent structures
+                typeBase: divergent ? `${contexts.get(first.parentPath).name}_${first.name}` : first.name,
+                localOnly: divergent,
+                instanceCount: 0,
+                attributes: new Map(),
+                children: new Map(),
+                withChildren: 0,
+                precedes: new Map(),
+                coOccurs: new Map(),
+                interleaved: false,
+                hasTextContent: false,
+                text: createValueStats(),
+                nilCount: 0,
+                typeVariants: new Map(),
+                paths: documentPaths ? cluster.paths.slice(0, DOCUMENTED_PATH_LIMIT).map(stepsOf) : null,
+                pathCount: cluster.paths.length,
+                comments: [],
+            };
+            const order = [];
+
+            for (const path of cluster.paths) {
+                const context = contexts.get(path);
+                const toDeclaration = childKey => clusterOf.get(`${path}/${childKey}`).key;
+                info.instanceCount += context.instanceCount;
+                info.withChildren += context.withChildren;
+                info.interleaved = info.interleaved || context.interleaved;
+                for (const [relation, merged] of [[context.precedes, info.precedes], [context.coOccurs, info.coOccurs]]) {
+                    for (const [before, afters] of relation) {
+                        afters.forEach(after => addPair(merged, toDeclaration(before), toDeclaration(after)));
+                    }
+                }
+                info.hasTextContent = info.hasTextContent || context.hasTextContent;
+                info.nilCount += context.nilCount;
+                for (const comment of context.comments) {
+                    if (info.comments.length < COMMENT_LIMIT && !info.comments.includes(comment)) info.comments.push(comment);
+                }
+                mergeValueStats(info.text, context.text);
+                for (const [attrKey, attr] of context.attributes) {
+                    if (!info.attributes.has(attrKey)) {
+                        info.attributes.set(attrKey, { name: attr.name, namespace: attr.namespace, values: createValueStats() });
+                    }
+                    mergeValueStats(info.attributes.get(attrKey).values, attr.values);
+                }
+                mergeChildStats(info.children, context.children, toDeclaration);
+                for (const [typeKey, variant] of context.typeVariants) {
+                    if (!info.typeVariants.has(typeKey)) {
+                        info.typeVariants.set(typeKey, { ...variant, instanceCount: 0, nilCount: 0, attributes: new Map(), children: new Map() });
+                    }
+                    const merged = info.typeVariants.get(typeKey);
+                    merged.instanceCount += variant.instanceCount;
+                    merged.nilCount += variant.nilCount;
+                    for (const [attrKey, count] of variant.attributes) {
+                        merged.attributes.set(attrKey, (merged.attributes.get(attrKey) || 0) + count);
+                    }
+                    mergeChildStats(merged.children, variant.children, toDeclaration);
+                }
+                for (const childKey of contextOrder.get(path)) {
+                    const childDeclaration = toDeclaration(childKey);
+                    if (!order.includes(childDeclaration)) order.push(childDeclaration);
+                }
+            }
+            info.contentModel = analyseContentModel(info, order);
+            info.nillable = info.nilCount > 0;
+            declarations.set(cluster.key, info);
+        }
+    }
+    return { declarations, clusterOf };
+}
+
+/**
+ * An element is simple when it only ever held text: no children, no attributes.
+ *
+ * @param {object} info Collected statistics of the element.
+ * @returns {boolean} True if a built-in simple type describes it.
+ */
+export function isSimpleElement(info) {
+    return info.hasTextContent && info.children.size === 0 && info.attributes.size === 0;
+}
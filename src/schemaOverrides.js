@@ -0,0 +1,233 @@
+import { inferFacets } from './typeInference.js';
+import { getAttributeUse, describeContentModel, childParticles, documentName, resolveIdentityConstraints } from './schemaModel.js';
+import { resolveOptions } from './xsdGenerator.js';
+import { isBuiltinSimpleType, isValidBuiltinValue, normalizeWhiteSpace, builtinWhiteSpace } from './xsdDatatypes.js';
+
+/**
+ * Overrides adjust an inferred model by hand. They are keyed by the node they
+ * apply to:
+ * - an element declaration key ("order", "{urn:o}order") for the type of the element's text;
+ * - `${elementKey}@${attributeKey}` for an attribute's type and use;
+ * - `${parentKey}>${childKey}` for the occurrences of a child element in its parent;
+ * - `#${constraintName}` for an identity constraint (see IdentityConstraint in identityInference.js).
+ * Element names cannot contain "@", ">" or "#", so the keys never clash.
+ *
+ * Each override is `{type?, enumeration?, required?, minOccurs?, maxOccurs?}`
+ * and only the fields it sets change: `type` is a prefixed built-in type
+ * ("xs:int"), `enumeration` a list of allowed values (empty to drop the
+ * inferred one), `required` the use of an attribute, `minOccurs` and
+ * `maxOccurs` strings as in XSD. Applied overrides are declared constraints
+ * of the model (see SchemaModel in schemaModel.js), so every emitter takes
+ * them over. An identity constraint override is `{dropped: true}`, which
+ * removes the constraint along with the keyrefs that refer to it.
+ *
+ * @typedef {Object<string, object>} ModelOverrides
+ */
+
+/**
+ * The effective type and facets of an overridden simple value. A new type
+ * drops the inferred facets, which were derived for the old one; an
+ * enumeration replaces the inferred one and keeps the other facets.
+ *
+ * @param {object} stats Value statistics of the text or attribute.
+ * @param {object} override The override.
+ * @param {object} settings Resolved generator options.
+ * @returns {{base: string, facets: {name: string, value: string}[]}} The declared type.
+ * @throws {Error} If the type is not a built-in simple type or an enumeration value does not fit it.
+ */
+function overriddenType(stats, override, settings) {
+    const current = inferFacets(stats, settings);
+    const base = override.type || current.base;
+    const localName = base.startsWith("xs:") ? base.slice(3) : "";
+    if (!isBuiltinSimpleType(localName)) {
+        throw new Error(`Unknown built-in type "${base}".`);
+    }
+    let facets = base === current.base ? current.facets : [];
+    if (override.enumeration !== undefined) {
+        for (const value of override.enumeration) {
+            if (!isValidBuiltinValue(localName, normalizeWhiteSpace(value, builtinWhiteSpace(localName)))) {
+                throw new Error(`"${value}" is not a valid ${base} value.`);
+            }
+        }
+        facets = [
+            ...override.enumeration.map(value => ({ name: "enumeration", value })),
+            ...facets.filter(facet => facet.name !== "enumeration"),
+        ];
+    }
+    return { base, facets };
+}
+
+/**
+ * Checks overridden occurrence bounds.
+ *
+ * @param {{minOccurs: string, maxOccurs: string}} bounds The bounds.
+ * @returns {{minOccurs: string, maxOccurs: string}} The same bounds.
+ * @throws {Error} If a bound is not a number (or "unbounded" for maxOccurs) or max is below min.
+ */
+function checkedBounds(bounds) {
+    const { minOccurs, maxOccurs } = bounds;
+    if (!/^\d+$/.test(minOccurs)) {
+        throw new Error(`Invalid minOccurs "${minOccurs}". Expected a non-negative integer.`);
+    }
+    if (maxOccurs !== "unbounded" && (!/^\d+$/.test(maxOccurs) || Number(maxOccurs) < Math.max(1, Number(minOccurs)))) {
+        throw new Error(`Invalid maxOccurs "${maxOccurs}". Expected "unbounded" or an integer of at least ${Math.max(1, Number(minOccurs))}.`);
+    }
+    return bounds;
+}
+
+/**
+ * Applies overrides to a model without changing it: the declarations they
+ * touch are copied with the overridden constraints declared.
+ *
+ * @param {object} model The model; see SchemaModel in schemaModel.js.
+ * @param {ModelOverrides} overrides The overrides by node key.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS in xsdGenerator.js.
+ * @returns {object} The model with the overrides applied.
+ * @throws {Error} If an override names an unknown node or holds an invalid value, or bounds its content
+ *   model cannot take: any bounds in a repeatable choice, or repeats in an "all" group.
+ */
+export function applyOverrides(model, overrides, options) {
+    const settings = resolveOptions(options);
+    const policy = settings.occurrencePolicy;
+    const elements = new Map(model.elements);
+    // Copies a declaration the first time an override touches it
+    const copyOf = key => {
+        const info = elements.get(key);
+        if (!info) throw new Error(`Unknown element "${key}".`);
+        if (info === model.elements.get(key)) {
+            elements.set(key, { ...info, attributes: new Map(info.attributes), children: new Map(info.children) });
+        }
+        return elements.get(key);
+    };
+
+    let identityConstraints = model.identityConstraints || [];
+
+    for (const [target, override] of Object.entries(overrides)) {
+        const attribute = target.indexOf("@");
+        const child = target.indexOf(">");
+        if (target.startsWith("#")) {
+            const name = target.slice(1);
+            if (!identityConstraints.some(constraint => constraint.name === name)) {
+                if (!(model.identityConstraints || []).some(constraint => constraint.name === name)) {
+                    throw new Error(`Unknown identity constraint "${name}".`);
+                }
+                continue; // Went with a key dropped before
+            }
+            if (override.dropped) {
+                identityConstraints = identityConstraints.filter(constraint => constraint.name !== name && constraint.refer !== name);
+            }
+        } else if (attribute > 0) {
+            const info = copyOf(target.slice(0, attribute));
+            const attrKey = target.slice(attribute + 1);
+            const attr = info.attributes.get(attrKey);
+            if (!attr) throw new Error(`Unknown attribute "${attrKey}" of <${info.name}>.`);
+            const use = override.required === undefined
+                ? getAttributeUse(attr.values, info.instanceCount, policy)
+                : override.required ? "required" : "optional";
+            const declared = { ...overriddenType(attr.values, override, settings), use };
+            info.attributes.set(attrKey, { ...attr, values: { ...attr.values, declared } });
+        } else if (child > 0) {
+            const info = copyOf(target.slice(0, child));
+            const childKey = target.slice(child + 1);
+            const particle = childParticles(describeContentModel(info, policy)).find(({ key }) => key === childKey);
+            if (!particle) throw new Error(`Unknown child element "${childKey}" of <${info.name}>.`);
+            const childName = documentName(model.documentPrefixes, model.elements.get(childKey));
+            // Children of a repeatable choice have no bounds of their own, so there is nothing to override
+            if (!particle.bounds) {
+                throw new Error(`<${childName}> is in a repeated choice of <${info.name}>, where children have no occurrences of their own.`);
+            }
+            const current = particle.bounds;
+            const declared = checkedBounds({
+                minOccurs: override.minOccurs === undefined ? current.minOccurs : String(override.minOccurs),
+                maxOccurs: override.maxOccurs === undefined ? current.maxOccurs : String(override.maxOccurs),
+            });
+            if (particle.group.kind === "all" && declared.maxOccurs !== "1") {
+                throw new Error(`<${childName}> is in an xs:all group of <${info.name}>, where children occur at most once.`);
+            }
+            info.children.set(childKey, { ...info.children.get(childKey), declared });
+        } else {
+            const info = copyOf(target);
+            if (!info.hasTextContent) throw new Error(`<${info.name}> has no text content to type.`);
+            info.text = { ...info.text, declared: overriddenType(info.text, override, settings) };
+        }
+    }
+    return { ...model, elements, identityConstraints };
+}
+
+/**
+ * Describes one element of a model for a tree view: its effective text type,
+ * attributes and child elements with their occurrences, each with the key an
+ * override for it is stored under.
+ *
+ * @param {object} model The model; see SchemaModel in schemaModel.js.
+ * @param {string} elementKey The element's declaration key.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS in xsdGenerator.js.
+ * @returns {{name: string, content: string, type: object|null, attributes: object[], children: object[]}}
+ *   `content` is "empty", "text", "mixed" or the content model kind; `type` is `{target, base, enumeration}`
+ *   for elements with text only; attributes are `{target, name, base, enumeration, required}` and children
+ *   `{target, key, minOccurs, maxOccurs}` (no bounds inside a repeatable choice).
+ */
+export function describeElement(model, elementKey, options) {
+    const settings = resolveOptions(options);
+    const policy = settings.occurrencePolicy;
+    const info = model.elements.get(elementKey);
+    const typeOf = stats => {
+        const { base, facets } = inferFacets(stats, settings);
+        return { base, enumeration: facets.filter(facet => facet.name === "enumeration").map(facet => facet.value) };
+    };
+
+    const attributes = [...info.attributes].map(([attrKey, attr]) => ({
+        target: `${elementKey}@${attrKey}`,
+        name: documentName(model.documentPrefixes, attr),
+        ...typeOf(attr.values),
+        required: getAttributeUse(attr.values, info.instanceCount, policy) === "required",
+    }));
+
+    if (info.children.size === 0) {
+        const content = info.hasTextContent ? "text" : "empty";
+        const type = info.hasTextContent ? { target: elementKey, ...typeOf(info.text) } : null;
+        return { name: documentName(model.documentPrefixes, info), content, type, attributes, children: [] };
+    }
+    const description = describeContentModel(info, policy);
+    const children = childParticles(description).map(({ key, bounds }) => ({
+        target: `${elementKey}>${key}`,
+        key,
+        minOccurs: bounds ? bounds.minOccurs : null,
+        maxOccurs: bounds ? bounds.maxOccurs : null,
+    }));
+    return { name: documentName(model.documentPrefixes, info), content: info.hasTextContent ? "mixed" : description.kind, type: null, attributes, children };
+}
+
+/**
+ * Describes the identity constraints of a model for review: each relationship
+ * the identityConstraints option writes, with the path of its field from the
+ * document root and the key an override dropping it is stored under.
+ *
+ * @param {object} model The model, before overrides; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS in xsdGenerator.js.
+ * @returns {{target: string, name: string, kind: string, path: string, refer: string|null}[]}
+ *   `kind` is the construct written: "key", "unique", "keyref", or "ID" and "IDREF" for typed attributes;
+ *   `path` is e.g. "/shop/customers/customer/@id"; `refer` names the key of a keyref.
+ */
+export function describeIdentityConstraints(model, options) {
+    const settings = resolveOptions(options);
+    if (settings.identityConstraints === "none") return [];
+    const { constraints } = resolveIdentityConstraints(model, settings);
+    const written = new Map(constraints.map(constraint => [constraint.name, constraint.kind]));
+    const nameOf = key => documentName(model.documentPrefixes, model.elements.get(key));
+
+    return (model.identityConstraints || []).map(constraint => {
+        const { name, scope, selector, field, refer } = constraint;
+        const selected = model.elements.get(selector[selector.length - 1]);
+        const fieldName = field.attribute
+            ? `@${documentName(model.documentPrefixes, selected.attributes.get(field.attribute))}`
+            : nameOf(field.element);
+        return {
+            target: `#${name}`,
+            name,
+            kind: written.get(name) || (constraint.kind === "keyref" ? "IDREF" : "ID"),
+            path: `/${[scope, ...selector].map(nameOf).join("/")}/${fieldName}`,
+            refer: refer || null,
+        };
+    });
+}
@@ -0,0 +1,96 @@
+// src/schemaOverrides.test.js
+import { applyOverrides, describeElement, describeIdentityConstraints } from './schemaOverrides';
+import { inferSchemaModel } from './schemaModel';
+import { generateSchemasFromModel } from './xsdGenerator';
+import { generateJsonSchemaFromModel } from './jsonSchemaGenerator';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot, enumerationThreshold: 5 };
+const orders = [
+    '<order id="1" status="new"><item>3</item><note>x</note></order>',
+    '<order id="2" status="new"><item>4</item></order>',
+];
+
+describe('schemaOverrides', () => {
+    it('should apply type, enumeration, use and occurrence overrides to every output', () => {
+        const model = inferSchemaModel(orders, options);
+        const overridden = applyOverrides(model, {
+            item: { type: 'xs:decimal' },
+            'order@status': { enumeration: ['new', 'shipped'], required: false },
+            'order@id': { type: 'xs:token' },
+            'order>item': { minOccurs: '1', maxOccurs: '5' },
+        }, options);
+
+        const xsd = generateSchemasFromModel(overridden, options)[0].content;
+        expect(xsd).toContain('<xs:element name="item" type="xs:decimal"/>');
+        expect(xsd).toContain('<xs:element ref="item" minOccurs="1" maxOccurs="5"/>');
+        expect(xsd).toContain('<xs:attribute name="id" type="xs:token" use="required"/>');
+        expect(xsd).toContain(`<xs:attribute name="status" use="optional">
+      <xs:simpleType>
+        <xs:restriction base="xs:string">
+          <xs:enumeration value="new"/>
+          <xs:enumeration value="shipped"/>`);
+        const json = JSON.parse(generateJsonSchemaFromModel(overridden, options));
+        expect(json.$defs.order.properties.item).toEqual({ type: 'array', items: { type: 'number' }, minItems: 1, maxItems: 5 });
+
+        // The inferred model itself is left alone
+        expect(generateSchemasFromModel(model, options)[0].content).toContain('<xs:element name="item" type="xs:integer"/>');
+    });
+
+    it('should reject overrides that do not fit the model', () => {
+        const model = inferSchemaModel(orders, options);
+        expect(() => applyOverrides(model, { item: { type: 'xs:money' } }, options)).toThrow('Unknown built-in type "xs:money".');
+        expect(() => applyOverrides(model, { item: { enumeration: ['1', 'two'] } }, options)).toThrow('"two" is not a valid xs:integer value.');
+        expect(() => applyOverrides(model, { 'order>item': { minOccurs: '2', maxOccurs: '1' } }, options))
+            .toThrow('Invalid maxOccurs "1". Expected "unbounded" or an integer of at least 2.');
+        expect(() => applyOverrides(model, { 'order>gift': { minOccurs: '0' } }, options)).toThrow('Unknown child element "gift" of <order>.');
+        expect(() => applyOverrides(model, { order: { type: 'xs:string' } }, options)).toThrow('<order> has no text content to type.');
+
+        // Bounds the group kind would not write
+        const all = inferSchemaModel(['<q><a/><b/></q>', '<q><b/><a/></q>'], options);
+        expect(applyOverrides(all, { 'q>a': { minOccurs: '0' } }, options).elements.get('q').children.get('a').declared)
+            .toEqual({ minOccurs: '0', maxOccurs: '1' });
+        expect(() => applyOverrides(all, { 'q>a': { maxOccurs: '2' } }, options))
+            .toThrow('<a> is in an xs:all group of <q>, where children occur at most once.');
+        const repeated = inferSchemaModel('<q><x/><y/><x/></q>', options);
+        expect(() => applyOverrides(repeated, { 'q>x': { minOccurs: '1' } }, options))
+            .toThrow('<x> is in a repeated choice of <q>, where children have no occurrences of their own.');
+    });
+
+    it('should describe elements with the keys their overrides use', () => {
+        const model = applyOverrides(inferSchemaModel(orders, options), { 'order>note': { maxOccurs: 'unbounded' } }, options);
+        expect(describeElement(model, 'order', options)).toEqual({
+            name: 'order',
+            content: 'sequence',
+            type: null,
+            attributes: [
+                { target: 'order@id', name: 'id', base: 'xs:integer', enumeration: [], required: true },
+                { target: 'order@status', name: 'status', base: 'xs:string', enumeration: ['new'], required: true },
+            ],
+            children: [
+                { target: 'order>item', key: 'item', minOccurs: '1', maxOccurs: '1' },
+                { target: 'order>note', key: 'note', minOccurs: '0', maxOccurs: 'unbounded' },
+            ],
+        });
+        expect(describeElement(model, 'item', options)).toEqual({
+            name: 'item', content: 'text', type: { target: 'item', base: 'xs:integer', enumeration: [] }, attributes: [], children: [],
+        });
+    });
+
+    it('should describe identity constraints and drop them with the keyrefs that need them', () => {
+        const model = inferSchemaModel('<shop><customer id="c1"/><customer id="c2"/><order customerRef="c2"/><order customerRef="c1"/></shop>', options);
+        expect(describeIdentityConstraints(model, options)).toEqual([
+            { target: '#customer_idKey', name: 'customer_idKey', kind: 'key', path: '/shop/customer/@id', refer: null },
+            { target: '#order_customerRefKeyref', name: 'order_customerRefKeyref', kind: 'keyref', path: '/shop/order/@customerRef', refer: 'customer_idKey' },
+        ]);
+        expect(describeIdentityConstraints(model, { ...options, identityConstraints: 'ids' }).map(({ kind }) => kind)).toEqual(['ID', 'IDREF']);
+        expect(describeIdentityConstraints(model, { ...options, identityConstraints: 'none' })).toEqual([]);
+
+        const dropped = applyOverrides(model, { '#customer_idKey': { dropped: true }, '#order_customerRefKeyref': { dropped: true } }, options);
+        expect(dropped.identityConstraints).toEqual([]);
+        expect(generateSchemasFromModel(dropped, options)[0].content).not.toContain('xs:key');
+        expect(applyOverrides(model, { '#order_customerRefKeyref': { dropped: true } }, options).identityConstraints.map(({ name }) => name))
+            .toEqual(['customer_idKey']);
+        expect(() => applyOverrides(model, { '#orderKey': { dropped: true } }, options)).toThrow('Unknown identity constraint "orderKey".');
+    });
+});
@@ -0,0 +1,1113 @@
+import { positionedError, XML_NAMESPACE } from './xmlParser.js';
+import { parseSchemas, qualifiedKey, XSD_NAMESPACE } from './xsdParser.js';
+import { toRegExp } from './xsdValidator.js';
+import { createValueStats, inferFacets } from './typeInference.js';
+import { isBuiltinSimpleType, isValidBuiltinValue, builtinWhiteSpace, isNumericBuiltin, normalizeWhiteSpace } from './xsdDatatypes.js';
+import { inferSchemaModel, getOccurrenceBounds, contentInstanceCount, describeContentModel, childParticles, topologicalOrder } from './schemaModel.js';
+import { resolveOptions, generateSchemasFromModel } from './xsdGenerator.js';
+
+const XSD_KEY_PREFIX = `{${XSD_NAMESPACE}}`;
+
+// The built-in type a declared type widens to when a value does not fit it:
+// the type it is derived from, or for float the wider double. Everything
+// else widens to xs:string.
+const WIDER_TYPES = {
+    byte: "short",
+    short: "int",
+    int: "long",
+    long: "integer",
+    unsignedByte: "unsignedShort",
+    unsignedShort: "unsignedInt",
+    unsignedInt: "unsignedLong",
+    unsignedLong: "nonNegativeInteger",
+    positiveInteger: "nonNegativeInteger",
+    nonNegativeInteger: "integer",
+    negativeInteger: "nonPositiveInteger",
+    nonPositiveInteger: "integer",
+    integer: "decimal",
+    decimal: "double",
+    float: "double",
+    ID: "NCName",
+    IDREF: "NCName",
+    ENTITY: "NCName",
+    NCName: "Name",
+    Name: "token",
+    NMTOKEN: "token",
+    language: "token",
+    token: "normalizedString",
+    normalizedString: "string",
+};
+
+// Types whose values are measured by length facets
+const LENGTH_TYPES = new Set(["string", "normalizedString", "token", "language", "Name", "NCName", "ID", "IDREF",
+    "ENTITY", "NMTOKEN", "anyURI", "QName", "NOTATION", "hexBinary", "base64Binary"]);
+const LENGTH_FACETS = ["length", "minLength", "maxLength"];
+const DIGIT_FACETS = ["totalDigits", "fractionDigits"];
+const RANGE_FACETS = ["minInclusive", "minExclusive", "maxInclusive", "maxExclusive"];
+// Facets in the order the generator writes them; patterns go between the length and digit facets
+const FACET_ORDER = [...LENGTH_FACETS, "pattern", ...DIGIT_FACETS, "minInclusive", "minExclusive", "maxInclusive", "maxExclusive", "whiteSpace"];
+
+// The paragraph the emitDocumentation option writes from the samples (see documentationParagraphs in xsdGenerator.js)
+const GENERATED_DOCUMENTATION = /^Occurs (once|\d+ times)( at .*)?\.( Examples?: .*)?$/s;
+const formatBounds = ({ minOccurs, maxOccurs }) => `${minOccurs}..${maxOccurs}`;
+const sameElement = (a, b) => a.name === b.name && a.namespace === b.namespace;
+const isDeclared = info => !!info.contentModel.declared;
+// Whether a declaration read from the schema can stand for an element anywhere: a global one
+const isGlobalDeclaration = info => !info.localOnly && info.global !== false && isDeclared(info);
+const quoteList = values => values.map(value => `"${value}"`).join(", ");
+const bounds = ({ minOccurs, maxOccurs }) => ({ minOccurs: String(minOccurs), maxOccurs: maxOccurs === Infinity ? "unbounded" : String(maxOccurs) });
+
+/**
+ * Splits a key in Clark notation into its namespace and local name.
+ *
+ * @param {string} key A key as built by qualifiedKey.
+ * @returns {{namespace: string|null, name: string}} The parts.
+ */
+function splitKey(key) {
+    const match = /^\{([^}]*)\}(.*)$/.exec(key);
+    return match ? { namespace: match[1], name: match[2] } : { namespace: null, name: key };
+}
+
+/**
+ * An empty declaration of the model, for an element read from a schema. It
+ * records no instances; its constraints are the declared ones.
+ *
+ * @param {string} name Local name.
+ * @param {string|null} namespace Namespace URI.
+ * @param {string} typeBase Base of the generated type name.
+ * @param {boolean} localOnly Whether the declaration must stay local.
+ * @param {boolean} global Whether the schema declared it globally.
+ * @returns {object} The declaration.
+ */
+function createDeclaration(name, namespace, typeBase, localOnly, global) {
+    return {
+        name,
+        namespace,
+        typeBase,
+        localOnly,
+        global,
+        instanceCount: 0,
+        attributes: new Map(),
+        children: new Map(),
+        withChildren: 0,
+        precedes: new Map(),
+        coOccurs: new Map(),
+        interleaved: false,
+        hasTextContent: false,
+        text: createValueStats(),
+        contentModel: { kind: "sequence", children: [], declared: { minOccurs: "1", maxOccurs: "1" } },
+        nilCount: 0,
+        nillable: false,
+        typeVariants: new Map(),
+        comments: [],
+    };
+}
+
+/**
+ * Reads XSD documents into a schema model the generators can emit again (see
+ * SchemaModel in schemaModel.js), with the schema's constraints recorded as
+ * declared ones and no instances counted.
+ *
+ * Declarations keep their scope, nested model groups their structure, values
+ * their default or fixed value, and simple types restricting a built-in type
+ * their name. Constructs the model has no room for are simplified: other
+ * simple types become their built-in base with the facets along the
+ * derivation chain (lists and unions become xs:string), content models
+ * declaring a child more than once become a repeatable choice, a local
+ * declaration with the name and type of a global one becomes a reference to
+ * it, and wildcards, xs:anyType content and xs:anyAttribute are dropped. Each
+ * simplification is reported. The roots are the global elements no other
+ * declaration refers to.
+ *
+ * The xs:documentation of element and attribute declarations (and of the
+ * anonymous types of elements) becomes their `comments`, which the
+ * emitDocumentation option writes again; documentation of named types and of
+ * element references has no place in the model and is reported dropped.
+ * Paragraphs the generator wrote itself ("Occurs 4 times at ...") describe
+ * the old samples and are left out.
+ *
+ * @param {string|string[]} schemaTexts The XSD documents.
+ * @returns {{model: object, changes: string[]}} The model and the simplifications made.
+ * @throws {Error} If a document cannot be parsed or refers to an undefined component.
+ */
+export function readSchemaModel(schemaTexts) {
+    const components = parseSchemas(schemaTexts);
+    const changes = [];
+    const elements = new Map();
+    const globalAttributes = new Map();
+    const identities = new Map(); // Element key -> [{type, key}] of the declarations made for it
+    const pending = [];
+    const referenced = new Set();
+    const notedTypes = new Set();
+    const notedDocumentation = new Set(); // Named types whose documentation was checked
+
+    const note = (subject, text) => {
+        const change = `${subject}: ${text}.`;
+        if (!changes.includes(change)) changes.push(change);
+    };
+    const handWritten = documentation => (documentation || []).filter(paragraph => !GENERATED_DOCUMENTATION.test(paragraph));
+
+    // The model declaration for a schema element declaration; elements sharing
+    // a name and a type share one declaration
+    function declarationFor(declaration, parent) {
+        const identity = declaration.type || declaration.typeName;
+        const known = identities.get(declaration.key) || [];
+        const match = known.find(entry => entry.type === identity);
+        const global = components.elements.get(declaration.key) === declaration;
+        if (match) {
+            if (!global && elements.get(match.key).global) {
+                note(`<${parent.name}>`, `the local declaration of <${declaration.name}> is replaced by a reference to the global one`);
+            }
+            return match.key;
+        }
+        const divergent = known.length > 0;
+        const key = divergent ? `${declaration.key}#${known.length + 1}` : declaration.key;
+        identities.set(declaration.key, [...known, { type: identity, key }]);
+        const typeBase = divergent && parent ? `${parent.name}_${declaration.name}` : declaration.name;
+        elements.set(key, createDeclaration(declaration.name, declaration.namespace, typeBase, divergent, global));
+        pending.push({ key, declaration });
+        return key;
+    }
+
+    function lookupType(typeName, component) {
+        const type = components.types.get(typeName);
+        if (!type) throw positionedError(`Unknown type "${typeName}"`, component);
+        return type;
+    }
+
+    // Flattens a simple type into a built-in base and its effective facets
+    function simpleTypeOf(reference, component, subject) {
+        if (typeof reference === "string" && reference.startsWith(XSD_KEY_PREFIX)) {
+            const localName = reference.slice(XSD_KEY_PREFIX.length);
+            const isAtomic = isBuiltinSimpleType(localName) && !["anySimpleType", "IDREFS", "ENTITIES", "NMTOKENS"].includes(localName);
+            if (!isAtomic && localName !== "anySimpleType" && localName !== "anyType") note(subject, `xs:${localName} replaced by xs:string`);
+            return { base: isAtomic ? `xs:${localName}` : "xs:string", facets: { enumeration: [], patterns: [] } };
+        }
+        const type = typeof reference === "string" ? lookupType(reference, component) : reference;
+        if (type.kind !== "simple") throw positionedError("A simple type is needed here", component);
+        // A named type restricting a built-in one keeps its name; the model has no room for longer chains
+        const baseName = type.base || type.baseName || `${XSD_KEY_PREFIX}anySimpleType`;
+        const named = typeof reference === "string" && type.variety === "atomic" && typeof baseName === "string" && baseName.startsWith(XSD_KEY_PREFIX);
+        if (typeof reference === "string" && !named && !notedTypes.has(reference)) {
+            notedTypes.add(reference);
+            note(subject, `the simple type "${splitKey(reference).name}" is written inline`);
+        }
+        if (type.variety !== "atomic") {
+            note(subject, `${type.variety} type replaced by xs:string`);
+            return { base: "xs:string", facets: { enumeration: [], patterns: [] } };
+        }
+        const parent = simpleTypeOf(baseName, type, subject);
+        const restricted = { base: parent.base, facets: restrictFacets(parent.facets, type.facets) };
+        return named ? { ...restricted, simpleType: splitKey(reference) } : restricted;
+    }
+
+    // The facets of a restriction override the ones of the type it restricts
+    function restrictFacets(inherited, own) {
+        const facets = { ...inherited, ...own };
+        facets.enumeration = own.enumeration.length > 0 ? own.enumeration : inherited.enumeration;
+        facets.patterns = own.patterns.length > 0 ? own.patterns : inherited.patterns;
+        return facets;
+    }
+
+    function declaredType({ base, facets, simpleType }) {
+        const list = facets.enumeration.map(value => ({ name: "enumeration", value }));
+        for (const name of FACET_ORDER) {
+            if (name === "pattern") {
+                list.push(...facets.patterns.map(value => ({ name, value })));
+            } else if (facets[name] !== undefined) {
+                list.push({ name, value: facets[name] });
+            }
+        }
+        return simpleType ? { base, facets: list, simpleType } : { base, facets: list };
+    }
+
+    // The fixed or default value of a declaration (or of the attribute use referring to it), as declared types keep it
+    function valueConstraintOf(...declarations) {
+        const first = name => declarations.map(declaration => declaration[name]).find(value => value !== null && value !== undefined);
+        if (first("fixed") !== undefined) return { fixed: first("fixed") };
+        return first("default") !== undefined ? { default: first("default") } : {};
+    }
+
+    // The declared text type of a complex type with simple content
+    function simpleContentOf(type, component, subject) {
+        const { derivation, base, facets } = type.simpleContent;
+        let inherited;
+        if (base.startsWith(XSD_KEY_PREFIX) || lookupType(base, component).kind === "simple") {
+            inherited = simpleTypeOf(base, component, subject);
+        } else {
+            const baseType = lookupType(base, component);
+            if (!baseType.simpleContent) throw positionedError(`Type "${base}" has no simple content`, component);
+            inherited = simpleContentOf(baseType, baseType, subject);
+        }
+        return derivation === "restriction" ? { base: inherited.base, facets: restrictFacets(inherited.facets, facets) } : inherited;
+    }
+
+    function addAttributes(info, container, subject, seenGroups = new Set()) {
+        for (const attribute of container.attributes) {
+            let declaration = attribute.ref ? components.attributes.get(attribute.ref) : attribute;
+            if (!declaration && attribute.ref.startsWith(`{${XML_NAMESPACE}}`)) {
+                declaration = { ...splitKey(attribute.ref), key: attribute.ref, typeName: `${XSD_KEY_PREFIX}string` };
+            }
+            if (!declaration) throw positionedError(`Unknown attribute "${attribute.ref}"`, attribute);
+            const key = declaration.key;
+            if (attribute.use === "prohibited") {
+                info.attributes.delete(key);
+                continue;
+            }
+            const type = declaredType(simpleTypeOf(declaration.type || declaration.typeName, declaration, `${subject} @${declaration.name}`));
+            const values = createValueStats();
+            values.declared = { ...type, use: attribute.use === "required" ? "required" : "optional", ...valueConstraintOf(attribute, declaration) };
+            const comments = handWritten([...(attribute.ref ? attribute.documentation : []), ...(declaration.documentation || [])]);
+            info.attributes.set(key, { name: declaration.name, namespace: declaration.namespace, values, comments });
+            if (declaration.namespace && declaration.namespace !== info.namespace && !globalAttributes.has(key)) {
+                const globalValues = createValueStats();
+                globalValues.declared = { ...type, ...valueConstraintOf(declaration) };
+                globalAttributes.set(key, { name: declaration.name, namespace: declaration.namespace, values: globalValues });
+            }
+        }
+        for (const ref of container.attributeGroupRefs) {
+            const group = components.attributeGroups.get(ref);
+            if (!group) throw positionedError(`Unknown attribute group "${ref}"`, container);
+            if (!seenGroups.has(ref)) {
+                seenGroups.add(ref);
+                addAttributes(info, group, subject, seenGroups);
+            }
+        }
+        if (container.anyAttribute) note(subject, "the attribute wildcard is dropped");
+    }
+
+    function resolveGroup(particle) {
+        if (particle.kind !== "groupRef") return particle;
+        const group = components.groups.get(particle.ref);
+        if (!group) throw positionedError(`Unknown group "${particle.ref}"`, particle);
+        return { ...group, minOccurs: particle.minOccurs, maxOccurs: particle.maxOccurs };
+    }
+
+    // Reads the particle of a type into the children of its declaration. Nested
+    // groups that do not flatten into their parent are kept as a tree of
+    // particles, unless a child is declared more than once.
+    function readContentModel(info, ownKey, particle, subject) {
+        if (!particle) return;
+        const top = resolveGroup(particle);
+        const children = [];
+        let repeated = false;
+        let nested = false;
+
+        const addChild = (elementParticle, minOccurs, maxOccurs) => {
+            let declaration = elementParticle;
+            if (elementParticle.kind === "elementRef") {
+                declaration = components.elements.get(elementParticle.ref);
+                if (!declaration) throw positionedError(`Unknown element "${elementParticle.ref}"`, elementParticle);
+                if (declaration.key !== ownKey) referenced.add(declaration.key);
+                if (handWritten(elementParticle.documentation).length > 0) {
+                    note(subject, `the documentation of the reference to <${declaration.name}> is dropped`);
+                }
+            }
+            const key = declarationFor(declaration, info);
+            const existing = children.find(child => child.key === key);
+            if (existing) {
+                repeated = true;
+                existing.maxOccurs += maxOccurs;
+            } else {
+                children.push({ key, minOccurs, maxOccurs, own: bounds(elementParticle) });
+            }
+            return key;
+        };
+        // The members of a group, as child keys and nested groups; minOccurs and
+        // maxOccurs of the children count against the element
+        const visit = (group, minFactor, maxFactor, visited) => {
+            const members = [];
+            for (const member of group.particles) {
+                if (member.maxOccurs === 0) continue;
+                const minOccurs = member.minOccurs * minFactor;
+                const maxOccurs = member.maxOccurs * maxFactor;
+                if (member.kind === "element" || member.kind === "elementRef") {
+                    members.push(addChild(member, minOccurs, maxOccurs));
+                } else if (member.kind === "any") {
+                    note(subject, "the element wildcard is dropped");
+                } else {
+                    const inner = resolveGroup(member);
+                    if (member.kind === "groupRef" && visited.has(member.ref)) continue;
+                    const inlined = inner.kind === group.kind && inner.kind !== "all" && inner.minOccurs === 1 && inner.maxOccurs === 1;
+                    const innerMembers = visit(inner, inlined ? minOccurs : 0, inlined ? maxOccurs : Infinity,
+                        member.kind === "groupRef" ? new Set([...visited, member.ref]) : visited);
+                    if (inlined) {
+                        members.push(...innerMembers);
+                    } else if (innerMembers.length > 0) {
+                        nested = true;
+                        members.push({ kind: inner.kind, ...bounds(inner), particles: innerMembers });
+                    }
+                }
+            }
+            return members;
+        };
+        const members = visit(top, 1, 1, particle.kind === "groupRef" ? new Set([particle.ref]) : new Set());
+
+        let kind = top.kind;
+        let group = bounds(top);
+        // A choice repeating without bound is a repeatable choice; other repeated groups nest
+        const tree = !repeated && (nested || (top.maxOccurs > 1 && (kind !== "choice" || top.maxOccurs !== Infinity)));
+        if (repeated) {
+            note(subject, "the content model is simplified to a repeated choice of its children");
+            kind = "repeatableChoice";
+        } else if (kind === "choice" && top.maxOccurs > 1 && !tree) {
+            kind = "repeatableChoice";
+        }
+        if (kind === "repeatableChoice") {
+            const required = top.minOccurs > 0 && children.some(child => child.minOccurs > 0);
+            group = { minOccurs: required ? "1" : "0", maxOccurs: "unbounded" };
+        }
+        info.contentModel = { kind, children: children.map(child => child.key), declared: group };
+        if (tree) info.contentModel.particles = members;
+        for (const { key, minOccurs, maxOccurs, own } of children) {
+            info.children.set(key, {
+                presentIn: 0,
+                minCount: 0,
+                maxCount: 0,
+                declared: tree ? own : { minOccurs: String(minOccurs), maxOccurs: maxOccurs === Infinity ? "unbounded" : String(maxOccurs) },
+            });
+        }
+    }
+
+    // Attributes and particle of a complex type, base types first
+    function readComplexType(info, type, subject) {
+        if (type.complexBase) {
+            const { derivation, base } = type.complexBase;
+            if (derivation === "extension" && !base.startsWith(XSD_KEY_PREFIX)) {
+                const baseType = lookupType(base, type);
+                const { particle } = readComplexType(info, baseType, subject);
+                if (particle && type.particle) {
+                    addAttributes(info, type, subject);
+                    return { particle: { kind: "sequence", particles: [particle, type.particle], minOccurs: 1, maxOccurs: 1 }, mixed: type.mixed || baseType.mixed };
+                }
+                addAttributes(info, type, subject);
+                return { particle: particle || type.particle, mixed: type.mixed || baseType.mixed };
+            }
+        }
+        addAttributes(info, type, subject);
+        return { particle: type.particle, mixed: type.mixed };
+    }
+
+    function readDeclaration(info, declaration) {
+        const subject = `<${declaration.name}>`;
+        const { typeName } = declaration;
+        info.nillable = declaration.nillable;
+        info.comments = handWritten([...declaration.documentation, ...(declaration.type ? declaration.type.documentation : [])]);
+        if (typeName && !typeName.startsWith(XSD_KEY_PREFIX) && !notedDocumentation.has(typeName)) {
+            notedDocumentation.add(typeName);
+            if (handWritten(lookupType(typeName, declaration).documentation).length > 0) {
+                note(subject, `the documentation of the type "${splitKey(typeName).name}" is dropped`);
+            }
+        }
+        if (typeName === `${XSD_KEY_PREFIX}anyType`) {
+            note(subject, "xs:anyType content is replaced by text");
+            info.hasTextContent = true;
+            info.text.declared = { base: "xs:string", facets: [] };
+            return;
+        }
+        const type = declaration.type || (typeName.startsWith(XSD_KEY_PREFIX) ? typeName : lookupType(typeName, declaration));
+        if (typeof type === "string" || type.kind === "simple") {
+            info.hasTextContent = true;
+            info.text.declared = { ...declaredType(simpleTypeOf(declaration.type || typeName, declaration, subject)), ...valueConstraintOf(declaration) };
+            return;
+        }
+        if (typeName) info.typeName = splitKey(typeName).name;
+        if (type.simpleContent) {
+            addAttributes(info, type, subject);
+            info.hasTextContent = true;
+            info.text.declared = { ...declaredType(simpleContentOf(type, type, subject)), ...valueConstraintOf(declaration) };
+            // Simple content is written as an extension of its named or built-in base
+            if (info.text.declared.facets.length > 0 && !info.text.declared.simpleType && info.attributes.size > 0) {
+                note(subject, "the facets of its text are dropped");
+            }
+            return;
+        }
+        const { particle, mixed } = readComplexType(info, type, subject);
+        readContentModel(info, declaration.key, particle, subject);
+        if (mixed) {
+            info.hasTextContent = true;
+            info.text.declared = { base: "xs:string", facets: [] };
+        }
+    }
+
+    const globals = [...components.elements.values()];
+    if (globals.length === 0) throw new Error("The schema declares no global element");
+    const constrained = []; // [key, declaration] of the declarations with identity constraints
+    globals.forEach(declaration => declarationFor(declaration, null));
+    while (pending.length > 0) {
+        const { key, declaration } = pending.shift();
+        readDeclaration(elements.get(key), declaration);
+        if (declaration.identityConstraints.length > 0) constrained.push([key, declaration]);
+    }
+
+    const rootKeys = new Set(globals.filter(declaration => !referenced.has(declaration.key)).map(declaration => declaration.key));
+    if (rootKeys.size === 0) rootKeys.add(globals[0].key);
+    const identityConstraints = readIdentityConstraints(elements, rootKeys, constrained, note);
+    const rootNamespace = elements.get([...rootKeys][0]).namespace;
+    const documentPrefixes = new Map();
+    for (const [namespace, prefix] of components.prefixes) {
+        documentPrefixes.set(namespace, namespace === rootNamespace ? null : prefix);
+    }
+    return { model: { rootNamespace, elements, rootKeys, globalAttributes, documentPrefixes, identityConstraints, schemaLocations: new Map() }, changes };
+}
+
+/**
+ * Maps the identity constraints of a schema onto the model (see
+ * IdentityConstraint in identityInference.js). The model only has room for
+ * constraints declared on a root element whose selector leads down through
+ * its children and whose single field is an attribute or a child of the
+ * selected element, referring (for keyrefs) to a key it keeps; the others are
+ * dropped and reported.
+ *
+ * @param {Map} elements The model's declarations.
+ * @param {Set<string>} rootKeys The model's roots.
+ * @param {Array} constrained `[key, declaration]` of the schema declarations carrying constraints.
+ * @param {function} note Records a simplification.
+ * @returns {object[]} The model's identity constraints.
+ */
+function readIdentityConstraints(elements, rootKeys, constrained, note) {
+    const childNamed = (parentKey, step) => [...elements.get(parentKey).children.keys()].find(childKey => {
+        const child = elements.get(childKey);
+        return !step.attribute && qualifiedKey(child.namespace, child.name) === step.key;
+    });
+    const mapped = new Map(); // Qualified constraint name -> model constraint
+    const all = constrained.flatMap(([key, declaration]) => declaration.identityConstraints.map(constraint => [key, declaration, constraint]));
+    // Keyrefs last, once the keys they refer to are known
+    all.sort(([, , a], [, , b]) => (a.kind === "keyref") - (b.kind === "keyref"));
+
+    for (const [key, declaration, constraint] of all) {
+        const dropped = () => note(`<${declaration.name}>`, `the xs:${constraint.kind} "${constraint.name}" is dropped`);
+        if (!rootKeys.has(key) || !constraint.selector || constraint.fields.length !== 1 || !constraint.fields[0] || constraint.fields[0].length !== 1) {
+            dropped();
+            continue;
+        }
+        const selector = [];
+        let selected = key;
+        for (const step of constraint.selector) {
+            selected = selected && childNamed(selected, step);
+            selector.push(selected);
+        }
+        const [step] = constraint.fields[0];
+        const info = selected && elements.get(selected);
+        const element = info && childNamed(selected, step);
+        const field = !info ? null
+            : step.attribute ? (info.attributes.has(step.key) ? { attribute: step.key } : null)
+            : element && elements.get(element).children.size === 0 ? { element } : null;
+        const refer = constraint.kind === "keyref" ? mapped.get(constraint.refer) : null;
+        if (selector.length === 0 || !field || refer === undefined || (refer && refer.kind === "keyref")) {
+            dropped();
+            continue;
+        }
+        const name = splitKey(constraint.key).name;
+        const result = { name, kind: constraint.kind, scope: key, selector, field, id: false };
+        mapped.set(constraint.key, refer ? { ...result, refer: refer.name } : result);
+    }
+    return [...mapped.values()];
+}
+
+/**
+ * The built-in types a type widens to, nearest first and ending with
+ * xs:string: its derivation chain, with double above decimal and float.
+ *
+ * @param {string} localName Local name of a built-in simple type.
+ * @returns {string[]} Local names of the wider types.
+ */
+export function widerBuiltinTypes(localName) {
+    const wider = [];
+    for (let current = localName; current !== "string";) {
+        current = WIDER_TYPES[current] || "string";
+        wider.push(current);
+    }
+    return wider;
+}
+
+/**
+ * Widens a declared simple type just enough to accept the values of a value
+ * stream: the base type climbs its derivation chain (up to xs:string) until
+ * every value fits, enumerations gain the new values, patterns a value does
+ * not match are dropped, and length, digit and range facets are stretched
+ * over the values. Facets that no longer apply to a wider base are dropped.
+ * Without the distinct values (too many to keep), enumerations and patterns
+ * are dropped and the base is checked against the inferred candidates.
+ *
+ * @param {{base: string, facets: {name: string, value: string}[]}} declared The declared type.
+ * @param {object} stats Value statistics of the new values.
+ * @returns {{base: string, facets: object[], notes: string[]}} The widened type and what changed.
+ */
+export function widenDeclaredType({ base, facets }, stats) {
+    if (stats.count === 0) return { base, facets, notes: [] };
+    const notes = [];
+    const values = stats.distinct ? [...stats.distinct] : null;
+    const whiteSpaceFacet = facets.find(facet => facet.name === "whiteSpace");
+    const normalize = (localName, value) => normalizeWhiteSpace(value, whiteSpaceFacet ? whiteSpaceFacet.value : builtinWhiteSpace(localName));
+    const fits = localName => (values
+        ? values.every(value => isValidBuiltinValue(localName, normalize(localName, value)))
+        : localName === "string" || stats.candidates.includes(`xs:${localName}`));
+
+    const localName = [base.slice(3), ...widerBuiltinTypes(base.slice(3))].find(fits);
+    const widenedBase = `xs:${localName}`;
+    if (widenedBase !== base) notes.push(`type widened from ${base} to ${widenedBase}`);
+
+    const numeric = isNumericBuiltin(localName);
+    const normalized = values && values.map(value => normalize(localName, value));
+    const applies = name => (LENGTH_FACETS.includes(name) ? LENGTH_TYPES.has(localName)
+        : DIGIT_FACETS.includes(name) ? numeric && localName !== "float" && localName !== "double"
+            : RANGE_FACETS.includes(name) ? numeric || widenedBase === base
+                : true);
+    const dropped = facets.filter(facet => !applies(facet.name)).map(facet => facet.name);
+    if (dropped.length > 0) notes.push(`facets ${[...new Set(dropped)].join(", ")} dropped`);
+    let widened = facets.filter(facet => applies(facet.name));
+
+    const enumeration = widened.filter(facet => facet.name === "enumeration").map(facet => facet.value);
+    if (enumeration.length > 0) {
+        if (!normalized) {
+            widened = widened.filter(facet => facet.name !== "enumeration");
+            notes.push("enumeration dropped");
+        } else {
+            const same = (a, b) => (numeric ? Number(a) === Number(b) : a === b);
+            const added = [...new Set(normalized.filter(value => !enumeration.some(allowed => same(allowed, value))))];
+            if (added.length > 0) {
+                const last = widened.map(facet => facet.name).lastIndexOf("enumeration");
+                widened.splice(last + 1, 0, ...added.map(value => ({ name: "enumeration", value })));
+                notes.push(`enumeration extended with ${quoteList(added)}`);
+            }
+        }
+    }
+
+    const patterns = widened.filter(facet => facet.name === "pattern").map(facet => facet.value);
+    if (patterns.length > 0) {
+        const expressions = patterns.map(toRegExp);
+        const checkable = expressions.every(Boolean);
+        if (checkable && (!normalized || normalized.some(value => !expressions.some(expression => expression.test(value))))) {
+            widened = widened.filter(facet => facet.name !== "pattern");
+            notes.push(`pattern ${quoteList(patterns)} dropped`);
+        }
+    }
+
+    const stretch = (name, value, wider) => {
+        const index = widened.findIndex(facet => facet.name === name);
+        if (index < 0 || value === null || !wider(widened[index].value, value)) return;
+        notes.push(`${name} changed from ${widened[index].value} to ${value}`);
+        widened[index] = { name, value: String(value) };
+    };
+    const lengthIndex = widened.findIndex(facet => facet.name === "length");
+    if (lengthIndex >= 0) {
+        const length = Number(widened[lengthIndex].value);
+        if (stats.minLength !== length || stats.maxLength !== length) {
+            const minLength = String(Math.min(length, stats.minLength));
+            const maxLength = String(Math.max(length, stats.maxLength));
+            widened.splice(lengthIndex, 1, { name: "minLength", value: minLength }, { name: "maxLength", value: maxLength });
+            notes.push(`length ${length} replaced by lengths ${minLength} to ${maxLength}`);
+        }
+    }
+    stretch("minLength", stats.minLength, (current, value) => value < Number(current));
+    stretch("maxLength", stats.maxLength, (current, value) => value > Number(current));
+    stretch("totalDigits", stats.totalDigits, (current, value) => value > Number(current));
+    stretch("fractionDigits", stats.fractionDigits, (current, value) => value > Number(current));
+    if (numeric && stats.minNumber !== null) {
+        stretch("minInclusive", stats.minNumber, (current, value) => Number(value) < Number(current));
+        stretch("maxInclusive", stats.maxNumber, (current, value) => Number(value) > Number(current));
+        const exclusive = (name, inclusive, value, outside) => {
+            const index = widened.findIndex(facet => facet.name === name);
+            if (index < 0 || !outside(Number(value), Number(widened[index].value))) return;
+            notes.push(`${name} ${widened[index].value} replaced by ${inclusive} ${value}`);
+            widened[index] = { name: inclusive, value };
+        };
+        exclusive("minExclusive", "minInclusive", stats.minNumber, (value, bound) => value <= bound);
+        exclusive("maxExclusive", "maxInclusive", stats.maxNumber, (value, bound) => value >= bound);
+    }
+    return { base: widenedBase, facets: widened, notes };
+}
+
+/**
+ * Whether the children of a sample declaration can follow a tree of nested
+ * model groups, as far as the orders and co-occurrences recorded for it
+ * tell: two children seen in one instance must not be alternatives of a
+ * choice, nor seen in the order opposite to a sequence holding both, unless
+ * a group around them repeats.
+ *
+ * @param {object} top The outer group, `{kind, minOccurs, maxOccurs, particles}` with child keys and nested groups.
+ * @param {object} sample The sample declaration.
+ * @param {Map<string, string>} mapped Sample child key -> child key in the groups.
+ * @returns {boolean} Whether the children follow the groups.
+ */
+function followsGroups(top, sample, mapped) {
+    // The groups from the outer one down to each child, with the index of the member leading there
+    const paths = new Map();
+    const walk = (group, path) => group.particles.forEach((member, index) => {
+        const steps = [...path, { group, index }];
+        if (typeof member === "string") paths.set(member, steps);
+        else walk(member, steps);
+    });
+    walk(top, []);
+    const allowed = (a, b, ordered) => {
+        const [pathA, pathB] = [paths.get(a), paths.get(b)];
+        const depth = pathA.findIndex((step, i) => step.index !== pathB[i].index);
+        if (pathA.slice(0, depth + 1).some(({ group }) => group.maxOccurs !== "1")) return true;
+        const { group, index } = pathA[depth];
+        if (group.kind === "choice") return false;
+        return !ordered || group.kind !== "sequence" || index < pathB[depth].index;
+    };
+    for (const [relation, ordered] of [["precedes", true], ["coOccurs", false]]) {
+        for (const [key, others] of sample[relation]) {
+            if ([...others].some(other => !allowed(mapped.get(key), mapped.get(other), ordered))) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Widens a model read by readSchemaModel so it also describes the documents
+ * of an inferred sample model, changing only what the samples require. The
+ * two models are walked together from their roots, pairing elements by name:
+ * - elements the schema lacks are added, as optional children (or new
+ *   roots) described by the samples;
+ * - occurrence bounds, attribute uses and value types are widened where the
+ *   samples exceed them, and enumerations gain the new values;
+ * - a sequence the samples break becomes an xs:all (or a repeated choice),
+ *   a choice whose alternatives occur together a sequence of optional
+ *   children, and text next to children turns the content mixed;
+ * - nested model groups keep their structure while the samples follow it,
+ *   and become a repeated choice of their children once they do not;
+ * - a named simple type or a fixed value the new values break is written
+ *   inline or dropped;
+ * - elements the samples mark xsi:nil become nillable.
+ *
+ * @param {object} model The model read from the schema; it is updated in place.
+ * @param {object} sampleModel The model inferred from the new samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS. The occurrence policy and the
+ *   facet options shape what is inferred for new elements and attributes.
+ * @returns {string[]} One message per change, in the order they were made.
+ * @throws {Error} If an option is invalid.
+ */
+export function refineSchemaModel(model, sampleModel, options) {
+    const settings = resolveOptions(options);
+    const policy = settings.occurrencePolicy;
+    const { elements } = model;
+    const sampleElements = sampleModel.elements;
+    const changes = [];
+    const imported = new Map(); // Sample declaration key -> key of its copy in the model
+    const queue = [];
+
+    for (const [namespace, prefix] of sampleModel.documentPrefixes) {
+        if (!model.documentPrefixes.has(namespace)) model.documentPrefixes.set(namespace, prefix);
+    }
+    // The schema's documentation is only written again with emitDocumentation
+    if (!settings.emitDocumentation) {
+        for (const info of elements.values()) {
+            const dropped = "the documentation is dropped, as documentation is not emitted";
+            if (info.comments && info.comments.length > 0) changes.push(`<${info.name}>: ${dropped}.`);
+            for (const attr of info.attributes.values()) {
+                if (attr.comments && attr.comments.length > 0) changes.push(`<${info.name}> @${attr.name}: ${dropped}.`);
+            }
+        }
+    }
+
+    // Copies a sample declaration, and the ones below it, into the model
+    function importDeclaration(sampleKey) {
+        if (imported.has(sampleKey)) return imported.get(sampleKey);
+        const source = sampleElements.get(sampleKey);
+        const elementKey = qualifiedKey(source.namespace, source.name);
+        let key = elementKey;
+        for (let counter = 2; elements.has(key); counter++) {
+            key = `${elementKey}#${counter}`;
+        }
+        imported.set(sampleKey, key);
+        const info = { ...source, localOnly: source.localOnly || key !== elementKey, children: new Map(), precedes: new Map(), coOccurs: new Map() };
+        elements.set(key, info);
+        for (const [childKey, stats] of source.children) {
+            info.children.set(importDeclaration(childKey), { ...stats });
+        }
+        for (const relation of ["precedes", "coOccurs"]) {
+            for (const [childKey, others] of source[relation]) {
+                info[relation].set(imported.get(childKey), new Set([...others].map(other => imported.get(other))));
+            }
+        }
+        info.contentModel = { kind: source.contentModel.kind, children: source.contentModel.children.map(childKey => imported.get(childKey)) };
+        info.typeVariants = new Map([...source.typeVariants].map(([typeKey, variant]) => [typeKey, {
+            ...variant,
+            children: new Map([...variant.children].map(([childKey, stats]) => [imported.get(childKey), { ...stats }])),
+        }]));
+        for (const attr of source.attributes.values()) {
+            const attrKey = qualifiedKey(attr.namespace, attr.name);
+            if (attr.namespace && attr.namespace !== source.namespace && !model.globalAttributes.has(attrKey)) {
+                model.globalAttributes.set(attrKey, sampleModel.globalAttributes.get(attrKey));
+            }
+        }
+        return key;
+    }
+
+    // The declaration an element new to its parent maps to: a global one of the schema, or a copy of the sample's
+    function declarationFor(sampleKey) {
+        const source = sampleElements.get(sampleKey);
+        const elementKey = qualifiedKey(source.namespace, source.name);
+        const existing = elements.get(elementKey);
+        if (existing && isGlobalDeclaration(existing)) {
+            queue.push([elementKey, sampleKey]);
+            return elementKey;
+        }
+        return importDeclaration(sampleKey);
+    }
+
+    // Widens a declared type for new values; a named simple type that no longer
+    // fits is written inline, and a fixed value the values break is dropped
+    function widenDeclared(declared, values) {
+        const { base, facets, notes } = widenDeclaredType(declared, values);
+        const { simpleType, fixed, ...widened } = { ...declared, base, facets };
+        if (simpleType && notes.length === 0) widened.simpleType = simpleType;
+        if (simpleType && notes.length > 0) notes.unshift(`the simple type "${simpleType.name}" is written inline`);
+        const whiteSpaceFacet = facets.find(facet => facet.name === "whiteSpace");
+        const normalize = value => normalizeWhiteSpace(value, whiteSpaceFacet ? whiteSpaceFacet.value : builtinWhiteSpace(base.slice(3)));
+        if (fixed !== undefined && values.count > 0 && !(values.distinct && [...values.distinct].every(value => normalize(value) === normalize(fixed)))) {
+            notes.push(`the fixed value "${fixed}" is dropped`);
+        } else if (fixed !== undefined) {
+            widened.fixed = fixed;
+        }
+        return { declared: widened, notes };
+    }
+
+    function widenValues(stats, sampleStats, subject) {
+        const { declared, notes } = widenDeclared(stats.declared, sampleStats);
+        stats.declared = declared;
+        notes.forEach(text => changes.push(`${subject}: ${text}.`));
+    }
+
+    function refineAttributes(info, sample, label) {
+        for (const [attrKey, attr] of sample.attributes) {
+            const subject = `${label} @${attr.name}`;
+            const existing = info.attributes.get(attrKey);
+            if (existing) {
+                widenValues(existing.values, attr.values, subject);
+                const global = model.globalAttributes.get(attrKey);
+                if (global && global.values.declared) {
+                    global.values.declared = widenDeclared(global.values.declared, attr.values).declared;
+                }
+                continue;
+            }
+            const values = createValueStats();
+            const type = inferFacets(attr.values, settings);
+            values.declared = { ...type, use: "optional" };
+            info.attributes.set(attrKey, { name: attr.name, namespace: attr.namespace, values });
+            if (attr.namespace && attr.namespace !== info.namespace && !model.globalAttributes.has(attrKey)) {
+                const globalValues = createValueStats();
+                globalValues.declared = type;
+                model.globalAttributes.set(attrKey, { name: attr.name, namespace: attr.namespace, values: globalValues });
+            }
+            changes.push(`${label}: added the optional attribute "${attr.name}" (${type.base}).`);
+        }
+        for (const [attrKey, attr] of info.attributes) {
+            const count = sample.attributes.has(attrKey) ? sample.attributes.get(attrKey).values.count : 0;
+            if (attr.values.declared.use === "required" && count < sample.instanceCount) {
+                attr.values.declared = { ...attr.values.declared, use: "optional" };
+                changes.push(`${label}: attribute "${attr.name}" is now optional.`);
+            }
+        }
+    }
+
+    function refineChildren(info, sample, label) {
+        if (info.contentModel.particles && refineNestedGroups(info, sample, label)) return false;
+        const wasEmpty = info.contentModel.children.length === 0;
+        const declaredKeys = [...info.contentModel.children];
+        const order = info.contentModel.children;
+        const mapped = new Map(); // Sample child key -> model child key
+        if (wasEmpty && sample.contentModel.children.length > 0) {
+            const sampleKind = sample.contentModel.kind;
+            info.contentModel.kind = sampleKind;
+            info.contentModel.declared = sampleKind === "sequence" || sampleKind === "all"
+                ? { minOccurs: "1", maxOccurs: "1" }
+                : { minOccurs: "0", maxOccurs: sampleKind === "choice" ? "1" : "unbounded" };
+        }
+        const currentKind = info.contentModel.kind;
+
+        for (const sampleChildKey of sample.contentModel.children) {
+            const stats = sample.children.get(sampleChildKey);
+            const child = sampleElements.get(sampleChildKey);
+            const parentCount = currentKind === "choice" ? stats.presentIn : contentInstanceCount(sample);
+            const observed = getOccurrenceBounds(stats, parentCount, policy);
+            const existingKey = declaredKeys.find(key => sameElement(elements.get(key), child));
+            if (existingKey) {
+                mapped.set(sampleChildKey, existingKey);
+                queue.push([existingKey, sampleChildKey]);
+                if (currentKind === "repeatableChoice") continue;
+                const childStats = info.children.get(existingKey);
+                const declared = childStats.declared;
+                const widened = { ...declared };
+                const observedMin = stats.presentIn === parentCount ? stats.minCount : 0;
+                if (observedMin < Number(declared.minOccurs)) {
+                    widened.minOccurs = String(Math.min(Number(declared.minOccurs), Number(observed.minOccurs)));
+                }
+                if (declared.maxOccurs !== "unbounded" && stats.maxCount > Number(declared.maxOccurs)) {
+                    widened.maxOccurs = observed.maxOccurs === "unbounded"
+                        ? "unbounded"
+                        : String(Math.max(Number(declared.maxOccurs), Number(observed.maxOccurs)));
+                }
+                if (widened.minOccurs !== declared.minOccurs || widened.maxOccurs !== declared.maxOccurs) {
+                    childStats.declared = widened;
+                    changes.push(`${label}: <${child.name}> now occurs ${formatBounds(widened)} times (was ${formatBounds(declared)}).`);
+                }
+                continue;
+            }
+
+            const childKey = declarationFor(sampleChildKey);
+            mapped.set(sampleChildKey, childKey);
+            const bounds = currentKind === "choice" || currentKind === "repeatableChoice" ? observed : { ...observed, minOccurs: "0" };
+            info.children.set(childKey, { presentIn: 0, minCount: 0, maxCount: 0, declared: bounds });
+            if (currentKind === "sequence") {
+                // Keep the sample order: insert after the nearest preceding child the schema knows
+                const sampleOrder = sample.contentModel.children;
+                const preceding = sampleOrder.slice(0, sampleOrder.indexOf(sampleChildKey)).reverse()
+                    .map(key => mapped.get(key)).find(key => key && order.includes(key));
+                order.splice(preceding ? order.indexOf(preceding) + 1 : 0, 0, childKey);
+            } else {
+                order.push(childKey);
+            }
+            changes.push(currentKind === "choice"
+                ? `${label}: added <${child.name}> as an alternative.`
+                : `${label}: added the optional child element <${child.name}>.`);
+        }
+
+        // Declared children the samples lack become optional
+        for (const key of declaredKeys) {
+            const childStats = info.children.get(key);
+            if (currentKind === "repeatableChoice" || currentKind === "choice" || [...mapped.values()].includes(key)) continue;
+            if (childStats.declared.minOccurs !== "0") {
+                const was = childStats.declared;
+                childStats.declared = { ...was, minOccurs: "0" };
+                changes.push(`${label}: <${elements.get(key).name}> now occurs ${formatBounds(childStats.declared)} times (was ${formatBounds(was)}).`);
+            }
+        }
+
+        if (!wasEmpty) relaxContentModel(info, sample, mapped, label);
+        const group = info.contentModel.declared;
+        const choice = info.contentModel.kind === "choice" || info.contentModel.kind === "repeatableChoice";
+        if (choice && group.minOccurs !== "0" && sample.withChildren < contentInstanceCount(sample)) {
+            info.contentModel.declared = { ...group, minOccurs: "0" };
+            changes.push(`${label}: its child elements are now optional.`);
+        }
+        return wasEmpty;
+    }
+
+    // Widens the nested groups of a content model read from the schema, in place
+    // as long as the sample children follow their structure: new children are
+    // optional members of the outer group, and a child that occurs more or less
+    // often than its groups allow gets wider bounds of its own. Otherwise the
+    // content model becomes a repeated choice of its children, left to
+    // refineChildren; false is returned then.
+    function refineNestedGroups(info, sample, label) {
+        const { kind, declared } = info.contentModel;
+        const parentCount = contentInstanceCount(sample);
+        const mapped = new Map(); // Sample child key -> model child key
+        const added = [];
+        for (const sampleChildKey of sample.contentModel.children) {
+            const child = sampleElements.get(sampleChildKey);
+            const existingKey = info.contentModel.children.find(key => sameElement(elements.get(key), child));
+            if (existingKey) {
+                mapped.set(sampleChildKey, existingKey);
+            } else {
+                added.push(sampleChildKey);
+                mapped.set(sampleChildKey, `\n${added.length}`); // Stands for the new child until it is declared
+            }
+        }
+
+        // New children join the outer group, after the one holding the child they followed
+        const particles = [...info.contentModel.particles];
+        const keysOf = member => (typeof member === "string" ? [member] : member.particles.flatMap(keysOf));
+        const contains = (member, key) => keysOf(member).includes(key);
+        for (const sampleChildKey of added) {
+            const sampleOrder = sample.contentModel.children;
+            const preceding = sampleOrder.slice(0, sampleOrder.indexOf(sampleChildKey)).reverse().map(key => mapped.get(key))
+                .find(key => particles.some(member => contains(member, key)));
+            const index = kind === "sequence" ? (preceding ? particles.findIndex(member => contains(member, preceding)) + 1 : 0) : particles.length;
+            particles.splice(index, 0, mapped.get(sampleChildKey));
+        }
+        const top = { kind, ...declared, particles };
+        if (!followsGroups(top, sample, mapped)) {
+            const required = childParticles(describeContentModel(info, policy)).some(child => child.occurs.minOccurs !== "0");
+            info.contentModel = { kind: "repeatableChoice", children: info.contentModel.children, declared: { minOccurs: required ? "1" : "0", maxOccurs: "unbounded" } };
+            changes.push(`${label}: the child elements may now appear in any order and repeat (was a nested model group).`);
+            return false;
+        }
+
+        for (const sampleChildKey of sample.contentModel.children) {
+            const stats = sample.children.get(sampleChildKey);
+            const child = sampleElements.get(sampleChildKey);
+            if (added.includes(sampleChildKey)) {
+                const childKey = declarationFor(sampleChildKey);
+                const placeholder = mapped.get(sampleChildKey);
+                particles.splice(particles.indexOf(placeholder), 1, childKey);
+                mapped.set(sampleChildKey, childKey);
+                const alternative = kind === "choice";
+                const observed = getOccurrenceBounds(stats, alternative ? stats.presentIn : parentCount, policy);
+                info.children.set(childKey, { presentIn: 0, minCount: 0, maxCount: 0, declared: alternative ? observed : { ...observed, minOccurs: "0" } });
+                info.contentModel.children.push(childKey);
+                changes.push(alternative ? `${label}: added <${child.name}> as an alternative.` : `${label}: added the optional child element <${child.name}>.`);
+            } else {
+                queue.push([mapped.get(sampleChildKey), sampleChildKey]);
+            }
+        }
+        info.contentModel.particles = particles;
+
+        // Children occurring more or less often than their groups allow widen their own bounds
+        const sampleKeys = new Map([...mapped].map(([sampleChildKey, key]) => [key, sampleChildKey]));
+        const number = value => (value === "unbounded" ? Infinity : Number(value));
+        const visit = (group, minFactor, maxFactor) => {
+            const alternative = group.kind === "choice" && group.particles.length > 1;
+            const min = alternative ? 0 : minFactor * number(group.minOccurs);
+            const max = maxFactor * number(group.maxOccurs);
+            for (const member of group.particles) {
+                if (typeof member !== "string") {
+                    visit(member, min, max);
+                    continue;
+                }
+                const stats = sampleKeys.has(member) ? sample.children.get(sampleKeys.get(member)) : null;
+                const childStats = info.children.get(member);
+                const was = childStats.declared;
+                const observed = stats ? getOccurrenceBounds(stats, parentCount, policy) : { minOccurs: "0", maxOccurs: "0" };
+                const observedMin = stats && stats.presentIn === parentCount ? stats.minCount : 0;
+                const widened = { ...was };
+                if (observedMin < min * number(was.minOccurs)) {
+                    widened.minOccurs = String(Math.min(Math.floor(observedMin / min), Number(observed.minOccurs)));
+                }
+                if (stats && stats.maxCount > max * number(was.maxOccurs)) {
+                    widened.maxOccurs = observed.maxOccurs === "unbounded" ? "unbounded" : String(Math.max(number(was.maxOccurs), Math.ceil(stats.maxCount / max)));
+                }
+                if (widened.minOccurs !== was.minOccurs || widened.maxOccurs !== was.maxOccurs) {
+                    childStats.declared = widened;
+                    changes.push(`${label}: <${elements.get(member).name}> now occurs ${formatBounds(widened)} times (was ${formatBounds(was)}).`);
+                }
+            }
+            // A required choice the samples skipped becomes optional
+            if (group !== top && group.kind === "choice" && group.minOccurs !== "0" && minFactor > 0) {
+                const keys = keysOf(group);
+                const present = keys.reduce((total, key) => total + (sampleKeys.has(key) ? sample.children.get(sampleKeys.get(key)).presentIn : 0), 0);
+                if (present < parentCount) {
+                    group.minOccurs = "0";
+                    changes.push(`${label}: the choice of ${keys.map(key => `<${elements.get(key).name}>`).join(", ")} is now optional.`);
+                }
+            }
+        };
+        visit(top, 1, 1);
+        if (kind === "choice" && declared.minOccurs !== "0" && sample.withChildren < parentCount) {
+            info.contentModel.declared = { ...declared, minOccurs: "0" };
+            changes.push(`${label}: its child elements are now optional.`);
+        }
+        return true;
+    }
+
+    // Loosens the kind of a content model the sample children do not follow
+    function relaxContentModel(info, sample, mapped, label) {
+        const { kind } = info.contentModel;
+        const order = info.contentModel.children;
+        const pairs = relation => [...sample[relation]].flatMap(([key, others]) => [...others].map(other => [mapped.get(key), mapped.get(other)]));
+        const repeats = order.some(key => info.children.get(key).declared.maxOccurs !== "1");
+        const unorderedKind = repeats ? "repeatableChoice" : "all";
+        let relaxed = null;
+        if (kind === "sequence") {
+            const outOfOrder = pairs("precedes").some(([a, b]) => order.indexOf(a) > order.indexOf(b));
+            if (sample.interleaved || outOfOrder) relaxed = unorderedKind;
+        } else if (kind === "choice" && pairs("coOccurs").length > 0) {
+            const precedes = new Map(order.map(key => [key, new Set()]));
+            pairs("precedes").forEach(([a, b]) => precedes.get(a).add(b));
+            const ordered = sample.interleaved ? null : topologicalOrder(order, precedes);
+            relaxed = ordered ? "sequence" : unorderedKind;
+            if (ordered) order.splice(0, order.length, ...ordered);
+            for (const key of order) {
+                const stats = info.children.get(key);
+                stats.declared = { ...stats.declared, minOccurs: "0" };
+            }
+        } else if (kind === "all" && repeats) {
+            relaxed = "repeatableChoice";
+        }
+        if (!relaxed) return;
+
+        info.contentModel.kind = relaxed;
+        info.contentModel.declared = relaxed === "repeatableChoice"
+            ? { minOccurs: order.some(key => info.children.get(key).declared.minOccurs !== "0") ? "1" : "0", maxOccurs: "unbounded" }
+            : { minOccurs: "1", maxOccurs: "1" };
+        const description = { sequence: "may now occur together", all: "may now appear in any order", repeatableChoice: "may now appear in any order and repeat" };
+        const was = { sequence: "a sequence", choice: "a choice", all: "an unordered group" }[kind];
+        changes.push(`${label}: the child elements ${description[relaxed]} (was ${was}).`);
+    }
+
+    function refineText(info, sample, label, hadNoChildren) {
+        const hasChildren = info.children.size > 0;
+        if (info.hasTextContent && hadNoChildren && hasChildren) {
+            info.text.declared = { base: "xs:string", facets: [] };
+            changes.push(`${label}: child elements are now allowed beside the text (mixed content).`);
+        } else if (info.hasTextContent && !hasChildren) {
+            widenValues(info.text, sample.text, label);
+        } else if (!info.hasTextContent && sample.hasTextContent) {
+            info.hasTextContent = true;
+            if (hasChildren) {
+                info.text.declared = { base: "xs:string", facets: [] };
+                changes.push(`${label}: text is now allowed between the child elements (mixed content).`);
+            } else {
+                info.text.declared = inferFacets(sample.text, settings);
+                changes.push(`${label}: text content is now allowed (${info.text.declared.base}).`);
+            }
+        }
+    }
+
+    function refineDeclaration(key, sampleKey) {
+        const info = elements.get(key);
+        const sample = sampleElements.get(sampleKey);
+        const label = `<${info.name}>`;
+        info.instanceCount += sample.instanceCount;
+        info.nilCount += sample.nilCount;
+        info.withChildren += sample.withChildren;
+        if (sample.nillable && !info.nillable) {
+            info.nillable = true;
+            changes.push(`${label}: may now be nil (nillable).`);
+        }
+        refineAttributes(info, sample, label);
+        // Instances that were all nil say nothing about the content
+        if (contentInstanceCount(sample) === 0) return;
+        const hadNoChildren = refineChildren(info, sample, label);
+        refineText(info, sample, label, hadNoChildren);
+    }
+
+    for (const sampleKey of sampleModel.rootKeys) {
+        const source = sampleElements.get(sampleKey);
+        const elementKey = qualifiedKey(source.namespace, source.name);
+        const existing = elements.get(elementKey);
+        const root = [...model.rootKeys].find(key => sameElement(elements.get(key), source))
+            || (existing && isGlobalDeclaration(existing) ? elementKey : null);
+        if (root) {
+            // Any global element may be a document root; the model lists them all
+            model.rootKeys.add(root);
+            queue.push([root, sampleKey]);
+        } else {
+            model.rootKeys.add(importDeclaration(sampleKey));
+            changes.push(`Added the root element <${source.name}>.`);
+        }
+    }
+    const visited = new Set();
+    while (queue.length > 0) {
+        const [key, sampleKey] = queue.shift();
+        const pair = `${key}\n${sampleKey}`;
+        if (visited.has(pair)) continue;
+        visited.add(pair);
+        refineDeclaration(key, sampleKey);
+    }
+    return changes;
+}
+
+/**
+ * Refines existing XSD documents with new XML samples: reads the schema
+ * (readSchemaModel), widens it for the samples (refineSchemaModel) and
+ * generates the updated schema documents.
+ *
+ * @param {string|string[]} schemaTexts The existing XSD documents.
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS. The target namespace is the schema's.
+ * @returns {{schemas: {namespace: string|null, fileName: string, content: string}[], changes: string[]}}
+ *   The updated schema documents, and the simplifications and changes made.
+ * @throws {Error} If the schema or the XML cannot be parsed or an option is invalid.
+ */
+export function refineSchemas(schemaTexts, xmlInput, options) {
+    const { model, changes } = readSchemaModel(schemaTexts);
+    const settings = resolveOptions({ ...options, targetNamespace: model.rootNamespace || "" });
+    const sampleModel = inferSchemaModel(xmlInput, settings);
+    changes.push(...refineSchemaModel(model, sampleModel, settings));
+    return { schemas: generateSchemasFromModel(model, settings), changes };
+}
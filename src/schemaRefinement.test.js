@@ -0,0 +1,278 @@
+// src/schemaRefinement.test.js
+import { readSchemaModel, refineSchemaModel, refineSchemas, widenDeclaredType } from './schemaRefinement';
+import { generateXsd, generateSchemasFromModel } from './xsdGenerator';
+import { inferSchemaModel } from './schemaModel';
+import { createValueStats, recordValue } from './typeInference';
+import { parseDomRoot } from './xmlDom';
+
+const options = { xmlParser: parseDomRoot };
+const orders = [
+    '<order id="1" status="new"><customer>Ann</customer><item>3</item></order>',
+    '<order id="2" status="new"><customer>Bob</customer><item>4</item></order>',
+];
+
+const statsOf = values => {
+    const stats = createValueStats();
+    values.forEach(value => recordValue(stats, value));
+    return stats;
+};
+
+describe('schemaRefinement', () => {
+    it('should read a generated schema back into a model that generates it again', () => {
+        for (const designStyle of ['russianDoll', 'salamiSlice', 'venetianBlind']) {
+            const settings = { ...options, designStyle, enumerationThreshold: 5, emitFacets: true };
+            const xsd = generateXsd(orders, settings);
+            const { model, changes } = readSchemaModel(xsd);
+            expect(changes).toEqual([]);
+            expect(generateSchemasFromModel(model, settings)[0].content).toBe(xsd);
+        }
+    });
+
+    it('should read back the identity constraints the model can hold', () => {
+        const samples = [
+            '<shop><customer id="c1"/><customer id="c2"/><order customerRef="c2"><sku>A</sku></order><order customerRef="c1"><sku>B</sku></order></shop>',
+        ];
+        const xsd = generateXsd(samples, options);
+        const { model, changes } = readSchemaModel(xsd);
+        expect(changes).toEqual([]);
+        expect(model.identityConstraints).toEqual([
+            { name: 'customer_idKey', kind: 'key', scope: 'shop', selector: ['customer'], field: { attribute: 'id' }, id: false },
+            { name: 'order_customerRefKeyref', kind: 'keyref', scope: 'shop', selector: ['order'], field: { attribute: 'customerRef' }, id: false, refer: 'customer_idKey' },
+        ]);
+        expect(generateSchemasFromModel(model, options)[0].content).toBe(xsd);
+
+        const { model: partial, changes: dropped } = readSchemaModel(`<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="list">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="item" maxOccurs="unbounded">
+          <xs:complexType>
+            <xs:attribute name="id" type="xs:string"/>
+          </xs:complexType>
+          <xs:unique name="nested"><xs:selector xpath="."/><xs:field xpath="@id"/></xs:unique>
+        </xs:element>
+      </xs:sequence>
+    </xs:complexType>
+    <xs:key name="itemKey"><xs:selector xpath="./item"/><xs:field xpath="@id"/></xs:key>
+    <xs:key name="anywhere"><xs:selector xpath=".//item"/><xs:field xpath="@id"/></xs:key>
+    <xs:keyref name="itemRef" refer="anywhere"><xs:selector xpath="item"/><xs:field xpath="@id"/></xs:keyref>
+  </xs:element>
+</xs:schema>`);
+        expect(partial.identityConstraints).toEqual([
+            { name: 'itemKey', kind: 'key', scope: 'list', selector: ['item'], field: { attribute: 'id' }, id: false },
+        ]);
+        expect(dropped).toEqual([
+            '<list>: the xs:key "anywhere" is dropped.',
+            '<item>: the xs:unique "nested" is dropped.',
+            '<list>: the xs:keyref "itemRef" is dropped.',
+        ]);
+    });
+
+    it('should widen only what the new samples need and list the changes', () => {
+        const xsd = generateXsd(orders, { ...options, enumerationThreshold: 5 });
+        const { schemas, changes } = refineSchemas(xsd, [
+            '<order id="x" status="shipped"><customer>Ann</customer><gift>y</gift><item>3.5</item><item>2</item></order>',
+            '<order status="new"><item>1</item><note>n</note></order>',
+        ], options);
+        expect(changes).toEqual([
+            '<order> @id: type widened from xs:integer to xs:string.',
+            '<order> @status: enumeration extended with "shipped".',
+            '<order>: attribute "id" is now optional.',
+            '<order>: <customer> now occurs 0..1 times (was 1..1).',
+            '<order>: added the optional child element <gift>.',
+            '<order>: <item> now occurs 1..unbounded times (was 1..1).',
+            '<order>: added the optional child element <note>.',
+            '<item>: type widened from xs:integer to xs:decimal.',
+        ]);
+        const content = schemas[0].content;
+        expect(content).toContain(`      <xs:element ref="customer" minOccurs="0" maxOccurs="1"/>
+      <xs:element ref="gift" minOccurs="0" maxOccurs="1"/>
+      <xs:element ref="item" minOccurs="1" maxOccurs="unbounded"/>
+      <xs:element ref="note" minOccurs="0" maxOccurs="1"/>`);
+        expect(content).toContain('<xs:attribute name="id" type="xs:string" use="optional"/>');
+        expect(content).toContain('<xs:enumeration value="new"/>\n          <xs:enumeration value="shipped"/>');
+    });
+
+    it('should keep the named types of a hand-written schema and flatten what the model cannot hold', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:t="urn:t" targetNamespace="urn:t" elementFormDefault="qualified">
+  <xs:element name="lib" type="t:Library"/>
+  <xs:complexType name="Library">
+    <xs:sequence>
+      <xs:element ref="t:book" maxOccurs="unbounded"/>
+      <xs:any namespace="##other" minOccurs="0"/>
+    </xs:sequence>
+    <xs:attribute name="version" type="t:Version" use="required"/>
+  </xs:complexType>
+  <xs:element name="book">
+    <xs:complexType>
+      <xs:choice>
+        <xs:element name="isbn" type="xs:string"/>
+        <xs:element name="id" type="xs:int"/>
+      </xs:choice>
+    </xs:complexType>
+  </xs:element>
+  <xs:simpleType name="Version">
+    <xs:restriction base="xs:decimal">
+      <xs:maxInclusive value="2"/>
+    </xs:restriction>
+  </xs:simpleType>
+</xs:schema>`;
+        const { schemas, changes } = refineSchemas(xsd, '<lib xmlns="urn:t" version="3"><book><isbn>1</isbn><id>5000000000</id></book></lib>', {
+            ...options,
+            designStyle: 'venetianBlind',
+        });
+        expect(changes).toEqual([
+            '<lib>: the element wildcard is dropped.',
+            '<lib> @version: the simple type "Version" is written inline.',
+            '<lib> @version: maxInclusive changed from 2 to 3.',
+            '<book>: the child elements may now occur together (was a choice).',
+            '<id>: type widened from xs:int to xs:long.',
+        ]);
+        const content = schemas[0].content;
+        expect(content).toContain('<xs:element name="lib" type="tns:Library"/>');
+        expect(content).toContain('<xs:complexType name="Library">');
+        expect(content).toContain(`    <xs:sequence>
+      <xs:element name="isbn" type="xs:string" minOccurs="0" maxOccurs="1"/>
+      <xs:element name="id" type="xs:long" minOccurs="0" maxOccurs="1"/>
+    </xs:sequence>`);
+    });
+
+    it('should keep the nested groups, local declarations, value constraints and named types of a schema the samples conform to', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="book">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="title" type="xs:string"/>
+        <xs:choice maxOccurs="unbounded">
+          <xs:element name="author" type="xs:string"/>
+          <xs:element name="editor" type="xs:string"/>
+        </xs:choice>
+        <xs:element name="chapter" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+      </xs:sequence>
+      <xs:attribute name="id" type="IdType" use="required"/>
+      <xs:attribute name="lang" type="xs:language" default="en"/>
+      <xs:attribute name="format" type="xs:string" fixed="print"/>
+    </xs:complexType>
+  </xs:element>
+  <xs:simpleType name="IdType">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="B[0-9]+"/>
+    </xs:restriction>
+  </xs:simpleType>
+</xs:schema>`;
+        const sample = '<book id="B1" format="print"><title>T</title><author>A</author><editor>E</editor><author>B</author><chapter>1</chapter></book>';
+        for (const designStyle of ['russianDoll', 'salamiSlice', 'venetianBlind']) {
+            const { schemas, changes } = refineSchemas(xsd, sample, { ...options, designStyle });
+            expect(changes).toEqual([]);
+            const content = schemas[0].content;
+            const compact = text => text.replace(/>\s+</g, '><');
+            expect(compact(content)).toContain(compact(`<xs:sequence>
+          <xs:element name="title" type="xs:string" minOccurs="1" maxOccurs="1"/>
+          <xs:choice maxOccurs="unbounded">
+            <xs:element name="author" type="xs:string" minOccurs="1" maxOccurs="1"/>
+            <xs:element name="editor" type="xs:string" minOccurs="1" maxOccurs="1"/>
+          </xs:choice>
+          <xs:element name="chapter" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+        </xs:sequence>`));
+            expect(content).not.toContain('<xs:element ref=');
+            expect(content).toContain('<xs:attribute name="id" type="IdType" use="required"/>');
+            expect(content).toContain('<xs:attribute name="lang" type="xs:language" use="optional" default="en"/>');
+            expect(content).toContain('<xs:attribute name="format" type="xs:string" use="optional" fixed="print"/>');
+            expect(content).toContain('<xs:simpleType name="IdType">');
+        }
+
+        const { changes } = refineSchemas(xsd, '<book id="x" format="draft"><editor>E</editor><title>T</title></book>', options);
+        expect(changes).toEqual([
+            '<book> @id: the simple type "IdType" is written inline.',
+            '<book> @id: pattern "B[0-9]+" dropped.',
+            '<book> @format: the fixed value "print" is dropped.',
+            '<book>: the child elements may now appear in any order and repeat (was a nested model group).',
+        ]);
+    });
+
+    it('should relax content models, add roots and allow mixed content', () => {
+        const { model } = readSchemaModel(generateXsd(['<p><a/><b>x</b></p>', '<p><a/><b>y</b></p>'], options));
+        const sampleModel = inferSchemaModel(['<p><b>z <i>w</i></b><a>t</a></p>', '<q/>'], options);
+        expect(refineSchemaModel(model, sampleModel, options)).toEqual([
+            'Added the root element <q>.',
+            '<p>: the child elements may now appear in any order (was a sequence).',
+            '<b>: added the optional child element <i>.',
+            '<b>: child elements are now allowed beside the text (mixed content).',
+            '<a>: text content is now allowed (xs:string).',
+        ]);
+        const content = generateSchemasFromModel(model, options)[0].content;
+        expect(content).toContain('<xs:element name="q" type="qType"/>');
+        expect(content).toContain('<xs:all>');
+        expect(content).toContain('<xs:complexType name="bType" mixed="true">');
+    });
+
+    it('should make elements the samples mark nil nillable', () => {
+        const { model } = readSchemaModel(generateXsd(orders, options));
+        const sampleModel = inferSchemaModel('<order id="3" status="new" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><customer xsi:nil="true"/><item>5</item></order>', options);
+        expect(refineSchemaModel(model, sampleModel, options)).toEqual(['<customer>: may now be nil (nillable).']);
+        expect(generateSchemasFromModel(model, options)[0].content).toContain('<xs:element name="customer" nillable="true" type="xs:string"/>');
+        expect(readSchemaModel(generateSchemasFromModel(model, options)[0].content).model.elements.get('customer').nillable).toBe(true);
+    });
+
+    it('should report no changes for samples the schema already accepts', () => {
+        const xsd = generateXsd(orders, options);
+        expect(refineSchemas(xsd, orders[0], options).changes).toEqual([]);
+        expect(() => refineSchemas('<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="a" type="b"/></xs:schema>', '<a/>', options))
+            .toThrow('Unknown type "b"');
+    });
+
+    it('should keep the documentation of the schema and report what it cannot keep', () => {
+        const documented = text => `<xs:annotation><xs:documentation>${text}</xs:documentation></xs:annotation>`;
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="order">
+    ${documented('An order <b xmlns="http://www.w3.org/1999/xhtml">as placed</b>')}
+    <xs:complexType>
+      ${documented('The order content')}
+      <xs:sequence>
+        <xs:element ref="item">${documented('Its lines')}</xs:element>
+      </xs:sequence>
+      <xs:attribute name="id" type="xs:integer">${documented('Order number')}${documented('Occurs once at /order/@id. Example: "1".')}</xs:attribute>
+    </xs:complexType>
+  </xs:element>
+  <xs:element name="item" type="ItemT"/>
+  <xs:complexType name="ItemT">${documented('A line')}<xs:simpleContent><xs:extension base="xs:string"/></xs:simpleContent></xs:complexType>
+</xs:schema>`;
+        const sample = '<order id="2"><item>x</item></order>';
+        const { schemas, changes } = refineSchemas(xsd, sample, { ...options, emitDocumentation: true });
+        expect(schemas[0].content).toMatch(/<xs:element name="order" type="orderType">\s*<xs:annotation>\s*<xs:documentation>An order as placed<\/xs:documentation>\s*<xs:documentation>The order content<\/xs:documentation>/);
+        expect(schemas[0].content).toMatch(/<xs:attribute name="id" type="xs:integer" use="optional">\s*<xs:annotation>\s*<xs:documentation>Order number<\/xs:documentation>\s*<\/xs:annotation>/);
+        expect(changes).toEqual([
+            '<order>: the documentation of the reference to <item> is dropped.',
+            '<item>: the documentation of the type "ItemT" is dropped.',
+        ]);
+        expect(refineSchemas(xsd, sample, options).changes).toEqual(expect.arrayContaining([
+            '<order>: the documentation is dropped, as documentation is not emitted.',
+            '<order> @id: the documentation is dropped, as documentation is not emitted.',
+        ]));
+    });
+
+    it('should widen declared simple types facet by facet', () => {
+        const code = { base: 'xs:token', facets: [{ name: 'enumeration', value: 'A' }, { name: 'enumeration', value: 'B' }] };
+        expect(widenDeclaredType(code, statsOf(['A', ' C ']))).toEqual({
+            base: 'xs:token',
+            facets: [{ name: 'enumeration', value: 'A' }, { name: 'enumeration', value: 'B' }, { name: 'enumeration', value: 'C' }],
+            notes: ['enumeration extended with "C"'],
+        });
+
+        const sku = { base: 'xs:string', facets: [{ name: 'pattern', value: '[A-Z]{2}\\d+' }, { name: 'length', value: '4' }] };
+        expect(widenDeclaredType(sku, statsOf(['AB12', 'ABC123']))).toEqual({
+            base: 'xs:string',
+            facets: [{ name: 'minLength', value: '4' }, { name: 'maxLength', value: '6' }],
+            notes: ['pattern "[A-Z]{2}\\d+" dropped', 'length 4 replaced by lengths 4 to 6'],
+        });
+
+        const amount = { base: 'xs:unsignedByte', facets: [{ name: 'minExclusive', value: '0' }, { name: 'totalDigits', value: '2' }] };
+        expect(widenDeclaredType(amount, statsOf(['0', '300']))).toEqual({
+            base: 'xs:unsignedShort',
+            facets: [{ name: 'minInclusive', value: '0' }, { name: 'totalDigits', value: '3' }],
+            notes: ['type widened from xs:unsignedByte to xs:unsignedShort', 'totalDigits changed from 2 to 3', 'minExclusive 0 replaced by minInclusive 0'],
+        });
+
+        expect(widenDeclaredType({ base: 'xs:date', facets: [] }, statsOf(['soon'])).base).toBe('xs:string');
+    });
+});
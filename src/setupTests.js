@@ -1,4 +1,8 @@
 // src/setupTests.js
 import '@testing-library/jest-dom';
+import { TextDecoder } from 'util';
+
+// jsdom lacks TextDecoder, which reading uploaded files as UTF-8 needs; browsers have it
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = TextDecoder;
 
 // You can add other global test setup here if needed
\ No newline at end of file
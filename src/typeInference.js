@@ -0,0 +1,279 @@
+import { isDate, isDateTime, isTime, isDuration } from './xsdDatatypes.js';
+
+/**
+ * Lexical tests for the XSD built-in types the generator can infer, ordered
+ * from the narrowest to the widest. A value stream is assigned the first
+ * type whose test accepted every value; xs:string is the implicit fallback.
+ */
+const TYPE_CANDIDATES = [
+    { type: "xs:boolean", test: value => value === "true" || value === "false" },
+    { type: "xs:integer", test: value => /^[+-]?\d+$/.test(value) },
+    { type: "xs:decimal", test: value => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value) },
+    { type: "xs:double", test: value => /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|-?INF|NaN)$/.test(value) },
+    { type: "xs:date", test: isDate },
+    { type: "xs:dateTime", test: isDateTime },
+    { type: "xs:time", test: isTime },
+    { type: "xs:duration", test: isDuration },
+    { type: "xs:anyURI", test: value => /^([a-zA-Z][a-zA-Z0-9+.-]*:\/\/|(urn|mailto|tel):)\S+$/.test(value) },
+];
+
+// Distinct values kept per stream for enumeration facets; beyond this the stream is open-ended
+export const DISTINCT_VALUE_LIMIT = 256;
+// Values kept per stream as examples for documentation, whatever the number of distinct values
+export const EXAMPLE_LIMIT = 3;
+
+const NUMERIC_TYPES = ["xs:integer", "xs:decimal", "xs:double"];
+// Values made of more alternating character runs than this are free text, not codes
+const MAX_PATTERN_RUNS = 8;
+
+/**
+ * Creates an accumulator for the values observed for one element's text or
+ * one attribute. Besides the set of built-in types that still fit every value
+ * seen so far, it keeps what restriction facets need: up to
+ * DISTINCT_VALUE_LIMIT distinct values, length and numeric ranges, digit
+ * counts and the common character shape of the values, plus the first
+ * EXAMPLE_LIMIT distinct non-empty values as examples.
+ *
+ * @returns {object} Empty value statistics.
+ */
+export function createValueStats() {
+    return {
+        count: 0,
+        candidates: TYPE_CANDIDATES.map(candidate => candidate.type),
+        distinct: new Set(), // null once DISTINCT_VALUE_LIMIT is exceeded
+        minLength: Infinity,
+        maxLength: 0,
+        minNumber: null, // Lexical form of the smallest numeric value
+        maxNumber: null,
+        totalDigits: 0,
+        fractionDigits: 0,
+        shape: undefined, // undefined until a value is seen, null once values disagree
+        examples: [],
+    };
+}
+
+/**
+ * The character class a value character is generalised to in patterns.
+ *
+ * @param {string} char A single character.
+ * @returns {string} An XSD regular expression atom.
+ */
+function characterClass(char) {
+    if (/[0-9]/.test(char)) return "\\d";
+    if (/[A-Z]/.test(char)) return "[A-Z]";
+    if (/[a-z]/.test(char)) return "[a-z]";
+    if (char === "\n") return "\\n";
+    if (char === "\r") return "\\r";
+    if (char === "\t") return "\\t";
+    return /[\\|.\-^?*+{}()[\]]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Describes a value as runs of character classes, e.g. "AB-12" becomes
+ * [A-Z]x2, "-"x1, \dx2.
+ *
+ * @param {string} value The value.
+ * @returns {{atom: string, min: number, max: number}[]} The value's shape.
+ */
+function shapeOf(value) {
+    const runs = [];
+    for (const char of value) {
+        const atom = characterClass(char);
+        const last = runs[runs.length - 1];
+        if (last && last.atom === atom) {
+            last.min++;
+            last.max++;
+        } else {
+            runs.push({ atom, min: 1, max: 1 });
+        }
+    }
+    return runs;
+}
+
+/**
+ * Combines two shapes whose runs use the same classes, widening run lengths.
+ *
+ * @param {object[]|null|undefined} a A shape; undefined means no value yet.
+ * @param {object[]|null|undefined} b Another shape.
+ * @returns {object[]|null|undefined} The combined shape, or null if the values have different shapes.
+ */
+function mergeShapes(a, b) {
+    if (a === undefined) return b;
+    if (b === undefined) return a;
+    if (a === null || b === null || a.length !== b.length || a.some((run, i) => run.atom !== b[i].atom)) {
+        return null;
+    }
+    return a.map((run, i) => ({ atom: run.atom, min: Math.min(run.min, b[i].min), max: Math.max(run.max, b[i].max) }));
+}
+
+/**
+ * Counts the significant digits of a decimal lexical value.
+ *
+ * @param {string} value A value in the xs:decimal lexical space.
+ * @returns {{totalDigits: number, fractionDigits: number}} The digit counts.
+ */
+function countDigits(value) {
+    const [integerPart, fractionPart = ""] = value.replace(/^[+-]/, "").split(".");
+    const integerDigits = integerPart.replace(/^0+/, "");
+    const fractionDigits = fractionPart.replace(/0+$/, "");
+    return {
+        totalDigits: Math.max(1, integerDigits.length + fractionDigits.length),
+        fractionDigits: fractionDigits.length,
+    };
+}
+
+// Keeps the smaller (or larger) of two numeric lexical values
+function pickNumber(current, candidate, keepSmaller) {
+    if (current === null) return candidate;
+    if (candidate === null) return current;
+    const smaller = Number(candidate) < Number(current);
+    return smaller === keepSmaller ? candidate : current;
+}
+
+/**
+ * Records one observed value, narrowing the candidate types to those whose
+ * lexical space contains it. Whitespace is collapsed the way XSD does for
+ * every non-string built-in type.
+ *
+ * @param {{count: number, candidates: string[]}} stats Statistics to update.
+ * @param {string} rawValue The value as it appeared in the document.
+ */
+export function recordValue(stats, rawValue) {
+    const raw = String(rawValue);
+    const value = raw.trim();
+    stats.count++;
+    if (stats.distinct) {
+        stats.distinct.add(raw);
+        if (stats.distinct.size > DISTINCT_VALUE_LIMIT) stats.distinct = null;
+    }
+    stats.minLength = Math.min(stats.minLength, raw.length);
+    stats.maxLength = Math.max(stats.maxLength, raw.length);
+    stats.shape = mergeShapes(stats.shape, shapeOf(raw));
+    if (value !== "" && stats.examples.length < EXAMPLE_LIMIT && !stats.examples.includes(value)) {
+        stats.examples.push(value);
+    }
+    if (value === "") {
+        // Only xs:string can hold an empty value
+        stats.candidates = [];
+        return;
+    }
+    stats.candidates = stats.candidates.filter(type =>
+        TYPE_CANDIDATES.find(candidate => candidate.type === type).test(value)
+    );
+    if (stats.candidates.includes("xs:double") && !Number.isNaN(Number(value))) {
+        stats.minNumber = pickNumber(stats.minNumber, value, true);
+        stats.maxNumber = pickNumber(stats.maxNumber, value, false);
+    }
+    if (stats.candidates.includes("xs:decimal")) {
+        const digits = countDigits(value);
+        stats.totalDigits = Math.max(stats.totalDigits, digits.totalDigits);
+        stats.fractionDigits = Math.max(stats.fractionDigits, digits.fractionDigits);
+    }
+}
+
+/**
+ * Folds the statistics of another value stream into `target`, as if its
+ * values had been recorded there too.
+ *
+ * @param {{count: number, candidates: string[]}} target Statistics to update.
+ * @param {{count: number, candidates: string[]}} source Statistics to merge in.
+ * @returns {{count: number, candidates: string[]}} The updated target.
+ */
+export function mergeValueStats(target, source) {
+    target.count += source.count;
+    target.candidates = target.candidates.filter(type => source.candidates.includes(type));
+    if (target.distinct && source.distinct) {
+        source.distinct.forEach(value => target.distinct.add(value));
+        if (target.distinct.size > DISTINCT_VALUE_LIMIT) target.distinct = null;
+    } else {
+        target.distinct = null;
+    }
+    target.minLength = Math.min(target.minLength, source.minLength);
+    target.maxLength = Math.max(target.maxLength, source.maxLength);
+    target.minNumber = pickNumber(target.minNumber, source.minNumber, true);
+    target.maxNumber = pickNumber(target.maxNumber, source.maxNumber, false);
+    target.totalDigits = Math.max(target.totalDigits, source.totalDigits);
+    target.fractionDigits = Math.max(target.fractionDigits, source.fractionDigits);
+    target.shape = mergeShapes(target.shape, source.shape);
+    for (const value of source.examples) {
+        if (target.examples.length < EXAMPLE_LIMIT && !target.examples.includes(value)) target.examples.push(value);
+    }
+    return target;
+}
+
+/**
+ * Returns the narrowest built-in type accepting every recorded value, or
+ * xs:string when nothing was recorded or the values conflict. A declared
+ * type (taken over from an existing schema) is returned as is.
+ *
+ * @param {{count: number, candidates: string[]}} stats Accumulated statistics.
+ * @returns {string} A prefixed XSD built-in type name such as "xs:integer".
+ */
+export function inferType(stats) {
+    if (stats && stats.declared) {
+        return stats.declared.base;
+    }
+    if (!stats || stats.count === 0 || stats.candidates.length === 0) {
+        return "xs:string";
+    }
+    return stats.candidates[0];
+}
+
+/**
+ * Derives restriction facets for a value stream on top of its inferred type.
+ *
+ * A string stream with at most `enumerationThreshold` distinct values becomes
+ * an enumeration, provided some value repeated: values that were each seen
+ * once are more likely free text than a code list. With `emitFacets`, other
+ * streams get minLength/maxLength and a pattern of their common character
+ * shape (strings), totalDigits/fractionDigits (integers and decimals) and
+ * minInclusive/maxInclusive (numbers). Declared statistics keep their
+ * declared type and facets.
+ *
+ * @param {object} stats Accumulated statistics.
+ * @param {{enumerationThreshold: number, emitFacets: boolean}} options Facet options.
+ * @returns {{base: string, facets: {name: string, value: string}[]}} The base type and its facets in
+ *   schema order; no facets means the base type can be used directly.
+ */
+export function inferFacets(stats, { enumerationThreshold = 0, emitFacets = false } = {}) {
+    if (stats && stats.declared) {
+        return { base: stats.declared.base, facets: stats.declared.facets };
+    }
+    const base = inferType(stats);
+    const facets = [];
+    if (!stats || stats.count === 0) {
+        return { base, facets };
+    }
+    if (base === "xs:string") {
+        const distinct = stats.distinct;
+        if (distinct && distinct.size <= enumerationThreshold && stats.count > distinct.size) {
+            for (const value of distinct) facets.push({ name: "enumeration", value });
+            return { base, facets };
+        }
+        if (emitFacets) {
+            facets.push({ name: "minLength", value: String(stats.minLength) });
+            facets.push({ name: "maxLength", value: String(stats.maxLength) });
+            if (stats.shape && stats.shape.length > 0 && stats.shape.length <= MAX_PATTERN_RUNS) {
+                const pattern = stats.shape.map(run => {
+                    const quantifier = run.min === run.max ? `{${run.min}}` : `{${run.min},${run.max}}`;
+                    return run.min === 1 && run.max === 1 ? run.atom : `${run.atom}${quantifier}`;
+                }).join("");
+                facets.push({ name: "pattern", value: pattern });
+            }
+        }
+        return { base, facets };
+    }
+    if (emitFacets && NUMERIC_TYPES.includes(base)) {
+        if (base !== "xs:double") {
+            facets.push({ name: "totalDigits", value: String(stats.totalDigits) });
+        }
+        if (base === "xs:decimal") {
+            facets.push({ name: "fractionDigits", value: String(stats.fractionDigits) });
+        }
+        if (stats.minNumber !== null) {
+            facets.push({ name: "minInclusive", value: stats.minNumber });
+            facets.push({ name: "maxInclusive", value: stats.maxNumber });
+        }
+    }
+    return { base, facets };
+}
@@ -0,0 +1,109 @@
+// src/typeInference.test.js
+import { createValueStats, recordValue, mergeValueStats, inferType, inferFacets } from './typeInference';
+
+function statsOf(...values) {
+    const stats = createValueStats();
+    values.forEach(value => recordValue(stats, value));
+    return stats;
+}
+
+function typeOf(...values) {
+    return inferType(statsOf(...values));
+}
+
+describe('typeInference', () => {
+    it('should fall back to xs:string when nothing was recorded', () => {
+        expect(inferType(createValueStats())).toBe('xs:string');
+        expect(inferType(undefined)).toBe('xs:string');
+    });
+
+    it('should recognise booleans but not 0/1 as booleans', () => {
+        expect(typeOf('true', 'false')).toBe('xs:boolean');
+        expect(typeOf('0', '1')).toBe('xs:integer');
+        expect(typeOf('True')).toBe('xs:string');
+    });
+
+    it('should order numeric types from narrowest to widest', () => {
+        expect(typeOf('-12', '+7')).toBe('xs:integer');
+        expect(typeOf('12', '3.5')).toBe('xs:decimal');
+        expect(typeOf('1e3', '4')).toBe('xs:double');
+        expect(typeOf('INF', '-INF', 'NaN')).toBe('xs:double');
+        expect(typeOf('+INF')).toBe('xs:string');
+    });
+
+    it('should recognise dates, times and durations', () => {
+        expect(typeOf('2024-02-29', '1999-12-31Z')).toBe('xs:date');
+        expect(typeOf('2024-02-29T23:59:59.5+02:00')).toBe('xs:dateTime');
+        expect(typeOf('08:30:00')).toBe('xs:time');
+        expect(typeOf('P1Y2M3DT4H5M6S', 'PT15M')).toBe('xs:duration');
+        expect(typeOf('2024-13-01')).toBe('xs:string');
+        expect(typeOf('P', 'PT')).toBe('xs:string');
+    });
+
+    it('should only take dates and times that exist for dates and times', () => {
+        expect(typeOf('2000-02-29', '-0004-02-29', '2024-04-30')).toBe('xs:date');
+        expect(typeOf('24:00:00', '23:59:59.999-14:00')).toBe('xs:time');
+        expect(typeOf('2024-12-31T24:00:00')).toBe('xs:dateTime');
+        for (const value of ['2023-02-29', '1900-02-29', '2024-02-30', '2024-04-31', '0000-01-01', '00123-01-01', '2024-01-01+15:00', '2024-01-01+14:30']) {
+            expect(typeOf(value)).toBe('xs:string');
+        }
+        for (const value of ['24:30:00', '24:00:00.5', '23:59:60', '12:60:00', '12:00:00+01:60']) {
+            expect(typeOf(value)).toBe('xs:string');
+        }
+        expect(typeOf('2024-02-30T12:00:00')).toBe('xs:string');
+    });
+
+    it('should recognise URIs with a scheme', () => {
+        expect(typeOf('https://example.com/x', 'urn:isbn:0451450523')).toBe('xs:anyURI');
+        expect(typeOf('soap:Body')).toBe('xs:string');
+    });
+
+    it('should ignore surrounding whitespace but treat empty values as strings', () => {
+        expect(typeOf('  42 \n')).toBe('xs:integer');
+        expect(typeOf('42', '')).toBe('xs:string');
+    });
+
+    it('should fall back to xs:string when values conflict', () => {
+        expect(typeOf('2024-01-01', '10:00:00')).toBe('xs:string');
+        expect(typeOf('true', '5')).toBe('xs:string');
+    });
+
+    describe('inferFacets', () => {
+        const facetsOf = (stats, options) => inferFacets(stats, options).facets.map(facet => `${facet.name}=${facet.value}`);
+
+        it('should enumerate small repeated string value sets', () => {
+            expect(facetsOf(statsOf('A', 'B', 'A'), { enumerationThreshold: 2 })).toEqual(['enumeration=A', 'enumeration=B']);
+            expect(facetsOf(statsOf('A', 'B', 'C', 'A'), { enumerationThreshold: 2 })).toEqual([]);
+            expect(facetsOf(statsOf('A', 'B'), { enumerationThreshold: 2 })).toEqual([]);
+            expect(facetsOf(statsOf('1', '2', '1'), { enumerationThreshold: 2 })).toEqual([]);
+        });
+
+        it('should merge distinct values and ranges across streams', () => {
+            const merged = mergeValueStats(statsOf('7', '-2.50'), statsOf('100'));
+            expect(inferFacets(merged, { emitFacets: true })).toEqual({
+                base: 'xs:decimal',
+                facets: [
+                    { name: 'totalDigits', value: '3' },
+                    { name: 'fractionDigits', value: '1' },
+                    { name: 'minInclusive', value: '-2.50' },
+                    { name: 'maxInclusive', value: '100' },
+                ],
+            });
+            expect(facetsOf(mergeValueStats(statsOf('x'), statsOf('y', 'x')), { enumerationThreshold: 5 })).toEqual(['enumeration=x', 'enumeration=y']);
+        });
+
+        it('should keep the first few distinct values as examples, past the distinct value limit too', () => {
+            expect(statsOf(' a ', '', 'b', 'a', 'c', 'd').examples).toEqual(['a', 'b', 'c']);
+            expect(mergeValueStats(statsOf('x'), statsOf('x', 'y', 'z', 'w')).examples).toEqual(['x', 'y', 'z']);
+            const many = statsOf(...Array.from({ length: 300 }, (_, i) => `v${i}`));
+            expect(many.distinct).toBeNull();
+            expect(many.examples).toEqual(['v0', 'v1', 'v2']);
+        });
+
+        it('should only derive a pattern from values sharing a shape', () => {
+            expect(facetsOf(statsOf('ab1', 'cde22'), { emitFacets: true })).toEqual(['minLength=3', 'maxLength=5', 'pattern=[a-z]{2,3}\\d{1,2}']);
+            expect(facetsOf(statsOf('ab1', '1ab'), { emitFacets: true })).toEqual(['minLength=3', 'maxLength=3']);
+            expect(facetsOf(statsOf('a.b'), { emitFacets: true })).toContain('pattern=[a-z]\\.[a-z]');
+        });
+    });
+});
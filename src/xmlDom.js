@@ -0,0 +1,49 @@
+import { parseXml, invalidXmlError } from './xmlParser.js';
+
+/**
+ * Wraps a parsed element (see parseXml) in the subset of the DOM Element
+ * interface the generator reads: nodeType, namespaceURI, localName, prefix,
+ * tagName, attributes, childNodes and lookupNamespaceURI. Text and comment
+ * nodes get nodeType and nodeValue.
+ *
+ * @param {object} element An element returned by parseXml.
+ * @returns {object} A DOM-compatible element.
+ */
+export function toDomElement(element) {
+    return {
+        nodeType: 1,
+        namespaceURI: element.namespace,
+        localName: element.localName,
+        prefix: element.prefix,
+        tagName: element.name,
+        attributes: element.attributes.map(attr => ({
+            name: attr.name,
+            value: attr.value,
+            namespaceURI: attr.namespace,
+            localName: attr.localName,
+            prefix: attr.prefix,
+        })),
+        childNodes: element.children.map(child => (child.type === "element"
+            ? toDomElement(child)
+            : { nodeType: child.type === "comment" ? 8 : 3, nodeValue: child.value })),
+        lookupNamespaceURI: prefix => element.namespaces[prefix || ""] || null,
+    };
+}
+
+/**
+ * An `xmlParser` for the generator that needs no browser globals, so schemas
+ * can be generated under Node.js.
+ *
+ * @param {string} xmlString The XML document.
+ * @returns {object} The DOM-compatible root element.
+ * @throws {Error} "Invalid XML: ..." with the `line`, `column`, `reason` and `snippet` of the problem if the document
+ *   is not well-formed (see invalidXmlError).
+ */
+export function parseDomRoot(xmlString) {
+    try {
+        return toDomElement(parseXml(xmlString).root);
+    } catch (err) {
+        if (err.line === undefined) throw err;
+        throw invalidXmlError(err, xmlString);
+    }
+}
@@ -0,0 +1,596 @@
+/**
+ * A small, non-validating, namespace-aware XML parser that records the line
+ * and column of every element, attribute and text node. The browser's
+ * DOMParser keeps no source positions, which the validator needs to point
+ * at violations. The parser streams: createSaxParser consumes the input in
+ * chunks and reports events, and parseXml builds a tree from those events.
+ */
+
+import { parseDtd, parseDoctypeDeclaration } from './dtdParser.js';
+
+export const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+export const XMLNS_NAMESPACE = "http://www.w3.org/2000/xmlns/";
+
+const PREDEFINED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+const NAME_PATTERN = /[^\s/>=<"'&;]+/y;
+
+/**
+ * Creates an Error carrying the position it refers to, reported as
+ * "Line L, column C: message".
+ *
+ * @param {string} message What is wrong.
+ * @param {{line: number, column: number}} position Where it is.
+ * @returns {Error} The error, with `line` and `column` properties.
+ */
+export function positionedError(message, { line, column }) {
+    const error = new Error(`Line ${line}, column ${column}: ${message}`);
+    error.line = line;
+    error.column = column;
+    error.reason = message;
+    return error;
+}
+
+/**
+ * Creates a streaming, non-validating XML parser that reports the document
+ * through callbacks instead of building a tree, so inputs of any size can be
+ * processed chunk by chunk. Chunks may split the input anywhere; incomplete
+ * markup is buffered until the rest arrives.
+ *
+ * The handler may implement:
+ * - `startElement(element)`: `element` is `{ name, prefix, localName,
+ *   namespace, attributes, namespaces, line, column }` as described for parseXml.
+ * - `endElement(element)`: called with the same object when the element closes
+ *   (right after startElement for empty-element tags).
+ * - `text(value, position)`: decoded character data or CDATA inside the root
+ *   element; consecutive calls may split one run of text.
+ * - `comment(value, position)`: the text of a comment inside the root element.
+ * - `doctype(declaration)`: the raw DOCTYPE declaration.
+ *
+ * The general entities the DOCTYPE's internal subset declares are expanded
+ * in the rest of the document, as character data, and so are those of a DTD
+ * given as the external subset (the `dtdEntities` option), the internal
+ * subset taking precedence. External entities cannot be loaded and stay
+ * undefined. A document whose DOCTYPE names an external subset may refer to
+ * entities only that subset declares, so its references to undeclared
+ * entities are kept as written rather than rejected.
+ *
+ * With an `onError` callback, errors the parser can step over are reported
+ * to it and parsing goes on: undefined or malformed references are kept as
+ * text, duplicate attributes dropped, unbound prefixes left without a
+ * namespace, end tags closing an outer element close the ones in between,
+ * stray end tags, text and further roots outside the root element are
+ * skipped, and every element left open is reported at the end. Errors that
+ * leave the markup unreadable (an unterminated tag, a missing "=") are
+ * still thrown.
+ *
+ * @param {object} handler The event callbacks.
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.entities] Extra general entities (name to replacement text).
+ * @param {Map<string, string|null>} [options.dtdEntities] The general entities of the external subset, as
+ *   parseDtd reads them.
+ * @param {function(Error): void} [options.onError] Receives the recoverable errors instead of having them thrown.
+ * @returns {{write: function(string): void, close: function(): void}} The parser: write() feeds the
+ *   next chunk, close() signals the end of the input.
+ * @throws {Error} From write() or close(), if the document is not well-formed; the error has
+ *   `line` and `column` properties.
+ */
+export function createSaxParser(handler, { entities = {}, dtdEntities = null, onError } = {}) {
+    const noop = () => {};
+    const { startElement = noop, endElement = noop, text: onText = noop, comment: onComment = noop, doctype: onDoctype = noop } = handler;
+    let source = ""; // Buffered input not consumed yet
+    let index = 0; // Parse position in source
+    let ended = false;
+    let heldCarriageReturn = false; // A trailing "\r" may be the first half of "\r\n"
+    let rootSeen = false;
+    let declaredEntities = new Map(); // Internal general entities of the DOCTYPE declaration
+    let externalSubset = false; // Whether the DOCTYPE names an external subset
+    const stack = [];
+
+    // Line and column of source[tracked]; positions are counted forward from there
+    let tracked = 0;
+    let trackedLine = 1;
+    let trackedColumn = 1;
+
+    const positionAt = offset => {
+        let line = trackedLine;
+        let column = trackedColumn;
+        for (let i = tracked; i < offset; i++) {
+            if (source[i] === "\n") {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+        return { line, column };
+    };
+
+    const advanceTo = offset => {
+        ({ line: trackedLine, column: trackedColumn } = positionAt(offset));
+        tracked = offset;
+    };
+
+    const fail = (message, offset = index) => {
+        throw positionedError(message, positionAt(offset));
+    };
+
+    // An error parsing can continue after, when the caller collects them
+    const recoverable = (message, offset = index) => {
+        if (!onError) fail(message, offset);
+        onError(positionedError(message, positionAt(offset)));
+    };
+
+    const readName = () => {
+        NAME_PATTERN.lastIndex = index;
+        const match = NAME_PATTERN.exec(source);
+        if (!match) fail("Expected a name");
+        index += match[0].length;
+        return match[0];
+    };
+
+    const skipWhitespace = () => {
+        while (index < source.length && /\s/.test(source[index])) index++;
+    };
+
+    // Broken references stay as they were written when the errors are collected
+    const decode = (raw, offset) => raw.replace(/&([^;&\s]*);?/g, (match, name, relative) => {
+        if (!match.endsWith(";")) {
+            recoverable("Unterminated entity reference", offset + relative);
+            return match;
+        }
+        if (name.startsWith("#")) {
+            const code = name[1] === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            if (Number.isInteger(code) && code >= 1 && code <= 0x10FFFF) return String.fromCodePoint(code);
+            recoverable(`Invalid character reference "${match}"`, offset + relative);
+            return match;
+        }
+        if (Object.prototype.hasOwnProperty.call(PREDEFINED_ENTITIES, name)) return PREDEFINED_ENTITIES[name];
+        if (Object.prototype.hasOwnProperty.call(entities, name)) return entities[name];
+        if (typeof declaredEntities.get(name) === "string") return declaredEntities.get(name);
+        if (dtdEntities && !declaredEntities.has(name) && typeof dtdEntities.get(name) === "string") return dtdEntities.get(name);
+        // The external subset may declare it, and the one given (if any) need not be the one named
+        if (externalSubset && !declaredEntities.has(name)) return match;
+        recoverable(`Undefined entity "&${name};"`, offset + relative);
+        return match;
+    });
+
+    const splitName = (name, offset) => {
+        const parts = name.split(":");
+        if (parts.length > 2 || parts.some(part => part === "")) {
+            recoverable(`Invalid qualified name "${name}"`, offset);
+            return { prefix: null, localName: name };
+        }
+        return parts.length === 2 ? { prefix: parts[0], localName: parts[1] } : { prefix: null, localName: name };
+    };
+
+    const addText = (value, offset) => {
+        if (stack.length === 0) {
+            if (value.trim()) recoverable("Text is not allowed outside the root element", offset);
+            return;
+        }
+        onText(value, positionAt(offset));
+    };
+
+    // Consumes up to and including the terminator; null if it has not arrived yet
+    const skipPast = (terminator, what) => {
+        const end = source.indexOf(terminator, index);
+        if (end < 0) {
+            if (!ended) return null;
+            fail(`Unterminated ${what}`);
+        }
+        const content = source.slice(index, end);
+        index = end + terminator.length;
+        return content;
+    };
+
+    // The end of the markup starting at index ("<" of a DOCTYPE or start tag), skipping quoted
+    // values and, for a DOCTYPE, the internal subset; -1 if it has not arrived yet
+    const findMarkupEnd = () => {
+        let depth = 0;
+        let quote = null;
+        for (let i = index + 1; i < source.length; i++) {
+            const char = source[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "\"" || char === "'") {
+                quote = char;
+            } else if (char === "[") {
+                depth++;
+            } else if (char === "]") {
+                depth--;
+            } else if (char === ">" && depth <= 0) {
+                return i;
+            }
+        }
+        return -1;
+    };
+
+    const parseDoctype = () => {
+        const start = index;
+        const end = findMarkupEnd();
+        if (end < 0) {
+            if (!ended) return false;
+            fail("Unterminated DOCTYPE declaration", start);
+        }
+        index = end + 1;
+        const declaration = source.slice(start, index);
+        onDoctype(declaration);
+        try {
+            const { systemId, internalSubset } = parseDoctypeDeclaration(declaration);
+            externalSubset = systemId !== null;
+            if (internalSubset) declaredEntities = parseDtd(internalSubset).generalEntities;
+        } catch (err) {
+            recoverable(err.message.replace(/^Invalid XML: /, ""), start);
+        }
+        return true;
+    };
+
+    const parseStartTag = () => {
+        const start = index;
+        if (!ended && findMarkupEnd() < 0) return false;
+        index++; // <
+        const name = readName();
+        const attributes = [];
+        const seen = new Set();
+        for (;;) {
+            const beforeWhitespace = index;
+            skipWhitespace();
+            if (source.startsWith("/>", index) || source[index] === ">") break;
+            if (index >= source.length) fail(`Unterminated start tag <${name}>`, start);
+            if (index === beforeWhitespace) fail("Expected whitespace between attributes");
+            const attributeStart = index;
+            const attributeName = readName();
+            skipWhitespace();
+            if (source[index] !== "=") fail(`Expected "=" after attribute "${attributeName}"`);
+            index++;
+            skipWhitespace();
+            const quote = source[index];
+            if (quote !== "\"" && quote !== "'") fail(`Expected a quoted value for attribute "${attributeName}"`);
+            const valueEnd = source.indexOf(quote, index + 1);
+            if (valueEnd < 0) fail(`Unterminated value of attribute "${attributeName}"`);
+            const raw = source.slice(index + 1, valueEnd);
+            if (raw.includes("<")) recoverable(`"<" is not allowed in the value of attribute "${attributeName}"`, index + 1 + raw.indexOf("<"));
+            // Attribute value normalisation turns whitespace characters into spaces
+            const value = decode(raw.replace(/[\t\n]/g, " "), index + 1);
+            if (seen.has(attributeName)) {
+                recoverable(`Duplicate attribute "${attributeName}"`, attributeStart);
+            } else {
+                seen.add(attributeName);
+                attributes.push({ name: attributeName, value, ...positionAt(attributeStart) });
+            }
+            index = valueEnd + 1;
+        }
+        const selfClosing = source.startsWith("/>", index);
+        index += selfClosing ? 2 : 1;
+
+        // Resolve namespaces: declarations on this element apply to itself and its attributes
+        const parent = stack[stack.length - 1];
+        const namespaces = { ...(parent ? parent.namespaces : { xml: XML_NAMESPACE }) };
+        for (const attribute of attributes) {
+            if (attribute.name === "xmlns") namespaces[""] = attribute.value;
+            else if (attribute.name.startsWith("xmlns:")) namespaces[attribute.name.slice(6)] = attribute.value;
+        }
+        const { prefix, localName } = splitName(name, start + 1);
+        let namespace = prefix === null ? namespaces[""] || null : namespaces[prefix];
+        if (namespace === undefined) {
+            recoverable(`Unbound namespace prefix "${prefix}"`, start + 1);
+            namespace = null;
+        }
+        const resolvedNames = new Set();
+        for (const attribute of attributes) {
+            if (attribute.name === "xmlns" || attribute.name.startsWith("xmlns:")) {
+                Object.assign(attribute, { prefix: attribute.name === "xmlns" ? null : "xmlns", localName: attribute.name === "xmlns" ? "xmlns" : attribute.name.slice(6), namespace: XMLNS_NAMESPACE });
+                continue;
+            }
+            const parts = splitName(attribute.name, start);
+            // Unprefixed attributes are in no namespace, whatever the default namespace is
+            let attributeNamespace = parts.prefix === null ? null : namespaces[parts.prefix];
+            if (attributeNamespace === undefined) {
+                recoverable(`Unbound namespace prefix "${parts.prefix}"`, start);
+                attributeNamespace = null;
+            }
+            const resolved = `{${attributeNamespace || ""}}${parts.localName}`;
+            if (resolvedNames.has(resolved)) recoverable(`Duplicate attribute "${attribute.name}"`, start);
+            resolvedNames.add(resolved);
+            Object.assign(attribute, { ...parts, namespace: attributeNamespace });
+        }
+
+        if (!parent && rootSeen) recoverable("Only one root element is allowed", start);
+        rootSeen = true;
+        const element = { name, prefix, localName, namespace, attributes, namespaces, ...positionAt(start) };
+        startElement(element);
+        if (selfClosing) endElement(element);
+        else stack.push(element);
+        return true;
+    };
+
+    const parseEndTag = () => {
+        const start = index;
+        if (!ended && source.indexOf(">", index) < 0) return false;
+        index += 2; // </
+        const name = readName();
+        skipWhitespace();
+        if (source[index] !== ">") fail(`Expected ">" to close end tag </${name}>`);
+        index++;
+        const open = stack[stack.length - 1];
+        if (!open) {
+            recoverable(`Unexpected end tag </${name}>`, start);
+            return true;
+        }
+        if (open.name !== name) {
+            recoverable(`End tag </${name}> does not match start tag <${open.name}> (line ${open.line}, column ${open.column})`, start);
+            // Close up to a matching outer element; an end tag matching none is skipped
+            if (!stack.some(element => element.name === name)) return true;
+            while (stack[stack.length - 1].name !== name) endElement(stack.pop());
+        }
+        endElement(stack.pop());
+        return true;
+    };
+
+    // Parses as much of the buffer as is complete, then drops the consumed part
+    const drain = () => {
+        while (index < source.length) {
+            advanceTo(index);
+            if (source[index] !== "<") {
+                const next = source.indexOf("<", index);
+                let end = next < 0 ? source.length : next;
+                if (next < 0 && !ended) {
+                    // Keep back an entity reference the next chunk may complete
+                    const ampersand = source.lastIndexOf("&");
+                    if (ampersand >= index && source.indexOf(";", ampersand) < 0) end = ampersand;
+                    if (end === index) break;
+                }
+                addText(decode(source.slice(index, end), index), index);
+                index = end;
+                continue;
+            }
+            // Wait until the markup can be told apart (e.g. "<!" could start a comment or CDATA)
+            const available = source.length - index;
+            if (!ended && (available < 2 || (source[index + 1] === "!" && available < 9))) break;
+
+            let complete;
+            if (source.startsWith("<!--", index)) {
+                const start = index;
+                index += 4;
+                const content = skipPast("-->", "comment");
+                complete = content !== null;
+                if (!complete) index = start;
+                else if (stack.length > 0) onComment(content, positionAt(start));
+            } else if (source.startsWith("<![CDATA[", index)) {
+                const start = index;
+                const outside = stack.length === 0;
+                index += 9;
+                const content = skipPast("]]>", "CDATA section");
+                complete = content !== null;
+                if (!complete) index = start;
+                else if (outside) recoverable("CDATA sections are not allowed outside the root element", start);
+                else addText(content, start);
+            } else if (source.startsWith("<?", index)) {
+                index += 2;
+                complete = skipPast("?>", "processing instruction") !== null;
+                if (!complete) index -= 2;
+            } else if (source.startsWith("<!DOCTYPE", index)) {
+                const start = index;
+                complete = parseDoctype();
+                if (complete && rootSeen) recoverable("The DOCTYPE declaration must precede the root element", start);
+            } else if (source.startsWith("</", index)) {
+                complete = parseEndTag();
+            } else {
+                complete = parseStartTag();
+            }
+            if (!complete) break;
+        }
+        advanceTo(index);
+        source = source.slice(index);
+        tracked = 0;
+        index = 0;
+    };
+
+    return {
+        write(chunk) {
+            if (ended) throw new Error("Cannot write to a closed XML parser.");
+            let text = `${heldCarriageReturn ? "\r" : ""}${chunk}`;
+            heldCarriageReturn = text.endsWith("\r");
+            if (heldCarriageReturn) text = text.slice(0, -1);
+            source += text.replace(/\r\n?/g, "\n");
+            drain();
+        },
+        close() {
+            if (ended) return;
+            ended = true;
+            if (heldCarriageReturn) source += "\n";
+            drain();
+            while (stack.length > 0) {
+                const open = stack.pop();
+                recoverable(`Element <${open.name}> is never closed`, source.length);
+                endElement(open);
+            }
+            if (!rootSeen) recoverable("No root element found", source.length);
+        },
+    };
+}
+
+/**
+ * Parses an XML document into a lightweight tree.
+ *
+ * Elements are `{ type: "element", name, prefix, localName, namespace,
+ * attributes, children, namespaces, line, column }`, where `namespaces` maps
+ * the prefixes in scope ("" for the default namespace) to URIs and every
+ * attribute is `{ name, prefix, localName, namespace, value, line, column }`
+ * (namespace declarations included, in the xmlns namespace). Text and CDATA
+ * become `{ type: "text", value, line, column }` and comments
+ * `{ type: "comment", value, line, column }`; processing instructions are
+ * dropped.
+ *
+ * @param {string} text The XML document.
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.entities] Extra general entities (name to replacement text).
+ * @returns {{root: object, doctype: string|null}} The root element and the raw DOCTYPE declaration, if any.
+ * @throws {Error} If the document is not well-formed; the error has `line` and `column` properties.
+ */
+export function parseXml(text, { entities = {} } = {}) {
+    let root = null;
+    let doctype = null;
+    const stack = [];
+    const parser = createSaxParser({
+        doctype: declaration => {
+            doctype = declaration;
+        },
+        startElement: element => {
+            const node = { type: "element", ...element, children: [] };
+            const parent = stack[stack.length - 1];
+            if (parent) parent.children.push(node);
+            else root = node;
+            stack.push(node);
+        },
+        endElement: () => {
+            stack.pop();
+        },
+        text: (value, position) => {
+            const parent = stack[stack.length - 1];
+            const last = parent.children[parent.children.length - 1];
+            if (last && last.type === "text") {
+                last.value += value;
+            } else {
+                parent.children.push({ type: "text", value, ...position });
+            }
+        },
+        comment: (value, position) => {
+            stack[stack.length - 1].children.push({ type: "comment", value, ...position });
+        },
+    }, { entities });
+    parser.write(String(text));
+    parser.close();
+    return { root, doctype };
+}
+
+/**
+ * Reads the DOCTYPE declaration of a document, if any, without parsing past
+ * the start of the root element.
+ *
+ * @param {string} text The XML document.
+ * @returns {string|null} The raw DOCTYPE declaration, or null when the document has none.
+ * @throws {Error} If the prolog is not well-formed; the error has `line` and `column` properties.
+ */
+export function readDoctype(text) {
+    let doctype = null;
+    const rootReached = {};
+    const parser = createSaxParser({
+        doctype: declaration => {
+            doctype = declaration;
+        },
+        startElement: () => {
+            throw rootReached;
+        },
+    });
+    try {
+        parser.write(String(text));
+        parser.close();
+    } catch (err) {
+        if (err !== rootReached) throw err;
+    }
+    return doctype;
+}
+
+/**
+ * The source line an error points at, cut to a window around the column,
+ * with a caret under the offending character:
+ *
+ *     <order><item>1</order>
+ *                   ^
+ *
+ * @param {string} text The XML document.
+ * @param {number} line The 1-based line.
+ * @param {number} column The 1-based column.
+ * @param {number} [width=60] The most characters of the line to show.
+ * @returns {string} The two-line snippet.
+ */
+export function sourceSnippet(text, line, column, width = 60) {
+    const lines = String(text).replace(/\r\n?/g, "\n").split("\n");
+    const source = (lines[line - 1] || "").replace(/\t/g, " ");
+    const start = Math.max(0, Math.min(column - 1 - Math.floor(width / 2), source.length - width));
+    const excerpt = `${start > 0 ? "..." : ""}${source.slice(start, start + width)}${start + width < source.length ? "..." : ""}`;
+    const caret = column - 1 - start + (start > 0 ? 3 : 0);
+    return `${excerpt}\n${" ".repeat(Math.max(0, caret))}^`;
+}
+
+/**
+ * Keeps the end of a document read in chunks, so that an error in the line
+ * being parsed can still show its snippet (see sourceSnippet) without the
+ * whole document held in memory: the last line of what was read before the
+ * current chunk, cut to its last `limit` characters, and the chunk itself.
+ *
+ * @param {number} [limit=65536] The most characters of a line to keep.
+ * @returns {{add: function(string): void, snippet: function(number, number): (string|undefined)}} `add` takes
+ *   the next chunk before it is parsed; `snippet` returns the snippet of a line and column, or undefined when
+ *   that part of the document is no longer kept.
+ */
+export function createSnippetWindow(limit = 65536) {
+    let text = "";
+    let line = 1; // The line the kept text starts on
+    let dropped = 0; // Characters cut from the front of that line
+    return {
+        add(chunk) {
+            const cut = text.lastIndexOf("\n") + 1;
+            if (cut > 0) {
+                line += text.slice(0, cut).match(/\r\n?|\n/g).length;
+                dropped = 0;
+                text = text.slice(cut);
+            }
+            if (text.length > limit) {
+                dropped += text.length - limit;
+                text = text.slice(-limit);
+            }
+            text += chunk;
+        },
+        snippet(errorLine, errorColumn) {
+            const column = errorLine === line ? errorColumn - dropped : errorColumn;
+            if (errorLine < line || column < 1) return undefined;
+            return sourceSnippet(text, errorLine - line + 1, column);
+        },
+    };
+}
+
+/**
+ * Wraps a positioned parse error into the error the generators throw for
+ * malformed samples: "Invalid XML: Line L, column C: reason", with the
+ * position, the reason alone and, when the document text is at hand, a
+ * snippet of the offending line (see sourceSnippet).
+ *
+ * @param {Error} err An error from the parser, with `line` and `column`.
+ * @param {string} [text] The document, for the snippet.
+ * @returns {Error} The error, with `line`, `column`, `reason` and `snippet` properties.
+ */
+export function invalidXmlError(err, text) {
+    const error = new Error(`Invalid XML: ${err.message}`);
+    error.line = err.line;
+    error.column = err.column;
+    error.reason = err.reason || err.message;
+    if (typeof text === "string") error.snippet = sourceSnippet(text, err.line, err.column);
+    return error;
+}
+
+/**
+ * Checks that a document is well-formed and lists every problem found, not
+ * just the first: parsing goes on after the errors it can step over (see
+ * createSaxParser) and stops at the first one it cannot.
+ *
+ * @param {string} text The XML document.
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.entities] Extra general entities (name to replacement text).
+ * @returns {{message: string, line: number, column: number, snippet: string}[]} The problems in document
+ *   order; empty for a well-formed document.
+ */
+export function findXmlErrors(text, { entities = {} } = {}) {
+    const errors = [];
+    const collect = err => errors.push({ message: err.reason, line: err.line, column: err.column, snippet: sourceSnippet(text, err.line, err.column) });
+    const parser = createSaxParser({}, { entities, onError: collect });
+    try {
+        parser.write(String(text));
+        parser.close();
+    } catch (err) {
+        if (err.line === undefined) throw err;
+        collect(err);
+    }
+    return errors.sort((a, b) => a.line - b.line || a.column - b.column);
+}
@@ -0,0 +1,206 @@
+// src/xmlParser.test.js
+import { parseXml, createSaxParser, readDoctype, findXmlErrors, sourceSnippet, createSnippetWindow, invalidXmlError, positionedError, XML_NAMESPACE } from './xmlParser';
+
+function syntaxError(xml) {
+    try {
+        parseXml(xml);
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+describe('xmlParser', () => {
+    it('should record line and column of elements, attributes and text', () => {
+        const { root } = parseXml('<?xml version="1.0"?>\n<order id="7">\n  <item>Widget</item>\n</order>');
+        expect(root).toMatchObject({ name: 'order', line: 2, column: 1 });
+        expect(root.attributes[0]).toMatchObject({ name: 'id', value: '7', line: 2, column: 8 });
+        const item = root.children.find(child => child.type === 'element');
+        expect(item).toMatchObject({ name: 'item', line: 3, column: 3 });
+        expect(item.children[0]).toMatchObject({ type: 'text', value: 'Widget', line: 3, column: 9 });
+    });
+
+    it('should resolve namespaces of elements and attributes', () => {
+        const { root } = parseXml('<a:doc xmlns:a="urn:a" xmlns="urn:default"><item a:code="x" plain="y" xml:lang="en"/></a:doc>');
+        expect(root).toMatchObject({ localName: 'doc', prefix: 'a', namespace: 'urn:a' });
+        const [item] = root.children;
+        expect(item.namespace).toBe('urn:default');
+        expect(item.attributes.map(attr => [attr.localName, attr.namespace])).toEqual([
+            ['code', 'urn:a'],
+            ['plain', null],
+            ['lang', XML_NAMESPACE],
+        ]);
+    });
+
+    it('should decode entities and keep CDATA text as is', () => {
+        const { root } = parseXml('<p title="a &amp; b">x &lt; y &#65;&#x42;<![CDATA[<raw> & ]]></p>');
+        expect(root.attributes[0].value).toBe('a & b');
+        expect(root.children).toHaveLength(1);
+        expect(root.children[0].value).toBe('x < y AB<raw> & ');
+    });
+
+    it('should skip the prolog, comments, processing instructions and DOCTYPE', () => {
+        const { root, doctype } = parseXml('<?xml version="1.0"?><!DOCTYPE note [<!ELEMENT note (#PCDATA)>]><!-- c --><note><?pi x?>hi</note>');
+        expect(doctype).toBe('<!DOCTYPE note [<!ELEMENT note (#PCDATA)>]>');
+        expect(root.children).toEqual([expect.objectContaining({ type: 'text', value: 'hi' })]);
+    });
+
+    it('should keep the comments inside the root element', () => {
+        const { root } = parseXml('<!-- prolog --><r>\n  <!-- first -->a<!---->\n</r>');
+        expect(root.children).toEqual([
+            { type: 'text', value: '\n  ', line: 1, column: 19 },
+            { type: 'comment', value: ' first ', line: 2, column: 3 },
+            { type: 'text', value: 'a', line: 2, column: 17 },
+            { type: 'comment', value: '', line: 2, column: 18 },
+            { type: 'text', value: '\n', line: 2, column: 25 },
+        ]);
+    });
+
+    it('should report well-formedness errors with their position', () => {
+        const mismatch = syntaxError('<a>\n  <b></c>\n</a>');
+        expect(mismatch).toMatchObject({ line: 2, column: 6 });
+        expect(mismatch.message).toBe('Line 2, column 6: End tag </c> does not match start tag <b> (line 2, column 3)');
+        expect(syntaxError('<a x="1" x="2"/>')).toMatchObject({ line: 1, column: 10, reason: 'Duplicate attribute "x"' });
+        expect(syntaxError('<a>&nbsp;</a>').message).toMatch(/Undefined entity "&nbsp;"/);
+        expect(syntaxError('<p:a/>').message).toMatch(/Unbound namespace prefix "p"/);
+        expect(syntaxError('<a/><b/>').message).toMatch(/Only one root element/);
+        expect(syntaxError('<a><b></a>').message).toMatch(/does not match start tag <b>/);
+        expect(syntaxError('<a>').message).toMatch(/<a> is never closed/);
+        expect(syntaxError('  ').message).toMatch(/No root element found/);
+    });
+
+    it('should list every problem it can step over, with a snippet of each', () => {
+        const xml = '<r a="1" a="2">\n  <b>&nbsp;</c>\n  <d></d></b>\n</r>\ntail';
+        expect(findXmlErrors(xml).map(({ message, line, column }) => `${line}:${column} ${message}`)).toEqual([
+            '1:10 Duplicate attribute "a"',
+            '2:6 Undefined entity "&nbsp;"',
+            '2:12 End tag </c> does not match start tag <b> (line 2, column 3)',
+            '4:5 Text is not allowed outside the root element',
+        ]);
+        expect(findXmlErrors('<a><b></a>').map(error => error.message)).toEqual([
+            'End tag </a> does not match start tag <b> (line 1, column 4)',
+        ]);
+        expect(findXmlErrors('<a>\n<b>').map(error => `${error.line}:${error.column} ${error.message}`)).toEqual([
+            '2:4 Element <b> is never closed',
+            '2:4 Element <a> is never closed',
+        ]);
+        // Unreadable markup ends the list
+        expect(findXmlErrors('<a x=1><b/></a>')).toEqual([
+            { message: 'Expected a quoted value for attribute "x"', line: 1, column: 6, snippet: '<a x=1><b/></a>\n     ^' },
+        ]);
+        expect(findXmlErrors('<a/>')).toEqual([]);
+    });
+
+    it('should expand the general entities of the internal subset', () => {
+        const xml = '<!DOCTYPE r [\n  <!ENTITY co "ACME &amp; Co">\n  <!ENTITY ext SYSTEM "ext.xml">\n]>\n<r by="&co;">&co;</r>';
+        const { root } = parseXml(xml);
+        expect(root.attributes[0].value).toBe('ACME & Co');
+        expect(root.children[0].value).toBe('ACME & Co');
+        expect(findXmlErrors(xml)).toEqual([]);
+        expect(findXmlErrors(xml.replace('>&co;<', '>&ext;<')).map(error => error.message)).toEqual(['Undefined entity "&ext;"']);
+        expect(findXmlErrors('<!DOCTYPE r [<!ELEMENT r (>]><r/>').map(error => error.message))
+            .toEqual(['Invalid DTD: Expected an element name at "<!ELEMENT r (>".']);
+    });
+
+    it('should expand the entities of the external subset given and keep the ones it may declare', () => {
+        const texts = (xml, options) => {
+            const values = [];
+            const parser = createSaxParser({ text: value => values.push(value) }, options);
+            parser.write(xml);
+            parser.close();
+            return values.join('');
+        };
+        const dtdEntities = new Map([['co', 'ACME'], ['by', 'external']]);
+        expect(texts('<!DOCTYPE r SYSTEM "r.dtd" [<!ENTITY by "internal">]><r>&co; &by; &other;</r>', { dtdEntities }))
+            .toBe('ACME internal &other;');
+        expect(texts('<!DOCTYPE r SYSTEM "r.dtd"><r>&co;</r>')).toBe('&co;');
+        expect(() => texts('<r>&other;</r>', { dtdEntities })).toThrow('Undefined entity "&other;"');
+    });
+
+    it('should read the DOCTYPE declaration before the root element', () => {
+        expect(readDoctype('<?xml version="1.0"?>\n<!DOCTYPE r [<!ELEMENT r EMPTY>]>\n<r/>')).toBe('<!DOCTYPE r [<!ELEMENT r EMPTY>]>');
+        expect(readDoctype('<r><unclosed></r>')).toBeNull();
+    });
+
+    it('should show the offending line around the column', () => {
+        expect(sourceSnippet('<a>\n  <b></c>\n</a>', 2, 8)).toBe('  <b></c>\n       ^');
+        const long = `<a>${'x'.repeat(100)}&bad;${'y'.repeat(100)}</a>`;
+        expect(sourceSnippet(long, 1, 104, 20)).toBe(`...${'x'.repeat(10)}&bad;yyyyy...\n             ^`);
+
+        const error = invalidXmlError(positionedError('Element <a> is never closed', { line: 1, column: 4 }), '<a>');
+        expect(error).toMatchObject({
+            message: 'Invalid XML: Line 1, column 4: Element <a> is never closed',
+            line: 1,
+            column: 4,
+            reason: 'Element <a> is never closed',
+            snippet: '<a>\n   ^',
+        });
+    });
+
+    it('should keep the snippet of the line being read from chunks', () => {
+        const recent = createSnippetWindow(5);
+        ['<a>\r\n<b>', '</c>\n<d>xxxx', 'xxxxxx<e>'].forEach(chunk => recent.add(chunk));
+        expect(recent.snippet(3, 14)).toBe(`>xxxxxxxxxx<e>\n${' '.repeat(11)}^`);
+        expect(recent.snippet(3, 2)).toBeUndefined();
+        expect(recent.snippet(2, 1)).toBeUndefined();
+    });
+
+    describe('streaming', () => {
+        // Records the parser's events for the input written in pieces of the given size
+        function events(xml, chunkSize) {
+            const log = [];
+            const parser = createSaxParser({
+                startElement: element => log.push(`<${element.name} ${element.attributes.map(attr => `${attr.name}=${attr.value}`).join(' ')} @${element.line}:${element.column}`),
+                endElement: element => log.push(`</${element.name}>`),
+                text: (value, position) => log.push(`"${value}" @${position.line}:${position.column}`),
+                comment: (value, position) => log.push(`<!--${value}--> @${position.line}:${position.column}`),
+                doctype: declaration => log.push(declaration),
+            });
+            try {
+                for (let i = 0; i < xml.length; i += chunkSize) parser.write(xml.slice(i, i + chunkSize));
+                parser.close();
+            } catch (err) {
+                log.push(err.message);
+            }
+            // Text may arrive in several pieces; join them for comparison
+            return log.reduce((joined, entry) => {
+                const last = joined[joined.length - 1];
+                if (last && last.startsWith('"') && entry.startsWith('"')) {
+                    joined[joined.length - 1] = `${last.slice(0, last.lastIndexOf('" @'))}${entry.slice(1, entry.lastIndexOf('" @'))}${last.slice(last.lastIndexOf('" @'))}`;
+                } else {
+                    joined.push(entry);
+                }
+                return joined;
+            }, []);
+        }
+
+        it('should report the same events however the input is split', () => {
+            const xml = '<?xml version="1.0"?>\r\n<!DOCTYPE r [<!ENTITY x "y">]>\r\n<r a="1 &amp; 2">\r\n  <b>x &lt; y<!-- c --><![CDATA[<raw>]]></b><c/>\r\n</r>\r\n';
+            const whole = events(xml, xml.length);
+            expect(whole).toEqual([
+                '<!DOCTYPE r [<!ENTITY x "y">]>',
+                '<r a=1 & 2 @3:1',
+                '"\n  " @3:18',
+                '<b  @4:3',
+                '"x < y" @4:6',
+                '<!-- c --> @4:14',
+                '"<raw>" @4:24',
+                '</b>',
+                '<c  @4:45',
+                '</c>',
+                '"\n" @4:49',
+                '</r>',
+            ]);
+            for (const chunkSize of [1, 2, 3, 7]) {
+                expect(events(xml, chunkSize)).toEqual(whole);
+            }
+        });
+
+        it('should report errors at the same position however the input is split', () => {
+            for (const xml of ['<a>\n  <b></c>\n</a>', '<a x="1" x="2"/>', '<a>&nbsp;</a>', '<a><!-- open', '<a>']) {
+                const [expected] = events(xml, xml.length).slice(-1);
+                expect(events(xml, 1).slice(-1)).toEqual([expected]);
+            }
+        });
+    });
+});
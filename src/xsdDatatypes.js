@@ -0,0 +1,238 @@
+/**
+ * Lexical rules of the XML Schema built-in simple types, used by the
+ * validator and by type inference.
+ */
+
+// Offsets run from -14:00 to +14:00
+const TIMEZONE = "(Z|[+-]((0\\d|1[0-3]):[0-5]\\d|14:00))?";
+// Years have four digits or more, without leading zeros beyond four, and there is no year 0000
+const YEAR = "-?([1-9]\\d{3,}|0(?!000)\\d{3})";
+const DATE_PATTERN = new RegExp(`^(${YEAR})-(\\d{2})-(\\d{2})${TIMEZONE}$`);
+const MONTH_DAY_PATTERN = new RegExp(`^--(\\d{2})-(\\d{2})${TIMEZONE}$`);
+const TIME_PATTERN = new RegExp(`^(\\d{2}):(\\d{2}):(\\d{2})(\\.\\d+)?${TIMEZONE}$`);
+const DURATION_PATTERN = /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+const DECIMAL_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const DOUBLE_PATTERN = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|-?INF|NaN)$/;
+const NAME_START = "A-Za-z_:\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD";
+const NAME_CHAR = `${NAME_START}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`;
+const NAME_PATTERN = new RegExp(`^[${NAME_START}][${NAME_CHAR}]*$`);
+const NCNAME_PATTERN = new RegExp(`^[${NAME_START.replace(":", "")}][${NAME_CHAR.replace(":", "")}]*$`);
+const NMTOKEN_PATTERN = new RegExp(`^[${NAME_CHAR}]+$`);
+
+/**
+ * Checks the calendar of a date: the day exists in its month, February
+ * having 29 days in Gregorian leap years.
+ *
+ * @param {string} year The year, optionally negative.
+ * @param {string} month The two-digit month.
+ * @param {string} day The two-digit day.
+ * @returns {boolean} True if the date exists.
+ */
+function isValidDateParts(year, month, day) {
+    const number = Number(year);
+    if (Number(month) < 1 || Number(month) > 12) return false;
+    const leap = number % 4 === 0 && (number % 100 !== 0 || number % 400 === 0);
+    const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][Number(month) - 1];
+    return Number(day) >= 1 && Number(day) <= days;
+}
+
+/**
+ * Checks the clock of a time: seconds stop at 59 (there are no leap
+ * seconds), and hour 24 only stands for the end of the day, 24:00:00.
+ *
+ * @param {string} hours The two-digit hours.
+ * @param {string} minutes The two-digit minutes.
+ * @param {string} seconds The seconds, with their fraction if any.
+ * @returns {boolean} True if the time exists.
+ */
+function isValidTimeParts(hours, minutes, seconds) {
+    if (Number(hours) === 24) return Number(minutes) === 0 && Number(seconds) === 0;
+    return Number(hours) <= 23 && Number(minutes) <= 59 && Number(seconds) < 60;
+}
+
+/**
+ * @param {string} value A collapsed value.
+ * @returns {boolean} True if the value is in the xs:date lexical space.
+ */
+export function isDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    return !!match && isValidDateParts(match[1], match[3], match[4]);
+}
+
+/**
+ * @param {string} value A collapsed value.
+ * @returns {boolean} True if the value is in the xs:time lexical space.
+ */
+export function isTime(value) {
+    const match = TIME_PATTERN.exec(value);
+    return !!match && isValidTimeParts(match[1], match[2], match[3] + (match[4] || ""));
+}
+
+/**
+ * @param {string} value A collapsed value.
+ * @returns {boolean} True if the value is in the xs:dateTime lexical space.
+ */
+export function isDateTime(value) {
+    const separator = value.indexOf("T");
+    if (separator < 0) return false;
+    const datePart = value.slice(0, separator);
+    const timePart = value.slice(separator + 1);
+    // The timezone belongs to the time part, so the date half must not carry one
+    return /^-?\d{4,}-\d{2}-\d{2}$/.test(datePart) && isDate(datePart) && isTime(timePart);
+}
+
+/**
+ * @param {string} value A collapsed value.
+ * @returns {boolean} True if the value is in the xs:gMonthDay lexical space, February 29 included.
+ */
+function isMonthDay(value) {
+    const match = MONTH_DAY_PATTERN.exec(value);
+    return !!match && isValidDateParts("2000", match[1], match[2]);
+}
+
+/**
+ * @param {string} value A collapsed value.
+ * @returns {boolean} True if the value is in the xs:duration lexical space.
+ */
+export function isDuration(value) {
+    return DURATION_PATTERN.test(value);
+}
+
+/**
+ * Compares two integers given in lexical form, without the precision loss of
+ * converting 64-bit bounds to Number.
+ *
+ * @param {string} a An integer, optionally signed.
+ * @param {string} b Another integer.
+ * @returns {number} Negative, zero or positive as a is less than, equal to or greater than b.
+ */
+function compareIntegers(a, b) {
+    const parse = value => {
+        const digits = value.replace(/^[+-]/, "").replace(/^0+(?=\d)/, "");
+        return { negative: value.startsWith("-") && digits !== "0", digits };
+    };
+    const x = parse(a);
+    const y = parse(b);
+    if (x.negative !== y.negative) return x.negative ? -1 : 1;
+    const magnitude = x.digits.length - y.digits.length || (x.digits < y.digits ? -1 : x.digits > y.digits ? 1 : 0);
+    return x.negative ? -magnitude : magnitude;
+}
+
+// An integer type whose value space is limited to [min, max] (either bound may be absent)
+function boundedInteger(min, max) {
+    return value => INTEGER_PATTERN.test(value)
+        && (min === undefined || compareIntegers(value, String(min)) >= 0)
+        && (max === undefined || compareIntegers(value, String(max)) <= 0);
+}
+
+const isNCName = value => NCNAME_PATTERN.test(value);
+const listOf = test => value => value !== "" && value.split(" ").every(test);
+
+/**
+ * The built-in simple types by local name: the whitespace handling applied
+ * before checking a value, the lexical test, and whether values compare as
+ * numbers for range facets.
+ */
+const BUILTIN_TYPES = {
+    anySimpleType: { whiteSpace: "preserve", test: () => true },
+    string: { whiteSpace: "preserve", test: () => true },
+    normalizedString: { whiteSpace: "replace", test: () => true },
+    token: { whiteSpace: "collapse", test: () => true },
+    language: { whiteSpace: "collapse", test: value => /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/.test(value) },
+    Name: { whiteSpace: "collapse", test: value => NAME_PATTERN.test(value) },
+    NCName: { whiteSpace: "collapse", test: isNCName },
+    ID: { whiteSpace: "collapse", test: isNCName },
+    IDREF: { whiteSpace: "collapse", test: isNCName },
+    IDREFS: { whiteSpace: "collapse", test: listOf(isNCName) },
+    ENTITY: { whiteSpace: "collapse", test: isNCName },
+    ENTITIES: { whiteSpace: "collapse", test: listOf(isNCName) },
+    NMTOKEN: { whiteSpace: "collapse", test: value => NMTOKEN_PATTERN.test(value) },
+    NMTOKENS: { whiteSpace: "collapse", test: listOf(value => NMTOKEN_PATTERN.test(value)) },
+    QName: { whiteSpace: "collapse", test: value => value.split(":").length <= 2 && value.split(":").every(isNCName) },
+    NOTATION: { whiteSpace: "collapse", test: value => value.split(":").length <= 2 && value.split(":").every(isNCName) },
+    anyURI: { whiteSpace: "collapse", test: value => !/[\s<>"{}|\\^`]/.test(value) },
+    boolean: { whiteSpace: "collapse", test: value => ["true", "false", "1", "0"].includes(value) },
+    decimal: { whiteSpace: "collapse", numeric: true, test: value => DECIMAL_PATTERN.test(value) },
+    integer: { whiteSpace: "collapse", numeric: true, test: boundedInteger() },
+    nonPositiveInteger: { whiteSpace: "collapse", numeric: true, test: boundedInteger(undefined, 0) },
+    negativeInteger: { whiteSpace: "collapse", numeric: true, test: boundedInteger(undefined, -1) },
+    long: { whiteSpace: "collapse", numeric: true, test: boundedInteger("-9223372036854775808", "9223372036854775807") },
+    int: { whiteSpace: "collapse", numeric: true, test: boundedInteger(-2147483648, 2147483647) },
+    short: { whiteSpace: "collapse", numeric: true, test: boundedInteger(-32768, 32767) },
+    byte: { whiteSpace: "collapse", numeric: true, test: boundedInteger(-128, 127) },
+    nonNegativeInteger: { whiteSpace: "collapse", numeric: true, test: boundedInteger(0) },
+    unsignedLong: { whiteSpace: "collapse", numeric: true, test: boundedInteger(0, "18446744073709551615") },
+    unsignedInt: { whiteSpace: "collapse", numeric: true, test: boundedInteger(0, 4294967295) },
+    unsignedShort: { whiteSpace: "collapse", numeric: true, test: boundedInteger(0, 65535) },
+    unsignedByte: { whiteSpace: "collapse", numeric: true, test: boundedInteger(0, 255) },
+    positiveInteger: { whiteSpace: "collapse", numeric: true, test: boundedInteger(1) },
+    float: { whiteSpace: "collapse", numeric: true, test: value => DOUBLE_PATTERN.test(value) },
+    double: { whiteSpace: "collapse", numeric: true, test: value => DOUBLE_PATTERN.test(value) },
+    duration: { whiteSpace: "collapse", test: isDuration },
+    dateTime: { whiteSpace: "collapse", test: isDateTime },
+    date: { whiteSpace: "collapse", test: isDate },
+    time: { whiteSpace: "collapse", test: isTime },
+    gYear: { whiteSpace: "collapse", test: value => new RegExp(`^${YEAR}${TIMEZONE}$`).test(value) },
+    gYearMonth: { whiteSpace: "collapse", test: value => new RegExp(`^${YEAR}-(0[1-9]|1[0-2])${TIMEZONE}$`).test(value) },
+    gMonth: { whiteSpace: "collapse", test: value => new RegExp(`^--(0[1-9]|1[0-2])${TIMEZONE}$`).test(value) },
+    gMonthDay: { whiteSpace: "collapse", test: isMonthDay },
+    gDay: { whiteSpace: "collapse", test: value => new RegExp(`^---(0[1-9]|[12]\\d|3[01])${TIMEZONE}$`).test(value) },
+    hexBinary: { whiteSpace: "collapse", test: value => /^([0-9a-fA-F]{2})*$/.test(value) },
+    base64Binary: { whiteSpace: "collapse", test: value => /^[A-Za-z0-9+/ ]*={0,2}$/.test(value) && value.replace(/ /g, "").length % 4 === 0 },
+};
+
+/**
+ * @param {string} localName Local name of a type in the XML Schema namespace.
+ * @returns {boolean} True if it names a built-in simple type.
+ */
+export function isBuiltinSimpleType(localName) {
+    return Object.prototype.hasOwnProperty.call(BUILTIN_TYPES, localName);
+}
+
+/**
+ * @returns {string[]} Local names of the built-in simple types.
+ */
+export function builtinSimpleTypeNames() {
+    return Object.keys(BUILTIN_TYPES);
+}
+
+/**
+ * Applies a whiteSpace facet value to a raw value.
+ *
+ * @param {string} value The raw value.
+ * @param {string} whiteSpace "preserve", "replace" or "collapse".
+ * @returns {string} The normalised value.
+ */
+export function normalizeWhiteSpace(value, whiteSpace) {
+    if (whiteSpace === "preserve") return value;
+    const replaced = value.replace(/[\t\n\r]/g, " ");
+    return whiteSpace === "replace" ? replaced : replaced.replace(/ +/g, " ").trim();
+}
+
+/**
+ * @param {string} localName Local name of a built-in simple type.
+ * @returns {string} The whiteSpace facet the type applies.
+ */
+export function builtinWhiteSpace(localName) {
+    return BUILTIN_TYPES[localName].whiteSpace;
+}
+
+/**
+ * @param {string} localName Local name of a built-in simple type.
+ * @returns {boolean} True if the type's values are ordered numerically.
+ */
+export function isNumericBuiltin(localName) {
+    return !!BUILTIN_TYPES[localName].numeric;
+}
+
+/**
+ * Checks a whitespace-normalised value against a built-in type's lexical space.
+ *
+ * @param {string} localName Local name of a built-in simple type.
+ * @param {string} value The normalised value.
+ * @returns {boolean} True if the value is valid.
+ */
+export function isValidBuiltinValue(localName, value) {
+    return BUILTIN_TYPES[localName].test(value);
+}
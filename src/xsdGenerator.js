@@ -1,175 +1,901 @@
+import { inferType, inferFacets, DISTINCT_VALUE_LIMIT } from './typeInference.js';
+import { importDtd } from './dtdImport.js';
+import { qualifiedKey } from './xsdParser.js';
+import { inferSchemaModel, inferSchemaModelFromStream, getAttributeUse, describeContentModel, describeTypeHierarchy, isSimpleElement, resolveIdentityConstraints, documentName, DOCUMENTED_PATH_LIMIT } from './schemaModel.js';
+
+const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+export const XML_SCHEMA_LOCATION = "http://www.w3.org/2001/xml.xsd";
+// Prefixes the generated schemas bind themselves, never reused for document namespaces
+const RESERVED_PREFIXES = new Set(["xs", "xml", "xmlns"]);
+
 /**
- * Parses XML and generates a best-effort XSD schema string.
- * All types are set to xs:string, occurrences are unbounded.
+ * Default generator options.
  *
- * @param {string} xmlString The XML content as a string.
- * @returns {string} The generated XSD schema as a string.
- * @throws {Error} If XML parsing fails.
+ * - targetNamespace: URI to put the root element's declarations in; empty derives it from the root element.
+ * - namespacePrefix: prefix each schema binds to its own target namespace.
+ * - elementFormDefault: "qualified" or "unqualified".
+ * - typeNamePrefix / typeNameSuffix: named complex types are called `${prefix}${elementName}${suffix}`.
+ * - indent: number of spaces per nesting level, or the indent string itself (e.g. "\t").
+ * - emitComments: whether to emit the section comments.
+ * - emitDocumentation: whether to open every element and attribute declaration with an
+ *   xs:annotation documenting it: the comments that preceded its instances in the samples, how
+ *   often and at which paths it occurred and examples of its values.
+ * - occurrencePolicy: "inferred" (tight bounds from the samples), "exact" (observed min/max counts)
+ *   or "relaxed" (minOccurs="0" maxOccurs="unbounded" and optional attributes everywhere).
+ * - designStyle: "salamiSlice" (every element global, referenced by ref), "venetianBlind"
+ *   (global roots, named types, local element declarations) or "russianDoll" (global roots,
+ *   nested anonymous types).
+ * - enumerationThreshold: string values with at most this many distinct values (some of them
+ *   repeated) are restricted to an enumeration; 0 disables enumerations.
+ * - emitFacets: whether to restrict other simple values with length, pattern, digit and range
+ *   facets derived from the samples.
+ * - identityConstraints: how keys and references found in the samples are declared: "keys"
+ *   (xs:key, xs:unique and xs:keyref on the root element), "ids" (xs:ID and xs:IDREF attribute
+ *   types where the values allow it, keys otherwise) or "none".
+ * - factorGroups: whether content models and attribute sets shared by several complex types
+ *   are written once, as an xs:group or xs:attributeGroup the types refer to.
+ * - dtd: the text of an external DTD (an uploaded .dtd file, say) whose declarations the
+ *   schemas start from; see importDtd in dtdImport.js.
+ * - importDoctype: whether the internal DTD subsets of the samples' DOCTYPE declarations
+ *   are merged as well. Off by default: the merge drops what the model cannot hold
+ *   (ANY content, list types such as IDREFS), which a sample's DOCTYPE should not
+ *   impose unasked.
+ * - schemaFileName: base name of the generated files; further namespaces get a
+ *   `_${prefix}` suffix. Left at the default, the files of namespaces the
+ *   documents gave a location for (xsi:schemaLocation) are named after it.
+ * - attributePrefix: JSON Schema only; prefix of the properties attributes map to.
+ * - textPropertyName: JSON Schema only; property holding the text of elements that
+ *   also have attributes or child elements.
+ *
+ * The XML parser can be swapped with the `xmlParser` option, a function taking
+ * an XML string and returning a DOM-compatible root element (or throwing on
+ * malformed input). By default the browser's DOMParser is used.
+ *
+ * An `onProgress` function, if given, is called while the samples are analysed
+ * with `{ bytesProcessed, totalBytes, elementsProcessed }`; bytes are input
+ * characters, estimated within a sample from the share of its elements done.
  */
-export function generateXsd(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, "application/xml");
+export const DEFAULT_OPTIONS = Object.freeze({
+    targetNamespace: "",
+    namespacePrefix: "tns",
+    elementFormDefault: "qualified",
+    typeNamePrefix: "",
+    typeNameSuffix: "Type",
+    indent: 2,
+    emitComments: true,
+    emitDocumentation: false,
+    occurrencePolicy: "inferred",
+    designStyle: "salamiSlice",
+    enumerationThreshold: 10,
+    emitFacets: false,
+    identityConstraints: "keys",
+    factorGroups: false,
+    dtd: "",
+    importDoctype: false,
+    schemaFileName: "generated_schema",
+    attributePrefix: "@",
+    textPropertyName: "#text",
+});
 
-    // Check for parsing errors
-    const parserError = xmlDoc.querySelector("parsererror");
-    if (parserError) {
-        console.error("XML Parsing Error:", parserError);
-        throw new Error(`Invalid XML: ${parserError.textContent.split("\n")[1] || 'Parsing failed.'}`);
+const OCCURRENCE_POLICIES = ["inferred", "exact", "relaxed"];
+const DESIGN_STYLES = ["salamiSlice", "venetianBlind", "russianDoll"];
+const IDENTITY_CONSTRAINT_MODES = ["keys", "ids", "none"];
+
+/**
+ * Merges user options over the defaults and checks the enumerated ones.
+ * Shared by the emitters, so every output format accepts the same options.
+ *
+ * @param {object} [options] Partial generator options.
+ * @returns {object} The complete options.
+ * @throws {Error} If an option has an unsupported value.
+ */
+export function resolveOptions(options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) resolved[key] = value;
+    }
+    if (!OCCURRENCE_POLICIES.includes(resolved.occurrencePolicy)) {
+        throw new Error(`Unknown occurrence policy "${resolved.occurrencePolicy}". Expected one of: ${OCCURRENCE_POLICIES.join(", ")}.`);
+    }
+    if (!DESIGN_STYLES.includes(resolved.designStyle)) {
+        throw new Error(`Unknown design style "${resolved.designStyle}". Expected one of: ${DESIGN_STYLES.join(", ")}.`);
     }
+    if (!IDENTITY_CONSTRAINT_MODES.includes(resolved.identityConstraints)) {
+        throw new Error(`Unknown identity constraint mode "${resolved.identityConstraints}". Expected one of: ${IDENTITY_CONSTRAINT_MODES.join(", ")}.`);
+    }
+    if (!["qualified", "unqualified"].includes(resolved.elementFormDefault)) {
+        throw new Error(`Invalid elementFormDefault "${resolved.elementFormDefault}". Expected "qualified" or "unqualified".`);
+    }
+    if (!/^[A-Za-z_][\w.-]*$/.test(resolved.namespacePrefix) || RESERVED_PREFIXES.has(resolved.namespacePrefix)) {
+        throw new Error(`Invalid namespace prefix "${resolved.namespacePrefix}".`);
+    }
+    if (!Number.isInteger(resolved.enumerationThreshold) || resolved.enumerationThreshold < 0 || resolved.enumerationThreshold > DISTINCT_VALUE_LIMIT) {
+        throw new Error(`Invalid enumeration threshold "${resolved.enumerationThreshold}". Expected an integer from 0 to ${DISTINCT_VALUE_LIMIT}.`);
+    }
+    if (!/^[^\\/:*?"<>|]+$/.test(resolved.schemaFileName)) {
+        throw new Error(`Invalid schema file name "${resolved.schemaFileName}".`);
+    }
+    if (typeof resolved.dtd !== "string") {
+        throw new Error("The dtd option must be the text of a DTD.");
+    }
+    if (typeof resolved.attributePrefix !== "string") {
+        throw new Error(`Invalid attribute prefix "${resolved.attributePrefix}".`);
+    }
+    if (typeof resolved.textPropertyName !== "string" || resolved.textPropertyName === "") {
+        throw new Error(`Invalid text property name "${resolved.textPropertyName}".`);
+    }
+    resolved.indent = typeof resolved.indent === "number" ? " ".repeat(Math.max(0, resolved.indent)) : String(resolved.indent);
+    return resolved;
+}
 
-    const rootElement = xmlDoc.documentElement;
-    if (!rootElement) {
-        throw new Error("Invalid XML: No root element found.");
+/**
+ * Escapes a value for use inside a double-quoted XML attribute.
+ *
+ * @param {string} value The raw value.
+ * @returns {string} The escaped value.
+ */
+export function escapeAttribute(value) {
+    return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;")
+        .replace(/\t/g, "&#9;").replace(/\n/g, "&#10;").replace(/\r/g, "&#13;");
+}
+
+/**
+ * Escapes a value for use as XML character data.
+ *
+ * @param {string} value The raw value.
+ * @returns {string} The escaped value.
+ */
+export function escapeText(value) {
+    return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * The default or fixed value a schema declared for an element's text or an
+ * attribute, as the attribute of its declaration.
+ *
+ * @param {object} stats Value statistics of the text or attribute.
+ * @returns {string} ` fixed="..."`, ` default="..."` or an empty string.
+ */
+function valueConstraint(stats) {
+    const declared = stats.declared || {};
+    if (declared.fixed !== undefined) return ` fixed="${escapeAttribute(declared.fixed)}"`;
+    return declared.default !== undefined ? ` default="${escapeAttribute(declared.default)}"` : '';
+}
+
+/**
+ * The documentation of a declaration for the emitDocumentation option: the
+ * comments that preceded its instances (for a declaration read from an
+ * existing schema, the schema's documentation), then how often and where it occurred
+ * in the samples with examples of its values. Declarations read from an
+ * existing schema have no paths, so only their comments (if any) are kept.
+ *
+ * @param {{comments?: string[], paths?: string[], pathCount?: number}} origin The comments, the first document paths
+ *   it was seen at and how many there are.
+ * @param {number} count How often it occurred.
+ * @param {object|null} stats Value statistics of its text or value, or null when it has none.
+ * @returns {string[]} The paragraphs, unescaped.
+ */
+function documentationParagraphs({ comments = [], paths, pathCount = 0 }, count, stats) {
+    const paragraphs = [...comments];
+    if (paths) {
+        const listed = paths.slice(0, DOCUMENTED_PATH_LIMIT);
+        const more = pathCount > listed.length ? ` and ${pathCount - listed.length} more` : '';
+        const at = listed.length > 0 ? ` at ${listed.join(", ")}${more}` : '';
+        const examples = stats && stats.examples.length > 0
+            ? ` ${stats.examples.length === 1 ? "Example" : "Examples"}: ${stats.examples.map(value => `"${value}"`).join(", ")}.`
+            : '';
+        paragraphs.push(`Occurs ${count === 1 ? "once" : `${count} times`}${at}.${examples}`);
     }
+    return paragraphs;
+}
 
-    const elementInfo = new Map(); // Stores { elementName: { attributes: Set<string>, children: Set<string>, hasTextContent: boolean } }
-    const elementOrder = new Map(); // Stores { elementName: string[] } to maintain child order within first occurrence
+/**
+ * Assigns every namespace in the documents a unique prefix, preferring the one
+ * the documents themselves used and falling back to ns1, ns2, ...
+ *
+ * @param {Map<string, string|null>} documentPrefixes Namespace URI -> prefix seen in the documents.
+ * @param {string} ownPrefix The prefix schemas bind to their own target namespace.
+ * @returns {Map<string, string>} Namespace URI -> prefix to use in the schemas.
+ */
+export function assignNamespacePrefixes(documentPrefixes, ownPrefix) {
+    const prefixes = new Map([[XML_NAMESPACE, "xml"]]);
+    const used = new Set([...RESERVED_PREFIXES, ownPrefix]);
+    let counter = 1;
+    for (const [namespace, prefix] of documentPrefixes) {
+        if (prefixes.has(namespace)) continue;
+        let chosen = prefix;
+        while (!chosen || used.has(chosen)) {
+            chosen = `ns${counter++}`;
+        }
+        used.add(chosen);
+        prefixes.set(namespace, chosen);
+    }
+    return prefixes;
+}
+
+/**
+ * Decides which elements get global declarations under a design style.
+ * Salami Slice makes every element global, except divergent same-named
+ * declarations, which can only be declared locally. Venetian Blind and Russian Doll
+ * only make the document roots global, plus elements that cannot be declared
+ * locally where they are used: those in a namespace foreign to the schema
+ * declaring their parent and, for Russian Doll, elements nested inside
+ * themselves (anonymous types cannot recurse). Declarations read from a
+ * schema keep the scope they had there, whatever the style, unless Russian
+ * Doll has to make a local one global to let it recurse.
+ *
+ * @param {Map<string, object>} elementInfo Collected element statistics.
+ * @param {Set<string>} rootKeys Keys of the document root elements.
+ * @param {string} designStyle The design style.
+ * @returns {Set<string>} Keys of the elements to declare globally.
+ */
+function findGlobalElements(elementInfo, rootKeys, designStyle) {
+    const scoped = key => elementInfo.get(key).global !== undefined;
+    if (designStyle === "salamiSlice") {
+        return new Set([...elementInfo.keys()].filter(key => (scoped(key) ? elementInfo.get(key).global : !elementInfo.get(key).localOnly)));
+    }
 
-    function processNode(node, parentName = null) {
-        if (node.nodeType !== Node.ELEMENT_NODE) {
-            // Check if parent might have text content alongside elements (mixed)
-            if (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim() !== '' && parentName && elementInfo.has(parentName)) {
-                elementInfo.get(parentName).hasTextContent = true;
+    const globals = new Set([...rootKeys, ...[...elementInfo.keys()].filter(key => elementInfo.get(key).global)]);
+    const pending = [...globals];
+    const visited = new Set(); // Venetian Blind: "schema namespace|element key" pairs already walked
+
+    while (pending.length > 0) {
+        const globalKey = pending.shift();
+        const schemaNamespace = elementInfo.get(globalKey).namespace;
+
+        const visit = (key, ancestors) => {
+            for (const childKey of elementInfo.get(key).children.keys()) {
+                const child = elementInfo.get(childKey);
+                const declarable = child.namespace === schemaNamespace || child.namespace === null;
+                const recursive = designStyle === "russianDoll" && ancestors.has(childKey);
+
+                if (child.global && !recursive) {
+                    continue; // Global in the schema it was read from, so walked on its own
+                }
+                if (!declarable || recursive) {
+                    if (!globals.has(childKey)) {
+                        globals.add(childKey);
+                        pending.push(childKey);
+                    }
+                } else if (designStyle === "russianDoll") {
+                    if (!globals.has(childKey)) {
+                        visit(childKey, new Set([...ancestors, childKey]));
+                    }
+                } else if (!visited.has(`${schemaNamespace}|${childKey}`)) {
+                    visited.add(`${schemaNamespace}|${childKey}`);
+                    visit(childKey, ancestors);
+                }
             }
-            return;
+        };
+        visit(globalKey, new Set([globalKey]));
+    }
+    return globals;
+}
+
+/**
+ * Renders the schema document for one target namespace.
+ *
+ * @param {string|null} targetNamespace The namespace whose declarations to render, or null.
+ * @param {object} model Collected statistics plus the global elements, named simple types, type hierarchies, identity
+ *   constraints, prefix and file name assignments and the prefixes of the documents.
+ * @param {object} settings Resolved generator options.
+ * @returns {string} The XSD document.
+ */
+function buildSchema(targetNamespace, { elementInfo, globalElements, globalAttributes, simpleTypes, hierarchies, constraints, prefixes, documentPrefixes, fileNames }, settings) {
+    const pad = level => settings.indent.repeat(level);
+    const comment = (level, text) => (settings.emitComments ? `${pad(level)}<!-- ${text} -->\n` : '');
+    const style = settings.designStyle;
+    const referencedNamespaces = new Set(); // Foreign namespaces this schema refers to
+    const xpathNamespaces = new Set(); // Foreign namespaces only identity constraint paths refer to
+
+    // QName of a global component as seen from this schema. Unqualified names
+    // stay unprefixed, which works because no default namespace is declared.
+    function qname(namespace, name) {
+        if (namespace === targetNamespace) {
+            return namespace ? `${settings.namespacePrefix}:${name}` : name;
+        }
+        if (!namespace) {
+            referencedNamespaces.add(null);
+            return name;
         }
+        referencedNamespaces.add(namespace);
+        return `${prefixes.get(namespace)}:${name}`;
+    }
+
+    // A name in an identity constraint path; XPath has no default namespace, so qualified names need a prefix
+    function xpathName(namespace, name) {
+        if (!namespace) return name;
+        if (namespace === targetNamespace) return `${settings.namespacePrefix}:${name}`;
+        xpathNamespaces.add(namespace);
+        return `${prefixes.get(namespace)}:${name}`;
+    }
 
-        const elementName = node.tagName;
-        if (!elementInfo.has(elementName)) {
-            elementInfo.set(elementName, {
-                attributes: new Set(),
-                children: new Set(),
-                hasTextContent: false, // Initialize text content flag
-            });
-            elementOrder.set(elementName, []); // Initialize order array only once
+    // Named types are unique per schema; a clash (same local name in two
+    // namespaces declared here) gets a numeric suffix. Declarations read from
+    // an existing schema keep the name of their type there.
+    const ownSimpleTypes = [...simpleTypes.values()].filter(type => type.namespace === targetNamespace);
+    const typeNames = new Map();
+    const usedTypeNames = new Set(ownSimpleTypes.map(type => type.name));
+    function typeNameFor(elementKey) {
+        if (!typeNames.has(elementKey)) {
+            const info = elementInfo.get(elementKey);
+            const base = info.typeName || `${settings.typeNamePrefix}${info.typeBase}${settings.typeNameSuffix}`;
+            let name = base;
+            for (let counter = 2; usedTypeNames.has(name); counter++) {
+                name = `${base}${counter}`;
+            }
+            usedTypeNames.add(name);
+            typeNames.set(elementKey, name);
         }
+        return typeNames.get(elementKey);
+    }
 
-        const info = elementInfo.get(elementName);
-        const order = elementOrder.get(elementName);
-        const childrenProcessedInThisNode = new Set(); // Track children added in this specific node visit
+    // A child is declared locally unless the style (or the schema it was read
+    // from) makes it global or its namespace cannot be expressed by a local
+    // declaration in this schema
+    function declaresLocally(childKey) {
+        const child = elementInfo.get(childKey);
+        if (child.namespace !== targetNamespace && child.namespace !== null) return false;
+        if (child.global !== undefined) return !globalElements.has(childKey);
+        return style === "venetianBlind" || !globalElements.has(childKey);
+    }
 
+    // form attribute needed for a local declaration whose namespace differs from elementFormDefault
+    function localForm(child) {
+        if (!targetNamespace) return '';
+        const qualified = child.namespace === targetNamespace;
+        if (qualified === (settings.elementFormDefault === "qualified")) return '';
+        return ` form="${qualified ? 'qualified' : 'unqualified'}"`;
+    }
 
-        // Process Attributes
-        if (node.attributes) {
-            for (let i = 0; i < node.attributes.length; i++) {
-                info.attributes.add(node.attributes[i].name);
-            }
+    const ownGlobals = [...elementInfo.keys()].filter(key => globalElements.has(key) && elementInfo.get(key).namespace === targetNamespace);
+    const ownAttributes = [...globalAttributes.values()].filter(attr => attr.namespace === targetNamespace);
+
+    // Every element declared in this schema, globally or locally, in document order
+    const declared = [];
+    const pendingDeclarations = [...ownGlobals];
+    while (pendingDeclarations.length > 0) {
+        const key = pendingDeclarations.shift();
+        if (declared.includes(key)) continue;
+        declared.push(key);
+        pendingDeclarations.push(...[...elementInfo.get(key).children.keys()].filter(declaresLocally));
+    }
+
+    // Attributes declared locally are either unqualified or in the target namespace;
+    // when all of them are qualified that becomes the schema-wide default
+    const localAttributes = declared.flatMap(key => [...elementInfo.get(key).attributes.values()])
+        .filter(attr => !attr.namespace || attr.namespace === targetNamespace);
+    const attributesQualified = localAttributes.length > 0 && localAttributes.every(attr => attr.namespace !== null);
+
+    // Types the documents named with xsi:type keep their names, so generated
+    // type names steer clear of them. They are written next to the type they
+    // extend, which only works for the ones in this schema's namespace.
+    const derivedTypeNames = new Map(); // elementKey -> names of the extensions written for it
+    for (const key of declared.filter(key => hierarchies.has(key))) {
+        const names = hierarchies.get(key).extensions
+            .filter(extension => extension.namespace === targetNamespace && !usedTypeNames.has(extension.name))
+            .map(extension => extension.name);
+        names.forEach(name => usedTypeNames.add(name));
+        derivedTypeNames.set(key, new Set(names));
+    }
+    // Elements whose instances named a type are never simple: their type has to be named to be extended
+    const isSimple = key => isSimpleElement(elementInfo.get(key)) && !hierarchies.has(key);
+
+    // With emitDocumentation, the xs:annotation opening a declaration (see documentationParagraphs)
+    const pathsOf = info => info.paths && info.paths.map(steps => `/${steps.map(step => documentName(documentPrefixes, step)).join("/")}`);
+    function annotation(paragraphs, level) {
+        if (!settings.emitDocumentation || paragraphs.length === 0) return '';
+        let out = `${pad(level)}<xs:annotation>\n`;
+        for (const paragraph of paragraphs) {
+            out += `${pad(level + 1)}<xs:documentation>${escapeText(paragraph)}</xs:documentation>\n`;
         }
+        out += `${pad(level)}</xs:annotation>\n`;
+        return out;
+    }
+    const elementAnnotation = (info, level) => annotation(
+        documentationParagraphs({ comments: info.comments, paths: pathsOf(info), pathCount: info.pathCount }, info.instanceCount,
+            info.hasTextContent ? info.text : null), level);
+    const attributeAnnotation = (attr, owners, level) => {
+        const name = documentName(documentPrefixes, attr);
+        const documented = owners.filter(owner => owner.paths);
+        const paths = documented.length > 0
+            ? documented.flatMap(owner => pathsOf(owner)).map(path => `${path}/@${name}`)
+            : undefined;
+        const pathCount = documented.reduce((total, owner) => total + owner.pathCount, 0);
+        return annotation(documentationParagraphs({ comments: attr.comments, paths, pathCount }, attr.values.count, attr.values), level);
+    };
 
-        // Process Child Nodes (Elements and Text)
-        let hasChildElements = false;
-        node.childNodes.forEach(childNode => {
-            if (childNode.nodeType === Node.ELEMENT_NODE) {
-                hasChildElements = true;
-                const childName = childNode.tagName;
-                // Add to overall children set for the element type
-                info.children.add(childName);
-                // Add to order *only if* this is the first time we see this child for this parent *type*
-                // and only capture the order from the first instance of the parent element encountered
-                if (elementOrder.get(elementName).length === 0 || !elementOrder.get(elementName).includes(childName)) {
-                    if (!childrenProcessedInThisNode.has(childName) && elementOrder.get(elementName).length === 0) { // Rough way to capture first instance order
-                        order.push(childName);
-                        childrenProcessedInThisNode.add(childName); // Track within this specific node
-                    } else if (!elementOrder.get(elementName).includes(childName)) {
-                        // If order was already partially captured but this child is new, add it
-                        order.push(childName);
-                    }
+    // With factorGroups, a model group of two or more particles or a set of two
+    // or more attributes that several complex types share is written once, as a
+    // group named after the first element having it. They are compared as
+    // rendered before any group exists, so equal text means equal declarations.
+    const modelGroups = new Map(); // declaration -> name of the xs:group holding its children
+    const attributeGroups = new Map(); // declaration -> name of the xs:attributeGroup holding its attributes
+    const groupDefinitions = []; // [tag, name, declaration rendered as the content]
+    if (settings.factorGroups) {
+        const usedGroupNames = new Set();
+        const complexDeclarations = declared.filter(key => !isSimple(key) && !hierarchies.has(key)).map(key => elementInfo.get(key));
+        const factor = (tag, suffix, members, render, groups) => {
+            const byContent = new Map();
+            for (const info of members) {
+                const content = render(info);
+                if (!byContent.has(content)) byContent.set(content, []);
+                byContent.get(content).push(info);
+            }
+            for (const sharing of byContent.values()) {
+                if (sharing.length < 2) continue;
+                const base = `${settings.typeNamePrefix}${sharing[0].typeBase}${suffix}`;
+                let name = base;
+                for (let counter = 2; usedGroupNames.has(name); counter++) {
+                    name = `${base}${counter}`;
                 }
-                // Recurse
-                processNode(childNode, elementName);
-            } else if (childNode.nodeType === Node.TEXT_NODE && childNode.nodeValue.trim() !== '') {
-                info.hasTextContent = true; // Mark if any text content exists
+                usedGroupNames.add(name);
+                sharing.forEach(info => groups.set(info, name));
+                groupDefinitions.push([tag, name, sharing[0]]);
             }
-        });
+        };
+        factor("xs:group", "Group",
+            complexDeclarations.filter(info => describeContentModel(info, settings.occurrencePolicy).particles.length >= 2),
+            info => contentModel(info, 2, true), modelGroups);
+        factor("xs:attributeGroup", "AttributeGroup",
+            complexDeclarations.filter(info => info.attributes.size >= 2),
+            info => attributeDeclarations(info, 2, true), attributeGroups);
+    }
+
+    // The named simple type a schema gave a value, as a QName, or null
+    function namedType(stats) {
+        const named = stats.declared && stats.declared.simpleType;
+        return named ? qname(named.namespace, named.name) : null;
+    }
 
-        // If an element only ever contains text and no child elements, mark it
-        if (info.hasTextContent && !hasChildElements && info.children.size === 0) {
-            // This might be refined - could still have attributes
-        } else if (!info.hasTextContent && !hasChildElements) {
-            // Potentially empty element
+    // A declaration typed by a value stream: a plain built-in or named type
+    // reference, or a nested anonymous simple type when the values warrant
+    // restriction facets. Its annotation, if any, comes first.
+    function typedDeclaration(tag, head, stats, tail, level, documentation = '') {
+        const { base, facets } = inferFacets(stats, settings);
+        const type = namedType(stats);
+        const constraint = valueConstraint(stats);
+        if (type || facets.length === 0) {
+            const typed = `${pad(level)}<${tag}${head} type="${type || base}"${tail}${constraint}`;
+            return documentation ? `${typed}>\n${documentation}${pad(level)}</${tag}>\n` : `${typed}/>\n`;
+        }
+        let out = `${pad(level)}<${tag}${head}${tail}${constraint}>\n${documentation}`;
+        out += `${pad(level + 1)}<xs:simpleType>\n`;
+        out += `${pad(level + 2)}<xs:restriction base="${base}">\n`;
+        for (const facet of facets) {
+            out += `${pad(level + 3)}<xs:${facet.name} value="${escapeAttribute(facet.value)}"/>\n`;
         }
+        out += `${pad(level + 2)}</xs:restriction>\n`;
+        out += `${pad(level + 1)}</xs:simpleType>\n`;
+        out += `${pad(level)}</${tag}>\n`;
+        return out;
     }
 
-    processNode(rootElement);
+    // An attribute of the element owner; attributes of another namespace refer to their global declaration
+    function attributeDeclaration(attr, use, level, owner) {
+        const indent = pad(level);
+        if (attr.namespace && attr.namespace !== targetNamespace) {
+            // The global declaration states its own default or fixed value
+            const global = [...globalAttributes.values()].find(({ name, namespace }) => name === attr.name && namespace === attr.namespace);
+            const constraint = valueConstraint(attr.values);
+            const own = global && valueConstraint(global.values) === constraint ? '' : constraint;
+            return `${indent}<xs:attribute ref="${qname(attr.namespace, attr.name)}" use="${use}"${own}/>\n`;
+        }
+        const form = attr.namespace && !attributesQualified ? ' form="qualified"' : '';
+        return typedDeclaration("xs:attribute", ` name="${attr.name}"${form}`, attr.values, ` use="${use}"`, level,
+            attributeAnnotation(attr, [owner], level + 1));
+    }
 
-    // --- Generate XSD String ---
-    let xsdString = `<?xml version="1.0" encoding="UTF-8"?>\n`;
-    xsdString += `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"\n`;
-    xsdString += `           targetNamespace="http://example.com/generatedSchema"\n`; // Placeholder namespace
-    xsdString += `           xmlns:tns="http://example.com/generatedSchema"\n`;      // Placeholder namespace
-    xsdString += `           elementFormDefault="qualified">\n\n`;
+    // The keys, uniques and keyrefs declared on a root element, selected from it by child paths
+    function identityConstraints(elementKey, level) {
+        const step = key => xpathName(elementInfo.get(key).namespace, elementInfo.get(key).name);
+        let out = '';
+        for (const { name, kind, scope, selector, field, refer } of constraints) {
+            if (scope !== elementKey) continue;
+            const attr = field.attribute && elementInfo.get(selector[selector.length - 1]).attributes.get(field.attribute);
+            const fieldPath = attr ? `@${xpathName(attr.namespace, attr.name)}` : step(field.element);
+            const referAttr = refer ? ` refer="${qname(targetNamespace, refer)}"` : '';
+            out += `${pad(level)}<xs:${kind} name="${name}"${referAttr}>\n`;
+            out += `${pad(level + 1)}<xs:selector xpath="${selector.map(step).join("/")}"/>\n`;
+            out += `${pad(level + 1)}<xs:field xpath="${fieldPath}"/>\n`;
+            out += `${pad(level)}</xs:${kind}>\n`;
+        }
+        return out;
+    }
 
-    // Define global elements first
-    xsdString += `  <!-- Global Element Declarations -->\n`;
-    for (const elementName of elementInfo.keys()) {
-        const info = elementInfo.get(elementName);
-        // Determine type: simple string if no children/attributes, otherwise complex type
-        const hasChildren = info.children.size > 0;
-        const hasAttributes = info.attributes.size > 0;
+    // An element declaration: simple elements get their built-in type, complex
+    // ones a named type or (Russian Doll, unless types extend it) a nested
+    // anonymous type. Global declarations carry the identity constraints of
+    // their element.
+    function elementDeclaration(elementKey, level, form = '', occurs = '', global = false) {
+        const info = elementInfo.get(elementKey);
+        const nillable = info.nillable ? ' nillable="true"' : '';
+        const documentation = elementAnnotation(info, level + 1);
+        if (isSimple(elementKey)) {
+            return typedDeclaration("xs:element", ` name="${info.name}"${form}${nillable}`, info.text, occurs, level, documentation);
+        }
+        const head = `${pad(level)}<xs:element name="${info.name}"${form}${nillable}${info.hasTextContent ? valueConstraint(info.text) : ''}`;
+        const identity = global ? identityConstraints(elementKey, level + 1) : '';
+        if (style === "russianDoll" && !hierarchies.has(elementKey)) {
+            return `${head}${occurs}>\n${documentation}${complexType(info, level + 1)}${identity}${pad(level)}</xs:element>\n`;
+        }
+        const typed = `${head} type="${qname(targetNamespace, typeNameFor(elementKey))}"${occurs}`;
+        return documentation || identity ? `${typed}>\n${documentation}${identity}${pad(level)}</xs:element>\n` : `${typed}/>\n`;
+    }
 
-        if (!hasChildren && !hasAttributes && info.hasTextContent) {
-            // Simple element with only text content
-            xsdString += `  <xs:element name="${elementName}" type="xs:string"/>\n`;
-        } else {
-            // Element likely needs a complex type (has children, attributes, or could be empty)
-            xsdString += `  <xs:element name="${elementName}" type="tns:${elementName}Type"/>\n`;
+    // A child element particle; bounds are omitted inside a repeatable choice
+    function childParticle(childKey, level, bounds) {
+        const child = elementInfo.get(childKey);
+        const occurs = bounds ? ` minOccurs="${bounds.minOccurs}" maxOccurs="${bounds.maxOccurs}"` : '';
+        if (!declaresLocally(childKey)) {
+            return `${pad(level)}<xs:element ref="${qname(child.namespace, child.name)}"${occurs}/>\n`;
+        }
+        return elementDeclaration(childKey, level, localForm(child), occurs);
+    }
+
+    // The bounds a model group states: a repeatable choice always states both, other groups only the ones
+    // that differ from the defaults
+    function groupOccurs({ kind, minOccurs, maxOccurs }) {
+        if (kind === "repeatableChoice") return ` minOccurs="${minOccurs}" maxOccurs="${maxOccurs}"`;
+        return `${minOccurs !== "1" ? ` minOccurs="${minOccurs}"` : ''}${maxOccurs !== "1" ? ` maxOccurs="${maxOccurs}"` : ''}`;
+    }
+
+    // A model group with its child particles and nested groups
+    function modelGroup(description, level, occurs) {
+        const tag = { sequence: "xs:sequence", all: "xs:all" }[description.kind] || "xs:choice";
+        let out = `${pad(level)}<${tag}${occurs}>\n`;
+        for (const { key, bounds, group } of description.particles) {
+            out += group ? modelGroup(group, level + 1, groupOccurs(group)) : childParticle(key, level + 1, bounds);
+        }
+        out += `${pad(level)}</${tag}>\n`;
+        return out;
+    }
+
+    // The model group holding an element's children, as chosen by analyseContentModel,
+    // or a reference to the group definition holding it. The model group of a
+    // definition leaves its bounds to the references.
+    function contentModel(info, level, definition = false) {
+        const description = describeContentModel(info, settings.occurrencePolicy);
+        const occurs = definition ? '' : groupOccurs(description);
+        if (!definition && modelGroups.has(info)) {
+            return `${pad(level)}<xs:group ref="${qname(targetNamespace, modelGroups.get(info))}"${occurs}/>\n`;
         }
+        return modelGroup(description, level, occurs);
     }
-    xsdString += `\n`;
 
+    // The attribute declarations of a complex type, or a reference to the attribute group holding them
+    function attributeDeclarations(info, level, definition = false) {
+        if (!definition && attributeGroups.has(info)) {
+            return `${pad(level)}<xs:attributeGroup ref="${qname(targetNamespace, attributeGroups.get(info))}"/>\n`;
+        }
+        let out = '';
+        for (const attr of info.attributes.values()) {
+            out += attributeDeclaration(attr, getAttributeUse(attr.values, info.instanceCount, settings.occurrencePolicy), level, info);
+        }
+        return out;
+    }
 
-    // Define complex types
-    xsdString += `  <!-- Complex Type Definitions -->\n`;
-    for (const [elementName, info] of elementInfo.entries()) {
+    // A complex type, named when typeName is given and anonymous otherwise
+    function complexType(info, level, typeName) {
         const hasChildren = info.children.size > 0;
-        const hasAttributes = info.attributes.size > 0;
+        const nameAttr = typeName ? ` name="${typeName}"` : '';
+        let out = '';
 
-        // Only define complex type if needed (i.e., not handled by simple xs:string above)
-        if (hasChildren || hasAttributes || (!info.hasTextContent && !hasChildren && !hasAttributes)) { // Include empty elements case
-            const isMixed = info.hasTextContent && hasChildren; // Check if element has both text and child elements
+        // If the element ONLY has text content but also attributes (or types extending it), it needs simpleContent extension
+        if (info.hasTextContent && !hasChildren) {
+            out += `${pad(level)}<xs:complexType${nameAttr}>\n`;
+            out += `${pad(level + 1)}<xs:simpleContent>\n`;
+            // An extension base has to be a named type, so the text keeps its named or built-in type without facets
+            const base = ` base="${namedType(info.text) || inferType(info.text)}"`;
+            if (info.attributes.size === 0) {
+                out += `${pad(level + 2)}<xs:extension${base}/>\n`;
+            } else {
+                out += `${pad(level + 2)}<xs:extension${base}>\n`;
+                // Add attributes inside extension
+                out += attributeDeclarations(info, level + 3);
+                out += `${pad(level + 2)}</xs:extension>\n`;
+            }
+            out += `${pad(level + 1)}</xs:simpleContent>\n`;
+            out += `${pad(level)}</xs:complexType>\n`;
+            return out;
+        }
+
+        const isMixed = info.hasTextContent && hasChildren; // Check if element has both text and child elements
+        out += `${pad(level)}<xs:complexType${nameAttr}${isMixed ? ' mixed="true"' : ''}>\n`;
 
-            xsdString += `  <xs:complexType name="${elementName}Type"${isMixed ? ' mixed="true"' : ''}>\n`;
+        if (hasChildren) {
+            out += contentModel(info, level + 1);
+        } else if (!info.hasTextContent) {
+            // Allows element to be empty if it has no children/text but might have attributes
+            out += `${pad(level + 1)}<xs:sequence minOccurs="0"/>\n` // Or potentially omit sequence if attributes handle content
+        }
 
-            if (hasChildren) {
-                xsdString += `    <xs:sequence>\n`;
-                // Use the captured order if available, otherwise just iterate through the set
-                const childrenOrder = elementOrder.get(elementName) || [...info.children];
-                // Ensure all children from the set are included, even if not in the initial order capture
-                const allChildren = new Set([...childrenOrder, ...info.children]);
+        // Add attributes
+        out += attributeDeclarations(info, level + 1);
+
+        out += `${pad(level)}</xs:complexType>\n`;
+        return out;
+    }
 
-                for (const childName of allChildren) {
-                    xsdString += `      <xs:element ref="tns:${childName}" minOccurs="0" maxOccurs="unbounded"/>\n`;
+    // A type named by xsi:type in the documents: an extension of the element's
+    // type by the children and attributes its instances added
+    function derivedType(extension, base, baseName, level) {
+        const simpleContent = base.hasTextContent && base.children.size === 0;
+        const isMixed = base.hasTextContent && base.children.size > 0; // An extension keeps the mixedness of its base
+        const content = simpleContent ? "xs:simpleContent" : "xs:complexContent";
+        const baseAttr = ` base="${qname(targetNamespace, baseName)}"`;
+        let out = `${pad(level)}<xs:complexType name="${extension.name}"${isMixed ? ' mixed="true"' : ''}>\n`;
+        out += `${pad(level + 1)}<${content}>\n`;
+        if (extension.particles.length === 0 && extension.attributes.length === 0) {
+            out += `${pad(level + 2)}<xs:extension${baseAttr}/>\n`;
+        } else {
+            out += `${pad(level + 2)}<xs:extension${baseAttr}>\n`;
+            if (extension.particles.length > 0) {
+                out += `${pad(level + 3)}<xs:sequence>\n`;
+                for (const { key, bounds } of extension.particles) {
+                    out += childParticle(key, level + 4, bounds);
                 }
-                xsdString += `    </xs:sequence>\n`;
-            } else if (!hasChildren && !info.hasTextContent) {
-                // Allows element to be empty if it has no children/text but might have attributes
-                xsdString += `    <xs:sequence minOccurs="0"/>\n` // Or potentially omit sequence if attributes handle content
+                out += `${pad(level + 3)}</xs:sequence>\n`;
             }
-            // If the element ONLY has text content but also attributes, it needs simpleContent extension
-            else if (info.hasTextContent && !hasChildren && hasAttributes) {
-                xsdString = xsdString.replace(` name="${elementName}Type"${isMixed ? ' mixed="true"' : ''}>`, ` name="${elementName}Type">`); // Remove mixed if it was added
-                xsdString += `    <xs:simpleContent>\n`;
-                xsdString += `      <xs:extension base="xs:string">\n`;
-                // Add attributes inside extension
-                for (const attrName of info.attributes) {
-                    xsdString += `        <xs:attribute name="${attrName}" type="xs:string" use="optional"/>\n`;
+            for (const { attr, use } of extension.attributes) {
+                out += attributeDeclaration(attr, use, level + 3, base);
+            }
+            out += `${pad(level + 2)}</xs:extension>\n`;
+        }
+        out += `${pad(level + 1)}</${content}>\n`;
+        out += `${pad(level)}</xs:complexType>\n`;
+        return out;
+    }
+
+    let body = '';
+
+    // Define global elements first
+    if (ownGlobals.length > 0) {
+        body += comment(1, 'Global Element Declarations');
+        for (const elementKey of ownGlobals) {
+            body += elementDeclaration(elementKey, 1, '', '', true);
+        }
+        body += `\n`;
+    }
+
+    if (ownAttributes.length > 0) {
+        const ownersOf = attr => [...elementInfo.values()]
+            .filter(info => [...info.attributes.values()].some(({ name, namespace }) => name === attr.name && namespace === attr.namespace));
+        body += comment(1, 'Global Attribute Declarations');
+        for (const attr of ownAttributes) {
+            body += typedDeclaration("xs:attribute", ` name="${attr.name}"`, attr.values, '', 1, attributeAnnotation(attr, ownersOf(attr), 2));
+        }
+        body += `\n`;
+    }
+
+    if (groupDefinitions.length > 0) {
+        body += comment(1, 'Group Definitions');
+        for (const [tag, name, info] of groupDefinitions) {
+            const content = tag === "xs:group" ? contentModel(info, 2, true) : attributeDeclarations(info, 2, true);
+            body += `${pad(1)}<${tag} name="${name}">\n${content}${pad(1)}</${tag}>\n\n`;
+        }
+    }
+
+    // Define named complex types (Russian Doll nests them anonymously instead,
+    // except for the ones other types extend), each followed by its extensions
+    const typedElements = declared.filter(key => (style === "russianDoll" ? hierarchies.has(key) : !isSimple(key)));
+    if (typedElements.length > 0) {
+        body += comment(1, 'Complex Type Definitions');
+        for (const elementKey of typedElements) {
+            const hierarchy = hierarchies.get(elementKey);
+            const baseName = typeNameFor(elementKey);
+            body += `${complexType(hierarchy ? hierarchy.base : elementInfo.get(elementKey), 1, baseName)}\n`;
+            for (const extension of hierarchy ? hierarchy.extensions : []) {
+                if (derivedTypeNames.get(elementKey).has(extension.name)) {
+                    body += `${derivedType(extension, hierarchy.base, baseName, 1)}\n`;
                 }
-                xsdString += `      </xs:extension>\n`;
-                xsdString += `    </xs:simpleContent>\n`;
-                xsdString += `  </xs:complexType>\n\n`;
-                continue; // Skip standard attribute handling below for this case
             }
+        }
+    }
 
-            // Add attributes (if not handled by simpleContent above)
-            for (const attrName of info.attributes) {
-                xsdString += `    <xs:attribute name="${attrName}" type="xs:string" use="optional"/>\n`;
+    // Named simple types read from an existing schema, restricting their built-in base
+    if (ownSimpleTypes.length > 0) {
+        body += comment(1, 'Simple Type Definitions');
+        for (const { name, base, facets } of ownSimpleTypes) {
+            body += `${pad(1)}<xs:simpleType name="${name}">\n`;
+            if (facets.length === 0) {
+                body += `${pad(2)}<xs:restriction base="${base}"/>\n`;
+            } else {
+                body += `${pad(2)}<xs:restriction base="${base}">\n`;
+                for (const facet of facets) {
+                    body += `${pad(3)}<xs:${facet.name} value="${escapeAttribute(facet.value)}"/>\n`;
+                }
+                body += `${pad(2)}</xs:restriction>\n`;
             }
+            body += `${pad(1)}</xs:simpleType>\n\n`;
+        }
+    }
 
-            xsdString += `  </xs:complexType>\n\n`;
+    // --- Generate XSD String ---
+    let xsdString = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    xsdString += `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"\n`;
+    if (targetNamespace) {
+        xsdString += `           targetNamespace="${targetNamespace}"\n`;
+        xsdString += `           xmlns:${settings.namespacePrefix}="${targetNamespace}"\n`;
+    }
+    for (const namespace of new Set([...referencedNamespaces, ...xpathNamespaces])) {
+        if (namespace && namespace !== XML_NAMESPACE) {
+            xsdString += `           xmlns:${prefixes.get(namespace)}="${namespace}"\n`;
         }
     }
+    xsdString += `           elementFormDefault="${settings.elementFormDefault}"${attributesQualified ? `\n           attributeFormDefault="qualified"` : ''}>\n\n`;
 
+    // Import every other namespace referenced from this schema
+    if (referencedNamespaces.size > 0) {
+        for (const namespace of referencedNamespaces) {
+            const location = namespace === XML_NAMESPACE ? XML_SCHEMA_LOCATION : fileNames.get(namespace);
+            const namespaceAttr = namespace ? ` namespace="${namespace}"` : '';
+            xsdString += `${pad(1)}<xs:import${namespaceAttr} schemaLocation="${location}"/>\n`;
+        }
+        xsdString += `\n`;
+    }
+
+    xsdString += body;
     xsdString += `</xs:schema>\n`;
 
     return xsdString;
+}
+
+/**
+ * The named simple types the values of a model declare (see readSchemaModel
+ * in schemaRefinement.js), each with the built-in base and facets it
+ * restricts it by, in the order first used.
+ *
+ * @param {Map<string, object>} elementInfo Collected element statistics.
+ * @param {Map<string, object>} globalAttributes Attributes declared globally.
+ * @returns {Map<string, {name: string, namespace: string|null, base: string, facets: object[]}>} The types by key.
+ */
+function namedSimpleTypes(elementInfo, globalAttributes) {
+    const types = new Map();
+    const add = stats => {
+        const named = stats.declared && stats.declared.simpleType;
+        const key = named && qualifiedKey(named.namespace, named.name);
+        if (named && !types.has(key)) types.set(key, { ...named, base: stats.declared.base, facets: stats.declared.facets });
+    };
+    for (const info of elementInfo.values()) {
+        add(info.text);
+        info.attributes.forEach(attr => add(attr.values));
+    }
+    globalAttributes.forEach(attr => add(attr.values));
+    return types;
+}
+
+/**
+ * Renders the schema set for an inferred model: one schema per target
+ * namespace, the root element's namespace first.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} settings Resolved generator options.
+ * @returns {{targetNamespace: string|null, fileName: string, content: string}[]} The schemas.
+ */
+function emitSchemas(inferred, settings) {
+    const { model, constraints } = resolveIdentityConstraints(inferred, settings);
+    const { rootNamespace, elements: elementInfo, rootKeys, globalAttributes, documentPrefixes } = model;
+    const globalElements = findGlobalElements(elementInfo, rootKeys, settings.designStyle);
+    const hierarchies = new Map([...elementInfo]
+        .map(([key, info]) => [key, describeTypeHierarchy(info, settings.occurrencePolicy)])
+        .filter(([, hierarchy]) => hierarchy));
+
+    const simpleTypes = namedSimpleTypes(elementInfo, globalAttributes);
+
+    const schemaNamespaces = [rootNamespace];
+    const globalComponents = [
+        ...[...elementInfo.entries()].filter(([key]) => globalElements.has(key)).map(([, info]) => info),
+        ...globalAttributes.values(),
+        ...simpleTypes.values(),
+    ];
+    for (const { namespace } of globalComponents) {
+        if (!schemaNamespaces.includes(namespace) && namespace !== XML_NAMESPACE) {
+            schemaNamespaces.push(namespace);
+        }
+    }
+
+    const prefixes = assignNamespacePrefixes(documentPrefixes, settings.namespacePrefix);
+    // Unless the options name the files, a schema the documents point at
+    // (xsi:schemaLocation) is written under the file name they expect
+    const schemaLocations = (settings.schemaFileName === DEFAULT_OPTIONS.schemaFileName && model.schemaLocations) || new Map();
+    const hintedNames = new Set();
+    const hintedName = namespace => {
+        const location = schemaLocations.get(namespace);
+        const fileName = location && location.split(/[?#]/)[0].split(/[/\\]/).pop();
+        if (!fileName || !/^[^\\/:*?"<>|]+$/.test(fileName) || hintedNames.has(fileName)) return null;
+        hintedNames.add(fileName);
+        return fileName;
+    };
+    const fileNames = new Map(schemaNamespaces.map((namespace, index) => [
+        namespace,
+        hintedName(namespace)
+            || (index === 0 ? `${settings.schemaFileName}.xsd` : `${settings.schemaFileName}_${namespace ? prefixes.get(namespace) : 'nonamespace'}.xsd`),
+    ]));
+
+    return schemaNamespaces.map(targetNamespace => ({
+        targetNamespace,
+        fileName: fileNames.get(targetNamespace),
+        content: buildSchema(targetNamespace, { elementInfo, globalElements, globalAttributes, simpleTypes, hierarchies, constraints, prefixes, documentPrefixes, fileNames }, settings),
+    }));
+}
+
+/**
+ * Generates the XSD schemas for a model inferred by inferSchemaModel or
+ * inferSchemaModelFromStream, so one inference can feed several outputs.
+ *
+ * @param {object} model The inferred model; see SchemaModel in schemaModel.js.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {{targetNamespace: string|null, fileName: string, content: string}[]} The generated schemas, main schema first.
+ * @throws {Error} If an option is invalid.
+ */
+export function generateSchemasFromModel(model, options) {
+    return emitSchemas(model, resolveOptions(options));
+}
+
+/**
+ * Parses XML and generates a best-effort XSD schema for every target
+ * namespace used by the documents (see inferSchemaModel for how the
+ * structure is inferred).
+ *
+ * The first schema targets the root element's namespace (no targetNamespace
+ * when the root is unqualified); each further namespace gets its own schema,
+ * linked through xs:import. Qualified attributes from a foreign namespace are
+ * declared globally in that namespace's schema and referenced.
+ *
+ * The documents' xsi attributes are taken as instructions, not declared:
+ * elements marked xsi:nil become nillable, each type named in xsi:type
+ * becomes a complex type extending the element's type (see
+ * describeTypeHierarchy), and the locations in xsi:schemaLocation and
+ * xsi:noNamespaceSchemaLocation name the schema files unless the
+ * schemaFileName option is set.
+ *
+ * DTD declarations, from the samples' DOCTYPE declarations or the dtd
+ * option, are merged with what the samples show (see importDtd).
+ *
+ * Several samples can be passed at once; their statistics are accumulated
+ * into one combined schema set.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {{targetNamespace: string|null, fileName: string, content: string}[]} The generated schemas, main schema first.
+ * @throws {Error} If XML parsing fails, the DTD is malformed or an option is invalid. For multiple samples, `sampleIndex`
+ *   holds the index of the failing one.
+ */
+export function generateSchemas(xmlInput, options) {
+    const settings = resolveOptions(options);
+    const model = inferSchemaModel(xmlInput, settings);
+    const imported = importDtd(model, settings);
+    return emitSchemas(imported ? imported.model : model, settings);
+}
+
+/**
+ * Streaming variant of generateSchemas; see inferSchemaModelFromStream for
+ * the accepted sources. The resulting schemas are the same.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable|Array} input One sample or an array of samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS. The xmlParser option does not apply.
+ * @returns {Promise<{targetNamespace: string|null, fileName: string, content: string}[]>} The generated schemas, main schema first.
+ * @throws {Error} (as a rejection) If a sample is not well-formed ("Invalid XML: ..." with `line`, `column`, `reason`
+ *   and, for string samples, `snippet`) or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export async function generateSchemasFromStream(input, options) {
+    const settings = resolveOptions(options);
+    const model = await inferSchemaModelFromStream(input, settings);
+    const imported = importDtd(model, settings);
+    return emitSchemas(imported ? imported.model : model, settings);
+}
+
+/**
+ * Parses XML and generates a best-effort XSD schema string.
+ * When the documents span several namespaces this is the schema for the root
+ * element's namespace; use generateSchemas to get the imported ones too.
+ *
+ * @param {string|string[]} xmlInput The XML content as a string, or an array of XML samples.
+ * @param {object} [options] Generator options; see DEFAULT_OPTIONS.
+ * @returns {string} The generated XSD schema as a string.
+ * @throws {Error} If XML parsing fails or an option is invalid. For multiple samples, `sampleIndex` holds the index of the failing one.
+ */
+export function generateXsd(xmlInput, options) {
+    return generateSchemas(xmlInput, options)[0].content;
 }
\ No newline at end of file
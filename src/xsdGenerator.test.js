@@ -1,4 +1,7 @@
 // src/xsdGenerator.test.js
+import { TextEncoder, TextDecoder } from 'util';
+import { parseDomRoot } from './xmlDom';
+import { inferSchemaModel } from './schemaModel';
 
 // --- Mock DOMParser Setup ---
 class MockDOMNode {
@@ -55,6 +58,9 @@ class MockDOMNode {
     }
 }
 
+// jsdom's namespace-aware parser, for the tests that need real namespace handling
+const NativeDOMParser = global.DOMParser;
+
 global.DOMParser = class {
     parseFromString(str, type) {
         const doc = new MockDOMNode(9); // Always create the base document node
@@ -142,7 +148,7 @@ global.DOMParser = class {
 // --- End Mock Setup ---
 
 // --- Test Suite ---
-import { generateXsd } from './xsdGenerator'; // Import AFTER mock setup
+import { generateXsd, generateSchemas, generateSchemasFromStream, DEFAULT_OPTIONS } from './xsdGenerator'; // Import AFTER mock setup
 
 describe('xsdGenerator', () => {
 
@@ -160,50 +166,50 @@ describe('xsdGenerator', () => {
     it('should generate XSD for a simple XML', () => {
         const xml = `<root><item>Data</item></root>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="root" type="tns:rootType"/>');
+        expect(result).toContain('<xs:element name="root" type="rootType"/>');
         expect(result).toContain('<xs:element name="item" type="xs:string"/>');
         expect(result).toContain('<xs:complexType name="rootType">');
-        expect(result).toContain('<xs:element ref="tns:item" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="item" minOccurs="1" maxOccurs="1"/>');
         expect(errorSpy).not.toHaveBeenCalled();
     });
 
     it('should handle attributes', () => {
         const xml = `<product id="123" available="true"><name>Widget</name></product>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="product" type="tns:productType"/>');
+        expect(result).toContain('<xs:element name="product" type="productType"/>');
         expect(result).toContain('<xs:element name="name" type="xs:string"/>');
         expect(result).toContain('<xs:complexType name="productType">');
-        expect(result).toContain('<xs:element ref="tns:name" minOccurs="0" maxOccurs="unbounded"/>');
-        expect(result).toContain('<xs:attribute name="id" type="xs:string" use="optional"/>');
-        expect(result).toContain('<xs:attribute name="available" type="xs:string" use="optional"/>');
+        expect(result).toContain('<xs:element ref="name" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:attribute name="id" type="xs:integer" use="required"/>');
+        expect(result).toContain('<xs:attribute name="available" type="xs:boolean" use="required"/>');
         expect(errorSpy).not.toHaveBeenCalled();
     });
 
     it('should handle nested elements', () => {
         const xml = `<order><customer><id>C1</id></customer><items><item>I1</item></items></order>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="order" type="tns:orderType"/>');
-        expect(result).toContain('<xs:element name="customer" type="tns:customerType"/>');
-        expect(result).toContain('<xs:element name="items" type="tns:itemsType"/>');
+        expect(result).toContain('<xs:element name="order" type="orderType"/>');
+        expect(result).toContain('<xs:element name="customer" type="customerType"/>');
+        expect(result).toContain('<xs:element name="items" type="itemsType"/>');
         expect(result).toContain('<xs:complexType name="orderType">');
-        expect(result).toContain('<xs:element ref="tns:customer" minOccurs="0" maxOccurs="unbounded"/>');
-        expect(result).toContain('<xs:element ref="tns:items" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="customer" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element ref="items" minOccurs="1" maxOccurs="1"/>');
         expect(result).toContain('<xs:element name="id" type="xs:string"/>');
         expect(result).toContain('<xs:element name="item" type="xs:string"/>');
         expect(result).toContain('<xs:complexType name="customerType">');
-        expect(result).toContain('<xs:element ref="tns:id" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="id" minOccurs="1" maxOccurs="1"/>');
         expect(result).toContain('<xs:complexType name="itemsType">');
-        expect(result).toContain('<xs:element ref="tns:item" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="item" minOccurs="1" maxOccurs="1"/>');
         expect(errorSpy).not.toHaveBeenCalled();
     });
 
     it('should handle repeated elements correctly', () => {
         const xml = `<list><value>A</value><value>B</value></list>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="list" type="tns:listType"/>');
+        expect(result).toContain('<xs:element name="list" type="listType"/>');
         expect(result).toContain('<xs:element name="value" type="xs:string"/>');
         expect(result).toContain('<xs:complexType name="listType">');
-        expect(result).toContain('<xs:element ref="tns:value" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="value" minOccurs="1" maxOccurs="unbounded"/>');
         expect(result.match(/<xs:element name="value"/g)?.length).toBe(1);
         expect(result).not.toContain('name="valueType"');
         expect(errorSpy).not.toHaveBeenCalled();
@@ -220,8 +226,8 @@ describe('xsdGenerator', () => {
     it('should handle empty elements (self-closing)', () => {
         const xml = `<data><emptyElement/></data>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="data" type="tns:dataType"/>');
-        expect(result).toContain('<xs:element name="emptyElement" type="tns:emptyElementType"/>');
+        expect(result).toContain('<xs:element name="data" type="dataType"/>');
+        expect(result).toContain('<xs:element name="emptyElement" type="emptyElementType"/>');
         expect(result).toContain('<xs:complexType name="emptyElementType">');
         expect(result).toContain('<xs:sequence minOccurs="0"/>');
         expect(errorSpy).not.toHaveBeenCalled();
@@ -230,20 +236,20 @@ describe('xsdGenerator', () => {
     it('should handle elements with attributes but only text content (simpleContent)', () => {
         const xml = `<measurement unit="cm">150</measurement>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="measurement" type="tns:measurementType"/>');
+        expect(result).toContain('<xs:element name="measurement" type="measurementType"/>');
         expect(result).toContain('<xs:complexType name="measurementType">');
         expect(result).toContain('<xs:simpleContent>');
-        expect(result).toContain('<xs:extension base="xs:string">');
-        expect(result).toContain('<xs:attribute name="unit" type="xs:string" use="optional"/>');
+        expect(result).toContain('<xs:extension base="xs:integer">');
+        expect(result).toContain('<xs:attribute name="unit" type="xs:string" use="required"/>');
         expect(errorSpy).not.toHaveBeenCalled();
     });
 
     it('should handle elements with attributes but no content (empty)', () => {
         const xml = `<config active="false"/>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="config" type="tns:configType"/>');
+        expect(result).toContain('<xs:element name="config" type="configType"/>');
         expect(result).toContain('<xs:complexType name="configType">');
-        expect(result).toContain('<xs:attribute name="active" type="xs:string" use="optional"/>');
+        expect(result).toContain('<xs:attribute name="active" type="xs:boolean" use="required"/>');
         expect(result).toContain('<xs:sequence minOccurs="0"/>');
         expect(errorSpy).not.toHaveBeenCalled();
     });
@@ -251,11 +257,136 @@ describe('xsdGenerator', () => {
     it('should handle mixed content', () => {
         const xml = `<description>This item is <highlight>very</highlight> important.</description>`;
         const result = generateXsd(xml);
-        expect(result).toContain('<xs:element name="description" type="tns:descriptionType"/>');
+        expect(result).toContain('<xs:element name="description" type="descriptionType"/>');
         expect(result).toContain('<xs:element name="highlight" type="xs:string"/>');
         expect(result).toContain('<xs:complexType name="descriptionType" mixed="true">');
         expect(result).toContain('<xs:sequence>');
-        expect(result).toContain('<xs:element ref="tns:highlight" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="highlight" minOccurs="1" maxOccurs="1"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should infer built-in types from element values', () => {
+        const xml = `<row><qty>3</qty><price>9.99</price><shipped>2024-03-01</shipped><stamp>2024-03-01T10:15:00Z</stamp><site>https://example.com/a</site></row>`;
+        const result = generateXsd(xml);
+        expect(result).toContain('<xs:element name="qty" type="xs:integer"/>');
+        expect(result).toContain('<xs:element name="price" type="xs:decimal"/>');
+        expect(result).toContain('<xs:element name="shipped" type="xs:date"/>');
+        expect(result).toContain('<xs:element name="stamp" type="xs:dateTime"/>');
+        expect(result).toContain('<xs:element name="site" type="xs:anyURI"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should widen to the narrowest type that fits every instance', () => {
+        const xml = `<list><n>1</n><n>2.5</n><flag>true</flag><flag>maybe</flag></list>`;
+        const result = generateXsd(xml);
+        expect(result).toContain('<xs:element name="n" type="xs:decimal"/>');
+        expect(result).toContain('<xs:element name="flag" type="xs:string"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should make children optional when some parent instances lack them', () => {
+        const xml = `<people><person><name>A</name><email>a@x</email></person><person><name>B</name><phone>1</phone><phone>2</phone></person></people>`;
+        const result = generateXsd(xml);
+        expect(result).toContain('<xs:element ref="person" minOccurs="1" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="name" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element ref="email" minOccurs="0" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element ref="phone" minOccurs="0" maxOccurs="unbounded"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should only require attributes present on every instance', () => {
+        const xml = `<items><item id="1" note="x"/><item id="2"/></items>`;
+        const result = generateXsd(xml);
+        expect(result).toContain('<xs:attribute name="id" type="xs:integer" use="required"/>');
+        expect(result).toContain('<xs:attribute name="note" type="xs:string" use="optional"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should merge statistics from multiple samples into one schema', () => {
+        const samples = [
+            `<order id="1"><item>5</item><note>gift</note></order>`,
+            `<order id="2"><item>7</item><item>8.5</item></order>`,
+        ];
+        const result = generateXsd(samples);
+        expect(result.match(/<xs:element name="order"/g)?.length).toBe(1);
+        expect(result).toContain('<xs:element ref="item" minOccurs="1" maxOccurs="unbounded"/>');
+        expect(result).toContain('<xs:element ref="note" minOccurs="0" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element name="item" type="xs:decimal"/>');
+        expect(result).toContain('<xs:attribute name="id" type="xs:integer" use="required"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should report which sample failed to parse', () => {
+        const samples = [`<a/>`, '<parsererror>Simulated error\nBroken sample</parsererror>'];
+        expect(() => generateXsd(samples)).toThrow(/Invalid XML: Broken sample/);
+        let caught;
+        try {
+            generateXsd(samples);
+        } catch (err) {
+            caught = err;
+        }
+        expect(caught.sampleIndex).toBe(1);
+        expect(() => generateXsd([])).toThrow(/No XML samples provided/);
+    });
+
+    it('should separate same-named elements with divergent structures', () => {
+        const xml = `<company><customer><address><street>a</street><city>b</city></address></customer><warehouse><address><dock>1</dock><bay>2</bay></address></warehouse></company>`;
+        const result = generateXsd(xml);
+        expect(result).not.toContain('<xs:element name="address" type="addressType"/>');
+        expect(result).toContain('<xs:element name="address" type="customer_addressType" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element name="address" type="warehouse_addressType" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:complexType name="customer_addressType">');
+        expect(result).toContain('<xs:complexType name="warehouse_addressType">');
+        expect(result).toContain('<xs:element ref="street" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element ref="dock" minOccurs="1" maxOccurs="1"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should share one global declaration between compatible structures', () => {
+        const xml = `<company><customer><address><street>a</street><city>b</city></address></customer><supplier><address><street>c</street><city>d</city><zip>1</zip></address></supplier></company>`;
+        const result = generateXsd(xml);
+        expect(result).toContain('<xs:element name="address" type="addressType"/>');
+        expect(result).toContain('<xs:element ref="address" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element ref="zip" minOccurs="0" maxOccurs="1"/>');
+        expect(result).not.toContain('customer_address');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should split simple and complex elements sharing a name', () => {
+        const xml = `<doc><author><name>Ann</name></author><product><name><short>W</short><long>Widget</long></name></product></doc>`;
+        const result = generateXsd(xml);
+        expect(result).toContain('<xs:element name="name" type="xs:string" minOccurs="1" maxOccurs="1"/>');
+        expect(result).toContain('<xs:element name="name" type="product_nameType" minOccurs="1" maxOccurs="1"/>');
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should emit a choice when siblings never co-occur', () => {
+        const xml = `<payments><payment><card>1</card></payment><payment><iban>DE1</iban></payment><payment><card>2</card></payment></payments>`;
+        const result = generateXsd(xml);
+        expect(result).toMatch(/<xs:complexType name="paymentType">\s*<xs:choice>\s*<xs:element ref="card" minOccurs="1" maxOccurs="1"\/>\s*<xs:element ref="iban" minOccurs="1" maxOccurs="1"\/>\s*<\/xs:choice>/);
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should emit xs:all when order varies and no child repeats', () => {
+        const xml = `<people><person><name>A</name><age>1</age></person><person><age>2</age><name>B</name><email>b@x</email></person></people>`;
+        const result = generateXsd(xml);
+        expect(result).toMatch(/<xs:complexType name="personType">\s*<xs:all>/);
+        expect(result).toContain('<xs:element ref="email" minOccurs="0" maxOccurs="1"/>');
+        expect(result).not.toMatch(/<xs:complexType name="personType">\s*<xs:sequence>/);
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should keep a sequence ordered consistently across instances', () => {
+        const xml = `<list><entry><b>1</b><c>2</c></entry><entry><a>0</a><b>1</b></entry></list>`;
+        const result = generateXsd(xml);
+        expect(result).toMatch(/<xs:sequence>\s*<xs:element ref="a" minOccurs="0" maxOccurs="1"\/>\s*<xs:element ref="b" minOccurs="1" maxOccurs="1"\/>\s*<xs:element ref="c" minOccurs="0" maxOccurs="1"\/>\s*<\/xs:sequence>/);
+        expect(errorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should emit a repeatable choice for interleaved repeating children', () => {
+        const xml = `<doc><para><b>x</b><i>y</i><b>z</b></para></doc>`;
+        const result = generateXsd(xml);
+        expect(result).toMatch(/<xs:choice minOccurs="1" maxOccurs="unbounded">\s*<xs:element ref="b"\/>\s*<xs:element ref="i"\/>\s*<\/xs:choice>/);
         expect(errorSpy).not.toHaveBeenCalled();
     });
 
@@ -267,6 +398,16 @@ describe('xsdGenerator', () => {
         expect(errorSpy).toHaveBeenCalledWith("XML Parsing Error:", expect.objectContaining({ textContent: expect.stringContaining('Details here') }));
     });
 
+    it('should report where the XML breaks whatever the browser says', () => {
+        // The mock reports only "Mismatched closing tag"; the position comes from the XML itself
+        expect(() => generateXsd('<a>\n  <b></a>')).toThrow(expect.objectContaining({
+            message: 'Invalid XML: Line 2, column 6: End tag </a> does not match start tag <b> (line 2, column 3)',
+            line: 2,
+            column: 6,
+            snippet: '  <b></a>\n     ^',
+        }));
+    });
+
     it('should throw an error for empty input string', () => {
         // Mock now returns doc with documentElement: null and _isError: false
         // Code checks rootElement after parserError check
@@ -283,12 +424,526 @@ describe('xsdGenerator', () => {
         expect(errorSpy).not.toHaveBeenCalled();
     });
 
-    it('should use placeholder namespaces', () => {
+    it('should omit the target namespace for unqualified documents', () => {
         const xml = `<data><value>1</value></data>`;
         const result = generateXsd(xml);
         expect(result).toContain('xmlns:xs="http://www.w3.org/2001/XMLSchema"');
-        expect(result).toContain('targetNamespace="http://example.com/generatedSchema"');
-        expect(result).toContain('xmlns:tns="http://example.com/generatedSchema"');
+        expect(result).not.toContain('targetNamespace=');
+        expect(result).not.toContain('xmlns:tns=');
+        expect(result).toContain('<xs:element ref="value" minOccurs="1" maxOccurs="1"/>');
         expect(errorSpy).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    describe('with options', () => {
+        const xml = `<list count="2"><value>1</value><value>2</value><extra/></list>`;
+
+        it('should keep the defaults when no options are given', () => {
+            expect(generateXsd(xml, {})).toBe(generateXsd(xml));
+            expect(DEFAULT_OPTIONS.typeNameSuffix).toBe('Type');
+        });
+
+        it('should apply the target namespace and prefix', () => {
+            const result = generateXsd(xml, { targetNamespace: 'http://example.com/generatedSchema', namespacePrefix: 'gen' });
+            expect(result).toContain('targetNamespace="http://example.com/generatedSchema"');
+            expect(result).toContain('xmlns:gen="http://example.com/generatedSchema"');
+            expect(result).toContain('<xs:element name="list" type="gen:listType"/>');
+            expect(result).toContain('<xs:element ref="gen:value" minOccurs="1" maxOccurs="unbounded"/>');
+        });
+
+        it('should apply the type naming convention, element form and indentation', () => {
+            const result = generateXsd(xml, { typeNamePrefix: 'T_', typeNameSuffix: '', indent: '\t', elementFormDefault: 'unqualified' });
+            expect(result).toContain('\t<xs:element name="list" type="T_list"/>');
+            expect(result).toContain('\t<xs:complexType name="T_list">');
+            expect(result).toContain('\t\t\t<xs:element ref="value"');
+            expect(result).toContain('elementFormDefault="unqualified"');
+        });
+
+        it('should omit comments when asked to', () => {
+            expect(generateXsd(xml)).toContain('<!-- Global Element Declarations -->');
+            expect(generateXsd(xml, { emitComments: false })).not.toContain('<!--');
+        });
+
+        it('should apply the occurrence policy', () => {
+            const relaxed = generateXsd(xml, { occurrencePolicy: 'relaxed' });
+            expect(relaxed).toContain('<xs:element ref="value" minOccurs="0" maxOccurs="unbounded"/>');
+            expect(relaxed).toContain('<xs:element ref="extra" minOccurs="0" maxOccurs="unbounded"/>');
+            expect(relaxed).toContain('<xs:attribute name="count" type="xs:integer" use="optional"/>');
+
+            const exact = generateXsd(xml, { occurrencePolicy: 'exact' });
+            expect(exact).toContain('<xs:element ref="value" minOccurs="2" maxOccurs="2"/>');
+            expect(exact).toContain('<xs:element ref="extra" minOccurs="1" maxOccurs="1"/>');
+        });
+
+        it('should declare children locally with named types in the Venetian Blind style', () => {
+            const result = generateXsd(`<cat name="a"><title>A</title><cat name="b"><title>B</title></cat></cat>`, { designStyle: 'venetianBlind' });
+            expect(result.match(/<xs:element name="cat" type="catType"/g)?.length).toBe(2);
+            expect(result).toContain('<xs:element name="title" type="xs:string" minOccurs="1" maxOccurs="1"/>');
+            expect(result).toContain('<xs:element name="cat" type="catType" minOccurs="0" maxOccurs="1"/>');
+            expect(result).not.toContain('<xs:element name="title" type="xs:string"/>');
+            expect(result).not.toContain('ref=');
+        });
+
+        it('should nest anonymous types in the Russian Doll style', () => {
+            const result = generateXsd(`<order><line qty="1">A</line><cat><cat/></cat></order>`, { designStyle: 'russianDoll' });
+            expect(result).toContain('<xs:element name="order">');
+            expect(result).toContain('<xs:element name="line" minOccurs="1" maxOccurs="1">');
+            expect(result).toContain('<xs:extension base="xs:string">');
+            expect(result).not.toContain('<xs:complexType name=');
+            // Anonymous types cannot recurse, so the nested element becomes global
+            expect(result).toContain('<xs:element name="cat">');
+            expect(result).toContain('<xs:element ref="cat" minOccurs="0" maxOccurs="1"/>');
+        });
+
+        it('should restrict repeated codes to an enumeration', () => {
+            const orders = `<orders><order status="open"><state>NEW</state></order><order status="closed"><state>NEW</state></order><order status="open"><state>R&D</state></order></orders>`;
+            const result = generateXsd(orders);
+            expect(result).toMatch(/<xs:attribute name="status" use="required">\s*<xs:simpleType>\s*<xs:restriction base="xs:string">\s*<xs:enumeration value="open"\/>\s*<xs:enumeration value="closed"\/>/);
+            expect(result).toMatch(/<xs:element name="state">\s*<xs:simpleType>\s*<xs:restriction base="xs:string">\s*<xs:enumeration value="NEW"\/>\s*<xs:enumeration value="R&amp;D"\/>/);
+            expect(generateXsd(orders, { enumerationThreshold: 1 })).toContain('<xs:attribute name="status" type="xs:string" use="required"/>');
+            expect(generateXsd(orders, { enumerationThreshold: 0 })).not.toContain('xs:enumeration');
+            // Values that never repeat look like free text rather than a code list
+            expect(generateXsd(`<a><b>x</b><b>y</b></a>`)).toContain('<xs:element name="b" type="xs:string"/>');
+        });
+
+        it('should emit length, pattern, digit and range facets when asked to', () => {
+            const result = generateXsd(`<items><item sku="AB-12" price="9.5">3</item><item sku="CD-345" price="12.25">40</item></items>`, { emitFacets: true });
+            expect(result).toContain('<xs:minLength value="5"/>');
+            expect(result).toContain('<xs:maxLength value="6"/>');
+            expect(result).toContain('<xs:pattern value="[A-Z]{2}\\-\\d{2,3}"/>');
+            expect(result).toMatch(/<xs:restriction base="xs:decimal">\s*<xs:totalDigits value="4"\/>\s*<xs:fractionDigits value="2"\/>\s*<xs:minInclusive value="9.5"\/>\s*<xs:maxInclusive value="12.25"\/>/);
+            // Text of an element with attributes extends its built-in type unrestricted
+            expect(result).toContain('<xs:extension base="xs:integer">');
+            expect(generateXsd(`<n><v>3</v><v>40</v></n>`, { emitFacets: true })).toMatch(/<xs:restriction base="xs:integer">\s*<xs:totalDigits value="2"\/>\s*<xs:minInclusive value="3"\/>\s*<xs:maxInclusive value="40"\/>/);
+        });
+
+        it('should report progress while analysing the samples', () => {
+            const reports = [];
+            const big = `<rows>${'<row><cell>1</cell></row>'.repeat(600)}</rows>`;
+            generateSchemas([xml, big], { onProgress: report => reports.push(report) });
+            const totalBytes = xml.length + big.length;
+            expect(reports).toEqual([
+                { bytesProcessed: xml.length, totalBytes, elementsProcessed: 4 },
+                { bytesProcessed: xml.length + Math.round(big.length * 996 / 1201), totalBytes, elementsProcessed: 1000 },
+                { bytesProcessed: totalBytes, totalBytes, elementsProcessed: 1205 },
+            ]);
+        });
+
+        it('should reject invalid options', () => {
+            expect(() => generateXsd(xml, { occurrencePolicy: 'loose' })).toThrow(/Unknown occurrence policy/);
+            expect(() => generateXsd(xml, { elementFormDefault: 'maybe' })).toThrow(/elementFormDefault/);
+            expect(() => generateXsd(xml, { namespacePrefix: 'xs' })).toThrow(/Invalid namespace prefix/);
+            expect(() => generateXsd(xml, { designStyle: 'gardenOfEden' })).toThrow(/Unknown design style/);
+            expect(() => generateXsd(xml, { enumerationThreshold: -1 })).toThrow(/Invalid enumeration threshold/);
+            expect(() => generateXsd(xml, { schemaFileName: 'a/b' })).toThrow(/Invalid schema file name/);
+            expect(() => generateXsd(xml, { xmlParser: 'sax' })).toThrow(/xmlParser/);
+            expect(() => generateXsd(xml, { onProgress: true })).toThrow(/onProgress/);
+        });
+    });
+
+    describe('with namespaces', () => {
+        let mockDOMParser;
+        beforeAll(() => {
+            mockDOMParser = global.DOMParser;
+            global.DOMParser = NativeDOMParser;
+        });
+        afterAll(() => {
+            global.DOMParser = mockDOMParser;
+        });
+
+        const soapXml = `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+            <soap:Body>
+                <m:GetPrice xmlns:m="http://example.org/stock"><m:Item>Apples</m:Item><note>x</note></m:GetPrice>
+            </soap:Body>
+        </soap:Envelope>`;
+
+        it('should derive the target namespace from the root element', () => {
+            const result = generateXsd(`<o:order xmlns:o="urn:orders"><o:id>1</o:id></o:order>`);
+            expect(result).toContain('targetNamespace="urn:orders"');
+            expect(result).toContain('xmlns:tns="urn:orders"');
+            expect(result).toContain('<xs:element name="order" type="tns:orderType"/>');
+            expect(result).toContain('<xs:element ref="tns:id" minOccurs="1" maxOccurs="1"/>');
+            expect(result).not.toContain('o:order');
+        });
+
+        it('should emit one linked schema per namespace', () => {
+            const schemas = generateSchemas(soapXml);
+            expect(schemas.map(schema => schema.targetNamespace)).toEqual([
+                'http://schemas.xmlsoap.org/soap/envelope/',
+                'http://example.org/stock',
+                null,
+            ]);
+            expect(schemas.map(schema => schema.fileName)).toEqual([
+                'generated_schema.xsd',
+                'generated_schema_m.xsd',
+                'generated_schema_nonamespace.xsd',
+            ]);
+
+            const [envelope, stock, unqualified] = schemas.map(schema => schema.content);
+            expect(envelope).toContain('<xs:element name="Envelope" type="tns:EnvelopeType"/>');
+            expect(envelope).toContain('xmlns:m="http://example.org/stock"');
+            expect(envelope).toContain('<xs:import namespace="http://example.org/stock" schemaLocation="generated_schema_m.xsd"/>');
+            expect(envelope).toContain('<xs:element ref="m:GetPrice" minOccurs="1" maxOccurs="1"/>');
+            expect(stock).toContain('<xs:import schemaLocation="generated_schema_nonamespace.xsd"/>');
+            expect(stock).toContain('<xs:element ref="note" minOccurs="1" maxOccurs="1"/>');
+            expect(unqualified).not.toContain('targetNamespace=');
+            expect(unqualified).toContain('<xs:element name="note" type="xs:string"/>');
+            expect(generateXsd(soapXml)).toBe(envelope);
+        });
+
+        it('should skip namespace declarations and reference foreign qualified attributes', () => {
+            const xml = `<r:doc xmlns:r="urn:r" xmlns:x="urn:x" xml:lang="en" x:ref="7"><r:p/></r:doc>`;
+            const [main, foreign] = generateSchemas(xml);
+            expect(main.content).not.toContain('name="xmlns');
+            expect(main.content).toContain('<xs:attribute ref="xml:lang" use="required"/>');
+            expect(main.content).toContain('<xs:import namespace="http://www.w3.org/XML/1998/namespace" schemaLocation="http://www.w3.org/2001/xml.xsd"/>');
+            expect(main.content).toContain('<xs:attribute ref="x:ref" use="required"/>');
+            expect(foreign.targetNamespace).toBe('urn:x');
+            expect(foreign.content).toContain('<xs:attribute name="ref" type="xs:integer"/>');
+        });
+
+        it('should keep foreign-namespace elements global in local design styles', () => {
+            const [envelope, stock] = generateSchemas(soapXml, { designStyle: 'venetianBlind' }).map(schema => schema.content);
+            expect(envelope).toContain('<xs:element name="Body" type="tns:BodyType" minOccurs="1" maxOccurs="1"/>');
+            expect(envelope).toContain('<xs:element ref="m:GetPrice" minOccurs="1" maxOccurs="1"/>');
+            expect(stock).toContain('<xs:element name="GetPrice" type="tns:GetPriceType"/>');
+            expect(stock).toContain('<xs:element name="note" form="unqualified" type="xs:string" minOccurs="1" maxOccurs="1"/>');
+            expect(generateSchemas(soapXml, { designStyle: 'venetianBlind' })).toHaveLength(2);
+        });
+
+        it('should produce the same schemas with the pure-JavaScript parser', () => {
+            const native = generateSchemas(soapXml, { designStyle: 'venetianBlind', schemaFileName: 'soap' });
+            expect(generateSchemas(soapXml, { designStyle: 'venetianBlind', schemaFileName: 'soap', xmlParser: parseDomRoot })).toEqual(native);
+            expect(native.map(schema => schema.fileName)).toEqual(['soap.xsd', 'soap_m.xsd']);
+            expect(() => generateXsd('<a><b></a>', { xmlParser: parseDomRoot })).toThrow(/^Invalid XML: Line 1, column 7: End tag <\/a> does not match/);
+        });
+
+        it('should qualify attributes in the target namespace', () => {
+            const allQualified = generateXsd(`<r:doc xmlns:r="urn:r" r:id="1"/>`);
+            expect(allQualified).toContain('attributeFormDefault="qualified"');
+            expect(allQualified).toContain('<xs:attribute name="id" type="xs:integer" use="required"/>');
+
+            const someQualified = generateXsd(`<r:doc xmlns:r="urn:r" r:id="1" plain="a"/>`);
+            expect(someQualified).not.toContain('attributeFormDefault');
+            expect(someQualified).toContain('<xs:attribute name="id" form="qualified" type="xs:integer" use="required"/>');
+            expect(someQualified).toContain('<xs:attribute name="plain" type="xs:string" use="required"/>');
+        });
+    });
+
+    describe('identity constraints', () => {
+        const shop = `<shop>
+            <products><product><code>P-1</code><price>3</price></product><product><code>P-2</code><price>3</price></product></products>
+            <customers><customer id="c1" rank="1"/><customer id="c2" rank="2"/></customers>
+            <orders><order customerRef="c1" qty="1"><productCode>P-1</productCode></order><order customerRef="c2" qty="2"><productCode>P-1</productCode></order></orders>
+        </shop>`;
+        const options = { xmlParser: parseDomRoot, enumerationThreshold: 5 };
+
+        it('should declare keys and the keyrefs whose values match them on the root', () => {
+            const result = generateXsd(shop, options);
+            expect(result).toContain(`<xs:element name="shop" type="shopType">
+    <xs:key name="product_codeKey">
+      <xs:selector xpath="products/product"/>
+      <xs:field xpath="code"/>
+    </xs:key>
+    <xs:key name="customer_idKey">
+      <xs:selector xpath="customers/customer"/>
+      <xs:field xpath="@id"/>
+    </xs:key>
+    <xs:keyref name="order_customerRefKeyref" refer="customer_idKey">
+      <xs:selector xpath="orders/order"/>
+      <xs:field xpath="@customerRef"/>
+    </xs:keyref>
+    <xs:keyref name="order_productCodeKeyref" refer="product_codeKey">
+      <xs:selector xpath="orders/order"/>
+      <xs:field xpath="productCode"/>
+    </xs:keyref>
+  </xs:element>`);
+            // References are not enumerated, numbers matching by chance are no references
+            expect(result).toContain('<xs:attribute name="customerRef" type="xs:string" use="required"/>');
+            expect(result).not.toMatch(/name="(customer_rank|order_qty)/);
+        });
+
+        it('should not infer keys from values that repeat in a document', () => {
+            const result = generateXsd('<list><item id="a"/><item id="a"/></list>', options);
+            expect(result).not.toContain('xs:key');
+            // Values unique within each document are enough
+            expect(generateSchemas(['<list><item id="a"/><item id="b"/></list>', '<list><item id="a"/><item id="b"/></list>'], options)[0].content)
+                .toContain('<xs:key name="item_idKey">');
+        });
+
+        it('should write ID and IDREF types where the keys allow it', () => {
+            const result = generateXsd(shop, { ...options, identityConstraints: 'ids' });
+            expect(result).toContain('<xs:attribute name="id" type="xs:ID" use="required"/>');
+            expect(result).toContain('<xs:attribute name="customerRef" type="xs:IDREF" use="required"/>');
+            expect(result).not.toContain('customer_idKey');
+            // Element fields cannot be IDs and stay keys
+            expect(result).toContain('<xs:key name="product_codeKey">');
+        });
+
+        it('should qualify the paths, relax keys to uniques or leave the constraints out', () => {
+            const qualified = generateXsd(shop.replace('<shop>', '<shop xmlns="urn:shop">'), { ...options, designStyle: 'russianDoll', occurrencePolicy: 'relaxed' });
+            expect(qualified).toContain(`    </xs:complexType>
+    <xs:unique name="product_codeKey">
+      <xs:selector xpath="tns:products/tns:product"/>
+      <xs:field xpath="tns:code"/>
+    </xs:unique>`);
+            expect(qualified).toContain('<xs:keyref name="order_customerRefKeyref" refer="tns:customer_idKey">');
+            expect(generateXsd(shop, { ...options, identityConstraints: 'none' })).not.toMatch(/xs:key|xs:unique|xs:ID/);
+            expect(() => generateXsd(shop, { identityConstraints: 'all' }))
+                .toThrow('Unknown identity constraint mode "all". Expected one of: keys, ids, none.');
+        });
+    });
+
+    describe('recursive and shared structures', () => {
+        const options = { xmlParser: parseDomRoot, emitComments: false };
+        const contacts = `<contacts><person kind="a" since="2020"><first>A</first><last>B</last><email>x</email></person><company kind="b" since="2021"><first>C</first><last>D</last><email>y</email></company><team><first>E</first></team></contacts>`;
+
+        it('should give recursive elements a self-referencing type in every design style', () => {
+            const xml = `<bom><part id="1"><assembly><part id="2"/></assembly></part><category name="a"><category name="b"/></category></bom>`;
+            expect(generateXsd(xml, options)).toContain(`<xs:complexType name="categoryType">
+    <xs:sequence>
+      <xs:element ref="category" minOccurs="0" maxOccurs="1"/>`);
+            const venetian = generateXsd(xml, { ...options, designStyle: 'venetianBlind' });
+            expect(venetian).toContain(`<xs:complexType name="categoryType">
+    <xs:sequence>
+      <xs:element name="category" type="categoryType" minOccurs="0" maxOccurs="1"/>`);
+            expect(venetian).toContain('<xs:element name="part" type="partType" minOccurs="1" maxOccurs="1"/>');
+            // Anonymous types cannot refer to themselves, so Russian Doll makes recursive elements global, also through others
+            const doll = generateXsd(xml, { ...options, designStyle: 'russianDoll' });
+            expect(doll).toContain('<xs:element name="part">');
+            expect(doll).toContain('<xs:element name="category">');
+            expect(doll).toMatch(/<xs:element name="assembly" minOccurs="0" maxOccurs="1">\s*<xs:complexType>\s*<xs:sequence>\s*<xs:element ref="part"/);
+        });
+
+        it('should factor content models and attribute sets shared by several types into groups', () => {
+            expect(generateXsd(contacts, options)).not.toContain('Group');
+            const result = generateXsd(contacts, { ...options, designStyle: 'venetianBlind', factorGroups: true });
+            expect(result).toContain(`  <xs:group name="personGroup">
+    <xs:sequence>
+      <xs:element name="first" type="xs:string" minOccurs="1" maxOccurs="1"/>
+      <xs:element name="last" type="xs:string" minOccurs="1" maxOccurs="1"/>
+      <xs:element name="email" type="xs:string" minOccurs="1" maxOccurs="1"/>
+    </xs:sequence>
+  </xs:group>
+
+  <xs:attributeGroup name="personAttributeGroup">
+    <xs:attribute name="kind" type="xs:string" use="required"/>
+    <xs:attribute name="since" type="xs:integer" use="required"/>
+  </xs:attributeGroup>
+`);
+            for (const type of ['personType', 'companyType']) {
+                expect(result).toContain(`<xs:complexType name="${type}">
+    <xs:group ref="personGroup"/>
+    <xs:attributeGroup ref="personAttributeGroup"/>
+  </xs:complexType>`);
+            }
+            // A single child is not worth a group
+            expect(result).toContain(`<xs:complexType name="teamType">
+    <xs:sequence>
+      <xs:element name="first" type="xs:string" minOccurs="1" maxOccurs="1"/>`);
+        });
+
+        it('should keep the bounds of a shared model group on its references', () => {
+            const xml = `<r xmlns="urn:r"><a><x/><y/><x/></a><b><x/><y/><x/></b><b/></r>`;
+            const result = generateXsd(xml, { ...options, designStyle: 'russianDoll', factorGroups: true });
+            expect(result).toContain('<xs:group name="aGroup">\n    <xs:choice>\n      <xs:element name="x">');
+            expect(result).toMatch(/<xs:element name="a" minOccurs="1" maxOccurs="1">\s*<xs:complexType>\s*<xs:group ref="tns:aGroup" minOccurs="1" maxOccurs="unbounded"\/>/);
+            expect(result).toMatch(/<xs:element name="b" minOccurs="1" maxOccurs="unbounded">\s*<xs:complexType>\s*<xs:group ref="tns:aGroup" minOccurs="0" maxOccurs="unbounded"\/>/);
+        });
+    });
+
+    describe('documentation', () => {
+        const xml = `<order id="A-1">
+            <!-- The customer placing the order -->
+            <customer>Ann &amp; Bob</customer>
+            <!-- One line per product -->
+            <item sku="X1">Pen</item>
+            <!-- One line per product -->
+            <item sku="X2"><!-- not next to an element -->Ink</item>
+            <item sku="X3">Pad</item>
+            <item sku="X4">Pad</item>
+            <note>x</note> <!-- after the last element -->
+        </order>`;
+        const options = { xmlParser: parseDomRoot, emitComments: false, emitDocumentation: true };
+
+        it('should document elements and attributes with their comments, counts, paths and examples', () => {
+            const result = generateXsd(xml, options);
+            expect(result).toContain(`  <xs:element name="customer" type="xs:string">
+    <xs:annotation>
+      <xs:documentation>The customer placing the order</xs:documentation>
+      <xs:documentation>Occurs once at /order/customer. Example: "Ann &amp; Bob".</xs:documentation>
+    </xs:annotation>
+  </xs:element>`);
+            expect(result).toContain(`  <xs:element name="item" type="itemType">
+    <xs:annotation>
+      <xs:documentation>One line per product</xs:documentation>
+      <xs:documentation>Occurs 4 times at /order/item. Examples: "Pen", "Ink", "Pad".</xs:documentation>
+    </xs:annotation>
+  </xs:element>`);
+            expect(result).toContain(`<xs:attribute name="sku" type="xs:string" use="required">
+          <xs:annotation>
+            <xs:documentation>Occurs 4 times at /order/item/@sku. Examples: "X1", "X2", "X3".</xs:documentation>
+          </xs:annotation>
+        </xs:attribute>`);
+            expect(result).not.toContain('next to an element');
+            expect(result).not.toContain('after the last element');
+            expect(generateXsd(xml, { ...options, emitDocumentation: false })).not.toContain('xs:annotation');
+        });
+
+        it('should put the annotation first in nested declarations and list the paths of shared ones', () => {
+            const doll = generateXsd(`<r><a><v>1</v></a><b><v>2</v></b><c><v>3</v></c><d><v>4</v></d></r>`, { ...options, designStyle: 'russianDoll' });
+            expect(doll).toMatch(/<xs:element name="r">\s*<xs:annotation>\s*<xs:documentation>Occurs once at \/r\.<\/xs:documentation>\s*<\/xs:annotation>\s*<xs:complexType>/);
+            const salami = generateXsd(`<r><a><v>1</v></a><b><v>2</v></b><c><v>3</v></c><d><v>4</v></d></r>`, options);
+            expect(salami).toContain('<xs:documentation>Occurs 4 times at /r/a/v, /r/b/v, /r/c/v and 1 more. Examples: "1", "2", "3".</xs:documentation>');
+        });
+
+        it('should only keep the first paths of a declaration, and none without documentation', () => {
+            const xml = '<r><a><v n="1"/></a><b><v n="2"/></b><c><v n="3"/></c><d><v n="4"/></d><e><v n="5"/></e></r>';
+            const documented = inferSchemaModel(xml, options).elements.get('v');
+            expect(documented.paths.map(steps => steps.map(step => step.name).join('/'))).toEqual(['r/a/v', 'r/b/v', 'r/c/v']);
+            expect(documented.pathCount).toBe(5);
+            expect(inferSchemaModel(xml, { ...options, emitDocumentation: false }).elements.get('v').paths).toBeNull();
+            expect(generateXsd(xml, options)).toContain('<xs:documentation>Occurs 5 times at /r/a/v/@n, /r/b/v/@n, /r/c/v/@n and 2 more.');
+        });
+    });
+
+    describe('schema instance attributes', () => {
+        const XSI = 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"';
+        const options = { xmlParser: parseDomRoot };
+
+        it('should make elements marked xsi:nil nillable without making their content optional', () => {
+            const result = generateXsd(`<list ${XSI}><item><name>a</name></item><item xsi:nil="true"/><note xsi:nil="1"/><note>x</note></list>`, options);
+            expect(result).toContain('<xs:element name="item" nillable="true" type="itemType"/>');
+            expect(result).toContain('<xs:element ref="name" minOccurs="1" maxOccurs="1"/>');
+            expect(result).toContain('<xs:element name="note" nillable="true" type="xs:string"/>');
+            expect(result).not.toContain('xsi');
+            expect(generateXsd('<list><item>a</item></list>', options)).not.toContain('nillable');
+        });
+
+        it('should derive the types named in xsi:type from the element type', () => {
+            const xml = `<s:shapes xmlns:s="urn:shapes" ${XSI}>
+                <s:shape id="a"><s:label>x</s:label></s:shape>
+                <s:shape id="b" xsi:type="s:circle" r="2"><s:label>y</s:label><s:radius>1</s:radius></s:shape>
+                <s:shape id="c" xsi:type="s:square"><s:label>z</s:label></s:shape>
+            </s:shapes>`;
+            const result = generateXsd(xml, { ...options, designStyle: 'russianDoll' });
+            expect(result).toContain('<xs:element name="shape" type="tns:shapeType" minOccurs="1" maxOccurs="unbounded"/>');
+            expect(result).toContain(`<xs:complexType name="shapeType">
+    <xs:sequence>
+      <xs:element name="label" type="xs:string" minOccurs="1" maxOccurs="1"/>
+    </xs:sequence>
+    <xs:attribute name="id" type="xs:string" use="required"/>
+  </xs:complexType>
+
+  <xs:complexType name="circle">
+    <xs:complexContent>
+      <xs:extension base="tns:shapeType">
+        <xs:sequence>
+          <xs:element name="radius" type="xs:integer" minOccurs="1" maxOccurs="1"/>
+        </xs:sequence>
+        <xs:attribute name="r" type="xs:integer" use="required"/>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+
+  <xs:complexType name="square">
+    <xs:complexContent>
+      <xs:extension base="tns:shapeType"/>
+    </xs:complexContent>
+  </xs:complexType>`);
+        });
+
+        it('should keep every child in the base type when extensions cannot append them', () => {
+            const result = generateXsd(`<r ${XSI}><p>1</p><p xsi:type="big" unit="kg">2</p><q><b/><a/></q><q xsi:type="t"><a/><b/></q></r>`, options);
+            expect(result).toContain(`<xs:complexType name="pType">
+    <xs:simpleContent>
+      <xs:extension base="xs:integer"/>
+    </xs:simpleContent>
+  </xs:complexType>
+
+  <xs:complexType name="big">
+    <xs:simpleContent>
+      <xs:extension base="pType">
+        <xs:attribute name="unit" type="xs:string" use="required"/>
+      </xs:extension>
+    </xs:simpleContent>
+  </xs:complexType>`);
+            expect(result).toMatch(/<xs:complexType name="qType">\s*<xs:all>/);
+            expect(result).toContain('<xs:extension base="qType"/>');
+            // Built-in types and unbound prefixes name no type to derive
+            expect(generateXsd(`<r ${XSI} xmlns:xs="http://www.w3.org/2001/XMLSchema"><p xsi:type="xs:int">1</p><p xsi:type="u:x">2</p></r>`, options))
+                .toContain('<xs:element name="p" type="xs:integer"/>');
+        });
+
+        it('should name the schema files after the locations the documents give', () => {
+            const xml = `<o:order xmlns:o="urn:o" xmlns:m="urn:m" ${XSI} xsi:schemaLocation="urn:o http://example.com/xsd/order.xsd  urn:m meta.xsd"><m:tag/></o:order>`;
+            const schemas = generateSchemas(xml, options);
+            expect(schemas.map(schema => schema.fileName)).toEqual(['order.xsd', 'meta.xsd']);
+            expect(schemas[0].content).toContain('<xs:import namespace="urn:m" schemaLocation="meta.xsd"/>');
+            expect(generateSchemas(`<r ${XSI} xsi:noNamespaceSchemaLocation="r.xsd"/>`, options)[0].fileName).toBe('r.xsd');
+            expect(generateSchemas(xml, { ...options, schemaFileName: 'mine' }).map(schema => schema.fileName))
+                .toEqual(['mine.xsd', 'mine_m.xsd']);
+        });
+    });
+
+    describe('streaming', () => {
+        const samples = [
+            `<shop:catalog xmlns:shop="urn:shop" xmlns:m="urn:meta"><shop:book id="1" m:src="a"><shop:title>A &amp; B</shop:title><shop:price>10.5</shop:price></shop:book><shop:book id="2"><shop:price>3</shop:price><shop:title><![CDATA[C]]></shop:title></shop:book><m:updated>2024-01-01</m:updated></shop:catalog>`,
+            `<shop:catalog xmlns:shop="urn:shop"><!-- none --><shop:book id="3"><shop:title>D</shop:title></shop:book></shop:catalog>`,
+        ];
+
+        // Splits a string into pieces of the given size, as an async iterable
+        async function* chunked(text, size) {
+            for (let i = 0; i < text.length; i += size) yield text.slice(i, i + size);
+        }
+
+        it('should produce the same schemas as the DOM-based generator', async () => {
+            for (const designStyle of ['salamiSlice', 'venetianBlind', 'russianDoll']) {
+                const options = { designStyle, emitFacets: true, emitDocumentation: true };
+                const expected = generateSchemas(samples, { ...options, xmlParser: parseDomRoot });
+                await expect(generateSchemasFromStream(samples, options)).resolves.toEqual(expected);
+                await expect(generateSchemasFromStream(samples.map(sample => chunked(sample, 5)), options)).resolves.toEqual(expected);
+            }
+        });
+
+        it('should decode UTF-8 byte chunks split inside a character', async () => {
+            const bytes = new TextEncoder().encode('<note lang="fr">Résumé été</note>');
+            // jsdom lacks TextDecoder; browsers and Node.js have it
+            const nativeTextDecoder = global.TextDecoder;
+            global.TextDecoder = TextDecoder;
+            async function* pieces() {
+                for (let i = 0; i < bytes.length; i += 3) yield bytes.slice(i, i + 3);
+            }
+            const reports = [];
+            const [schema] = await generateSchemasFromStream(pieces(), { enumerationThreshold: 0, onProgress: report => reports.push(report) });
+            expect(schema.content).toContain('<xs:attribute name="lang" type="xs:string" use="required"/>');
+            expect(reports).toEqual([{ bytesProcessed: bytes.length, totalBytes: null, elementsProcessed: 1 }]);
+            global.TextDecoder = nativeTextDecoder;
+        });
+
+        it('should read Files piece by piece where Blob.stream() is missing', async () => {
+            const file = new File(['<note lang="fr">Résumé</note>'], 'note.xml');
+            expect(file.stream).toBeUndefined();
+            const expected = generateSchemas('<note lang="fr">Résumé</note>', { xmlParser: parseDomRoot });
+            await expect(generateSchemasFromStream([file])).resolves.toEqual(expected);
+        });
+
+        it('should handle deeply nested documents without recursion', async () => {
+            const depth = 3000;
+            const xml = `${'<node>'.repeat(depth)}leaf${'</node>'.repeat(depth)}`;
+            const [schema] = await generateSchemasFromStream(xml);
+            expect(schema.content).toContain('<xs:element ref="node" minOccurs="0" maxOccurs="1"/>');
+        });
+
+        it('should report malformed samples with their position and index', async () => {
+            await expect(generateSchemasFromStream(['<a/>', chunked('<a>\n<b></a>', 2)])).rejects.toMatchObject({
+                message: 'Invalid XML: Line 2, column 4: End tag </a> does not match start tag <b> (line 2, column 1)',
+                line: 2,
+                column: 4,
+                sampleIndex: 1,
+                snippet: '<b></a>\n   ^',
+            });
+            await expect(generateSchemasFromStream(42)).rejects.toThrow(/Unsupported XML source/);
+            await expect(generateSchemasFromStream([])).rejects.toThrow('No XML samples provided.');
+        });
+    });
+});
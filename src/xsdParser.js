@@ -0,0 +1,377 @@
+import { parseXml, positionedError } from './xmlParser.js';
+
+export const XSD_NAMESPACE = "http://www.w3.org/2001/XMLSchema";
+
+// Restriction facets whose value is a single number or value; enumeration and pattern may repeat
+const SINGLE_FACETS = ["length", "minLength", "maxLength", "totalDigits", "fractionDigits",
+    "minInclusive", "maxInclusive", "minExclusive", "maxExclusive", "whiteSpace"];
+
+/**
+ * Builds the key components are looked up by: the local name, prefixed by
+ * the namespace URI in Clark notation when there is one.
+ *
+ * @param {string|null} namespace The namespace URI, or null.
+ * @param {string} name The local name.
+ * @returns {string} The lookup key, e.g. "{http://example.com/ns}order".
+ */
+export function qualifiedKey(namespace, name) {
+    return namespace ? `{${namespace}}${name}` : name;
+}
+
+const xsChildren = node => node.children.filter(child => child.type === "element" && child.namespace === XSD_NAMESPACE && child.localName !== "annotation");
+const attributeOf = (node, name) => {
+    const attribute = node.attributes.find(attr => attr.namespace === null && attr.localName === name);
+    return attribute ? attribute.value.trim() : null;
+};
+
+/**
+ * Parses one or more XSD documents into a single set of components, the way
+ * a processor would after following every xs:import and xs:include between
+ * them. Supports the constructs the generator emits (global and local
+ * elements and attributes, named and anonymous complex types with sequence,
+ * choice and all groups, simple content, simple types with restriction
+ * facets) plus model and attribute group references, complex content
+ * derivation, list and union types, wildcards, the identity constraints
+ * of element declarations and the xs:documentation of declarations and types.
+ *
+ * @param {string|string[]} schemaTexts The XSD documents.
+ * @returns {{elements: Map, attributes: Map, types: Map, groups: Map, attributeGroups: Map, targetNamespaces: Set, prefixes: Map}}
+ *   Global components keyed by qualified name, plus the first prefix the documents bound to each namespace.
+ * @throws {Error} If a document is not well-formed or is not an XML Schema; the error has `line` and `column` properties.
+ */
+export function parseSchemas(schemaTexts) {
+    const texts = Array.isArray(schemaTexts) ? schemaTexts : [schemaTexts];
+    const components = {
+        elements: new Map(),
+        attributes: new Map(),
+        types: new Map(),
+        groups: new Map(),
+        attributeGroups: new Map(),
+        targetNamespaces: new Set(),
+        prefixes: new Map(),
+    };
+    texts.forEach((text, schemaIndex) => {
+        try {
+            addSchemaDocument(components, parseXml(text).root);
+        } catch (err) {
+            if (texts.length > 1) err.schemaIndex = schemaIndex;
+            throw err;
+        }
+    });
+    return components;
+}
+
+/**
+ * Adds the global components of one xs:schema element to the set.
+ *
+ * @param {object} components The component set being built.
+ * @param {object} schema The parsed xs:schema element.
+ * @throws {Error} If the document is not an XML Schema or uses an unsupported construct.
+ */
+function addSchemaDocument(components, schema) {
+    if (schema.namespace !== XSD_NAMESPACE || schema.localName !== "schema") {
+        throw positionedError(`Expected an xs:schema root element but found <${schema.name}>`, schema);
+    }
+    const targetNamespace = attributeOf(schema, "targetNamespace") || null;
+    const context = {
+        targetNamespace,
+        elementsQualified: attributeOf(schema, "elementFormDefault") === "qualified",
+        attributesQualified: attributeOf(schema, "attributeFormDefault") === "qualified",
+    };
+    components.targetNamespaces.add(targetNamespace);
+    for (const [prefix, namespace] of Object.entries(schema.namespaces)) {
+        if (prefix && prefix !== "xml" && namespace !== XSD_NAMESPACE && !components.prefixes.has(namespace)) {
+            components.prefixes.set(namespace, prefix);
+        }
+    }
+
+    for (const node of xsChildren(schema)) {
+        const name = attributeOf(node, "name");
+        const key = name ? qualifiedKey(targetNamespace, name) : null;
+        switch (node.localName) {
+            case "element":
+                components.elements.set(key, parseElement(node, context, true));
+                break;
+            case "attribute":
+                components.attributes.set(key, parseAttribute(node, context, true));
+                break;
+            case "complexType":
+                components.types.set(key, parseComplexType(node, context));
+                break;
+            case "simpleType":
+                components.types.set(key, parseSimpleType(node, context));
+                break;
+            case "group":
+                components.groups.set(key, parseGroupDefinition(node, context));
+                break;
+            case "attributeGroup":
+                components.attributeGroups.set(key, parseAttributeContainer(node, context));
+                break;
+            default:
+                // import, include, notation etc. carry nothing the validator needs
+                break;
+        }
+    }
+}
+
+/**
+ * Resolves a QName-valued schema attribute against the namespaces in scope.
+ *
+ * @param {object} node The element carrying the attribute.
+ * @param {string} value The QName, e.g. "tns:orderType".
+ * @returns {string} The qualified key of the referenced component.
+ * @throws {Error} If the prefix is not bound.
+ */
+function resolveQName(node, value) {
+    const [prefix, localName] = value.includes(":") ? value.split(":") : ["", value];
+    const namespace = node.namespaces[prefix];
+    if (prefix && namespace === undefined) {
+        throw positionedError(`Unbound namespace prefix "${prefix}" in "${value}"`, node);
+    }
+    return qualifiedKey(namespace || null, localName);
+}
+
+// minOccurs/maxOccurs of a particle, with "unbounded" as Infinity
+function occurrence(node) {
+    const min = attributeOf(node, "minOccurs");
+    const max = attributeOf(node, "maxOccurs");
+    return {
+        minOccurs: min === null ? 1 : Number(min),
+        maxOccurs: max === null ? 1 : max === "unbounded" ? Infinity : Number(max),
+    };
+}
+
+const position = node => ({ line: node.line, column: node.column });
+
+// The text of an element and its descendants, e.g. XHTML inside xs:documentation
+const textOf = node => node.children.map(child => (child.type === "element" ? textOf(child) : child.type === "text" ? child.value : "")).join("");
+
+// The non-blank texts of the xs:documentation elements annotating a component
+function documentationOf(node) {
+    const isXs = (child, localName) => child.type === "element" && child.namespace === XSD_NAMESPACE && child.localName === localName;
+    return node.children.filter(child => isXs(child, "annotation"))
+        .flatMap(annotation => annotation.children.filter(child => isXs(child, "documentation")))
+        .map(documentation => textOf(documentation).trim())
+        .filter(Boolean);
+}
+
+function parseElement(node, context, isGlobal) {
+    const ref = attributeOf(node, "ref");
+    if (ref) {
+        return { kind: "elementRef", ref: resolveQName(node, ref), documentation: documentationOf(node), ...occurrence(node), ...position(node) };
+    }
+    const name = attributeOf(node, "name");
+    const form = attributeOf(node, "form");
+    const qualified = isGlobal || (form ? form === "qualified" : context.elementsQualified);
+    const namespace = qualified ? context.targetNamespace : null;
+    const typeAttribute = attributeOf(node, "type");
+    const inline = xsChildren(node).find(child => child.localName === "complexType" || child.localName === "simpleType");
+    const declaration = {
+        kind: "element",
+        name,
+        namespace,
+        key: qualifiedKey(namespace, name),
+        typeName: typeAttribute ? resolveQName(node, typeAttribute) : inline ? null : qualifiedKey(XSD_NAMESPACE, "anyType"),
+        type: inline ? (inline.localName === "complexType" ? parseComplexType(inline, context) : parseSimpleType(inline, context)) : null,
+        nillable: attributeOf(node, "nillable") === "true",
+        default: attributeOf(node, "default"),
+        fixed: attributeOf(node, "fixed"),
+        documentation: documentationOf(node),
+        identityConstraints: xsChildren(node)
+            .filter(child => ["key", "unique", "keyref"].includes(child.localName))
+            .map(child => parseIdentityConstraint(child, context)),
+        ...position(node),
+    };
+    return isGlobal ? declaration : { ...declaration, ...occurrence(node) };
+}
+
+/**
+ * Parses the restricted XPath of a selector or field into its steps, each
+ * `{key, attribute}` with the qualified key of the name. Only plain child
+ * paths ("a/b", "./a/@c") are supported.
+ *
+ * @param {object} node The xs:selector or xs:field element.
+ * @returns {{key: string, attribute: boolean}[]|null} The steps, or null for any other path.
+ */
+function parsePathSteps(node) {
+    const xpath = attributeOf(node, "xpath") || "";
+    const steps = xpath.replace(/^\.\//, "").split("/");
+    const parsed = [];
+    for (const [index, step] of steps.entries()) {
+        const attribute = step.startsWith("@");
+        const name = attribute ? step.slice(1) : step;
+        if (!/^([^\s:/@|.*()[\]]+:)?[^\s:/@|.*()[\]]+$/.test(name) || (attribute && index < steps.length - 1)) {
+            return null;
+        }
+        const [prefix, localName] = name.includes(":") ? name.split(":") : ["", name];
+        // Unprefixed names in XPath are in no namespace, whatever the default namespace
+        const namespace = prefix ? node.namespaces[prefix] : null;
+        if (namespace === undefined) return null;
+        parsed.push({ key: qualifiedKey(namespace, localName), attribute });
+    }
+    return parsed;
+}
+
+function parseIdentityConstraint(node, context) {
+    const children = xsChildren(node);
+    const selector = children.find(child => child.localName === "selector");
+    const refer = attributeOf(node, "refer");
+    return {
+        kind: node.localName,
+        name: attributeOf(node, "name"),
+        key: qualifiedKey(context.targetNamespace, attributeOf(node, "name")),
+        refer: refer ? resolveQName(node, refer) : null,
+        selector: selector ? parsePathSteps(selector) : null,
+        fields: children.filter(child => child.localName === "field").map(parsePathSteps),
+        ...position(node),
+    };
+}
+
+function parseAttribute(node, context, isGlobal) {
+    const use = attributeOf(node, "use") || "optional";
+    const defaultValue = attributeOf(node, "default");
+    const fixed = attributeOf(node, "fixed");
+    const ref = attributeOf(node, "ref");
+    if (ref) {
+        return { ref: resolveQName(node, ref), use, default: defaultValue, fixed, documentation: documentationOf(node), ...position(node) };
+    }
+    const name = attributeOf(node, "name");
+    const form = attributeOf(node, "form");
+    const qualified = isGlobal || (form ? form === "qualified" : context.attributesQualified);
+    const namespace = qualified ? context.targetNamespace : null;
+    const typeAttribute = attributeOf(node, "type");
+    const inline = xsChildren(node).find(child => child.localName === "simpleType");
+    return {
+        name,
+        namespace,
+        key: qualifiedKey(namespace, name),
+        typeName: typeAttribute ? resolveQName(node, typeAttribute) : inline ? null : qualifiedKey(XSD_NAMESPACE, "anySimpleType"),
+        type: inline ? parseSimpleType(inline, context) : null,
+        use,
+        default: defaultValue,
+        fixed,
+        documentation: documentationOf(node),
+        ...position(node),
+    };
+}
+
+// Attribute declarations, attribute group references and wildcards of a type or attribute group
+function parseAttributeContainer(node, context) {
+    const container = { attributes: [], attributeGroupRefs: [], anyAttribute: false };
+    for (const child of xsChildren(node)) {
+        if (child.localName === "attribute") {
+            container.attributes.push(parseAttribute(child, context, false));
+        } else if (child.localName === "attributeGroup") {
+            container.attributeGroupRefs.push(resolveQName(child, attributeOf(child, "ref")));
+        } else if (child.localName === "anyAttribute") {
+            container.anyAttribute = true;
+        }
+    }
+    return container;
+}
+
+function parseParticle(node, context) {
+    switch (node.localName) {
+        case "element":
+            return parseElement(node, context, false);
+        case "sequence":
+        case "choice":
+        case "all":
+            return {
+                kind: node.localName,
+                particles: xsChildren(node).map(child => parseParticle(child, context)).filter(Boolean),
+                ...occurrence(node),
+                ...position(node),
+            };
+        case "group":
+            return { kind: "groupRef", ref: resolveQName(node, attributeOf(node, "ref")), ...occurrence(node), ...position(node) };
+        case "any":
+            return {
+                kind: "any",
+                namespaceConstraint: attributeOf(node, "namespace") || "##any",
+                targetNamespace: context.targetNamespace,
+                processContents: attributeOf(node, "processContents") || "strict",
+                ...occurrence(node),
+                ...position(node),
+            };
+        default:
+            return null;
+    }
+}
+
+function parseGroupDefinition(node, context) {
+    const group = xsChildren(node).find(child => ["sequence", "choice", "all"].includes(child.localName));
+    return group ? parseParticle(group, context) : null;
+}
+
+// The particle of a complex type or derivation: its first model group or group reference
+function contentParticle(node, context) {
+    const group = xsChildren(node).find(child => ["sequence", "choice", "all", "group"].includes(child.localName));
+    return group ? parseParticle(group, context) : null;
+}
+
+function parseComplexType(node, context) {
+    const type = {
+        kind: "complex",
+        mixed: attributeOf(node, "mixed") === "true",
+        particle: null,
+        simpleContent: null,
+        complexBase: null,
+        documentation: documentationOf(node),
+        ...parseAttributeContainer(node, context),
+        ...position(node),
+    };
+    const content = xsChildren(node).find(child => child.localName === "simpleContent" || child.localName === "complexContent");
+    if (!content) {
+        type.particle = contentParticle(node, context);
+        return type;
+    }
+    const derivation = xsChildren(content).find(child => child.localName === "extension" || child.localName === "restriction");
+    if (!derivation) {
+        throw positionedError(`<${content.name}> needs an extension or restriction`, content);
+    }
+    const base = resolveQName(derivation, attributeOf(derivation, "base"));
+    Object.assign(type, parseAttributeContainer(derivation, context));
+    if (content.localName === "simpleContent") {
+        type.simpleContent = { derivation: derivation.localName, base, facets: parseFacets(derivation) };
+    } else {
+        if (attributeOf(content, "mixed") !== null) type.mixed = attributeOf(content, "mixed") === "true";
+        type.complexBase = { derivation: derivation.localName, base };
+        type.particle = contentParticle(derivation, context);
+    }
+    return type;
+}
+
+function parseFacets(node) {
+    const facets = { enumeration: [], patterns: [] };
+    for (const child of xsChildren(node)) {
+        const value = child.attributes.find(attr => attr.localName === "value" && attr.namespace === null)?.value;
+        if (child.localName === "enumeration") {
+            facets.enumeration.push(value);
+        } else if (child.localName === "pattern") {
+            facets.patterns.push(value);
+        } else if (SINGLE_FACETS.includes(child.localName)) {
+            facets[child.localName] = value.trim();
+        }
+    }
+    return facets;
+}
+
+function parseSimpleType(node, context) {
+    const definition = xsChildren(node).find(child => ["restriction", "list", "union"].includes(child.localName));
+    if (!definition) {
+        throw positionedError("A simple type needs a restriction, list or union", node);
+    }
+    const inlineTypes = xsChildren(definition).filter(child => child.localName === "simpleType").map(child => parseSimpleType(child, context));
+    const type = { kind: "simple", documentation: documentationOf(node), ...position(node) };
+    if (definition.localName === "restriction") {
+        const base = attributeOf(definition, "base");
+        return { ...type, variety: "atomic", baseName: base ? resolveQName(definition, base) : null, base: inlineTypes[0] || null, facets: parseFacets(definition) };
+    }
+    if (definition.localName === "list") {
+        const itemType = attributeOf(definition, "itemType");
+        return { ...type, variety: "list", itemTypes: itemType ? [resolveQName(definition, itemType)] : inlineTypes };
+    }
+    const memberTypes = (attributeOf(definition, "memberTypes") || "").split(/\s+/).filter(Boolean).map(name => resolveQName(definition, name));
+    return { ...type, variety: "union", memberTypes: [...memberTypes, ...inlineTypes] };
+}
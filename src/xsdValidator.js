@@ -0,0 +1,588 @@
+import { parseXml, XML_NAMESPACE, XMLNS_NAMESPACE } from './xmlParser.js';
+import { parseSchemas, qualifiedKey, XSD_NAMESPACE } from './xsdParser.js';
+import { isBuiltinSimpleType, isValidBuiltinValue, builtinWhiteSpace, isNumericBuiltin, normalizeWhiteSpace } from './xsdDatatypes.js';
+
+export const XSI_NAMESPACE = "http://www.w3.org/2001/XMLSchema-instance";
+
+const ANY_TYPE = { kind: "anyType" };
+const XSD_PREFIX_LENGTH = XSD_NAMESPACE.length + 2;
+const patternCache = new Map();
+// The attributes of the xml namespace, which schemas import from a well-known location rather than declare
+const XML_ATTRIBUTES = ["lang", "space", "base", "id"];
+
+/**
+ * Validates an XML document against one or more XSD documents.
+ *
+ * Reports unknown elements and attributes, missing required children and
+ * attributes, children out of order or beyond their maxOccurs, and values
+ * that do not fit their simple type or its facets. Instances may name their
+ * type with xsi:type, which has to be derived from the declared one (the
+ * derivations between built-in types are not checked), and be marked empty
+ * with xsi:nil where the declaration is nillable. Every violation carries
+ * the 1-based line and column of the offending element, attribute or text;
+ * a document that is not well-formed yields a single violation at the
+ * syntax error.
+ *
+ * @param {string} xmlText The instance document.
+ * @param {string|string[]|object} schemas XSD documents, or components already returned by parseSchemas.
+ * @returns {{valid: boolean, errors: {message: string, line: number, column: number}[]}} The violations in document order.
+ * @throws {Error} If a schema is not well-formed or is not an XML Schema.
+ */
+export function validateXml(xmlText, schemas) {
+    const components = schemas && schemas.elements instanceof Map ? schemas : parseSchemas(schemas);
+    let root;
+    try {
+        root = parseXml(xmlText).root;
+    } catch (err) {
+        if (err.line === undefined) throw err;
+        return { valid: false, errors: [{ message: err.reason, line: err.line, column: err.column }] };
+    }
+
+    const errors = [];
+    const validator = createValidator(components, (message, node) => {
+        errors.push({ message, line: node.line, column: node.column });
+    });
+    validator.validateRoot(root);
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { valid: errors.length === 0, errors };
+}
+
+const keyOf = node => qualifiedKey(node.namespace, node.localName);
+const elementChildren = node => node.children.filter(child => child.type === "element");
+const textOf = node => node.children.filter(child => child.type === "text").map(child => child.value).join("");
+const isBuiltinKey = key => key.startsWith(`{${XSD_NAMESPACE}}`);
+const displayType = key => (isBuiltinKey(key) ? `xs:${key.slice(XSD_PREFIX_LENGTH)}` : key);
+
+/**
+ * Translates an XSD regular expression into an anchored JavaScript RegExp.
+ * XSD patterns match the whole value, treat ^ and $ as ordinary characters
+ * and add the \i and \c name-character escapes.
+ *
+ * @param {string} pattern The XSD pattern.
+ * @returns {RegExp|null} The equivalent RegExp, or null for constructs it cannot express
+ *   (character class subtraction and Unicode block escapes), which are then not checked.
+ */
+export function toRegExp(pattern) {
+    if (patternCache.has(pattern)) return patternCache.get(pattern);
+    let result = null;
+    if (!/\\[pP]\{|-\[/.test(pattern)) {
+        let source = "";
+        let inClass = false;
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === "\\") {
+                const next = pattern[++i];
+                const escapes = { i: "A-Za-z_:", c: "\\-.0-9A-Za-z_:" };
+                if (escapes[next.toLowerCase()]) {
+                    const range = escapes[next.toLowerCase()];
+                    source += inClass ? range : `[${next === next.toUpperCase() ? "^" : ""}${range}]`;
+                } else {
+                    source += `\\${next}`;
+                }
+            } else if (char === "[" && !inClass) {
+                inClass = true;
+                source += char;
+                if (pattern[i + 1] === "^") source += pattern[++i];
+            } else if (char === "]" && inClass) {
+                inClass = false;
+                source += char;
+            } else if ((char === "^" || char === "$") && !inClass) {
+                source += `\\${char}`;
+            } else {
+                source += char;
+            }
+        }
+        try {
+            result = new RegExp(`^(?:${source})$`);
+        } catch (err) {
+            result = null;
+        }
+    }
+    patternCache.set(pattern, result);
+    return result;
+}
+
+// Significant digits of a decimal value, for the totalDigits and fractionDigits facets
+function countDigits(value) {
+    const [integerPart, fractionPart = ""] = value.replace(/^[+-]/, "").split(".");
+    const fraction = fractionPart.replace(/0+$/, "");
+    return { total: integerPart.replace(/^0+/, "").length + fraction.length, fraction: fraction.length };
+}
+
+/**
+ * Creates the validation functions for a component set, reporting every
+ * violation through `report(message, node)`.
+ *
+ * @param {object} components Components returned by parseSchemas.
+ * @param {function(string, object): void} report Receives each violation and the node it concerns.
+ * @returns {{validateRoot: function(object): void}} The validator.
+ */
+function createValidator(components, report) {
+    const effectiveTypes = new WeakMap();
+
+    // The type a key refers to: a built-in simple type, xs:anyType or a global type definition
+    function resolveType(key, node) {
+        if (isBuiltinKey(key)) {
+            const localName = key.slice(XSD_PREFIX_LENGTH);
+            if (localName === "anyType") return ANY_TYPE;
+            if (isBuiltinSimpleType(localName)) return { kind: "simple", variety: "builtin", name: localName };
+        }
+        const type = components.types.get(key);
+        if (!type) report(`Unknown type "${displayType(key)}"`, node);
+        return type || null;
+    }
+
+    const typeOrReference = (type, node) => (typeof type === "string" ? resolveType(type, node) : type);
+
+    function baseOf(type, node) {
+        return type.base || (type.baseName ? resolveType(type.baseName, node) : null);
+    }
+
+    function whiteSpaceOf(type, node) {
+        if (!type || type.variety === "list" || type.variety === "union") return "collapse";
+        if (type.variety === "builtin") return builtinWhiteSpace(type.name);
+        return type.facets.whiteSpace || whiteSpaceOf(baseOf(type, node), node);
+    }
+
+    function primitiveOf(type, node) {
+        if (!type) return null;
+        if (type.variety === "builtin" || type.variety === "list" || type.variety === "union") return type;
+        return primitiveOf(baseOf(type, node), node);
+    }
+
+    function checkFacets(type, value, node) {
+        const { facets } = type;
+        const primitive = primitiveOf(type, node);
+        const numeric = primitive && primitive.variety === "builtin" && isNumericBuiltin(primitive.name);
+        const length = primitive && primitive.variety === "list" ? (value === "" ? 0 : value.split(" ").length) : [...value].length;
+
+        if (facets.enumeration.length > 0) {
+            const allowed = facets.enumeration.map(option => normalizeWhiteSpace(option, whiteSpaceOf(type, node)));
+            const matches = numeric ? allowed.some(option => Number(option) === Number(value)) : allowed.includes(value);
+            if (!matches) return `"${value}" is not one of the allowed values: ${allowed.map(option => `"${option}"`).join(", ")}`;
+        }
+        if (facets.patterns.length > 0) {
+            const expressions = facets.patterns.map(toRegExp);
+            if (expressions.every(Boolean) && !expressions.some(expression => expression.test(value))) {
+                return `"${value}" does not match the pattern "${facets.patterns.join("|")}"`;
+            }
+        }
+        if (facets.length !== undefined && length !== Number(facets.length)) return `"${value}" must have a length of ${facets.length}`;
+        if (facets.minLength !== undefined && length < Number(facets.minLength)) return `"${value}" is shorter than the minimum length of ${facets.minLength}`;
+        if (facets.maxLength !== undefined && length > Number(facets.maxLength)) return `"${value}" is longer than the maximum length of ${facets.maxLength}`;
+        if (numeric) {
+            const number = Number(value);
+            if (facets.minInclusive !== undefined && number < Number(facets.minInclusive)) return `${value} is less than the minimum of ${facets.minInclusive}`;
+            if (facets.maxInclusive !== undefined && number > Number(facets.maxInclusive)) return `${value} is greater than the maximum of ${facets.maxInclusive}`;
+            if (facets.minExclusive !== undefined && number <= Number(facets.minExclusive)) return `${value} must be greater than ${facets.minExclusive}`;
+            if (facets.maxExclusive !== undefined && number >= Number(facets.maxExclusive)) return `${value} must be less than ${facets.maxExclusive}`;
+            if (/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value)) {
+                const digits = countDigits(value);
+                if (facets.totalDigits !== undefined && digits.total > Number(facets.totalDigits)) return `${value} has more than ${facets.totalDigits} digits`;
+                if (facets.fractionDigits !== undefined && digits.fraction > Number(facets.fractionDigits)) return `${value} has more than ${facets.fractionDigits} fraction digits`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks a value against a simple type.
+     *
+     * @returns {string|null} Why the value is invalid, or null if it is valid.
+     */
+    function checkSimpleValue(type, rawValue, node) {
+        if (!type) return null;
+        if (type.variety === "builtin") {
+            const value = normalizeWhiteSpace(rawValue, builtinWhiteSpace(type.name));
+            return isValidBuiltinValue(type.name, value) ? null : `"${value}" is not a valid value of type xs:${type.name}`;
+        }
+        if (type.variety === "list") {
+            const itemType = typeOrReference(type.itemTypes[0], node);
+            for (const item of normalizeWhiteSpace(rawValue, "collapse").split(" ").filter(Boolean)) {
+                const problem = checkSimpleValue(itemType, item, node);
+                if (problem) return problem;
+            }
+            return null;
+        }
+        if (type.variety === "union") {
+            const value = normalizeWhiteSpace(rawValue, "collapse");
+            const members = type.memberTypes.map(member => typeOrReference(member, node));
+            return members.some(member => !checkSimpleValue(member, rawValue, node)) ? null : `"${value}" does not match any member type of the union`;
+        }
+        const base = baseOf(type, node);
+        if (base && base.kind !== "simple") {
+            report("A simple type must restrict a simple type", node);
+            return null;
+        }
+        const problem = checkSimpleValue(base, rawValue, node);
+        return problem || checkFacets(type, normalizeWhiteSpace(rawValue, whiteSpaceOf(type, node)), node);
+    }
+
+    // Attribute uses of a type or attribute group, following attribute group references
+    function collectAttributes(container, node, seenGroups = new Set()) {
+        const uses = [];
+        for (const use of container.attributes) {
+            if (use.ref) {
+                let declaration = components.attributes.get(use.ref);
+                const xmlName = use.ref.slice(XML_NAMESPACE.length + 2);
+                if (!declaration && use.ref.startsWith(`{${XML_NAMESPACE}}`) && XML_ATTRIBUTES.includes(xmlName)) {
+                    declaration = { name: `xml:${xmlName}`, namespace: XML_NAMESPACE, key: use.ref, typeName: qualifiedKey(XSD_NAMESPACE, "string") };
+                }
+                if (!declaration) {
+                    report(`Unknown attribute "${use.ref}"`, node);
+                    continue;
+                }
+                uses.push({ ...declaration, use: use.use, fixed: use.fixed ?? declaration.fixed });
+            } else {
+                uses.push(use);
+            }
+        }
+        let anyAttribute = container.anyAttribute;
+        for (const ref of container.attributeGroupRefs) {
+            const group = components.attributeGroups.get(ref);
+            if (!group) {
+                report(`Unknown attribute group "${ref}"`, node);
+            } else if (!seenGroups.has(ref)) {
+                seenGroups.add(ref);
+                const nested = collectAttributes(group, node, seenGroups);
+                uses.push(...nested.uses);
+                anyAttribute = anyAttribute || nested.anyAttribute;
+            }
+        }
+        return { uses, anyAttribute };
+    }
+
+    /**
+     * Flattens a complex type's derivation into the content model, attribute
+     * uses and (for simple content) value type that instances are checked against.
+     */
+    function effectiveComplexType(type, node) {
+        if (effectiveTypes.has(type)) return effectiveTypes.get(type);
+        const own = collectAttributes(type, node);
+        const effective = { mixed: type.mixed, particle: type.particle, attributes: own.uses, anyAttribute: own.anyAttribute, simpleType: null };
+        effectiveTypes.set(type, effective);
+
+        const derivation = type.simpleContent || type.complexBase;
+        const base = derivation ? resolveType(derivation.base, node) : null;
+        if (base && base.kind === "complex") {
+            const inherited = effectiveComplexType(base, node);
+            const redeclared = new Set(effective.attributes.map(use => use.key));
+            effective.attributes = [...inherited.attributes.filter(use => !redeclared.has(use.key)), ...effective.attributes];
+            effective.anyAttribute = effective.anyAttribute || inherited.anyAttribute;
+            if (type.complexBase && type.complexBase.derivation === "extension" && inherited.particle) {
+                effective.particle = type.particle
+                    ? { kind: "sequence", particles: [inherited.particle, type.particle], minOccurs: 1, maxOccurs: 1 }
+                    : inherited.particle;
+            }
+            if (type.simpleContent) {
+                effective.simpleType = inherited.simpleType;
+            }
+        } else if (base && base.kind === "simple") {
+            effective.simpleType = base;
+        }
+        if (type.simpleContent && type.simpleContent.derivation === "restriction") {
+            effective.simpleType = { kind: "simple", variety: "atomic", base: effective.simpleType, facets: type.simpleContent.facets };
+        }
+        return effective;
+    }
+
+    // Resolves group and element references so matching only sees elements, wildcards and groups.
+    // groupRefs holds the groups being expanded, which a group must not refer back to.
+    function expandParticle(particle, node, groupRefs = []) {
+        if (particle.kind === "elementRef") {
+            const declaration = components.elements.get(particle.ref);
+            if (!declaration) {
+                report(`Unknown element "${particle.ref}"`, node);
+                return null;
+            }
+            return { ...declaration, minOccurs: particle.minOccurs, maxOccurs: particle.maxOccurs };
+        }
+        if (particle.kind === "groupRef") {
+            const group = components.groups.get(particle.ref);
+            if (!group) {
+                report(`Unknown group "${particle.ref}"`, node);
+                return null;
+            }
+            if (groupRefs.includes(particle.ref)) {
+                report(`Group "${particle.ref}" refers to itself`, node);
+                return null;
+            }
+            return expandParticle({ ...group, minOccurs: particle.minOccurs, maxOccurs: particle.maxOccurs }, node, [...groupRefs, particle.ref]);
+        }
+        if (particle.particles) {
+            return { ...particle, particles: particle.particles.map(child => expandParticle(child, node, groupRefs)).filter(Boolean) };
+        }
+        return particle;
+    }
+
+    function wildcardAllows(wildcard, namespace) {
+        const constraint = wildcard.namespaceConstraint;
+        if (constraint === "##any") return true;
+        if (constraint === "##other") return namespace !== wildcard.targetNamespace && namespace !== null;
+        return constraint.split(/\s+/).some(token =>
+            (token === "##targetNamespace" && namespace === wildcard.targetNamespace) ||
+            (token === "##local" && namespace === null) ||
+            token === namespace
+        );
+    }
+
+    /**
+     * Matches a node's child elements against a content model. Matching works
+     * on sets of positions so choices and optional particles are explored
+     * without backtracking; the furthest position any particle failed at and
+     * the names expected there explain a mismatch.
+     */
+    function matchContent(particle, children) {
+        const memo = new Map();
+        let furthest = -1;
+        const expected = new Set();
+        const expect = (position, label) => {
+            if (position > furthest) {
+                furthest = position;
+                expected.clear();
+            }
+            if (position === furthest) expected.add(label);
+        };
+
+        function matchAll(group, start) {
+            const counts = new Map();
+            const ends = new Set();
+            const available = candidate => (counts.get(candidate) || 0) < candidate.maxOccurs;
+            const satisfied = () => group.particles.every(member => (counts.get(member) || 0) >= member.minOccurs);
+            for (let position = start; ; position++) {
+                if (satisfied()) ends.add(position);
+                const key = position < children.length ? keyOf(children[position]) : null;
+                const member = group.particles.find(candidate => candidate.kind === "element" && candidate.key === key && available(candidate));
+                if (!member) {
+                    const failedAt = position;
+                    group.particles.filter(available).forEach(candidate => expect(failedAt, candidate.name));
+                    return ends;
+                }
+                counts.set(member, (counts.get(member) || 0) + 1);
+            }
+        }
+
+        function matchOnce(term, start) {
+            const child = children[start];
+            switch (term.kind) {
+                case "element":
+                    if (child && keyOf(child) === term.key) return new Set([start + 1]);
+                    expect(start, term.name);
+                    return new Set();
+                case "any":
+                    if (child && wildcardAllows(term, child.namespace)) return new Set([start + 1]);
+                    expect(start, "any element");
+                    return new Set();
+                case "choice":
+                    return new Set(term.particles.flatMap(member => [...matchParticle(member, start)]));
+                case "all":
+                    return matchAll(term, start);
+                default: {
+                    let frontier = new Set([start]);
+                    for (const member of term.particles) {
+                        frontier = new Set([...frontier].flatMap(position => [...matchParticle(member, position)]));
+                        if (frontier.size === 0) break;
+                    }
+                    return frontier;
+                }
+            }
+        }
+
+        // Every position reachable after between minOccurs and maxOccurs repetitions of the particle
+        function matchParticle(particle, start) {
+            if (!memo.has(particle)) memo.set(particle, new Map());
+            const cache = memo.get(particle);
+            if (cache.has(start)) return cache.get(start);
+            const ends = new Set();
+            cache.set(start, ends);
+            if (particle.minOccurs === 0) ends.add(start);
+            let frontier = new Set([start]);
+            for (let count = 1; count <= particle.maxOccurs && frontier.size > 0; count++) {
+                const next = new Set([...frontier].flatMap(position => [...matchOnce(particle, position)]));
+                if (count >= particle.minOccurs) {
+                    frontier = new Set([...next].filter(position => !ends.has(position)));
+                    next.forEach(position => ends.add(position));
+                } else {
+                    frontier = next;
+                }
+            }
+            return ends;
+        }
+
+        const ends = particle ? matchParticle(particle, 0) : new Set([0]);
+        // Children left over after a complete match are beyond what the model allows
+        const reached = Math.max(...ends, 0);
+        if (reached > furthest && reached < children.length) {
+            furthest = reached;
+            expected.clear();
+        }
+        return { matched: ends.has(children.length), furthest, expected: [...expected] };
+    }
+
+    // Element declarations and wildcards of a content model, for looking up each child's declaration
+    function modelMembers(particle, members = { elements: new Map(), wildcards: [] }) {
+        if (!particle) return members;
+        if (particle.kind === "element") {
+            if (!members.elements.has(particle.key)) members.elements.set(particle.key, particle);
+        } else if (particle.kind === "any") {
+            members.wildcards.push(particle);
+        } else {
+            particle.particles.forEach(member => modelMembers(member, members));
+        }
+        return members;
+    }
+
+    function validateAttributes(node, effective) {
+        const declared = new Map(effective.attributes.map(use => [use.key, use]));
+        for (const attribute of node.attributes) {
+            if (attribute.namespace === XMLNS_NAMESPACE || attribute.namespace === XSI_NAMESPACE) continue;
+            const use = declared.get(qualifiedKey(attribute.namespace, attribute.localName));
+            if (!use || use.use === "prohibited") {
+                if (!effective.anyAttribute || use) report(`Attribute "${attribute.name}" is not allowed on element <${node.name}>`, attribute);
+                continue;
+            }
+            const problem = checkSimpleValue(use.type || resolveType(use.typeName, attribute), attribute.value, attribute);
+            if (problem) {
+                report(`Attribute "${attribute.name}": ${problem}`, attribute);
+            } else if (use.fixed !== null && use.fixed !== undefined && attribute.value !== use.fixed) {
+                report(`Attribute "${attribute.name}" must have the fixed value "${use.fixed}"`, attribute);
+            }
+        }
+        for (const use of declared.values()) {
+            const present = node.attributes.some(attribute => qualifiedKey(attribute.namespace, attribute.localName) === use.key);
+            if (use.use === "required" && !present) {
+                report(`Missing required attribute "${use.name}" on element <${node.name}>`, node);
+            }
+        }
+    }
+
+    function validateSimpleContent(node, type, declaration) {
+        const children = elementChildren(node);
+        if (children.length > 0) {
+            report(`Element <${node.name}> has simple content and cannot contain child element <${children[0].name}>`, children[0]);
+            return;
+        }
+        const text = textOf(node);
+        const problem = checkSimpleValue(type, text, node);
+        if (problem) {
+            report(`Element <${node.name}>: ${problem}`, node.children.find(child => child.type === "text") || node);
+        } else if (declaration.fixed !== null && declaration.fixed !== undefined && text !== declaration.fixed) {
+            report(`Element <${node.name}> must have the fixed value "${declaration.fixed}"`, node);
+        }
+    }
+
+    function validateChildren(node, effective) {
+        if (!effective.mixed) {
+            const text = node.children.find(child => child.type === "text" && child.value.trim());
+            if (text) report(`Element <${node.name}> cannot contain text`, text);
+        }
+        const children = elementChildren(node);
+        const particle = effective.particle ? expandParticle(effective.particle, node) : null;
+        const result = matchContent(particle, children);
+        const members = modelMembers(particle);
+        let validUpTo = children.length;
+
+        if (!result.matched) {
+            const expectedList = result.expected.length > 0 ? ` Expected: ${result.expected.join(", ")}.` : "";
+            if (result.furthest >= children.length || result.furthest < 0) {
+                report(`Element <${node.name}> is incomplete.${expectedList || " Required child elements are missing."}`, node);
+            } else {
+                const child = children[result.furthest];
+                const problem = members.elements.has(keyOf(child))
+                    ? `Element <${child.name}> is not expected here; it is out of order or occurs too often.`
+                    : `Element <${child.name}> is not allowed in <${node.name}>.`;
+                report(`${problem}${expectedList}`, child);
+                validUpTo = result.furthest;
+            }
+        }
+
+        // Children past the first misplaced one are only checked if they have a declaration in the model
+        children.forEach((child, index) => {
+            const declaration = members.elements.get(keyOf(child));
+            if (declaration) {
+                validateElement(child, declaration);
+                return;
+            }
+            const wildcard = members.wildcards.find(candidate => wildcardAllows(candidate, child.namespace));
+            if (index >= validUpTo || !wildcard || wildcard.processContents === "skip") return;
+            const global = components.elements.get(keyOf(child));
+            if (global) {
+                validateElement(child, global);
+            } else if (wildcard.processContents === "strict") {
+                report(`No declaration found for element <${child.name}>`, child);
+            }
+        });
+    }
+
+    // Whether a type is the declared one or derived from it, following the base types
+    function derivesFrom(type, declared, node) {
+        let current = type;
+        for (let depth = 0; current && depth < 100; depth++) {
+            if (current === declared || declared === ANY_TYPE || (current.variety === "builtin" && declared.variety === "builtin")) return true;
+            const derivation = current.kind === "complex" ? current.simpleContent || current.complexBase : null;
+            current = current.kind === "complex" ? derivation && resolveType(derivation.base, node) : baseOf(current, node);
+        }
+        return false;
+    }
+
+    // The type an xsi:type attribute names, if it can stand in for the declared one
+    function instanceType(attribute, declared, node) {
+        const value = attribute.value.trim();
+        const [prefix, localName] = value.includes(":") ? value.split(":") : ["", value];
+        const namespace = node.namespaces[prefix];
+        if (prefix && namespace === undefined) {
+            report(`Attribute "${attribute.name}": unbound namespace prefix "${prefix}" in "${value}"`, attribute);
+            return null;
+        }
+        const type = resolveType(qualifiedKey(namespace || null, localName), attribute);
+        if (type && declared && !derivesFrom(type, declared, node)) {
+            report(`Attribute "${attribute.name}": type "${value}" is not derived from the declared type of <${node.name}>`, attribute);
+            return null;
+        }
+        return type;
+    }
+
+    function validateElement(node, declaration) {
+        const xsi = name => node.attributes.find(attr => attr.namespace === XSI_NAMESPACE && attr.localName === name);
+        const declared = declaration.type || resolveType(declaration.typeName, node);
+        const typeAttribute = xsi("type");
+        const type = (typeAttribute && instanceType(typeAttribute, declared, node)) || declared;
+        const nil = xsi("nil");
+        if (nil && ["true", "1"].includes(nil.value.trim())) {
+            if (!declaration.nillable) {
+                report(`Element <${node.name}> is not nillable`, nil);
+            } else if (elementChildren(node).length > 0 || textOf(node).trim() !== "") {
+                report(`Element <${node.name}> is nil and must be empty`, node);
+            } else if (type && type.kind === "complex") {
+                validateAttributes(node, effectiveComplexType(type, node));
+            }
+            return;
+        }
+        if (!type || type === ANY_TYPE) return;
+        if (type.kind === "simple") {
+            const attribute = node.attributes.find(attr => attr.namespace !== XMLNS_NAMESPACE && attr.namespace !== XSI_NAMESPACE);
+            if (attribute) report(`Attribute "${attribute.name}" is not allowed on element <${node.name}>`, attribute);
+            validateSimpleContent(node, type, declaration);
+            return;
+        }
+        const effective = effectiveComplexType(type, node);
+        validateAttributes(node, effective);
+        if (effective.simpleType) {
+            validateSimpleContent(node, effective.simpleType, declaration);
+        } else {
+            validateChildren(node, effective);
+        }
+    }
+
+    return {
+        validateRoot(root) {
+            const declaration = components.elements.get(keyOf(root));
+            if (!declaration) {
+                const namespace = root.namespace ? ` in namespace "${root.namespace}"` : "";
+                report(`No global declaration for root element <${root.name}>${namespace}`, root);
+                return;
+            }
+            validateElement(root, declaration);
+        },
+    };
+}
@@ -0,0 +1,189 @@
+// src/xsdValidator.test.js
+import { validateXml } from './xsdValidator';
+import { parseSchemas } from './xsdParser';
+import { generateSchemas, generateXsd } from './xsdGenerator';
+
+const messages = result => result.errors.map(error => `${error.line}:${error.column} ${error.message}`);
+
+const ORDER_XSD = `<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" elementFormDefault="qualified">
+  <xs:element name="order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="customer" type="xs:string"/>
+        <xs:element name="item" maxOccurs="3">
+          <xs:complexType>
+            <xs:simpleContent>
+              <xs:extension base="xs:decimal">
+                <xs:attribute name="sku" type="xs:string" use="required"/>
+              </xs:extension>
+            </xs:simpleContent>
+          </xs:complexType>
+        </xs:element>
+        <xs:element name="status" minOccurs="0">
+          <xs:simpleType>
+            <xs:restriction base="xs:string">
+              <xs:enumeration value="open"/>
+              <xs:enumeration value="closed"/>
+            </xs:restriction>
+          </xs:simpleType>
+        </xs:element>
+      </xs:sequence>
+      <xs:attribute name="id" type="xs:integer" use="required"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+describe('xsdValidator', () => {
+    it('should accept a conforming document', () => {
+        const xml = `<order id="1"><customer>Ann</customer><item sku="A">9.50</item><status>open</status></order>`;
+        expect(validateXml(xml, ORDER_XSD)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report structural violations with their positions', () => {
+        const xml = [
+            '<order id="x" extra="1">',
+            '  <item sku="A">1</item>',
+            '  <customer>Ann</customer>',
+            '</order>',
+        ].join('\n');
+        expect(messages(validateXml(xml, ORDER_XSD))).toEqual([
+            '1:8 Attribute "id": "x" is not a valid value of type xs:integer',
+            '1:15 Attribute "extra" is not allowed on element <order>',
+            '2:3 Element <item> is not expected here; it is out of order or occurs too often. Expected: customer.',
+        ]);
+    });
+
+    it('should report missing children, too many occurrences and unknown elements', () => {
+        expect(messages(validateXml(`<order id="1"><customer>Ann</customer></order>`, ORDER_XSD)))
+            .toEqual(['1:1 Element <order> is incomplete. Expected: item.']);
+        const items = '<item sku="a">1</item>'.repeat(4);
+        expect(messages(validateXml(`<order id="1"><customer>A</customer>${items}</order>`, ORDER_XSD)))
+            .toEqual(['1:103 Element <item> is not expected here; it is out of order or occurs too often. Expected: status.']);
+        expect(messages(validateXml(`<order id="1"><customer>A</customer><item sku="a">1</item><gift/></order>`, ORDER_XSD)))
+            .toEqual(['1:59 Element <gift> is not allowed in <order>. Expected: item, status.']);
+        expect(messages(validateXml(`<invoice/>`, ORDER_XSD))).toEqual(['1:1 No global declaration for root element <invoice>']);
+    });
+
+    it('should check values, facets and required attributes', () => {
+        const xml = `<order id="1"><customer>A</customer><item>abc</item><status>pending</status></order>`;
+        expect(messages(validateXml(xml, ORDER_XSD))).toEqual([
+            '1:37 Missing required attribute "sku" on element <item>',
+            '1:43 Element <item>: "abc" is not a valid value of type xs:decimal',
+            '1:61 Element <status>: "pending" is not one of the allowed values: "open", "closed"',
+        ]);
+    });
+
+    it('should report a document that is not well-formed at the syntax error', () => {
+        expect(validateXml('<order id="1">\n  <customer>\n</order>', ORDER_XSD)).toEqual({
+            valid: false,
+            errors: [{ message: 'End tag </order> does not match start tag <customer> (line 2, column 3)', line: 3, column: 1 }],
+        });
+        expect(() => validateXml('<order/>', '<schema/>')).toThrow(/Expected an xs:schema root element/);
+    });
+
+    it('should support groups, derivation, lists, unions and patterns', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:t="urn:t" targetNamespace="urn:t" elementFormDefault="qualified">
+  <xs:group name="names"><xs:sequence><xs:element name="first" type="xs:string"/><xs:element name="last" type="xs:string"/></xs:sequence></xs:group>
+  <xs:attributeGroup name="ids"><xs:attribute name="code" type="t:code" use="required"/></xs:attributeGroup>
+  <xs:simpleType name="code"><xs:restriction base="xs:token"><xs:pattern value="[A-Z]{2}\\-\\d+"/></xs:restriction></xs:simpleType>
+  <xs:simpleType name="scores"><xs:list itemType="xs:int"/></xs:simpleType>
+  <xs:simpleType name="sizeOrAuto"><xs:union memberTypes="xs:positiveInteger"><xs:simpleType><xs:restriction base="xs:string"><xs:enumeration value="auto"/></xs:restriction></xs:simpleType></xs:union></xs:simpleType>
+  <xs:complexType name="person"><xs:sequence><xs:group ref="t:names"/></xs:sequence><xs:attributeGroup ref="t:ids"/></xs:complexType>
+  <xs:complexType name="player"><xs:complexContent><xs:extension base="t:person"><xs:choice><xs:element name="scores" type="t:scores"/><xs:element name="size" type="t:sizeOrAuto"/></xs:choice></xs:extension></xs:complexContent></xs:complexType>
+  <xs:element name="player" type="t:player"/>
+</xs:schema>`;
+        const valid = `<player xmlns="urn:t" code="AB-12"><first>A</first><last>B</last><scores> 1 2  3 </scores></player>`;
+        expect(validateXml(valid, xsd).errors).toEqual([]);
+        expect(validateXml(valid.replace('<scores> 1 2  3 </scores>', '<size>auto</size>'), xsd).errors).toEqual([]);
+
+        const invalid = `<player xmlns="urn:t" code="ab-12"><first>A</first><scores>1 x</scores></player>`;
+        expect(messages(validateXml(invalid, xsd))).toEqual([
+            '1:23 Attribute "code": "ab-12" does not match the pattern "[A-Z]{2}\\-\\d+"',
+            '1:52 Element <scores> is not expected here; it is out of order or occurs too often. Expected: last.',
+            '1:60 Element <scores>: "x" is not a valid value of type xs:int',
+        ]);
+        expect(messages(validateXml(valid.replace('<scores> 1 2  3 </scores>', '<size>0</size>'), xsd)))
+            .toEqual(['1:72 Element <size>: "0" does not match any member type of the union']);
+
+        const loop = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:group name="loop"><xs:sequence><xs:group ref="loop"/></xs:sequence></xs:group>
+  <xs:element name="r"><xs:complexType><xs:group ref="loop"/></xs:complexType></xs:element>
+</xs:schema>`;
+        expect(messages(validateXml('<r/>', loop))).toEqual(['1:1 Group "loop" refers to itself']);
+    });
+
+    it('should check the ranges of sized integer types', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="n"><xs:complexType>
+  <xs:attribute name="b" type="xs:unsignedByte"/><xs:attribute name="l" type="xs:long"/><xs:attribute name="flag" type="xs:boolean"/>
+</xs:complexType></xs:element></xs:schema>`;
+        expect(validateXml(`<n b="255" l="-9223372036854775808" flag="1"/>`, xsd).valid).toBe(true);
+        expect(messages(validateXml(`<n b="256" l="9223372036854775808" flag="yes"/>`, xsd))).toEqual([
+            '1:4 Attribute "b": "256" is not a valid value of type xs:unsignedByte',
+            '1:12 Attribute "l": "9223372036854775808" is not a valid value of type xs:long',
+            '1:36 Attribute "flag": "yes" is not a valid value of type xs:boolean',
+        ]);
+    });
+
+    it('should reject dates and times that do not exist', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="r"><xs:complexType><xs:sequence>
+  <xs:element name="d" type="xs:date"/><xs:element name="t" type="xs:time"/><xs:element name="n" type="xs:double"/><xs:element name="m" type="xs:gMonthDay"/>
+</xs:sequence></xs:complexType></xs:element></xs:schema>`;
+        expect(validateXml('<r><d>2024-02-29+14:00</d><t>24:00:00</t><n>-INF</n><m>--02-29</m></r>', xsd).valid).toBe(true);
+        expect(messages(validateXml('<r><d>2023-02-29</d><t>24:30:00</t><n>+INF</n><m>--04-31</m></r>', xsd))).toEqual([
+            '1:7 Element <d>: "2023-02-29" is not a valid value of type xs:date',
+            '1:24 Element <t>: "24:30:00" is not a valid value of type xs:time',
+            '1:39 Element <n>: "+INF" is not a valid value of type xs:double',
+            '1:50 Element <m>: "--04-31" is not a valid value of type xs:gMonthDay',
+        ]);
+        for (const value of ['0000-01-01', '2024-02-30', '2024-01-01+15:00']) {
+            expect(validateXml(`<r><d>${value}</d><t>23:59:59</t><n>1</n><m>--01-01</m></r>`, xsd).valid).toBe(false);
+        }
+        expect(validateXml('<r><d>2024-01-01</d><t>23:59:60</t><n>1</n><m>--01-01</m></r>', xsd).valid).toBe(false);
+    });
+
+    it('should accept xsi:nil on nillable elements and types derived from the declared one', () => {
+        const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+            <xs:element name="list"><xs:complexType><xs:sequence>
+                <xs:element name="item" type="itemType" nillable="true" maxOccurs="unbounded"/>
+                <xs:element name="note" type="xs:string" minOccurs="0"/>
+            </xs:sequence></xs:complexType></xs:element>
+            <xs:complexType name="itemType"><xs:sequence><xs:element name="name" type="xs:string"/></xs:sequence></xs:complexType>
+            <xs:complexType name="bigItem"><xs:complexContent><xs:extension base="itemType">
+                <xs:sequence><xs:element name="size" type="xs:integer"/></xs:sequence>
+            </xs:extension></xs:complexContent></xs:complexType>
+            <xs:complexType name="other"><xs:sequence/></xs:complexType>
+        </xs:schema>`;
+        const list = items => `<list xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">${items}</list>`;
+        expect(validateXml(list('<item xsi:nil="true"/><item xsi:type="bigItem"><name>a</name><size>2</size></item>'), xsd).errors).toEqual([]);
+        expect(messages(validateXml(list('<item xsi:nil="true"><name>a</name></item><item xsi:type="other"/><item xsi:type="x:y"/><note xsi:nil="true"/>'), xsd))).toEqual([
+            '1:61 Element <item> is nil and must be empty',
+            '1:103 Element <item> is incomplete. Expected: name.',
+            '1:109 Attribute "xsi:type": type "other" is not derived from the declared type of <item>',
+            '1:127 Element <item> is incomplete. Expected: name.',
+            '1:133 Attribute "xsi:type": unbound namespace prefix "x" in "x:y"',
+            '1:155 Element <note> is not nillable',
+        ]);
+    });
+
+    it('should accept the samples a generated schema was built from', () => {
+        const samples = [
+            `<catalog xmlns="urn:catalog" xmlns:m="urn:meta"><book id="1" m:source="feed"><title xml:lang="en">A</title><price>10.5</price></book><book id="2"><price>3</price><title>B</title></book><m:updated>2024-01-01</m:updated></catalog>`,
+            `<catalog xmlns="urn:catalog"><book id="3"><title>C</title></book></catalog>`,
+            `<catalog xmlns="urn:catalog" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><book id="4" xsi:type="ebook" url="u"><title>E</title><price xsi:nil="true"/></book></catalog>`,
+        ];
+        for (const designStyle of ['salamiSlice', 'venetianBlind', 'russianDoll']) {
+            const schemas = parseSchemas(generateSchemas(samples, { designStyle, emitFacets: true }).map(schema => schema.content));
+            samples.forEach(sample => expect(validateXml(sample, schemas).errors).toEqual([]));
+            expect(messages(validateXml(samples[1].replace('id="3"', 'id="three"'), schemas)))
+                .toEqual(['1:36 Attribute "id": "three" is not a valid value of type xs:integer']);
+        }
+        const org = `<org><unit code="a" name="A"><head><first>X</first><last>Y</last></head><deputy><first>Z</first><last>W</last></deputy><unit code="b" name="B"/></unit></org>`;
+        for (const designStyle of ['salamiSlice', 'venetianBlind', 'russianDoll']) {
+            expect(validateXml(org, generateXsd(org, { designStyle, factorGroups: true })).errors).toEqual([]);
+        }
+        const codes = `<log><entry level="info"/><entry level="warn"/><entry level="info"/></log>`;
+        expect(validateXml(codes, generateXsd(codes)).valid).toBe(true);
+        expect(validateXml(codes.replace('warn', 'debug'), generateXsd(codes)).valid).toBe(false);
+    });
+});
@@ -0,0 +1,27 @@
+/* eslint-disable no-restricted-globals */
+import { inferSchemaModelFromStream } from './schemaModel';
+import { resolveOptions } from './xsdGenerator';
+
+/**
+ * Web Worker running the inference off the main thread.
+ *
+ * Receives `{ samples, settings }` and posts back `{ type: "progress", progress }`
+ * messages while the samples are analysed, then either `{ type: "done", model }`
+ * with the inferred model (see SchemaModel) or `{ type: "error", error }`. The
+ * settings are checked before the samples are read. Workers have no DOMParser;
+ * the samples (strings or Files) are streamed through the generator's own parser
+ * instead.
+ */
+self.onmessage = async ({ data }) => {
+    const { samples, settings } = data;
+    try {
+        const model = await inferSchemaModelFromStream(samples, {
+            ...resolveOptions(settings),
+            onProgress: progress => self.postMessage({ type: "progress", progress }),
+        });
+        self.postMessage({ type: "done", model });
+    } catch (err) {
+        const { message, sampleIndex, line, column, reason, snippet } = err;
+        self.postMessage({ type: "error", error: { message, sampleIndex, line, column, reason, snippet } });
+    }
+};